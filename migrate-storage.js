@@ -0,0 +1,207 @@
+// Storage migration - copy uploaded files from one storage backend to another
+//
+// Usage:
+//   npm run storage:migrate -- --from local --to s3 [--dry-run] [--delete-source]
+//
+// Every file referenced by resources, assignments (file, attachments, submissions)
+// and notices that lives on --from is copied to --to under the same key, checked
+// against its size and checksum, and the record is pointed at the copy. Sources are
+// only removed with --delete-source, after the record has been saved.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const connectDB = require('./server/config/db');
+const Resource = require('./server/models/Resource');
+const Assignment = require('./server/models/Assignment');
+const Notice = require('./server/models/Notice');
+const { BACKENDS, copyStoredFile, removeStoredFile, fromLocalPath } = require('./server/services/storage');
+
+/**
+ * Parse command line flags
+ * @param {Array} argv - process.argv without node and script
+ * @returns {Object} { from, to, dryRun, deleteSource }
+ */
+const parseArgs = (argv) => {
+    const options = { dryRun: false, deleteSource: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--from') options.from = argv[++i];
+        else if (argv[i] === '--to') options.to = argv[++i];
+        else if (argv[i] === '--dry-run') options.dryRun = true;
+        else if (argv[i] === '--delete-source') options.deleteSource = true;
+        else throw new Error(`Unknown option: ${argv[i]}`);
+    }
+
+    if (!BACKENDS.includes(options.from) || !BACKENDS.includes(options.to)) {
+        throw new Error(`--from and --to must be one of: ${BACKENDS.join(', ')}`);
+    }
+    if (options.from === options.to) {
+        throw new Error('--from and --to must be different backends');
+    }
+    return options;
+};
+
+// Stored location of a file record; records from before the storage backends only have a disk path
+const describe = (owner, pathField) => owner.storageKey
+    ? { storageKey: owner.storageKey, storageBackend: owner.storageBackend || 'local' }
+    : fromLocalPath(owner[pathField]);
+
+// Point a file record at its copy
+const pointAt = (owner, copy) => {
+    owner.storageKey = copy.storageKey;
+    owner.storageBackend = copy.storageBackend;
+    owner.checksum = copy.checksum;
+};
+
+/**
+ * Every file a document references, with how to update the record once it is copied
+ */
+const sources = [
+    {
+        name: 'resources',
+        find: (from) => Resource.find({ storageBackend: from }).select('+storageKey'),
+        files: (resource) => [{
+            file: describe(resource),
+            owner: resource,
+            apply: (copy) => pointAt(resource, copy)
+        }]
+    },
+    {
+        name: 'assignments',
+        find: () => Assignment.find({}),
+        files: (assignment) => [
+            {
+                file: describe(assignment, 'fileUrl'),
+                owner: assignment,
+                apply: (copy) => {
+                    pointAt(assignment, copy);
+                    assignment.fileUrl = `/api/assignments/${assignment._id}/download`;
+                }
+            },
+            ...assignment.attachments.map(attachment => ({
+                file: describe(attachment, 'filePath'),
+                owner: attachment,
+                apply: (copy) => {
+                    pointAt(attachment, copy);
+                    attachment.filePath = undefined;
+                }
+            })),
+            ...assignment.submissions.flatMap(submission => submission.files.map(submitted => ({
+                file: describe(submitted, 'filePath'),
+                owner: submitted,
+                apply: (copy) => {
+                    pointAt(submitted, copy);
+                    submitted.filePath = undefined;
+                }
+            })))
+        ]
+    },
+    {
+        name: 'notices',
+        find: () => Notice.find({ 'attachments.0': { $exists: true } }),
+        files: (notice) => notice.attachments.map(attachment => ({
+            file: describe(attachment),
+            owner: attachment,
+            apply: (copy) => pointAt(attachment, copy)
+        }))
+    }
+];
+
+/**
+ * Copy every file on one backend to another
+ * @param {Object} options - { from, to, dryRun, deleteSource }
+ * @returns {Promise<Object>} Counts: { found, copied, failed, deleted }
+ */
+async function migrateStorage({ from, to, dryRun, deleteSource }) {
+    const totals = { found: 0, copied: 0, failed: 0, deleted: 0 };
+
+    for (const source of sources) {
+        console.log(`\n📦 Migrating ${source.name} (${from} → ${to})${dryRun ? ' [dry run]' : ''}`);
+
+        for await (const doc of source.find(from).cursor()) {
+            const pending = source.files(doc)
+                .filter(entry => entry.file && entry.file.storageBackend === from);
+            if (pending.length === 0) continue;
+
+            totals.found += pending.length;
+            const copied = [];
+
+            for (const entry of pending) {
+                if (dryRun) {
+                    console.log(`  • ${doc._id}: ${entry.file.storageKey}`);
+                    continue;
+                }
+
+                try {
+                    const copy = await copyStoredFile({
+                        ...entry.file,
+                        mimeType: entry.owner.mimeType,
+                        checksum: entry.owner.checksum
+                    }, to);
+                    entry.apply(copy);
+                    copied.push(entry.file);
+                    console.log(`  ✅ ${doc._id}: ${entry.file.storageKey}`);
+                } catch (error) {
+                    totals.failed++;
+                    console.error(`  ❌ ${doc._id}: ${entry.file.storageKey} - ${error.message}`);
+                }
+            }
+
+            if (copied.length === 0) continue;
+
+            // Older records may not pass current validation; only the file fields changed
+            await doc.save({ validateBeforeSave: false });
+            totals.copied += copied.length;
+
+            if (deleteSource) {
+                for (const file of copied) {
+                    if (await removeStoredFile(file)) totals.deleted++;
+                }
+            }
+        }
+    }
+
+    return totals;
+}
+
+async function main() {
+    let exitCode = 0;
+
+    try {
+        const options = parseArgs(process.argv.slice(2));
+
+        await connectDB();
+        const totals = await migrateStorage(options);
+
+        console.log('\n📊 Storage migration summary');
+        console.log(`   Files on ${options.from}: ${totals.found}`);
+        if (!options.dryRun) {
+            console.log(`   Copied to ${options.to}: ${totals.copied}`);
+            console.log(`   Failed: ${totals.failed}`);
+            if (options.deleteSource) console.log(`   Removed from ${options.from}: ${totals.deleted}`);
+        }
+
+        if (totals.failed > 0) exitCode = 1;
+
+    } catch (error) {
+        console.error('\n❌ Storage migration failed:', error.message);
+        exitCode = 1;
+    } finally {
+        // Close database connection
+        if (mongoose.connection.readyState === 1) {
+            await mongoose.connection.close();
+        }
+    }
+
+    process.exit(exitCode);
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseArgs,
+    migrateStorage
+};
@@ -1,10 +1,13 @@
 // Main server file - Entry point of our application
 const express = require('express');
+const path = require('path');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
 // Import database connection
 const connectDB = require('./server/config/db');
+const { startSimilarityScheduler } = require('./server/services/similarityService');
 
 // Create Express application
 const app = express();
@@ -12,9 +15,16 @@ const app = express();
 // Basic middleware
 app.use(cors());
 app.use(express.json());
+// Refresh tokens arrive as an httpOnly cookie
+app.use(cookieParser());
 
-// Serve static files (HTML, CSS, JS)
-app.use(express.static('.'));
+// Serve the frontend: the top-level HTML pages and the client assets. The repository
+// root itself is not served, so source, configuration and uploaded files (which are
+// only reachable through their authenticated and signed download endpoints) stay private.
+const FRONTEND_PAGE = /^\/(?:[\w-]+\.html)?$/;
+const serveFrontendPages = express.static(__dirname, { dotfiles: 'ignore' });
+app.use((req, res, next) => (FRONTEND_PAGE.test(req.path) ? serveFrontendPages(req, res, next) : next()));
+app.use('/client', express.static(path.join(__dirname, 'client')));
 
 // Debug middleware
 app.use((req, res, next) => {
@@ -22,29 +32,10 @@ app.use((req, res, next) => {
     next();
 });
 
-// Health endpoint
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: "OK",
-        message: "Server is running"
-    });
-});
-
-// Import and use auth routes
-const authRoutes = require('./server/routes/authRoutes');
-app.use('/api/auth', authRoutes);
-
-// Import and use admin routes
-const adminRoutes = require('./server/routes/adminRoutes');
-app.use('/api/admin', adminRoutes);
-
-// Import and use student routes
-const studentRoutes = require('./server/routes/studentRoutes');
-app.use('/api/student', studentRoutes);
-
-// Import and use teacher routes
-const teacherRoutes = require('./server/routes/teacherRoutes');
-app.use('/api/teacher', teacherRoutes);
+// API routes, versioned; unversioned /api paths stay as aliases for existing clients
+const apiRoutes = require('./server/routes');
+app.use('/api/v1', apiRoutes);
+app.use('/api', apiRoutes);
 
 // Start server
 const startServer = async () => {
@@ -52,6 +43,9 @@ const startServer = async () => {
         // Try to connect to database
         try {
             await connectDB();
+
+            // Compare submissions of assignments as they close
+            startSimilarityScheduler((parseInt(process.env.SIMILARITY_CHECK_INTERVAL_MINUTES) || 15) * 60 * 1000);
         } catch (dbError) {
             console.log('⚠️  Database connection failed, continuing without database...');
             console.log('⚠️  Registration will work but data won\'t be saved');
@@ -2,6 +2,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { getStorage, buildKey, storeFile } = require('../services/storage');
 
 /**
  * Ensure upload directories exist
@@ -20,6 +21,7 @@ const uploadDirs = {
     notices: 'server/uploads/notices',
     profiles: 'server/uploads/profiles',
     documents: 'server/uploads/documents',
+    resources: 'server/uploads/resources',
     temp: 'server/uploads/temp'
 };
 
@@ -29,39 +31,34 @@ Object.values(uploadDirs).forEach(dir => {
 });
 
 /**
- * Configure storage for uploaded files with organized folder structure
+ * Multer storage engine that writes uploads through the configured storage backend
+ * (see server/config/storage.js) with an organized <subfolder>/<year>/<month> key.
+ * Each uploaded file gets storageKey, storageBackend, size and checksum (SHA-256);
+ * files on the local backend also keep their disk path in `path`.
  */
-const createStorage = (subfolder = 'documents') => {
-    return multer.diskStorage({
-        // Destination folder based on file type
-        destination: function (req, file, cb) {
-            let uploadPath = `server/uploads/${subfolder}`;
-            
-            // Create date-based subfolders for better organization
-            const date = new Date();
-            const year = date.getFullYear();
-            const month = String(date.getMonth() + 1).padStart(2, '0');
-            uploadPath = `${uploadPath}/${year}/${month}`;
-            
-            ensureDirectoryExists(uploadPath);
-            cb(null, uploadPath);
+const createStorage = (subfolder = 'documents', backend) => {
+    return {
+        _handleFile: (req, file, cb) => {
+            const key = buildKey(subfolder, file.originalname);
+
+            storeFile(file.stream, { key, contentType: file.mimetype, backend })
+                .then(stored => {
+                    const storage = getStorage(stored.storageBackend);
+                    cb(null, {
+                        ...stored,
+                        filename: path.basename(key),
+                        path: storage.localPath ? storage.localPath(key) : undefined
+                    });
+                })
+                .catch(cb);
         },
-        
-        // Generate unique filename while preserving original extension
-        filename: function (req, file, cb) {
-            // Sanitize original filename
-            const sanitizedName = file.originalname
-                .replace(/[^a-zA-Z0-9.-]/g, '_')
-                .replace(/_{2,}/g, '_');
-            
-            // Create unique filename: timestamp + random + sanitized name
-            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-            const extension = path.extname(sanitizedName);
-            const baseName = path.basename(sanitizedName, extension);
-            
-            cb(null, `${baseName}_${uniqueSuffix}${extension}`);
+
+        // Called by multer to discard files when an upload fails part-way
+        _removeFile: (req, file, cb) => {
+            getStorage(file.storageBackend).remove(file.storageKey)
+                .then(() => cb(null), cb);
         }
-    });
+    };
 };
 
 /**
@@ -125,6 +122,49 @@ const createFileFilter = (allowedTypes = 'all') => {
                 ]
             },
             
+            // Source code for programming assignments; browsers report many of these as plain text or octet-stream
+            code: {
+                extensions: [
+                    '.c', '.h', '.cpp', '.cc', '.hpp', '.java', '.py', '.js', '.jsx', '.ts', '.tsx', '.cs',
+                    '.go', '.rb', '.php', '.kt', '.swift', '.rs', '.scala', '.sql', '.m', '.r', '.sh'
+                ],
+                mimeTypes: [
+                    'text/plain',
+                    'application/octet-stream',
+                    'text/x-c',
+                    'text/x-csrc',
+                    'text/x-chdr',
+                    'text/x-c++src',
+                    'text/x-c++hdr',
+                    'text/x-java',
+                    'text/x-java-source',
+                    'text/x-python',
+                    'text/x-script.python',
+                    'text/javascript',
+                    'application/javascript',
+                    'application/x-javascript',
+                    'text/typescript',
+                    'application/typescript',
+                    'video/mp2t', // .ts is also the MPEG transport stream extension
+                    'text/x-csharp',
+                    'text/x-go',
+                    'text/x-ruby',
+                    'application/x-ruby',
+                    'application/x-httpd-php',
+                    'text/x-php',
+                    'text/x-kotlin',
+                    'text/x-swift',
+                    'text/x-rust',
+                    'text/x-scala',
+                    'application/sql',
+                    'text/x-sql',
+                    'text/x-objcsrc',
+                    'text/x-r',
+                    'application/x-sh',
+                    'text/x-sh'
+                ]
+            },
+            
             // Presentation files
             presentations: {
                 extensions: ['.ppt', '.pptx', '.odp'],
@@ -177,6 +217,25 @@ const createFileFilter = (allowedTypes = 'all') => {
     };
 };
 
+/**
+ * Record on each upload middleware the file fields it accepts ({ name, maxCount }),
+ * so the generated API docs can describe multipart bodies
+ */
+const describeFileFields = (upload) => {
+    const { single, array, fields } = upload;
+
+    upload.single = (name) => Object.assign(single.call(upload, name), {
+        fileFields: [{ name, maxCount: 1 }]
+    });
+    upload.array = (name, maxCount) => Object.assign(array.call(upload, name, maxCount), {
+        fileFields: [{ name, maxCount }]
+    });
+    upload.fields = (fieldList) => Object.assign(fields.call(upload, fieldList), {
+        fileFields: fieldList
+    });
+    return upload;
+};
+
 /**
  * Create multer upload instance with specific configuration
  */
@@ -185,37 +244,40 @@ const createUpload = (options = {}) => {
         subfolder = 'documents',
         allowedTypes = 'all',
         maxFileSize = 10 * 1024 * 1024, // 10MB default
-        maxFiles = 5
+        maxFiles = 5,
+        backend // Storage backend; defaults to STORAGE_BACKEND
     } = options;
     
-    return multer({
-        storage: createStorage(subfolder),
+    return describeFileFields(multer({
+        storage: createStorage(subfolder, backend),
         limits: {
             fileSize: maxFileSize,
             files: maxFiles
         },
         fileFilter: createFileFilter(allowedTypes)
-    });
+    }));
 };
 
 // Pre-configured upload instances for different use cases
 
 /**
- * Excel file upload for marks and attendance
+ * Excel file upload for marks and attendance.
+ * Always on local disk: sheets are parsed from disk and removed once imported.
  */
 const excelUpload = createUpload({
     subfolder: 'marks',
     allowedTypes: ['excel'],
     maxFileSize: 5 * 1024 * 1024, // 5MB
-    maxFiles: 1
+    maxFiles: 1,
+    backend: 'local'
 });
 
 /**
- * Assignment file upload (PDF, documents)
+ * Assignment file upload (PDF, documents, source code)
  */
 const assignmentUpload = createUpload({
     subfolder: 'assignments',
-    allowedTypes: ['pdf', 'documents', 'images', 'presentations'],
+    allowedTypes: ['pdf', 'documents', 'images', 'presentations', 'code'],
     maxFileSize: 25 * 1024 * 1024, // 25MB
     maxFiles: 5
 });
@@ -240,6 +302,16 @@ const profileUpload = createUpload({
     maxFiles: 1
 });
 
+/**
+ * Teaching resource upload (notes, slides, papers, archives)
+ */
+const resourceUpload = createUpload({
+    subfolder: 'resources',
+    allowedTypes: ['pdf', 'documents', 'presentations', 'images', 'archives'],
+    maxFileSize: 50 * 1024 * 1024, // 50MB
+    maxFiles: 1
+});
+
 /**
  * General document upload
  */
@@ -268,6 +340,9 @@ const getFileInfo = (file) => {
         originalName: file.originalname,
         filename: file.filename,
         path: file.path,
+        storageKey: file.storageKey,
+        storageBackend: file.storageBackend,
+        checksum: file.checksum,
         size: file.size,
         mimeType: file.mimetype,
         extension: path.extname(file.originalname).toLowerCase(),
@@ -344,6 +419,7 @@ module.exports = {
     noticeUpload,
     profileUpload,
     documentUpload,
+    resourceUpload,
     
     // Utility functions
     createUpload,
@@ -0,0 +1,42 @@
+// Storage configuration - where uploaded files are kept
+require('dotenv').config();
+
+/**
+ * Backend used for new uploads: 'local', 's3' or 'gridfs'.
+ * Files remember the backend they were written to, so switching this only
+ * affects new uploads until existing files are migrated (npm run storage:migrate).
+ */
+const storageConfig = {
+    backend: process.env.STORAGE_BACKEND || 'local',
+
+    // Local disk
+    local: {
+        root: process.env.STORAGE_LOCAL_ROOT || 'server/uploads'
+    },
+
+    // S3-compatible object storage (AWS S3, MinIO, Cloudflare R2, ...)
+    s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        // MinIO and most self-hosted stores need path-style URLs
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+            ? process.env.S3_FORCE_PATH_STYLE === 'true'
+            : Boolean(process.env.S3_ENDPOINT)
+    },
+
+    // MongoDB GridFS, on the application's own database connection
+    gridfs: {
+        bucketName: process.env.GRIDFS_BUCKET || 'uploads'
+    },
+
+    // Signed download URLs
+    signedUrls: {
+        secret: process.env.STORAGE_URL_SECRET || process.env.JWT_SECRET || 'fallback_secret_key_for_development',
+        expiresIn: parseInt(process.env.STORAGE_URL_EXPIRES_IN) || 15 * 60 // seconds
+    }
+};
+
+module.exports = storageConfig;
@@ -6,9 +6,67 @@ const Marks = require('../models/Marks');
 const Notice = require('../models/Notice');
 const Resource = require('../models/Resource');
 const Leave = require('../models/Leave');
-const jwt = require('jsonwebtoken');
+const GradingScheme = require('../models/GradingScheme');
+const AttendancePolicy = require('../models/AttendancePolicy');
+const CondonationRequest = require('../models/CondonationRequest');
+const RegistrationWindow = require('../models/RegistrationWindow');
+const CourseRegistration = require('../models/CourseRegistration');
+const { recomputeGrades, scheduleRecompute } = require('../services/gradingService');
+const { issueTranscript, renderTranscriptPdf } = require('../services/transcriptService');
+const {
+    getSubjectShortageReport,
+    getEligibilityList: buildEligibilityList,
+    reviewCondonationRequest
+} = require('../services/eligibilityService');
+const { syncLeaveAttendance } = require('../services/leaveAttendanceService');
+const { removeStoredFile } = require('../services/storage');
+const { validateWindow, getSeatCounts, reviewRegistration } = require('../services/courseRegistrationService');
+const { runAllocation, publishAllocation, describeAllocation } = require('../services/electiveAllocationService');
+const {
+    startSession,
+    setRefreshCookie,
+    endSessions,
+    formatSession,
+    getUserSessions: findUserSessions
+} = require('../services/sessionService');
+const {
+    beginTwoFactorLogin,
+    completeTwoFactorLogin,
+    findUserWithSecrets,
+    clearTwoFactor,
+    getTwoFactorPolicies: describeTwoFactorPolicies,
+    setTwoFactorPolicy
+} = require('../services/twoFactorService');
+const { securityLogger } = require('../middleware/logger');
 const bcrypt = require('bcryptjs');
 
+// Sign an admin in once every factor has been checked
+const completeAdminLogin = async (req, res, admin, extra = {}) => {
+    // Update last login
+    admin.lastLogin = new Date();
+    await admin.save();
+
+    // Short-lived access token, plus a refresh token in an httpOnly cookie
+    const tokens = await startSession(admin, req);
+    setRefreshCookie(res, tokens);
+
+    res.json({
+        success: true,
+        message: 'Admin login successful',
+        data: {
+            ...extra,
+            token: tokens.accessToken,
+            expiresAt: tokens.accessExpiresAt,
+            admin: {
+                id: admin._id,
+                name: admin.name,
+                email: admin.email,
+                role: admin.role
+            }
+        }
+    });
+};
+
 // Admin login
 const adminLogin = async (req, res) => {
     try {
@@ -40,34 +98,19 @@ const adminLogin = async (req, res) => {
             });
         }
 
-        // Update last login
-        admin.lastLogin = new Date();
-        await admin.save();
-
-        // Generate JWT token
-        const token = jwt.sign(
-            { 
-                userId: admin._id, 
-                email: admin.email, 
-                role: admin.role 
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        // Admins with 2FA finish signing in at /login/2fa
+        const challenge = await beginTwoFactorLogin(admin);
+        if (challenge) {
+            return res.json({
+                success: true,
+                message: challenge.setupRequired
+                    ? 'Admin accounts require two-factor authentication. Add it to your authenticator app and enter a code.'
+                    : 'Enter the code from your authenticator app',
+                data: challenge
+            });
+        }
 
-        res.json({
-            success: true,
-            message: 'Admin login successful',
-            data: {
-                token,
-                admin: {
-                    id: admin._id,
-                    name: admin.name,
-                    email: admin.email,
-                    role: admin.role
-                }
-            }
-        });
+        await completeAdminLogin(req, res, admin);
     } catch (error) {
         console.error('Admin login error:', error);
         res.status(500).json({
@@ -78,16 +121,51 @@ const adminLogin = async (req, res) => {
     }
 };
 
-// Get pending registrations
+// Finish a two-step admin login with an authenticator or recovery code
+const adminLoginTwoFactor = async (req, res) => {
+    try {
+        const { twoFactorToken, code, recoveryCode } = req.body;
+        const { user: admin, recoveryCodes } = await completeTwoFactorLogin(
+            twoFactorToken,
+            { code, recoveryCode },
+            { role: 'admin' }
+        );
+
+        securityLogger(recoveryCodes ? 'TWO_FACTOR_ENROLLED' : 'TWO_FACTOR_LOGIN', req, {
+            userId: admin._id,
+            recoveryCode: Boolean(recoveryCode)
+        });
+
+        await completeAdminLogin(req, res, admin, recoveryCodes ? { recoveryCodes } : {});
+    } catch (error) {
+        console.error('Admin two-factor login error:', error.message);
+        if (error.statusCode === 401) {
+            securityLogger('TWO_FACTOR_FAILED', req, {});
+        }
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Admin login failed'
+        });
+    }
+};
+
+// Get pending registrations; ?hideUnverified=true leaves out accounts whose email is not verified
 const getPendingRegistrations = async (req, res) => {
     try {
-        const pendingUsers = await User.find({ status: 'pending' })
+        const query = { status: 'pending' };
+        // Accounts from before verification have no flag and count as verified
+        if (req.query.hideUnverified === 'true') query.isEmailVerified = { $ne: false };
+
+        const pendingUsers = await User.find(query)
             .select('-password')
             .sort({ createdAt: -1 });
 
         res.json({
             success: true,
-            data: pendingUsers
+            data: pendingUsers.map(user => ({
+                ...user.toObject(),
+                emailVerified: user.isEmailVerified !== false
+            }))
         });
     } catch (error) {
         console.error('Get pending registrations error:', error);
@@ -364,7 +442,7 @@ const rejectUser = async (req, res) => {
 // Delete user
 const deleteUser = async (req, res) => {
     try {
-        const { userId } = req.params;
+        const { id: userId } = req.params;
 
         const user = await User.findById(userId);
         if (!user) {
@@ -401,6 +479,163 @@ const deleteUser = async (req, res) => {
     }
 };
 
+// Get a user's sessions; ?includeEnded=true adds revoked and expired ones
+const getUserSessions = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('name email role');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const sessions = await findUserSessions(user._id, {
+            includeEnded: req.query.includeEnded === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: {
+                user: { id: user._id, name: user.name, email: user.email, role: user.role },
+                sessions: sessions.map(session => formatSession(session, req.user.sid))
+            }
+        });
+    } catch (error) {
+        console.error('Get user sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch sessions',
+            error: error.message
+        });
+    }
+};
+
+// Sign a user out of every device
+const revokeUserSessions = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('_id');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const ended = await endSessions({ userId: user._id }, 'admin', req.user.userId);
+        securityLogger('ADMIN_REVOKED_SESSIONS', req, { targetUserId: user._id, ended });
+
+        res.json({
+            success: true,
+            message: `Ended ${ended} session${ended === 1 ? '' : 's'}`,
+            data: { ended }
+        });
+    } catch (error) {
+        console.error('Revoke user sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to end sessions',
+            error: error.message
+        });
+    }
+};
+
+// Sign one device out, whoever it belongs to
+const revokeSession = async (req, res) => {
+    try {
+        const ended = await endSessions({ _id: req.params.id }, 'admin', req.user.userId);
+        if (ended === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Active session not found'
+            });
+        }
+
+        securityLogger('ADMIN_REVOKED_SESSIONS', req, { sessionId: req.params.id, ended });
+
+        res.json({
+            success: true,
+            message: 'Session ended'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to end session',
+            error: error.message
+        });
+    }
+};
+
+// Get 2FA enforcement and enrolment for each role that supports it
+const getTwoFactorPolicies = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await describeTwoFactorPolicies()
+        });
+    } catch (error) {
+        console.error('Get two-factor policies error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch two-factor policies',
+            error: error.message
+        });
+    }
+};
+
+// Require 2FA for a role, or stop requiring it
+const updateTwoFactorPolicy = async (req, res) => {
+    try {
+        const policy = await setTwoFactorPolicy(req.params.role, req.body.required, req.user.userId);
+        securityLogger('TWO_FACTOR_POLICY_CHANGED', req, { role: policy.role, required: policy.required });
+
+        res.json({
+            success: true,
+            message: policy.required
+                ? `Two-factor authentication is now required for ${policy.role} accounts`
+                : `Two-factor authentication is now optional for ${policy.role} accounts`,
+            data: policy
+        });
+    } catch (error) {
+        console.error('Update two-factor policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update two-factor policy',
+            error: error.message
+        });
+    }
+};
+
+// Remove a user's 2FA, e.g. after they lose their device and recovery codes
+const resetUserTwoFactor = async (req, res) => {
+    try {
+        const user = await findUserWithSecrets(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        clearTwoFactor(user);
+        await user.save();
+        securityLogger('TWO_FACTOR_RESET', req, { targetUserId: user._id });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication removed. The user will enrol again at next login if their role requires it.'
+        });
+    } catch (error) {
+        console.error('Reset two-factor error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reset two-factor authentication',
+            error: error.message
+        });
+    }
+};
+
 // Add user manually
 const addUser = async (req, res) => {
     try {
@@ -502,7 +737,7 @@ const getAllFaculty = async (req, res) => {
 // Update faculty profile
 const updateFacultyProfile = async (req, res) => {
     try {
-        const { facultyId } = req.params;
+        const { id: facultyId } = req.params;
         const updateData = req.body;
 
         const facultyProfile = await FacultyProfile.findByIdAndUpdate(
@@ -578,7 +813,7 @@ const getAllStudents = async (req, res) => {
 // Update student profile
 const updateStudentProfile = async (req, res) => {
     try {
-        const { studentId } = req.params;
+        const { id: studentId } = req.params;
         const updateData = req.body;
 
         const studentProfile = await StudentProfile.findByIdAndUpdate(
@@ -743,7 +978,7 @@ const getAllLeaves = async (req, res) => {
 // Approve/Reject leave application
 const reviewLeave = async (req, res) => {
     try {
-        const { leaveId } = req.params;
+        const { id } = req.params;
         const { status, comments } = req.body;
 
         if (!['approved', 'rejected'].includes(status)) {
@@ -753,7 +988,7 @@ const reviewLeave = async (req, res) => {
             });
         }
 
-        const leave = await Leave.findById(leaveId);
+        const leave = await Leave.findById(id);
         if (!leave) {
             return res.status(404).json({
                 success: false,
@@ -761,16 +996,21 @@ const reviewLeave = async (req, res) => {
             });
         }
 
+        const previousStatus = leave.status;
         leave.status = status;
         leave.reviewedBy = req.user.userId;
         leave.reviewDate = new Date();
         leave.reviewComments = comments;
         await leave.save();
 
+        // Excuse absences on approval, restore them if an approved leave is rejected
+        const attendance = await syncLeaveAttendance(leave, previousStatus);
+
         res.json({
             success: true,
             message: `Leave application ${status} successfully`,
-            data: leave
+            data: leave,
+            attendance
         });
     } catch (error) {
         console.error('Review leave error:', error);
@@ -827,7 +1067,7 @@ const getAllNotices = async (req, res) => {
 // Delete notice
 const deleteNotice = async (req, res) => {
     try {
-        const { noticeId } = req.params;
+        const { id: noticeId } = req.params;
 
         const notice = await Notice.findByIdAndDelete(noticeId);
         if (!notice) {
@@ -896,9 +1136,9 @@ const getAllResources = async (req, res) => {
 // Delete resource
 const deleteResource = async (req, res) => {
     try {
-        const { resourceId } = req.params;
+        const { id: resourceId } = req.params;
 
-        const resource = await Resource.findByIdAndDelete(resourceId);
+        const resource = await Resource.findById(resourceId).select('+storageKey');
         if (!resource) {
             return res.status(404).json({
                 success: false,
@@ -906,6 +1146,11 @@ const deleteResource = async (req, res) => {
             });
         }
 
+        await Resource.findByIdAndDelete(resourceId);
+
+        // Remove the stored file along with the record
+        await removeStoredFile(resource);
+
         res.json({
             success: true,
             message: 'Resource deleted successfully'
@@ -920,8 +1165,825 @@ const deleteResource = async (req, res) => {
     }
 };
 
+// GRADING SCHEMES
+
+// Get all grading schemes
+const getGradingSchemes = async (req, res) => {
+    try {
+        const { department, course, academicYear, isActive } = req.query;
+
+        const query = {};
+        if (department) query.department = department;
+        if (course) query.course = course;
+        if (academicYear) query.academicYear = academicYear;
+        if (isActive !== undefined) query.isActive = isActive === 'true';
+
+        const schemes = await GradingScheme.find(query)
+            .populate('createdBy', 'name email')
+            .sort({ isDefault: -1, name: 1 });
+
+        res.json({
+            success: true,
+            data: schemes
+        });
+    } catch (error) {
+        console.error('Get grading schemes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch grading schemes',
+            error: error.message
+        });
+    }
+};
+
+// Create grading scheme
+const createGradingScheme = async (req, res) => {
+    try {
+        const { name, description, bands, department, course, academicYear, isDefault } = req.body;
+
+        if (!name || !Array.isArray(bands) || bands.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Name and at least one grade band are required'
+            });
+        }
+
+        if (isDefault) {
+            await GradingScheme.updateMany({ isDefault: true }, { isDefault: false });
+        }
+
+        const scheme = new GradingScheme({
+            name,
+            description,
+            bands,
+            department,
+            course,
+            academicYear,
+            isDefault: Boolean(isDefault),
+            createdBy: req.user.userId,
+            updatedBy: req.user.userId
+        });
+
+        await scheme.save();
+        scheduleRecompute(scheme);
+
+        res.status(201).json({
+            success: true,
+            message: 'Grading scheme created successfully. Affected grades are being recomputed.',
+            data: scheme
+        });
+    } catch (error) {
+        console.error('Create grading scheme error:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A grading scheme with this name already exists'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create grading scheme',
+            error: error.message
+        });
+    }
+};
+
+// Update grading scheme
+const updateGradingScheme = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const allowedFields = ['name', 'description', 'bands', 'department', 'course', 'academicYear', 'isDefault', 'isActive'];
+
+        const scheme = await GradingScheme.findById(id);
+        if (!scheme) {
+            return res.status(404).json({
+                success: false,
+                message: 'Grading scheme not found'
+            });
+        }
+
+        const previousScope = {
+            _id: scheme._id,
+            department: scheme.department,
+            course: scheme.course,
+            academicYear: scheme.academicYear
+        };
+
+        allowedFields.forEach(field => {
+            if (req.body[field] !== undefined) {
+                scheme[field] = req.body[field];
+            }
+        });
+
+        if (req.body.isDefault) {
+            await GradingScheme.updateMany({ _id: { $ne: scheme._id }, isDefault: true }, { isDefault: false });
+        }
+
+        scheme.updatedBy = req.user.userId;
+        await scheme.save();
+
+        // Re-grade both the old and the new scope
+        scheduleRecompute(previousScope);
+        scheduleRecompute(scheme);
+
+        res.json({
+            success: true,
+            message: 'Grading scheme updated successfully. Affected grades are being recomputed.',
+            data: scheme
+        });
+    } catch (error) {
+        console.error('Update grading scheme error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update grading scheme',
+            error: error.message
+        });
+    }
+};
+
+// Delete grading scheme
+const deleteGradingScheme = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const scheme = await GradingScheme.findByIdAndDelete(id);
+        if (!scheme) {
+            return res.status(404).json({
+                success: false,
+                message: 'Grading scheme not found'
+            });
+        }
+
+        scheduleRecompute(scheme);
+
+        res.json({
+            success: true,
+            message: 'Grading scheme deleted successfully. Affected grades are being recomputed.'
+        });
+    } catch (error) {
+        console.error('Delete grading scheme error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete grading scheme',
+            error: error.message
+        });
+    }
+};
+
+// Recompute grades for a scheme and wait for the result
+const recomputeGradingScheme = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const scheme = await GradingScheme.findById(id);
+        if (!scheme) {
+            return res.status(404).json({
+                success: false,
+                message: 'Grading scheme not found'
+            });
+        }
+
+        const result = await recomputeGrades(scheme);
+
+        res.json({
+            success: true,
+            message: 'Grades recomputed successfully',
+            data: result
+        });
+    } catch (error) {
+        console.error('Recompute grades error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to recompute grades',
+            error: error.message
+        });
+    }
+};
+
+// TRANSCRIPTS
+
+// Generate a grade card (with semester) or consolidated transcript for any student
+const getStudentTranscript = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { semester } = req.query;
+
+        const studentProfile = await StudentProfile.findById(id).populate('userId', 'name email');
+        if (!studentProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student profile not found'
+            });
+        }
+
+        const issued = await issueTranscript(studentProfile, { semester, issuedBy: req.user.userId });
+        const filename = semester
+            ? `${studentProfile.rollNumber}_semester_${semester}_grade_card.pdf`
+            : `${studentProfile.rollNumber}_transcript.pdf`;
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        renderTranscriptPdf(issued, res);
+    } catch (error) {
+        console.error('Generate transcript error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to generate transcript',
+            error: error.message
+        });
+    }
+};
+
+// ATTENDANCE ELIGIBILITY
+
+// Get all attendance policies
+const getAttendancePolicies = async (req, res) => {
+    try {
+        const policies = await AttendancePolicy.find()
+            .populate('createdBy', 'name email')
+            .sort({ course: 1, semester: 1, academicYear: 1 });
+
+        res.json({
+            success: true,
+            data: policies
+        });
+    } catch (error) {
+        console.error('Get attendance policies error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch attendance policies',
+            error: error.message
+        });
+    }
+};
+
+// Create attendance policy
+const createAttendancePolicy = async (req, res) => {
+    try {
+        const { name, course, semester, academicYear, threshold, condonationLimit, isActive } = req.body;
+
+        if (!name || threshold === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Name and threshold are required'
+            });
+        }
+
+        const policy = await AttendancePolicy.create({
+            name,
+            course: course || '',
+            semester: semester || undefined,
+            academicYear: academicYear || '',
+            threshold,
+            condonationLimit,
+            isActive,
+            createdBy: req.user.userId,
+            updatedBy: req.user.userId
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Attendance policy created successfully',
+            data: policy
+        });
+    } catch (error) {
+        console.error('Create attendance policy error:', error);
+        const isDuplicate = error.code === 11000;
+        res.status(isDuplicate || error.name === 'ValidationError' ? 400 : 500).json({
+            success: false,
+            message: isDuplicate ? 'A policy already exists for this course/semester/year' : 'Failed to create attendance policy',
+            error: error.message
+        });
+    }
+};
+
+// Update attendance policy
+const updateAttendancePolicy = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const policy = await AttendancePolicy.findById(id);
+        if (!policy) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attendance policy not found'
+            });
+        }
+
+        ['name', 'course', 'semester', 'academicYear', 'threshold', 'condonationLimit', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) policy[field] = req.body[field];
+        });
+        policy.updatedBy = req.user.userId;
+        await policy.save();
+
+        res.json({
+            success: true,
+            message: 'Attendance policy updated successfully',
+            data: policy
+        });
+    } catch (error) {
+        console.error('Update attendance policy error:', error);
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({
+            success: false,
+            message: 'Failed to update attendance policy',
+            error: error.message
+        });
+    }
+};
+
+// Delete attendance policy
+const deleteAttendancePolicy = async (req, res) => {
+    try {
+        const policy = await AttendancePolicy.findByIdAndDelete(req.params.id);
+        if (!policy) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attendance policy not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Attendance policy deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete attendance policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete attendance policy',
+            error: error.message
+        });
+    }
+};
+
+// Attendance shortage report for a subject across all students
+const getAttendanceShortage = async (req, res) => {
+    try {
+        const { subjectCode, semester, academicYear, includeEligible } = req.query;
+
+        if (!subjectCode || !semester || !academicYear) {
+            return res.status(400).json({
+                success: false,
+                message: 'Subject code, semester and academic year are required'
+            });
+        }
+
+        const studentIds = await Attendance.distinct('studentId', {
+            subjectCode,
+            semester: parseInt(semester),
+            academicYear
+        });
+        const students = await StudentProfile.find({ _id: { $in: studentIds } }).populate('userId', 'name email');
+
+        const report = await getSubjectShortageReport(students, { subjectCode, semester, academicYear }, {
+            includeEligible: includeEligible === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        console.error('Get attendance shortage error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate shortage report',
+            error: error.message
+        });
+    }
+};
+
+// Get condonation requests
+const getCondonationRequests = async (req, res) => {
+    try {
+        const { status, subjectCode, semester, academicYear } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (subjectCode) query.subjectCode = subjectCode;
+        if (semester) query.semester = parseInt(semester);
+        if (academicYear) query.academicYear = academicYear;
+
+        const requests = await CondonationRequest.find(query)
+            .populate({
+                path: 'studentId',
+                select: 'rollNumber course semester userId',
+                populate: { path: 'userId', select: 'name email' }
+            })
+            .populate('leaveIds', 'leaveType fromDate toDate totalDays reason')
+            .populate('reviewedBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: requests
+        });
+    } catch (error) {
+        console.error('Get condonation requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch condonation requests',
+            error: error.message
+        });
+    }
+};
+
+// Approve or reject a condonation request
+const reviewCondonation = async (req, res) => {
+    try {
+        const { status, comments } = req.body;
+
+        const request = await CondonationRequest.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Condonation request not found'
+            });
+        }
+
+        await reviewCondonationRequest(request, { status, comments, reviewerId: req.user.userId });
+
+        res.json({
+            success: true,
+            message: `Condonation request ${status} successfully`,
+            data: request
+        });
+    } catch (error) {
+        console.error('Review condonation error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to review condonation request',
+            error: error.message
+        });
+    }
+};
+
+// Exam eligibility list for a course/semester, used for exam admit decisions
+const getEligibilityList = async (req, res) => {
+    try {
+        const { course, semester, academicYear } = req.query;
+
+        if (!semester || !academicYear) {
+            return res.status(400).json({
+                success: false,
+                message: 'Semester and academic year are required'
+            });
+        }
+
+        const list = await buildEligibilityList({ course, semester, academicYear });
+
+        res.json({
+            success: true,
+            data: list
+        });
+    } catch (error) {
+        console.error('Get eligibility list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate eligibility list',
+            error: error.message
+        });
+    }
+};
+
+// Fields an admin sets on a registration window
+const REGISTRATION_WINDOW_FIELDS = [
+    'title', 'course', 'semester', 'academicYear', 'opensAt', 'closesAt',
+    'minCredits', 'maxCredits', 'offerings', 'electiveSlots', 'advisors', 'isPublished'
+];
+
+// Get course registration windows
+const getRegistrationWindows = async (req, res) => {
+    try {
+        const { course, semester, academicYear } = req.query;
+
+        const query = {};
+        if (course) query.course = course;
+        if (semester) query.semester = parseInt(semester);
+        if (academicYear) query.academicYear = academicYear;
+
+        const windows = await RegistrationWindow.find(query)
+            .populate({
+                path: 'advisors',
+                select: 'facultyId userId',
+                populate: { path: 'userId', select: 'name email' }
+            })
+            .sort({ academicYear: -1, course: 1, semester: 1 });
+
+        res.json({
+            success: true,
+            data: windows
+        });
+    } catch (error) {
+        console.error('Get registration windows error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch registration windows',
+            error: error.message
+        });
+    }
+};
+
+// Create a course registration window with its offered subjects
+const createRegistrationWindow = async (req, res) => {
+    try {
+        const window = new RegistrationWindow({ createdBy: req.user.userId, updatedBy: req.user.userId });
+        REGISTRATION_WINDOW_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) window[field] = req.body[field];
+        });
+
+        await validateWindow(window);
+        await window.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Registration window created successfully',
+            data: window
+        });
+    } catch (error) {
+        console.error('Create registration window error:', error);
+        const isDuplicate = error.code === 11000;
+        res.status(error.statusCode || (isDuplicate || error.name === 'ValidationError' ? 400 : 500)).json({
+            success: false,
+            message: error.statusCode
+                ? error.message
+                : isDuplicate ? 'A registration window already exists for this course/semester/year' : 'Failed to create registration window',
+            error: error.message
+        });
+    }
+};
+
+// Update a registration window; publish it by setting isPublished
+const updateRegistrationWindow = async (req, res) => {
+    try {
+        const window = await RegistrationWindow.findById(req.params.id);
+        if (!window) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registration window not found'
+            });
+        }
+
+        // Registrations were checked against this course and semester
+        const movesScope = ['course', 'semester', 'academicYear']
+            .some(field => req.body[field] !== undefined && String(req.body[field]) !== String(window[field]));
+        if (movesScope && await CourseRegistration.exists({ windowId: window._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Course, semester and academic year cannot change once students have registered'
+            });
+        }
+
+        // The allocation was worked out from these
+        if (window.allocation.status !== 'none' && ['offerings', 'electiveSlots'].some(field => req.body[field] !== undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Offerings and elective slots cannot change once electives have been allocated'
+            });
+        }
+
+        REGISTRATION_WINDOW_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) window[field] = req.body[field];
+        });
+        window.updatedBy = req.user.userId;
+
+        await validateWindow(window);
+        await window.save();
+
+        res.json({
+            success: true,
+            message: 'Registration window updated successfully',
+            data: window
+        });
+    } catch (error) {
+        console.error('Update registration window error:', error);
+        const isDuplicate = error.code === 11000;
+        res.status(error.statusCode || (isDuplicate || error.name === 'ValidationError' ? 400 : 500)).json({
+            success: false,
+            message: error.statusCode
+                ? error.message
+                : isDuplicate ? 'A registration window already exists for this course/semester/year' : 'Failed to update registration window',
+            error: error.message
+        });
+    }
+};
+
+// Delete a registration window nobody has registered in
+const deleteRegistrationWindow = async (req, res) => {
+    try {
+        const window = await RegistrationWindow.findById(req.params.id);
+        if (!window) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registration window not found'
+            });
+        }
+
+        if (await CourseRegistration.exists({ windowId: window._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Students have registered in this window; unpublish it instead'
+            });
+        }
+
+        await window.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Registration window deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete registration window error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete registration window',
+            error: error.message
+        });
+    }
+};
+
+// Registrations in a window, with seats held per offered subject
+const getWindowRegistrations = async (req, res) => {
+    try {
+        const window = await RegistrationWindow.findById(req.params.id);
+        if (!window) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registration window not found'
+            });
+        }
+
+        const query = { windowId: window._id };
+        if (req.query.status) query.status = req.query.status;
+
+        const [registrations, held, approved] = await Promise.all([
+            CourseRegistration.find(query)
+                .populate({
+                    path: 'studentId',
+                    select: 'rollNumber course semester userId',
+                    populate: { path: 'userId', select: 'name email' }
+                })
+                .populate('reviewedBy', 'name email')
+                .sort({ submittedAt: -1 }),
+            getSeatCounts(window),
+            getSeatCounts(window, { statuses: ['approved'] })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                window,
+                seats: window.offerings.map(offering => ({
+                    subjectCode: offering.subjectCode,
+                    subjectName: offering.subjectName,
+                    capacity: offering.capacity,
+                    held: held.get(offering.subjectCode) || 0,
+                    approved: approved.get(offering.subjectCode) || 0
+                })),
+                registrations
+            }
+        });
+    } catch (error) {
+        console.error('Get window registrations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch course registrations',
+            error: error.message
+        });
+    }
+};
+
+// Elective allocation results for a window
+const getElectiveAllocation = async (req, res) => {
+    try {
+        const window = await RegistrationWindow.findById(req.params.id);
+        if (!window) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registration window not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await describeAllocation(window)
+        });
+    } catch (error) {
+        console.error('Get elective allocation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch elective allocation',
+            error: error.message
+        });
+    }
+};
+
+// Allocate elective seats by preference and CGPA as a draft; can be re-run until published
+const allocateElectives = async (req, res) => {
+    try {
+        const window = await RegistrationWindow.findById(req.params.id);
+        if (!window) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registration window not found'
+            });
+        }
+
+        const allocation = await runAllocation(window, req.user.userId);
+
+        res.json({
+            success: true,
+            message: 'Electives allocated; publish to enroll students',
+            data: allocation
+        });
+    } catch (error) {
+        console.error('Allocate electives error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to allocate electives',
+            error: error.message
+        });
+    }
+};
+
+// Publish the draft allocation: enroll allocated students and open the waitlists
+const publishElectiveAllocation = async (req, res) => {
+    try {
+        const window = await RegistrationWindow.findById(req.params.id);
+        if (!window) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registration window not found'
+            });
+        }
+
+        const allocation = await publishAllocation(window);
+
+        res.json({
+            success: true,
+            message: 'Elective allocation published successfully',
+            data: allocation
+        });
+    } catch (error) {
+        console.error('Publish elective allocation error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to publish elective allocation',
+            error: error.message
+        });
+    }
+};
+
+// Approve or reject a course registration on behalf of the advisors
+const reviewCourseRegistration = async (req, res) => {
+    try {
+        const { status, comments } = req.body;
+
+        const registration = await CourseRegistration.findById(req.params.id);
+        if (!registration) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course registration not found'
+            });
+        }
+
+        await reviewRegistration(registration, { status, comments, reviewerId: req.user.userId });
+
+        res.json({
+            success: true,
+            message: `Course registration ${status} successfully`,
+            data: registration
+        });
+    } catch (error) {
+        console.error('Review course registration error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to review course registration',
+            error: error.message
+        });
+    }
+};
+
 module.exports = {
     adminLogin,
+    adminLoginTwoFactor,
     getDashboardStats,
     getPendingRegistrations,
     updateUserStatus,
@@ -929,6 +1991,12 @@ module.exports = {
     approveUser,
     rejectUser,
     deleteUser,
+    getUserSessions,
+    revokeUserSessions,
+    revokeSession,
+    getTwoFactorPolicies,
+    updateTwoFactorPolicy,
+    resetUserTwoFactor,
     addUser,
     createUser,
     getAllFaculty,
@@ -942,5 +2010,28 @@ module.exports = {
     getAllNotices,
     deleteNotice,
     getAllResources,
-    deleteResource
+    deleteResource,
+    getGradingSchemes,
+    createGradingScheme,
+    updateGradingScheme,
+    deleteGradingScheme,
+    recomputeGradingScheme,
+    getStudentTranscript,
+    getAttendancePolicies,
+    createAttendancePolicy,
+    updateAttendancePolicy,
+    deleteAttendancePolicy,
+    getAttendanceShortage,
+    getCondonationRequests,
+    reviewCondonation,
+    getEligibilityList,
+    getRegistrationWindows,
+    createRegistrationWindow,
+    updateRegistrationWindow,
+    deleteRegistrationWindow,
+    getWindowRegistrations,
+    getElectiveAllocation,
+    allocateElectives,
+    publishElectiveAllocation,
+    reviewCourseRegistration
 };
\ No newline at end of file
@@ -1,9 +1,39 @@
 const Assignment = require('../models/Assignment');
 const Course = require('../models/Course');
-const Student = require('../models/Student');
 const { validationResult } = require('express-validator');
-const path = require('path');
-const fs = require('fs');
+const { fromLocalPath, statStoredFile, removeStoredFile, sendStoredFile } = require('../services/storage');
+const {
+    storedFileOf,
+    submitAssignment: recordSubmission,
+    getStudentSubmissions,
+    getSubmissionInbox: buildSubmissionInbox,
+    gradeSubmission: recordGrade,
+    releaseGrades: publishGrades,
+    streamSubmissionsZip
+} = require('../services/submissionService');
+const { runSimilarityCheck, getSimilarityReport } = require('../services/similarityService');
+
+// Stored location of an assignment's main file; older records only have a disk path in fileUrl
+const assignmentFile = (assignment) => assignment.storageKey
+    ? { storageKey: assignment.storageKey, storageBackend: assignment.storageBackend }
+    : fromLocalPath(assignment.fileUrl);
+
+// Admins, and faculty who teach the course or set the assignment, manage its submissions
+const canManageAssignment = async (assignment, user) => {
+    if (user.role === 'admin') return true;
+    if (user.role !== 'faculty') return false;
+    if (assignment.uploadedBy && assignment.uploadedBy.toString() === user.userId.toString()) return true;
+
+    const course = await Course.findById(assignment.courseId).select('instructor');
+    return Boolean(course && course.instructor.toString() === user.userId.toString());
+};
+
+// Fields persisted for an uploaded file
+const storedFileFields = (file) => ({
+    storageKey: file.storageKey,
+    storageBackend: file.storageBackend,
+    checksum: file.checksum
+});
 
 /**
  * Create/Upload assignment
@@ -34,6 +64,8 @@ const createAssignment = async (req, res) => {
             instructions,
             allowLateSubmission,
             latePenalty,
+            latePenaltyMode,
+            lateSubmissionCutoff,
             maxSubmissions,
             tags,
             remarks
@@ -63,10 +95,10 @@ const createAssignment = async (req, res) => {
         let fileData = {};
         if (req.file) {
             fileData = {
-                fileUrl: req.file.path,
                 fileName: req.file.originalname,
                 fileSize: req.file.size,
-                mimeType: req.file.mimetype
+                mimeType: req.file.mimetype,
+                ...storedFileFields(req.file)
             };
         }
 
@@ -78,7 +110,8 @@ const createAssignment = async (req, res) => {
                     filename: file.originalname,
                     filePath: file.path,
                     fileSize: file.size,
-                    mimeType: file.mimetype
+                    mimeType: file.mimetype,
+                    ...storedFileFields(file)
                 });
             });
         }
@@ -97,7 +130,9 @@ const createAssignment = async (req, res) => {
             priority: priority || 'medium',
             instructions,
             allowLateSubmission: allowLateSubmission !== undefined ? allowLateSubmission : true,
-            latePenalty: latePenalty || 10,
+            latePenalty: latePenalty !== undefined ? latePenalty : 10,
+            latePenaltyMode: latePenaltyMode || 'flat',
+            lateSubmissionCutoff: lateSubmissionCutoff ? new Date(lateSubmissionCutoff) : undefined,
             maxSubmissions: maxSubmissions || 1,
             tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
             remarks,
@@ -105,13 +140,16 @@ const createAssignment = async (req, res) => {
             attachments,
             ...fileData
         });
+        if (req.file) {
+            assignment.fileUrl = `/api/assignments/${assignment._id}/download`;
+        }
 
         await assignment.save();
 
         // Populate the response
         await assignment.populate([
             { path: 'courseId', select: 'title code credits' },
-            { path: 'uploadedBy', select: 'firstName lastName role' }
+            { path: 'uploadedBy', select: 'name role' }
         ]);
 
         console.log(`✅ Assignment created: ${title} for course ${course.code}`);
@@ -324,9 +362,9 @@ const getAssignmentById = async (req, res) => {
 
         const assignment = await Assignment.findById(id)
             .populate('courseId', 'title code credits')
-            .populate('uploadedBy', 'firstName lastName role')
-            .populate('submissions.student', 'firstName lastName rollNumber')
-            .populate('submissions.gradedBy', 'firstName lastName role');
+            .populate('uploadedBy', 'name role')
+            .populate('submissions.student', 'name email')
+            .populate('submissions.gradedBy', 'name role');
 
         if (!assignment) {
             return res.status(404).json({
@@ -425,7 +463,8 @@ const downloadAssignment = async (req, res) => {
             }
         }
 
-        if (!assignment.fileUrl) {
+        const file = assignmentFile(assignment);
+        if (!file) {
             return res.status(404).json({
                 success: false,
                 message: 'No file attached to this assignment'
@@ -433,7 +472,8 @@ const downloadAssignment = async (req, res) => {
         }
 
         // Check if file exists
-        if (!fs.existsSync(assignment.fileUrl)) {
+        const stored = await statStoredFile(file);
+        if (!stored) {
             return res.status(404).json({
                 success: false,
                 message: 'Assignment file not found on server'
@@ -443,18 +483,20 @@ const downloadAssignment = async (req, res) => {
         // Increment download count
         await assignment.incrementDownloadCount();
 
-        // Set appropriate headers for file download
-        res.setHeader('Content-Type', assignment.mimeType || 'application/octet-stream');
-        res.setHeader('Content-Disposition', `attachment; filename="${assignment.fileName}"`);
-        
         // Stream the file
-        const fileStream = fs.createReadStream(assignment.fileUrl);
-        fileStream.pipe(res);
+        await sendStoredFile(req, res, {
+            ...file,
+            size: stored.size,
+            mimeType: assignment.mimeType,
+            filename: assignment.fileName,
+            checksum: assignment.checksum
+        });
 
         console.log(`📥 Assignment downloaded: ${assignment.title} by ${userRole} ${userId}`);
 
     } catch (error) {
         console.error('Download assignment error:', error);
+        if (res.headersSent) return res.destroy(error);
         res.status(500).json({
             success: false,
             message: 'Server error while downloading assignment'
@@ -511,13 +553,17 @@ const updateAssignment = async (req, res) => {
         const allowedUpdates = [
             'title', 'description', 'subject', 'deadline', 'totalPoints',
             'type', 'priority', 'instructions', 'allowLateSubmission',
-            'latePenalty', 'maxSubmissions', 'isPublished', 'tags', 'remarks'
+            'latePenalty', 'latePenaltyMode', 'lateSubmissionCutoff',
+            'maxSubmissions', 'isPublished', 'tags', 'remarks'
         ];
 
         allowedUpdates.forEach(field => {
             if (req.body[field] !== undefined) {
                 if (field === 'deadline') {
                     assignment[field] = new Date(req.body[field]);
+                } else if (field === 'lateSubmissionCutoff') {
+                    // An empty value removes the cutoff
+                    assignment[field] = req.body[field] ? new Date(req.body[field]) : null;
                 } else if (field === 'tags' && typeof req.body[field] === 'string') {
                     assignment[field] = req.body[field].split(',').map(tag => tag.trim());
                 } else {
@@ -529,14 +575,13 @@ const updateAssignment = async (req, res) => {
         // Handle new file upload
         if (req.file) {
             // Delete old file if exists
-            if (assignment.fileUrl && fs.existsSync(assignment.fileUrl)) {
-                fs.unlinkSync(assignment.fileUrl);
-            }
+            await removeStoredFile(assignmentFile(assignment));
             
-            assignment.fileUrl = req.file.path;
+            assignment.fileUrl = `/api/assignments/${assignment._id}/download`;
             assignment.fileName = req.file.originalname;
             assignment.fileSize = req.file.size;
             assignment.mimeType = req.file.mimetype;
+            Object.assign(assignment, storedFileFields(req.file));
         }
 
         await assignment.save();
@@ -544,7 +589,7 @@ const updateAssignment = async (req, res) => {
         // Populate the response
         await assignment.populate([
             { path: 'courseId', select: 'title code credits' },
-            { path: 'uploadedBy', select: 'firstName lastName role' }
+            { path: 'uploadedBy', select: 'name role' }
         ]);
 
         console.log(`✅ Assignment updated: ${assignment.title} by ${userRole} ${userId}`);
@@ -720,6 +765,7 @@ const getAssignmentStatistics = async (req, res) => {
         }
 
         const statistics = await Assignment.getAssignmentStatistics(id);
+        const similarity = await getSimilarityReport(assignment);
 
         res.json({
             success: true,
@@ -730,7 +776,8 @@ const getAssignmentStatistics = async (req, res) => {
                     totalPoints: assignment.totalPoints,
                     deadline: assignment.deadline
                 },
-                statistics
+                statistics,
+                similarity
             }
         });
 
@@ -743,6 +790,500 @@ const getAssignmentStatistics = async (req, res) => {
     }
 };
 
+/**
+ * Submit an assignment (files and/or text)
+ * POST /api/assignments/:id/submit
+ * Only students can submit; deadline, late window and maxSubmissions are enforced
+ */
+const submitAssignment = async (req, res) => {
+    const files = req.files || [];
+    const discardUploads = () => Promise.all(files.map(file => removeStoredFile(file)));
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            await discardUploads();
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (req.user.role !== 'student') {
+            await discardUploads();
+            return res.status(403).json({
+                success: false,
+                message: 'Only students can submit assignments'
+            });
+        }
+
+        const assignment = await Assignment.findById(req.params.id);
+        if (!assignment) {
+            await discardUploads();
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        const submission = await recordSubmission(assignment, req.user.userId, {
+            files,
+            text: req.body.text,
+            comments: req.body.comments
+        });
+
+        console.log(`📤 Assignment submitted: ${assignment.title} by student ${req.user.userId} (attempt ${submission.submissionNumber})`);
+
+        res.status(201).json({
+            success: true,
+            message: submission.isLate
+                ? `Submitted late; a ${submission.penaltyPercent}% penalty will apply`
+                : 'Assignment submitted successfully',
+            data: {
+                submission,
+                remainingSubmissions: Math.max(assignment.maxSubmissions - submission.submissionNumber, 0)
+            }
+        });
+
+    } catch (error) {
+        await discardUploads();
+
+        if (error.statusCode || error.name === 'ValidationError') {
+            return res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Submit assignment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while submitting assignment'
+        });
+    }
+};
+
+/**
+ * Get the current student's submissions with status
+ * GET /api/assignments/my-submissions
+ */
+const getMySubmissions = async (req, res) => {
+    try {
+        if (req.user.role !== 'student') {
+            return res.status(403).json({
+                success: false,
+                message: 'This endpoint is only for students'
+            });
+        }
+
+        const { courseId, academicYear, semester, status } = req.query;
+        const submissions = await getStudentSubmissions(req.user.userId, { courseId, academicYear, semester, status });
+
+        res.json({
+            success: true,
+            data: {
+                submissions,
+                summary: {
+                    total: submissions.length,
+                    submitted: submissions.filter(entry => entry.status === 'submitted').length,
+                    late: submissions.filter(entry => entry.status === 'late').length,
+                    graded: submissions.filter(entry => entry.status === 'graded').length
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get my submissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching submissions'
+        });
+    }
+};
+
+/**
+ * Get the submission inbox for an assignment
+ * GET /api/assignments/:id/submissions
+ * Only faculty teaching the course and admin
+ */
+const getSubmissionInbox = async (req, res) => {
+    try {
+        const assignment = await Assignment.findById(req.params.id);
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        if (!(await canManageAssignment(assignment, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only view submissions for assignments in courses you teach.'
+            });
+        }
+
+        const inbox = await buildSubmissionInbox(assignment, {
+            latestOnly: req.query.all !== 'true',
+            status: req.query.status
+        });
+
+        res.json({
+            success: true,
+            data: inbox
+        });
+
+    } catch (error) {
+        console.error('Get submission inbox error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching submissions'
+        });
+    }
+};
+
+/**
+ * Download all submissions of an assignment as a zip
+ * GET /api/assignments/:id/submissions/download
+ * Only faculty teaching the course and admin; ?all=true includes every attempt
+ */
+const downloadSubmissions = async (req, res) => {
+    try {
+        const assignment = await Assignment.findById(req.params.id);
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        if (!(await canManageAssignment(assignment, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only download submissions for assignments in courses you teach.'
+            });
+        }
+
+        if (assignment.submissions.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No submissions to download'
+            });
+        }
+
+        const totals = await streamSubmissionsZip(assignment, res, { latestOnly: req.query.all !== 'true' });
+
+        console.log(`📦 Submissions downloaded: ${assignment.title} (${totals.students} students, ${totals.files} files, ${totals.missing} missing)`);
+
+    } catch (error) {
+        console.error('Download submissions error:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while downloading submissions'
+        });
+    }
+};
+
+/**
+ * Download one file from a submission
+ * GET /api/assignments/:id/submissions/:submissionId/files/:fileId
+ * The submitting student, faculty teaching the course and admin
+ */
+const downloadSubmissionFile = async (req, res) => {
+    try {
+        const { id, submissionId, fileId } = req.params;
+
+        const assignment = await Assignment.findById(id);
+        const submission = assignment && assignment.submissions.id(submissionId);
+        const file = submission && submission.files.id(fileId);
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                message: 'Submission file not found'
+            });
+        }
+
+        const isOwner = submission.student.toString() === req.user.userId.toString();
+        if (!isOwner && !(await canManageAssignment(assignment, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied to this submission'
+            });
+        }
+
+        const stored = storedFileOf(file);
+        const stat = stored && await statStoredFile(stored);
+        if (!stat) {
+            return res.status(404).json({
+                success: false,
+                message: 'Submission file not found on server'
+            });
+        }
+
+        await sendStoredFile(req, res, {
+            ...stored,
+            size: stat.size,
+            mimeType: file.mimeType,
+            filename: file.filename,
+            checksum: file.checksum
+        });
+
+    } catch (error) {
+        console.error('Download submission file error:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while downloading submission file'
+        });
+    }
+};
+
+/**
+ * Set or replace the grading rubric of an assignment
+ * PUT /api/assignments/:id/rubric
+ * Only faculty teaching the course and admin; an empty list removes the rubric
+ */
+const updateRubric = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const assignment = await Assignment.findById(req.params.id);
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        if (!(await canManageAssignment(assignment, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only edit assignments for courses you teach.'
+            });
+        }
+
+        // Changing the rubric would leave existing grades scored against criteria that no longer apply
+        if (assignment.submissions.some(submission => submission.grade !== undefined && submission.grade !== null)) {
+            return res.status(400).json({
+                success: false,
+                message: 'The rubric cannot be changed once grading has started'
+            });
+        }
+
+        assignment.rubric = req.body.criteria;
+        await assignment.save();
+
+        console.log(`📋 Rubric updated: ${assignment.title} (${assignment.rubric.length} criteria, ${assignment.totalPoints} points)`);
+
+        res.json({
+            success: true,
+            message: assignment.rubric.length > 0 ? 'Rubric saved successfully' : 'Rubric removed',
+            data: {
+                rubric: assignment.rubric,
+                totalPoints: assignment.totalPoints
+            }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Update rubric error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating rubric'
+        });
+    }
+};
+
+/**
+ * Grade a submission by rubric (or with a single score when there is no rubric)
+ * PUT /api/assignments/:id/submissions/:submissionId/grade
+ * Only faculty teaching the course and admin; release=true releases it straight away
+ */
+const gradeSubmission = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const assignment = await Assignment.findById(req.params.id);
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        if (!(await canManageAssignment(assignment, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only grade submissions for assignments in courses you teach.'
+            });
+        }
+
+        const { scores, score, feedback, release } = req.body;
+        const result = await recordGrade(assignment, req.params.submissionId, {
+            scores,
+            score,
+            feedback,
+            release: release === true || release === 'true'
+        }, req.user.userId);
+
+        console.log(`📝 Submission graded: ${assignment.title} (${result.submission.score} → ${result.submission.grade}/${assignment.totalPoints})`);
+
+        res.json({
+            success: true,
+            message: result.release ? 'Submission graded and released' : 'Submission graded',
+            data: result
+        });
+
+    } catch (error) {
+        if (error.statusCode || error.name === 'ValidationError') {
+            return res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Grade submission error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while grading submission'
+        });
+    }
+};
+
+/**
+ * Release grades to students, record them in Marks and email the students
+ * POST /api/assignments/:id/grades/release
+ * Only faculty teaching the course and admin; without submissionIds every unreleased latest grade is released
+ */
+const releaseGrades = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const assignment = await Assignment.findById(req.params.id);
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        if (!(await canManageAssignment(assignment, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only release grades for assignments in courses you teach.'
+            });
+        }
+
+        const result = await publishGrades(assignment, req.user.userId, {
+            submissionIds: req.body.submissionIds
+        });
+
+        console.log(`📢 Grades released: ${assignment.title} (${result.released} released, ${result.marksRecorded} recorded, ${result.notified} notified)`);
+
+        res.json({
+            success: true,
+            message: result.released > 0 ? `${result.released} grade(s) released` : 'No grades waiting to be released',
+            data: result
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Release grades error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while releasing grades'
+        });
+    }
+};
+
+/**
+ * Re-run the similarity check for an assignment (it also runs by itself once the assignment closes)
+ * POST /api/assignments/:id/similarity
+ * Only faculty teaching the course and admin; the report appears in the statistics
+ */
+const checkSimilarity = async (req, res) => {
+    try {
+        const assignment = await Assignment.findById(req.params.id);
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        if (!(await canManageAssignment(assignment, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only check submissions for assignments in courses you teach.'
+            });
+        }
+
+        if (assignment.submissions.length < 2) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least two submissions are needed for a similarity check'
+            });
+        }
+
+        const report = await runSimilarityCheck(assignment._id, {
+            trigger: 'manual',
+            requestedBy: req.user.userId
+        });
+
+        console.log(`🔎 Similarity check: ${assignment.title} (${report.submissionsAnalyzed} submissions, ${report.pairs.length} flagged pairs)`);
+
+        res.json({
+            success: true,
+            message: 'Similarity check completed',
+            data: { similarity: await getSimilarityReport(assignment) }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Similarity check error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while checking submission similarity'
+        });
+    }
+};
+
 module.exports = {
     createAssignment,
     getCourseAssignments,
@@ -752,5 +1293,14 @@ module.exports = {
     updateAssignment,
     deleteAssignment,
     getUpcomingDeadlines,
-    getAssignmentStatistics
+    getAssignmentStatistics,
+    submitAssignment,
+    getMySubmissions,
+    getSubmissionInbox,
+    downloadSubmissions,
+    downloadSubmissionFile,
+    updateRubric,
+    gradeSubmission,
+    releaseGrades,
+    checkSimilarity
 };
\ No newline at end of file
@@ -1,12 +1,102 @@
 const Attendance = require('../models/Attendance');
-const Student = require('../models/Student');
+const ClassSession = require('../models/ClassSession');
 const Course = require('../models/Course');
+const FacultyProfile = require('../models/FacultyProfile');
+const StudentProfile = require('../models/StudentProfile');
 const { validationResult } = require('express-validator');
-const { v4: uuidv4 } = require('uuid');
+const {
+    getCourseContext,
+    canManageCourse,
+    getCourseStudents,
+    isTakingCourse,
+    getOwnStudentProfile,
+    canViewStudent
+} = require('../services/courseRosterService');
+const { getSubjectShortageReport } = require('../services/eligibilityService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATUSES = Attendance.schema.path('status').enumValues;
+
+// Class session for a course on a day; attendance is recorded against the instructor's profile
+const getSessionDetails = (course, faculty, body, userId) => ({
+    facultyId: faculty._id,
+    subject: course.title,
+    subjectCode: course.code,
+    date: body.date,
+    period: body.period ? parseInt(body.period) : 1,
+    semester: parseInt(body.semester),
+    academicYear: body.academicYear,
+    classType: body.classType,
+    duration: body.duration,
+    topic: body.topic,
+    recordedBy: userId
+});
+
+// Filters shared by the student and course listings
+const buildAttendanceFilter = (base, { academicYear, semester, status, date, startDate, endDate }) => {
+    const filter = { ...base };
+    if (academicYear) filter.academicYear = academicYear;
+    if (semester) filter.semester = parseInt(semester);
+    if (status) filter.status = status;
+
+    if (date) {
+        const day = ClassSession.toSessionDate(date);
+        filter.date = { $gte: day, $lt: new Date(day.getTime() + DAY_MS) };
+    } else if (startDate || endDate) {
+        filter.date = {};
+        if (startDate) filter.date.$gte = ClassSession.toSessionDate(startDate);
+        if (endDate) filter.date.$lt = new Date(ClassSession.toSessionDate(endDate).getTime() + DAY_MS);
+    }
+    return filter;
+};
+
+// Number of records per status, with every status present
+const countByStatus = async (filter) => {
+    const groups = await Attendance.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    return STATUSES.reduce((acc, status) => ({
+        ...acc,
+        [status]: groups.find(group => group._id === status)?.count || 0
+    }), {});
+};
+
+const formatAttendance = (attendance) => ({
+    id: attendance._id,
+    student: attendance.studentId?.rollNumber
+        ? {
+            id: attendance.studentId._id,
+            name: attendance.studentId.userId?.name,
+            rollNumber: attendance.studentId.rollNumber
+        }
+        : attendance.studentId,
+    sessionId: attendance.sessionId,
+    subject: attendance.subject,
+    subjectCode: attendance.subjectCode,
+    date: attendance.date,
+    status: attendance.status,
+    classType: attendance.classType,
+    duration: attendance.duration,
+    semester: attendance.semester,
+    academicYear: attendance.academicYear,
+    remarks: attendance.remarks,
+    leaveId: attendance.leaveId
+});
+
+// Whether the signed-in user recorded (or may correct) an attendance record
+const canEditAttendance = async (attendance, user) => {
+    if (user.role === 'admin') return true;
+    if (user.role !== 'faculty') return false;
+
+    const faculty = await FacultyProfile.findOne({ userId: user.userId }).select('_id');
+    return Boolean(faculty && faculty._id.equals(attendance.facultyId));
+};
 
 /**
  * Mark attendance for a single student
  * POST /api/attendance
+ * Marking the same student again for the same class corrects the mark
  */
 const markAttendance = async (req, res) => {
     try {
@@ -19,100 +109,65 @@ const markAttendance = async (req, res) => {
             });
         }
 
-        const {
-            studentId,
-            courseId,
-            subject,
-            date,
-            status,
-            academicYear,
-            semester,
-            classType,
-            duration,
-            remarks
-        } = req.body;
-
-        // Verify student and course exist
-        const [student, course] = await Promise.all([
-            Student.findById(studentId),
-            Course.findById(courseId)
-        ]);
+        const { studentId, courseId, status, remarks } = req.body;
 
-        if (!student) {
-            return res.status(404).json({
+        const { course, faculty } = await getCourseContext(courseId);
+        if (!canManageCourse(course, req.user)) {
+            return res.status(403).json({
                 success: false,
-                message: 'Student not found'
+                message: 'Access denied. You can only mark attendance for courses you teach.'
             });
         }
 
-        if (!course) {
-            return res.status(404).json({
+        if (!faculty) {
+            return res.status(400).json({
                 success: false,
-                message: 'Course not found'
+                message: 'The course instructor has no faculty profile'
             });
         }
 
-        // Check if attendance already exists for this date
-        const existingAttendance = await Attendance.findOne({
-            studentId,
-            courseId,
-            date: new Date(date)
-        });
-
-        if (existingAttendance) {
-            // Update existing attendance
-            await existingAttendance.updateStatus(status, req.user.userId, remarks);
-            
-            await existingAttendance.populate([
-                { path: 'studentId', select: 'firstName lastName rollNumber' },
-                { path: 'courseId', select: 'title code' },
-                { path: 'markedBy', select: 'firstName lastName role' }
-            ]);
-
-            console.log(`✅ Attendance updated for student ${student.rollNumber} on ${date}`);
+        const student = await StudentProfile.findById(studentId);
+        if (!student) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student not found'
+            });
+        }
 
-            return res.json({
-                success: true,
-                message: 'Attendance updated successfully',
-                data: { attendance: existingAttendance }
+        if (!isTakingCourse(course, student)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Student is not enrolled in this course'
             });
         }
 
-        // Create new attendance record
-        const attendance = new Attendance({
-            studentId,
-            courseId,
-            subject,
-            date: new Date(date),
+        const session = await ClassSession.findOrCreate(getSessionDetails(course, faculty, req.body, req.user.userId));
+        const attendance = await Attendance.markForSession(session, student._id, {
             status,
-            academicYear,
-            semester,
-            classType: classType || 'lecture',
-            duration: duration || 60,
             remarks,
-            markedBy: req.user.userId,
-            markingSource: 'manual'
+            recordedBy: req.user.userId
         });
+        const updated = attendance.$locals.previousStatus !== null;
 
-        await attendance.save();
-
-        // Populate the response
-        await attendance.populate([
-            { path: 'studentId', select: 'firstName lastName rollNumber' },
-            { path: 'courseId', select: 'title code' },
-            { path: 'markedBy', select: 'firstName lastName role' }
-        ]);
-
-        console.log(`✅ Attendance marked for student ${student.rollNumber} on ${date}: ${status}`);
+        console.log(`✅ Attendance ${updated ? 'updated' : 'marked'} for student ${student.rollNumber} in ${course.code}: ${attendance.status}`);
 
-        res.status(201).json({
+        res.status(updated ? 200 : 201).json({
             success: true,
-            message: 'Attendance marked successfully',
-            data: { attendance }
+            message: updated ? 'Attendance updated successfully' : 'Attendance marked successfully',
+            data: {
+                attendance: formatAttendance(attendance),
+                period: session.period
+            }
         });
 
     } catch (error) {
         console.error('Mark attendance error:', error);
+        if (error.statusCode || error.name === 'ValidationError') {
+            return res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Server error while marking attendance'
@@ -123,6 +178,7 @@ const markAttendance = async (req, res) => {
 /**
  * Mark attendance for multiple students (bulk)
  * POST /api/attendance/bulk
+ * Body: attendanceData: [{ studentId, courseId, date, period, status, academicYear, semester, classType, duration, remarks }]
  */
 const markBulkAttendance = async (req, res) => {
     try {
@@ -136,7 +192,6 @@ const markBulkAttendance = async (req, res) => {
         }
 
         const { attendanceData } = req.body;
-        const batchId = uuidv4();
 
         if (!Array.isArray(attendanceData) || attendanceData.length === 0) {
             return res.status(400).json({
@@ -145,43 +200,64 @@ const markBulkAttendance = async (req, res) => {
             });
         }
 
-        // Validate all student and course IDs exist
-        const studentIds = [...new Set(attendanceData.map(item => item.studentId))];
-        const courseIds = [...new Set(attendanceData.map(item => item.courseId))];
+        const results = { marked: [], updated: [], errors: [] };
+        const contexts = new Map();
+        const students = new Map(
+            (await StudentProfile.find({ _id: { $in: [...new Set(attendanceData.map(item => String(item.studentId)))] } }))
+                .map(student => [student._id.toString(), student])
+        );
 
-        const [students, courses] = await Promise.all([
-            Student.find({ _id: { $in: studentIds } }).select('_id rollNumber'),
-            Course.find({ _id: { $in: courseIds } }).select('_id code title')
-        ]);
+        for (const [index, item] of attendanceData.entries()) {
+            const summary = { index, studentId: item.studentId, courseId: item.courseId };
 
-        const studentIdMap = new Map(students.map(s => [s._id.toString(), s]));
-        const courseIdMap = new Map(courses.map(c => [c._id.toString(), c]));
+            try {
+                if (!contexts.has(String(item.courseId))) {
+                    contexts.set(String(item.courseId), await getCourseContext(item.courseId).catch(error => {
+                        if (error.statusCode === 404) return null;
+                        throw error;
+                    }));
+                }
+                const context = contexts.get(String(item.courseId));
+                const student = students.get(String(item.studentId));
+
+                let message = null;
+                if (!context) message = 'Course not found';
+                else if (!canManageCourse(context.course, req.user)) message = 'You can only mark attendance for courses you teach';
+                else if (!context.faculty) message = 'The course instructor has no faculty profile';
+                else if (!student) message = 'Student not found';
+                else if (!isTakingCourse(context.course, student)) message = 'Student is not enrolled in this course';
+
+                if (message) {
+                    results.errors.push({ ...summary, message });
+                    continue;
+                }
 
-        // Filter valid data
-        const validData = attendanceData.filter(item => 
-            studentIdMap.has(item.studentId) && courseIdMap.has(item.courseId)
-        );
+                const session = await ClassSession.findOrCreate(getSessionDetails(context.course, context.faculty, item, req.user.userId));
+                const attendance = await Attendance.markForSession(session, student._id, {
+                    status: item.status,
+                    remarks: item.remarks,
+                    recordedBy: req.user.userId
+                });
 
-        if (validData.length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'No valid student/course combinations found'
-            });
+                results[attendance.$locals.previousStatus !== null ? 'updated' : 'marked'].push({
+                    ...summary,
+                    rollNumber: student.rollNumber,
+                    status: attendance.status
+                });
+            } catch (error) {
+                results.errors.push({ ...summary, message: error.message });
+            }
         }
 
-        // Process bulk attendance
-        const results = await Attendance.markBulkAttendance(validData, req.user.userId, batchId);
-
-        console.log(`📊 Bulk attendance marked: ${results.success.length} success, ${results.errors.length} errors, ${results.duplicates.length} updates`);
+        console.log(`📊 Bulk attendance: ${results.marked.length} marked, ${results.updated.length} updated, ${results.errors.length} errors`);
 
         res.json({
             success: true,
             message: 'Bulk attendance processing completed',
             data: {
-                batchId,
-                totalProcessed: validData.length,
-                successful: results.success.length,
-                updated: results.duplicates.length,
+                totalProcessed: attendanceData.length,
+                marked: results.marked.length,
+                updated: results.updated.length,
                 errors: results.errors.length,
                 results
             }
@@ -199,23 +275,23 @@ const markBulkAttendance = async (req, res) => {
 /**
  * Get attendance for a student
  * GET /api/attendance/student/:studentId
+ * studentId is the StudentProfile id
  */
 const getStudentAttendance = async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const { studentId } = req.params;
-        const { 
-            courseId, 
-            academicYear, 
-            semester, 
-            startDate, 
-            endDate, 
-            status,
-            page = 1,
-            limit = 50
-        } = req.query;
+        const { courseId, academicYear, semester, page = 1, limit = 50 } = req.query;
 
-        // Verify student exists
-        const student = await Student.findById(studentId);
+        const student = await StudentProfile.findById(studentId).populate('userId', 'name email');
         if (!student) {
             return res.status(404).json({
                 success: false,
@@ -223,72 +299,49 @@ const getStudentAttendance = async (req, res) => {
             });
         }
 
-        // Check access permissions
-        const userRole = req.user.role;
-        const userId = req.user.userId;
-
-        if (userRole === 'student' && userId.toString() !== studentId) {
+        if (!canViewStudent(student, req.user)) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied. Students can only view their own attendance.'
             });
         }
 
-        // Get attendance records
-        const attendance = await Attendance.getAttendanceByStudent(studentId, {
-            courseId,
-            academicYear,
-            semester,
-            startDate,
-            endDate,
-            status
-        });
-
-        // Pagination
-        const startIndex = (page - 1) * limit;
-        const endIndex = startIndex + parseInt(limit);
-        const paginatedAttendance = attendance.slice(startIndex, endIndex);
-
-        // Calculate attendance percentage for each course
-        const courseStats = {};
+        const base = { studentId: student._id };
         if (courseId) {
-            // Single course statistics
-            const stats = await Attendance.calculateAttendancePercentage(studentId, courseId, {
-                academicYear,
-                semester,
-                startDate,
-                endDate
-            });
-            courseStats[courseId] = stats;
-        } else {
-            // Statistics for all courses
-            const uniqueCourses = [...new Set(attendance.map(a => a.courseId._id.toString()))];
-            for (const cId of uniqueCourses) {
-                const stats = await Attendance.calculateAttendancePercentage(studentId, cId, {
-                    academicYear,
-                    semester,
-                    startDate,
-                    endDate
+            const course = await Course.findById(courseId).select('code');
+            if (!course) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
                 });
-                courseStats[cId] = stats;
             }
+            base.subjectCode = course.code;
         }
+        const filter = buildAttendanceFilter(base, req.query);
+
+        const [attendance, totalRecords, overallStatistics, subjectCodes] = await Promise.all([
+            Attendance.find(filter)
+                .sort({ date: -1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit)),
+            Attendance.countDocuments(filter),
+            countByStatus(filter),
+            Attendance.distinct('subjectCode', filter)
+        ]);
 
-        // Overall summary
-        const totalRecords = attendance.length;
-        const overallStats = {
-            totalClasses: totalRecords,
-            presentClasses: attendance.filter(a => a.status === 'present').length,
-            absentClasses: attendance.filter(a => a.status === 'absent').length,
-            lateClasses: attendance.filter(a => a.status === 'late').length,
-            excusedClasses: attendance.filter(a => a.status === 'excused').length
-        };
-
-        if (totalRecords > 0) {
-            const effectivePresent = overallStats.presentClasses + overallStats.excusedClasses + (overallStats.lateClasses * 0.5);
-            overallStats.overallPercentage = ((effectivePresent / totalRecords) * 100).toFixed(2);
-        } else {
-            overallStats.overallPercentage = 0;
+        // Percentages are taken against classes held, not rows recorded for the student
+        const subjectStatistics = [];
+        for (const subjectCode of subjectCodes) {
+            const stats = await Attendance.getSubjectAttendance(student._id, {
+                subjectCode,
+                academicYear,
+                semester: semester ? parseInt(semester) : undefined
+            });
+            subjectStatistics.push({
+                subjectCode,
+                ...stats,
+                percentage: Number(stats.percentage.toFixed(2))
+            });
         }
 
         res.json({
@@ -296,17 +349,17 @@ const getStudentAttendance = async (req, res) => {
             data: {
                 student: {
                     id: student._id,
-                    name: `${student.firstName} ${student.lastName}`,
+                    name: student.userId?.name,
                     rollNumber: student.rollNumber
                 },
-                attendance: paginatedAttendance,
-                courseStatistics: courseStats,
-                overallStatistics: overallStats,
+                attendance: attendance.map(formatAttendance),
+                subjectStatistics,
+                overallStatistics,
                 pagination: {
                     currentPage: parseInt(page),
-                    totalPages: Math.ceil(attendance.length / limit),
-                    totalRecords: attendance.length,
-                    hasNext: endIndex < attendance.length,
+                    totalPages: Math.ceil(totalRecords / limit),
+                    totalRecords,
+                    hasNext: page * limit < totalRecords,
                     hasPrev: page > 1
                 }
             }
@@ -327,63 +380,42 @@ const getStudentAttendance = async (req, res) => {
  */
 const getCourseAttendance = async (req, res) => {
     try {
-        const { courseId } = req.params;
-        const { 
-            date, 
-            academicYear, 
-            semester, 
-            status,
-            page = 1,
-            limit = 100
-        } = req.query;
-
-        // Verify course exists
-        const course = await Course.findById(courseId);
-        if (!course) {
-            return res.status(404).json({
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
                 success: false,
-                message: 'Course not found'
+                message: 'Validation failed',
+                errors: errors.array()
             });
         }
 
-        // Check if faculty can access this course
-        const userRole = req.user.role;
-        const userId = req.user.userId;
+        const { courseId } = req.params;
+        const { date, academicYear, semester, page = 1, limit = 100 } = req.query;
 
-        if (userRole === 'faculty' && course.instructor.toString() !== userId.toString()) {
+        const { course } = await getCourseContext(courseId);
+        if (!canManageCourse(course, req.user)) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied. You can only view attendance for courses you teach.'
             });
         }
 
-        // Get attendance records
-        const attendance = await Attendance.getAttendanceByCourse(courseId, {
-            date,
-            academicYear,
-            semester,
-            status
-        });
-
-        // Pagination
-        const startIndex = (page - 1) * limit;
-        const endIndex = startIndex + parseInt(limit);
-        const paginatedAttendance = attendance.slice(startIndex, endIndex);
-
-        // Get course statistics
-        const statistics = await Attendance.getCourseAttendanceStatistics(courseId, {
-            academicYear,
-            semester
-        });
-
-        // If specific date is requested, get daily summary
-        let dailySummary = null;
-        if (date) {
-            dailySummary = await Attendance.getClassAttendanceSummary(courseId, date, {
-                academicYear,
-                semester
-            });
-        }
+        const filter = buildAttendanceFilter({ subjectCode: course.code }, req.query);
+        const sessionFilter = { subjectCode: course.code };
+        if (academicYear) sessionFilter.academicYear = academicYear;
+        if (semester) sessionFilter.semester = parseInt(semester);
+        if (date) sessionFilter.date = ClassSession.toSessionDate(date);
+
+        const [attendance, totalRecords, statistics, classesHeld] = await Promise.all([
+            Attendance.find(filter)
+                .populate({ path: 'studentId', select: 'rollNumber userId', populate: { path: 'userId', select: 'name' } })
+                .sort({ date: -1, subjectCode: 1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit)),
+            Attendance.countDocuments(filter),
+            countByStatus(filter),
+            ClassSession.countDocuments(sessionFilter)
+        ]);
 
         res.json({
             success: true,
@@ -394,14 +426,13 @@ const getCourseAttendance = async (req, res) => {
                     code: course.code,
                     credits: course.credits
                 },
-                attendance: paginatedAttendance,
-                statistics,
-                dailySummary,
+                attendance: attendance.map(formatAttendance),
+                statistics: { ...statistics, classesHeld },
                 pagination: {
                     currentPage: parseInt(page),
-                    totalPages: Math.ceil(attendance.length / limit),
-                    totalRecords: attendance.length,
-                    hasNext: endIndex < attendance.length,
+                    totalPages: Math.ceil(totalRecords / limit),
+                    totalRecords,
+                    hasNext: page * limit < totalRecords,
                     hasPrev: page > 1
                 }
             }
@@ -409,6 +440,12 @@ const getCourseAttendance = async (req, res) => {
 
     } catch (error) {
         console.error('Get course attendance error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Server error while fetching course attendance'
@@ -422,13 +459,21 @@ const getCourseAttendance = async (req, res) => {
  */
 const getAttendancePercentage = async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const { studentId, courseId } = req.params;
-        const { academicYear, semester, startDate, endDate } = req.query;
+        const { academicYear, semester } = req.query;
 
-        // Verify student and course exist
-        const [student, course] = await Promise.all([
-            Student.findById(studentId),
-            Course.findById(courseId)
+        const [student, { course }] = await Promise.all([
+            StudentProfile.findById(studentId).populate('userId', 'name'),
+            getCourseContext(courseId)
         ]);
 
         if (!student) {
@@ -438,37 +483,24 @@ const getAttendancePercentage = async (req, res) => {
             });
         }
 
-        if (!course) {
-            return res.status(404).json({
-                success: false,
-                message: 'Course not found'
-            });
-        }
-
-        // Check access permissions
-        const userRole = req.user.role;
-        const userId = req.user.userId;
-
-        if (userRole === 'student' && userId.toString() !== studentId) {
+        if (req.user.role === 'student' && !canViewStudent(student, req.user)) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied. Students can only view their own attendance.'
             });
         }
 
-        if (userRole === 'faculty' && course.instructor.toString() !== userId.toString()) {
+        if (req.user.role === 'faculty' && !canManageCourse(course, req.user)) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied. You can only view attendance for courses you teach.'
             });
         }
 
-        // Calculate attendance percentage
-        const attendanceStats = await Attendance.calculateAttendancePercentage(studentId, courseId, {
+        const stats = await Attendance.getSubjectAttendance(student._id, {
+            subjectCode: course.code,
             academicYear,
-            semester,
-            startDate,
-            endDate
+            semester: semester ? parseInt(semester) : undefined
         });
 
         res.json({
@@ -476,7 +508,7 @@ const getAttendancePercentage = async (req, res) => {
             data: {
                 student: {
                     id: student._id,
-                    name: `${student.firstName} ${student.lastName}`,
+                    name: student.userId?.name,
                     rollNumber: student.rollNumber
                 },
                 course: {
@@ -484,12 +516,21 @@ const getAttendancePercentage = async (req, res) => {
                     title: course.title,
                     code: course.code
                 },
-                attendanceStats
+                attendanceStats: {
+                    ...stats,
+                    percentage: Number(stats.percentage.toFixed(2))
+                }
             }
         });
 
     } catch (error) {
         console.error('Get attendance percentage error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Server error while calculating attendance percentage'
@@ -505,7 +546,7 @@ const updateAttendance = async (req, res) => {
     try {
         const { id } = req.params;
         const errors = validationResult(req);
-        
+
         if (!errors.isEmpty()) {
             return res.status(400).json({
                 success: false,
@@ -514,7 +555,7 @@ const updateAttendance = async (req, res) => {
             });
         }
 
-        const attendance = await Attendance.findById(id);
+        let attendance = await Attendance.findById(id);
         if (!attendance) {
             return res.status(404).json({
                 success: false,
@@ -522,43 +563,36 @@ const updateAttendance = async (req, res) => {
             });
         }
 
-        // Check permissions
-        const userRole = req.user.role;
-        const userId = req.user.userId;
-
-        if (userRole === 'faculty') {
-            // Faculty can only edit attendance for courses they teach
-            const course = await Course.findById(attendance.courseId);
-            if (!course || course.instructor.toString() !== userId.toString()) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied. You can only edit attendance for courses you teach.'
-                });
-            }
-        } else if (userRole !== 'admin') {
+        if (!(await canEditAttendance(attendance, req.user))) {
             return res.status(403).json({
                 success: false,
-                message: 'Access denied. Only faculty and admin can edit attendance.'
+                message: 'Access denied. You can only edit attendance you recorded.'
             });
         }
 
-        // Update attendance
         const { status, remarks } = req.body;
-        await attendance.updateStatus(status, userId, remarks);
 
-        // Populate the response
-        await attendance.populate([
-            { path: 'studentId', select: 'firstName lastName rollNumber' },
-            { path: 'courseId', select: 'title code' },
-            { path: 'markedBy', select: 'firstName lastName role' }
-        ]);
+        // Marks taken in a class session go through the session so approved leave still excuses absences
+        const session = attendance.sessionId ? await ClassSession.findById(attendance.sessionId) : null;
+        if (session) {
+            attendance = await Attendance.markForSession(session, attendance.studentId, {
+                status,
+                remarks,
+                recordedBy: req.user.userId
+            });
+        } else {
+            attendance.status = status;
+            if (remarks !== undefined) attendance.remarks = remarks;
+            attendance.recordedBy = req.user.userId;
+            await attendance.save();
+        }
 
-        console.log(`✅ Attendance updated for student ${attendance.studentId.rollNumber} by ${userRole} ${userId}`);
+        console.log(`✅ Attendance ${attendance._id} updated by ${req.user.role} ${req.user.userId}`);
 
         res.json({
             success: true,
             message: 'Attendance updated successfully',
-            data: { attendance }
+            data: { attendance: formatAttendance(attendance) }
         });
 
     } catch (error) {
@@ -586,31 +620,16 @@ const deleteAttendance = async (req, res) => {
             });
         }
 
-        // Check permissions
-        const userRole = req.user.role;
-        const userId = req.user.userId;
-
-        if (userRole === 'faculty') {
-            // Faculty can only delete attendance for courses they teach
-            const course = await Course.findById(attendance.courseId);
-            if (!course || course.instructor.toString() !== userId.toString()) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied. You can only delete attendance for courses you teach.'
-                });
-            }
-        } else if (userRole !== 'admin') {
+        if (!(await canEditAttendance(attendance, req.user))) {
             return res.status(403).json({
                 success: false,
-                message: 'Access denied. Only faculty and admin can delete attendance.'
+                message: 'Access denied. You can only delete attendance you recorded.'
             });
         }
 
-        // Soft delete
-        attendance.isActive = false;
-        await attendance.save();
+        await attendance.deleteOne();
 
-        console.log(`🗑️ Attendance deleted for student ${attendance.studentId} by ${userRole} ${userId}`);
+        console.log(`🗑️ Attendance deleted for student ${attendance.studentId} by ${req.user.role} ${req.user.userId}`);
 
         res.json({
             success: true,
@@ -639,12 +658,18 @@ const getMyAttendance = async (req, res) => {
             });
         }
 
-        // Redirect to student attendance endpoint with current user's ID
-        req.params.studentId = req.user.userId;
+        const studentProfile = await getOwnStudentProfile(req.user.userId);
+        req.params.studentId = studentProfile._id.toString();
         return getStudentAttendance(req, res);
 
     } catch (error) {
         console.error('Get my attendance error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Server error while fetching attendance'
@@ -652,6 +677,167 @@ const getMyAttendance = async (req, res) => {
     }
 };
 
+/**
+ * Get attendance summary for a course with daily breakdown
+ * GET /api/attendance/course/:courseId/summary
+ */
+const getCourseAttendanceSummary = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { course } = await getCourseContext(req.params.courseId);
+        if (!canManageCourse(course, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only view attendance for courses you teach.'
+            });
+        }
+
+        const filter = buildAttendanceFilter({ subjectCode: course.code }, req.query);
+
+        const [totals, daily] = await Promise.all([
+            countByStatus(filter),
+            Attendance.aggregate([
+                { $match: filter },
+                {
+                    $group: {
+                        _id: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+                        total: { $sum: 1 },
+                        present: { $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] } },
+                        absent: { $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] } },
+                        late: { $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] } },
+                        excused: { $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 1, 0] } }
+                    }
+                },
+                { $sort: { _id: 1 } }
+            ])
+        ]);
+
+        const totalRecords = STATUSES.reduce((sum, status) => sum + totals[status], 0);
+
+        res.json({
+            success: true,
+            data: {
+                course: {
+                    id: course._id,
+                    title: course.title,
+                    code: course.code,
+                    credits: course.credits
+                },
+                summary: {
+                    totalRecords,
+                    ...totals,
+                    attendancePercentage: totalRecords > 0
+                        ? Number((((totals.present + totals.late) / totalRecords) * 100).toFixed(2))
+                        : 0,
+                    daily: daily.map(day => ({
+                        date: day._id,
+                        total: day.total,
+                        present: day.present,
+                        absent: day.absent,
+                        late: day.late,
+                        excused: day.excused
+                    }))
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get attendance summary error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching attendance summary'
+        });
+    }
+};
+
+/**
+ * Get students of a course below the attendance requirement
+ * GET /api/attendance/course/:courseId/defaulters?academicYear=&semester=&threshold=
+ * Without a threshold the attendance policy for each student's programme applies
+ */
+const getAttendanceDefaulters = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { academicYear, semester, threshold } = req.query;
+
+        if (!academicYear || !semester) {
+            return res.status(400).json({
+                success: false,
+                message: 'Academic year and semester are required'
+            });
+        }
+
+        const { course } = await getCourseContext(req.params.courseId);
+        if (!canManageCourse(course, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only view attendance for courses you teach.'
+            });
+        }
+
+        const students = await getCourseStudents(course);
+        const report = await getSubjectShortageReport(students, {
+            subjectCode: course.code,
+            semester,
+            academicYear
+        }, { includeEligible: threshold !== undefined });
+
+        const defaulters = threshold !== undefined
+            ? report.students.filter(row => row.eligibilityPercentage < parseFloat(threshold))
+            : report.students;
+
+        res.json({
+            success: true,
+            data: {
+                course: {
+                    id: course._id,
+                    title: course.title,
+                    code: course.code
+                },
+                threshold: threshold !== undefined ? parseFloat(threshold) : null,
+                totalStudents: students.length,
+                defaultersCount: defaulters.length,
+                defaulters
+            }
+        });
+
+    } catch (error) {
+        console.error('Get attendance defaulters error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching attendance defaulters'
+        });
+    }
+};
+
 module.exports = {
     markAttendance,
     markBulkAttendance,
@@ -660,5 +846,7 @@ module.exports = {
     getAttendancePercentage,
     updateAttendance,
     deleteAttendance,
-    getMyAttendance
-};
\ No newline at end of file
+    getMyAttendance,
+    getCourseAttendanceSummary,
+    getAttendanceDefaulters
+};
@@ -4,6 +4,51 @@ const mongoose = require('mongoose');
 const User = require('../models/User');
 const FacultyProfile = require('../models/FacultyProfile');
 const StudentProfile = require('../models/StudentProfile');
+const { sendPasswordResetEmail, sendEmailVerificationEmail } = require('../utils/emailService');
+const {
+    REFRESH_COOKIE,
+    startSession,
+    setRefreshCookie,
+    clearRefreshCookie,
+    endSessions,
+    endAllSessions,
+    rotateRefreshToken,
+    getTokenSessionId,
+    formatSession,
+    getUserSessions
+} = require('../services/sessionService');
+const { beginTwoFactorLogin, completeTwoFactorLogin } = require('../services/twoFactorService');
+const { securityLogger } = require('../middleware/logger');
+
+// Same answer whether or not the email is registered, so the endpoint can't be used to find accounts
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for this email, a password reset link has been sent.';
+
+// Same answer whether or not a verification email was due, for the same reason
+const RESEND_VERIFICATION_MESSAGE = 'If this email is registered and not yet verified, a new verification link has been sent.';
+
+const databaseUnavailable = (res) => res.status(503).json({
+    success: false,
+    message: 'Database connection error. Please try again later.'
+});
+
+/**
+ * Email a user a new verification link; a failed send is logged, not thrown
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+const sendVerificationLink = async (user) => {
+    // A new link replaces any earlier one
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    try {
+        await sendEmailVerificationEmail(user, verificationToken);
+        return true;
+    } catch (emailError) {
+        console.error('Verification email error:', emailError);
+        return false;
+    }
+};
 
 /**
  * Register a new user
@@ -102,7 +147,8 @@ const register = async (req, res) => {
             email: email.toLowerCase().trim(),
             password: password,
             role: role,
-            status: 'pending' // All registrations start as pending
+            status: 'pending', // All registrations start as pending
+            isEmailVerified: false
         });
 
         // Save user to MongoDB
@@ -136,16 +182,24 @@ const register = async (req, res) => {
             console.log('✅ Student profile created for:', savedUser.email);
         }
 
+        // Admins can see whether the address was confirmed before approving
+        const verificationSent = await sendVerificationLink(savedUser);
+
         // Return success response
         const responseData = {
             success: true,
-            message: `${role === 'faculty' ? 'Faculty' : 'Student'} registered successfully. Your registration is pending approval.`,
+            message: `${role === 'faculty' ? 'Faculty' : 'Student'} registered successfully. Your registration is pending approval. ` +
+                (verificationSent
+                    ? 'Please verify your email address using the link we sent you.'
+                    : 'We could not send the verification email; please request a new link.'),
             data: {
                 id: savedUser._id,
                 name: savedUser.name,
                 email: savedUser.email,
                 role: savedUser.role,
                 status: savedUser.status,
+                isEmailVerified: savedUser.isEmailVerified,
+                verificationEmailSent: verificationSent,
                 createdAt: savedUser.createdAt
             }
         };
@@ -189,6 +243,67 @@ const register = async (req, res) => {
     }
 };
 
+/**
+ * Sign a user in once every factor has been checked: start a session and send the tokens
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @param {Object} extra - Additional fields for the response data
+ */
+const completeLogin = async (req, res, user, extra = {}) => {
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Short-lived access token, plus a refresh token in an httpOnly cookie
+    const tokens = await startSession(user, req);
+    setRefreshCookie(res, tokens);
+
+    console.log('✅ Login successful for:', user.email);
+
+    // Get user profile
+    let profile = null;
+    if (user.role === 'faculty') {
+        profile = await FacultyProfile.findOne({ userId: user._id });
+    } else if (user.role === 'student') {
+        profile = await StudentProfile.findOne({ userId: user._id });
+    }
+
+    // Return success response
+    const responseData = {
+        success: true,
+        message: 'Login successful',
+        data: {
+            ...extra,
+            token: tokens.accessToken,
+            expiresAt: tokens.accessExpiresAt,
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                status: user.status,
+                lastLogin: user.lastLogin,
+                profile: profile ? {
+                    id: profile._id,
+                    ...(user.role === 'faculty' ? {
+                        facultyId: profile.facultyId,
+                        department: profile.department,
+                        designation: profile.designation
+                    } : {
+                        rollNumber: profile.rollNumber,
+                        course: profile.course,
+                        semester: profile.semester,
+                        cgpa: profile.cgpa
+                    })
+                } : null
+            }
+        }
+    };
+    
+    res.status(200).json(responseData);
+};
+
 /**
  * Login a user
  * POST /api/auth/login
@@ -286,92 +401,480 @@ const login = async (req, res) => {
             });
         }
 
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save();
+        // Admin and faculty accounts with 2FA finish signing in at /login/2fa
+        const challenge = await beginTwoFactorLogin(user);
+        if (challenge) {
+            return res.status(200).json({
+                success: true,
+                message: challenge.setupRequired
+                    ? 'Your account requires two-factor authentication. Add it to your authenticator app and enter a code.'
+                    : 'Enter the code from your authenticator app',
+                data: challenge
+            });
+        }
+
+        await completeLogin(req, res, user);
+
+    } catch (error) {
+        console.error('❌ Login error:', error);
+        
+        // Handle specific errors
+        if (error.name === 'JsonWebTokenError') {
+            return res.status(500).json({
+                success: false,
+                message: 'Authentication token generation failed'
+            });
+        }
+
+        // Handle database connection errors
+        if (error.name === 'MongoNetworkError' || error.name === 'MongoTimeoutError') {
+            return res.status(503).json({
+                success: false,
+                message: 'Database connection error. Please try again later.'
+            });
+        }
+
+        // Generic server error
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+};
+
+/**
+ * Finish a two-step login with an authenticator or recovery code
+ * POST /api/auth/login/2fa
+ */
+const loginTwoFactor = async (req, res) => {
+    try {
+        if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+        const { twoFactorToken, code, recoveryCode } = req.body;
+        const { user, recoveryCodes } = await completeTwoFactorLogin(twoFactorToken, { code, recoveryCode });
+
+        securityLogger(recoveryCodes ? 'TWO_FACTOR_ENROLLED' : 'TWO_FACTOR_LOGIN', req, {
+            userId: user._id,
+            recoveryCode: Boolean(recoveryCode)
+        });
+
+        // New enrolments get their recovery codes once, here
+        await completeLogin(req, res, user, recoveryCodes ? { recoveryCodes } : {});
+    } catch (error) {
+        console.error('Two-factor login error:', error.message);
+        if (error.statusCode === 401) {
+            securityLogger('TWO_FACTOR_FAILED', req, {});
+        }
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Server error during login'
+        });
+    }
+};
+
+/**
+ * Confirm an email address from the emailed link
+ * POST /api/auth/verify-email
+ */
+const verifyEmail = async (req, res) => {
+    try {
+        if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
 
-        // Generate JWT token
-        const jwtSecret = process.env.JWT_SECRET || 'fallback_secret_key_for_development';
-        const token = jwt.sign(
-            { 
-                userId: user._id, 
-                email: user.email, 
-                role: user.role 
+        // Claim the token atomically so it can only be used once
+        const user = await User.findOneAndUpdate(
+            {
+                emailVerificationToken: User.hashVerificationToken(req.body.token),
+                emailVerificationExpires: { $gt: new Date() }
+            },
+            {
+                $set: { isEmailVerified: true, emailVerifiedAt: new Date() },
+                $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
             },
-            jwtSecret,
-            { expiresIn: '24h' }
+            { new: true }
         );
 
-        console.log('✅ Login successful for:', user.email);
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification link is invalid or has expired'
+            });
+        }
 
-        // Get user profile
-        let profile = null;
-        if (user.role === 'faculty') {
-            profile = await FacultyProfile.findOne({ userId: user._id });
-        } else if (user.role === 'student') {
-            profile = await StudentProfile.findOne({ userId: user._id });
+        console.log('✅ Email verified for:', user.email);
+
+        res.json({
+            success: true,
+            message: user.status === 'pending'
+                ? 'Email verified. Your registration is now awaiting administrator approval.'
+                : 'Email verified.',
+            data: {
+                email: user.email,
+                status: user.status
+            }
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during email verification'
+        });
+    }
+};
+
+/**
+ * Send a new verification link to an unverified address
+ * POST /api/auth/resend-verification
+ */
+const resendVerification = async (req, res) => {
+    try {
+        if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+        const user = await User.findOne({ email: req.body.email.toLowerCase(), isEmailVerified: false });
+        if (user) {
+            await sendVerificationLink(user);
         }
 
-        // Return success response
-        const responseData = {
+        res.json({
+            success: true,
+            message: RESEND_VERIFICATION_MESSAGE
+        });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while sending verification email'
+        });
+    }
+};
+
+/**
+ * Email a password reset link
+ * POST /api/auth/forgot-password
+ */
+const forgotPassword = async (req, res) => {
+    try {
+        if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+        const user = await User.findOne({ email: req.body.email.toLowerCase(), isActive: true });
+        if (user) {
+            // A new request replaces any earlier link
+            const resetToken = user.createPasswordResetToken();
+            await user.save();
+            securityLogger('PASSWORD_RESET_REQUESTED', req, { userId: user._id });
+
+            // A failed send is only logged; answering differently would reveal the account exists
+            try {
+                await sendPasswordResetEmail(user, resetToken);
+            } catch (emailError) {
+                console.error('Password reset email error:', emailError);
+                user.passwordResetToken = undefined;
+                user.passwordResetExpires = undefined;
+                await user.save();
+            }
+        }
+
+        res.json({
+            success: true,
+            message: FORGOT_PASSWORD_MESSAGE
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during password reset request'
+        });
+    }
+};
+
+/**
+ * Check a password reset link before asking for a new password
+ * GET /api/auth/verify-reset-token/:token
+ */
+const verifyResetToken = async (req, res) => {
+    try {
+        if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+        const user = await User.findOne({
+            passwordResetToken: User.hashResetToken(req.params.token),
+            passwordResetExpires: { $gt: new Date() }
+        }).select('email +passwordResetExpires');
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password reset link is invalid or has expired'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                email: user.email,
+                expiresAt: user.passwordResetExpires
+            }
+        });
+    } catch (error) {
+        console.error('Verify reset token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during password reset check'
+        });
+    }
+};
+
+/**
+ * Set a new password from a reset link and sign the user out everywhere
+ * POST /api/auth/reset-password
+ */
+const resetPassword = async (req, res) => {
+    try {
+        if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+        const { token, newPassword } = req.body;
+
+        // Claim the token atomically so it can only be used once
+        const user = await User.findOneAndUpdate(
+            {
+                passwordResetToken: User.hashResetToken(token),
+                passwordResetExpires: { $gt: new Date() }
+            },
+            { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+            { new: true }
+        );
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password reset link is invalid or has expired'
+            });
+        }
+
+        user.password = newPassword;
+        user.passwordChangedAt = new Date();
+        await endAllSessions(user);
+        await user.save();
+
+        securityLogger('PASSWORD_RESET_COMPLETED', req, { userId: user._id });
+
+        res.json({
+            success: true,
+            message: 'Password has been reset. Please log in with your new password.'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: validationErrors.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error during password reset'
+        });
+    }
+};
+
+/**
+ * Exchange the refresh cookie for a new access token and rotate the cookie
+ * POST /api/auth/refresh
+ */
+const refresh = async (req, res) => {
+    try {
+        const token = req.cookies?.[REFRESH_COOKIE];
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                message: 'No refresh token. Please log in.'
+            });
+        }
+
+        if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+        const { user, ...tokens } = await rotateRefreshToken(token, req);
+        setRefreshCookie(res, tokens);
+
+        res.json({
             success: true,
-            message: 'Login successful',
             data: {
-                token: token,
+                token: tokens.accessToken,
+                expiresAt: tokens.accessExpiresAt,
                 user: {
                     id: user._id,
                     name: user.name,
                     email: user.email,
-                    role: user.role,
-                    status: user.status,
-                    lastLogin: user.lastLogin,
-                    profile: profile ? {
-                        id: profile._id,
-                        ...(user.role === 'faculty' ? {
-                            facultyId: profile.facultyId,
-                            department: profile.department,
-                            designation: profile.designation
-                        } : {
-                            rollNumber: profile.rollNumber,
-                            course: profile.course,
-                            semester: profile.semester,
-                            cgpa: profile.cgpa
-                        })
-                    } : null
+                    role: user.role
                 }
             }
-        };
-        
-        res.status(200).json(responseData);
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error.message);
+        if (error.statusCode === 401) clearRefreshCookie(res);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Server error during token refresh'
+        });
+    }
+};
+
+/**
+ * End this session: revoke its refresh tokens and clear the cookie
+ * POST /api/auth/logout
+ */
+const logout = async (req, res) => {
+    try {
+        const sessionId = getTokenSessionId(req.cookies?.[REFRESH_COOKIE]);
+        if (mongoose.isValidObjectId(sessionId) && mongoose.connection.readyState === 1) {
+            await endSessions({ _id: sessionId }, 'logout');
+        }
 
+        clearRefreshCookie(res);
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
     } catch (error) {
-        console.error('❌ Login error:', error);
-        
-        // Handle specific errors
-        if (error.name === 'JsonWebTokenError') {
-            return res.status(500).json({
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+};
+
+/**
+ * End every session of the signed-in user, on all devices
+ * POST /api/auth/logout-all
+ */
+const logoutAll = async (req, res) => {
+    try {
+        if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({
                 success: false,
-                message: 'Authentication token generation failed'
+                message: 'User not found'
             });
         }
 
-        // Handle database connection errors
-        if (error.name === 'MongoNetworkError' || error.name === 'MongoTimeoutError') {
-            return res.status(503).json({
+        await endAllSessions(user, 'logout-all');
+        await user.save();
+        securityLogger('LOGOUT_ALL_SESSIONS', req, { userId: user._id });
+
+        clearRefreshCookie(res);
+        res.json({
+            success: true,
+            message: 'Logged out of all devices'
+        });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+};
+
+/**
+ * List the signed-in user's active sessions, one per device
+ * GET /api/auth/sessions
+ */
+const getSessions = async (req, res) => {
+    try {
+        if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+        const sessions = await getUserSessions(req.user.userId);
+        res.json({
+            success: true,
+            data: sessions.map(session => formatSession(session, req.user.sid))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching sessions'
+        });
+    }
+};
+
+/**
+ * Sign one of the signed-in user's devices out
+ * DELETE /api/auth/sessions/:id
+ */
+const revokeSession = async (req, res) => {
+    try {
+        if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+        const ended = await endSessions({ _id: req.params.id, userId: req.user.userId }, 'user', req.user.userId);
+        if (ended === 0) {
+            return res.status(404).json({
                 success: false,
-                message: 'Database connection error. Please try again later.'
+                message: 'Active session not found'
             });
         }
 
-        // Generic server error
+        const isCurrent = req.params.id === String(req.user.sid);
+        if (isCurrent) clearRefreshCookie(res);
+        securityLogger('SESSION_REVOKED', req, { userId: req.user.userId, sessionId: req.params.id });
+
+        res.json({
+            success: true,
+            message: isCurrent ? 'Logged out successfully' : 'Session ended',
+            data: { current: isCurrent }
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error during login'
+            message: 'Server error while ending session'
+        });
+    }
+};
+
+/**
+ * Sign every other device of the signed-in user out, keeping this one
+ * DELETE /api/auth/sessions
+ */
+const revokeOtherSessions = async (req, res) => {
+    try {
+        if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+        const filter = { userId: req.user.userId };
+        if (req.user.sid) filter._id = { $ne: req.user.sid };
+        const ended = await endSessions(filter, 'user', req.user.userId);
+        securityLogger('OTHER_SESSIONS_REVOKED', req, { userId: req.user.userId, ended });
+
+        res.json({
+            success: true,
+            message: `Ended ${ended} other session${ended === 1 ? '' : 's'}`,
+            data: { ended }
+        });
+    } catch (error) {
+        console.error('Revoke other sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while ending sessions'
         });
     }
 };
 
 module.exports = {
     register,
-    login
+    login,
+    loginTwoFactor,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    verifyResetToken,
+    resetPassword,
+    refresh,
+    logout,
+    logoutAll,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions
 };
\ No newline at end of file
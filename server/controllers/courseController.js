@@ -1,6 +1,8 @@
 // Course Controller - Handles course-related operations
 const Course = require('../models/Course');
 const User = require('../models/User');
+const { getCourseStudents: findCourseStudents, canManageCourse } = require('../services/courseRosterService');
+const { dropEnrollment } = require('../services/electiveAllocationService');
 const { validationResult } = require('express-validator');
 
 /**
@@ -30,8 +32,7 @@ const getAllCourses = async (req, res) => {
 
         // Execute query with pagination
         const courses = await Course.find(query)
-            .populate('instructor', 'firstName lastName email')
-            .populate('enrolledStudents.student', 'firstName lastName studentId')
+            .populate('instructor', 'name email')
             .limit(limit * 1)
             .skip((page - 1) * limit)
             .sort({ createdAt: -1 });
@@ -69,8 +70,7 @@ const getAllCourses = async (req, res) => {
 const getCourseById = async (req, res) => {
     try {
         const course = await Course.findById(req.params.id)
-            .populate('instructor', 'firstName lastName email phone')
-            .populate('enrolledStudents.student', 'firstName lastName studentId email');
+            .populate('instructor', 'name email phone');
 
         if (!course) {
             return res.status(404).json({
@@ -94,7 +94,7 @@ const getCourseById = async (req, res) => {
 };
 
 /**
- * Create new course (Admin/Teacher only)
+ * Create new course (Admin only)
  * POST /api/courses
  */
 const createCourse = async (req, res) => {
@@ -122,12 +122,12 @@ const createCourse = async (req, res) => {
             maxEnrollment
         } = req.body;
 
-        // Verify instructor exists and is a teacher
+        // Verify instructor exists and is faculty
         const instructorUser = await User.findById(instructor);
-        if (!instructorUser || instructorUser.role !== 'teacher') {
+        if (!instructorUser || instructorUser.role !== 'faculty') {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid instructor. Must be a teacher.'
+                message: 'Invalid instructor. Must be a faculty member.'
             });
         }
 
@@ -148,7 +148,7 @@ const createCourse = async (req, res) => {
         await course.save();
 
         // Populate instructor details for response
-        await course.populate('instructor', 'firstName lastName email');
+        await course.populate('instructor', 'name email');
 
         res.status(201).json({
             success: true,
@@ -180,6 +180,15 @@ const createCourse = async (req, res) => {
  */
 const updateCourse = async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const course = await Course.findById(req.params.id);
         
         if (!course) {
@@ -190,8 +199,7 @@ const updateCourse = async (req, res) => {
         }
 
         // Check if user is authorized to update this course
-        const user = await User.findById(req.user.userId);
-        if (user.role !== 'admin' && course.instructor.toString() !== req.user.userId) {
+        if (!canManageCourse(course, req.user)) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to update this course'
@@ -211,7 +219,7 @@ const updateCourse = async (req, res) => {
         });
 
         await course.save();
-        await course.populate('instructor', 'firstName lastName email');
+        await course.populate('instructor', 'name email');
 
         res.json({
             success: true,
@@ -236,7 +244,7 @@ const enrollStudent = async (req, res) => {
     try {
         const course = await Course.findById(req.params.id);
         
-        if (!course) {
+        if (!course || !course.isActive) {
             return res.status(404).json({
                 success: false,
                 message: 'Course not found'
@@ -253,7 +261,7 @@ const enrollStudent = async (req, res) => {
 
         // Check if student is already enrolled
         const isAlreadyEnrolled = course.enrolledStudents.some(
-            enrollment => enrollment.student.toString() === req.user.userId
+            enrollment => enrollment.student.toString() === req.user.userId && enrollment.status === 'active'
         );
 
         if (isAlreadyEnrolled) {
@@ -286,10 +294,147 @@ const enrollStudent = async (req, res) => {
     }
 };
 
+/**
+ * Drop current student from a course
+ * POST /api/courses/:id/drop
+ * An allocated elective's seat goes to the next student on its waitlist
+ */
+const dropCourse = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const course = await Course.findById(req.params.id);
+
+        if (!course || !course.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        const promotions = await dropEnrollment(course, req.user.userId);
+
+        res.json({
+            success: true,
+            message: 'Successfully dropped course',
+            data: {
+                promotedFromWaitlist: promotions.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Drop course error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Server error while dropping course'
+        });
+    }
+};
+
+/**
+ * Delete course (Admin only)
+ * DELETE /api/courses/:id
+ * Soft delete: the course is hidden but its records are kept
+ */
+const deleteCourse = async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.id);
+
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        // Soft delete by setting isActive to false
+        course.isActive = false;
+        await course.save();
+
+        res.json({
+            success: true,
+            message: 'Course deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete course error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting course'
+        });
+    }
+};
+
+/**
+ * Get students taking a course (Instructor or Admin only)
+ * GET /api/courses/:id/students
+ */
+const getCourseStudents = async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.id);
+
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        if (!canManageCourse(course, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view course students'
+            });
+        }
+
+        const students = await findCourseStudents(course);
+        await course.populate('instructor', 'name email');
+
+        res.json({
+            success: true,
+            data: {
+                course: {
+                    id: course._id,
+                    title: course.title,
+                    code: course.code,
+                    instructor: course.instructor
+                },
+                students: students.map(student => ({
+                    id: student._id,
+                    rollNumber: student.rollNumber,
+                    name: student.userId?.name,
+                    email: student.userId?.email,
+                    phone: student.userId?.phone,
+                    semester: student.semester,
+                    department: student.department
+                })),
+                total: students.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get course students error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching course students'
+        });
+    }
+};
+
 module.exports = {
     getAllCourses,
     getCourseById,
     createCourse,
     updateCourse,
-    enrollStudent
-};
\ No newline at end of file
+    enrollStudent,
+    dropCourse,
+    deleteCourse,
+    getCourseStudents
+};
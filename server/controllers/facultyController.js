@@ -6,6 +6,11 @@ const Marks = require('../models/Marks');
 const Notice = require('../models/Notice');
 const Resource = require('../models/Resource');
 const Leave = require('../models/Leave');
+const GradingScheme = require('../models/GradingScheme');
+const AssessmentPlan = require('../models/AssessmentPlan');
+const SubjectResult = require('../models/SubjectResult');
+const { computeCurve } = require('../services/gradingService');
+const { recompileForMarks } = require('../services/resultService');
 
 // Get faculty dashboard data
 const getDashboard = async (req, res) => {
@@ -413,6 +418,7 @@ const addMarks = async (req, res) => {
                 await marks.save();
             }
 
+            await recompileForMarks(marks);
             marksRecords.push(marks);
         }
 
@@ -506,6 +512,12 @@ const publishMarks = async (req, res) => {
             }
         );
 
+        // Subject results are only published once all their components are
+        const publishedMarks = await Marks.find({ _id: { $in: marksIds }, facultyId: facultyProfile._id });
+        for (const marks of publishedMarks) {
+            await recompileForMarks(marks);
+        }
+
         res.json({
             success: true,
             message: 'Marks published successfully'
@@ -520,6 +532,164 @@ const publishMarks = async (req, res) => {
     }
 };
 
+// Load the records and grade ladder a relative curve is applied to. A subject with an
+// assessment plan is graded on its compiled results, so those are curved by their total;
+// other subjects curve their Marks rows of one exam type.
+const loadCurveInput = async (req) => {
+    const { subject, subjectCode, semester, academicYear, examType = 'final', gradingSchemeId } = req.body;
+
+    if ((!subject && !subjectCode) || !semester || !academicYear) {
+        const error = new Error('Subject (or subjectCode), semester and academicYear are required');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId });
+    if (!facultyProfile) {
+        const error = new Error('Faculty profile not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const query = {
+        facultyId: facultyProfile._id,
+        semester: parseInt(semester),
+        academicYear
+    };
+    if (subjectCode) query.subjectCode = subjectCode;
+    else query.subject = subject;
+
+    const plan = await AssessmentPlan.findOne(query);
+    const source = plan ? 'assessment-plan' : 'marks';
+
+    const student = { path: 'studentId', select: 'rollNumber userId', populate: { path: 'userId', select: 'name' } };
+    const records = plan
+        ? await SubjectResult.find({ assessmentPlanId: plan._id }).populate(student)
+        : await Marks.find({ ...query, examType }).populate(student);
+
+    if (records.length === 0) {
+        const error = new Error(plan
+            ? 'No compiled results found for this subject\'s assessment plan'
+            : 'No marks found for this subject, semester and academic year');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const scheme = await GradingScheme.findById(gradingSchemeId || records[0].gradingSchemeId);
+    const bands = scheme ? scheme.bands : GradingScheme.DEFAULT_GRADE_BANDS;
+
+    return { records, scheme, bands, source };
+};
+
+// Summarise a curve for the preview and commit responses
+const describeCurve = (curve, scheme, source) => {
+    const distribution = {};
+    curve.results.forEach(({ record, grade }) => {
+        const absolute = record.absoluteGrade || record.grade;
+        distribution[absolute] = distribution[absolute] || { absolute: 0, curved: 0 };
+        distribution[grade] = distribution[grade] || { absolute: 0, curved: 0 };
+        distribution[absolute].absolute += 1;
+        distribution[grade].curved += 1;
+    });
+
+    return {
+        source,
+        gradingScheme: scheme ? scheme.name : 'Default',
+        statistics: curve.statistics,
+        cutoffs: curve.cutoffs,
+        distribution,
+        students: curve.results.map(({ record, grade, gradePoints }) => {
+            const absoluteGrade = record.absoluteGrade || record.grade;
+            return {
+                ...(source === 'marks' ? { marksId: record._id } : { resultId: record._id }),
+                studentId: record.studentId?._id,
+                rollNumber: record.studentId?.rollNumber,
+                name: record.studentId?.userId?.name || 'Unknown',
+                percentage: Number(record.percentage.toFixed(2)),
+                absoluteGrade,
+                absoluteGradePoints: record.absoluteGradePoints ?? record.gradePoints,
+                curvedGrade: grade,
+                curvedGradePoints: gradePoints,
+                changed: grade !== absoluteGrade
+            };
+        })
+    };
+};
+
+// Preview a relative (curved) grade distribution for a subject
+const previewRelativeGrades = async (req, res) => {
+    try {
+        const { method, cutoffs } = req.body;
+        const { records, scheme, bands, source } = await loadCurveInput(req);
+
+        const curve = computeCurve(records, { method, cutoffs, bands });
+
+        res.json({
+            success: true,
+            data: {
+                method: method || 'zscore',
+                ...describeCurve(curve, scheme, source)
+            }
+        });
+    } catch (error) {
+        console.error('Preview relative grades error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to preview relative grades'
+        });
+    }
+};
+
+// Commit curved grades to the Marks records (or compiled subject results), keeping the absolute grade for audit
+const applyRelativeGrades = async (req, res) => {
+    try {
+        const { method = 'zscore', cutoffs } = req.body;
+        const { records, scheme, bands, source } = await loadCurveInput(req);
+
+        const curve = computeCurve(records, { method, cutoffs, bands });
+        const appliedAt = new Date();
+        const studentIds = new Set();
+
+        for (const { record, grade, gradePoints } of curve.results) {
+            record.gradingMode = 'relative';
+            record.grade = grade;
+            record.gradePoints = gradePoints;
+            record.curve = {
+                method,
+                cutoffs: curve.cutoffs,
+                mean: curve.statistics.mean,
+                standardDeviation: curve.statistics.standardDeviation,
+                appliedBy: req.user.userId,
+                appliedAt
+            };
+            await record.save();
+            studentIds.add(record.studentId._id.toString());
+        }
+
+        for (const studentId of studentIds) {
+            const studentProfile = await StudentProfile.findById(studentId);
+            if (studentProfile) {
+                await studentProfile.calculateCGPA();
+            }
+        }
+
+        res.json({
+            success: true,
+            message: `Relative grades applied to ${curve.results.length} ${source === 'marks' ? 'records' : 'subject results'}`,
+            data: {
+                method,
+                ...describeCurve(curve, scheme, source)
+            }
+        });
+    } catch (error) {
+        console.error('Apply relative grades error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to apply relative grades'
+        });
+    }
+};
+
 // NOTICE MANAGEMENT
 
 // Create notice
@@ -870,6 +1040,8 @@ module.exports = {
     addMarks,
     getMarks,
     publishMarks,
+    previewRelativeGrades,
+    applyRelativeGrades,
     createNotice,
     getNotices,
     updateNotice,
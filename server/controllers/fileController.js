@@ -0,0 +1,47 @@
+const { verifySignedToken, statStoredFile, sendStoredFile } = require('../services/storage');
+
+/**
+ * Download a file through a signed, expiring link (no auth required; the token is the grant)
+ * GET /api/files/:token
+ */
+const downloadSignedFile = async (req, res) => {
+    try {
+        let file;
+        try {
+            file = verifySignedToken(req.params.token);
+        } catch (tokenError) {
+            return res.status(403).json({
+                success: false,
+                message: tokenError.name === 'TokenExpiredError'
+                    ? 'This download link has expired'
+                    : 'Invalid download link'
+            });
+        }
+
+        const stored = await statStoredFile(file);
+        if (!stored) {
+            return res.status(404).json({
+                success: false,
+                message: 'File is no longer available'
+            });
+        }
+
+        await sendStoredFile(req, res, {
+            ...file,
+            size: stored.size,
+            mimeType: file.mimeType || stored.contentType
+        });
+
+    } catch (error) {
+        console.error('Signed file download error:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error downloading file'
+        });
+    }
+};
+
+module.exports = {
+    downloadSignedFile
+};
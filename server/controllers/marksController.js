@@ -1,6 +1,14 @@
 const Marks = require('../models/Marks');
-const Student = require('../models/Student');
-const Course = require('../models/Course');
+const StudentProfile = require('../models/StudentProfile');
+const FacultyProfile = require('../models/FacultyProfile');
+const { recompileForMarks } = require('../services/resultService');
+const {
+    getCourseContext,
+    canManageCourse,
+    isTakingCourse,
+    getOwnStudentProfile,
+    canViewStudent
+} = require('../services/courseRosterService');
 const { validationResult } = require('express-validator');
 const xlsx = require('xlsx');
 const { v4: uuidv4 } = require('uuid');
@@ -8,7 +16,7 @@ const path = require('path');
 const fs = require('fs');
 
 /**
- * Create marks manually
+ * Create marks manually for a student taking a course
  * POST /api/marks
  */
 const createMarks = async (req, res) => {
@@ -22,41 +30,25 @@ const createMarks = async (req, res) => {
             });
         }
 
-        const {
-            studentId,
-            courseId,
-            subject,
-            academicYear,
-            semester,
-            test1,
-            test2,
-            assignment,
-            presentation,
-            attendanceMarks,
-            remarks
-        } = req.body;
-
-        // Check if marks already exist
-        const existingMarks = await Marks.findOne({
-            studentId,
-            courseId,
-            academicYear,
-            semester
-        });
+        const { studentId, courseId, examType, totalMarks, maxMarks, credits, semester, academicYear, examDate, remarks } = req.body;
 
-        if (existingMarks) {
-            return res.status(400).json({
+        const { course, faculty } = await getCourseContext(courseId);
+
+        if (!canManageCourse(course, req.user)) {
+            return res.status(403).json({
                 success: false,
-                message: 'Marks already exist for this student in this course/semester'
+                message: 'Access denied. You can only record marks for courses you teach.'
             });
         }
 
-        // Verify student and course exist
-        const [student, course] = await Promise.all([
-            Student.findById(studentId),
-            Course.findById(courseId)
-        ]);
+        if (!faculty) {
+            return res.status(400).json({
+                success: false,
+                message: 'The course instructor has no faculty profile'
+            });
+        }
 
+        const student = await StudentProfile.findById(studentId);
         if (!student) {
             return res.status(404).json({
                 success: false,
@@ -64,38 +56,61 @@ const createMarks = async (req, res) => {
             });
         }
 
-        if (!course) {
-            return res.status(404).json({
+        if (!isTakingCourse(course, student)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Course not found'
+                message: 'Student is not enrolled in this course'
             });
         }
 
-        // Create marks
-        const marks = new Marks({
+        if (Number(totalMarks) > Number(maxMarks)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Total marks cannot exceed maximum marks'
+            });
+        }
+
+        // Same key as the Excel import; released assignment grades are kept apart
+        const existingMarks = await Marks.findOne({
             studentId,
-            courseId,
-            subject,
+            subjectCode: course.code,
+            examType,
+            semester,
             academicYear,
+            assignmentId: null
+        });
+
+        if (existingMarks) {
+            return res.status(400).json({
+                success: false,
+                message: 'Marks already exist for this student, exam and semester'
+            });
+        }
+
+        const marks = new Marks({
+            studentId,
+            facultyId: faculty._id,
+            subject: course.title,
+            subjectCode: course.code,
+            examType,
+            totalMarks,
+            maxMarks,
+            credits: credits || course.credits,
             semester,
-            test1: test1 || 0,
-            test2: test2 || 0,
-            assignment: assignment || 0,
-            presentation: presentation || 0,
-            attendanceMarks: attendanceMarks || 0,
+            academicYear,
+            examDate,
             remarks,
-            enteredBy: req.user.userId,
-            uploadSource: 'manual'
+            recordedBy: req.user.userId
         });
 
         await marks.save();
+        await recompileForMarks(marks);
 
-        // Populate the response
-        await marks.populate([
-            { path: 'studentId', select: 'firstName lastName rollNumber' },
-            { path: 'courseId', select: 'title code credits' },
-            { path: 'enteredBy', select: 'firstName lastName role' }
-        ]);
+        await marks.populate({
+            path: 'studentId',
+            select: 'rollNumber userId',
+            populate: { path: 'userId', select: 'name' }
+        });
 
         console.log(`✅ Marks created for student ${student.rollNumber} in ${course.code}`);
 
@@ -107,6 +122,12 @@ const createMarks = async (req, res) => {
 
     } catch (error) {
         console.error('Create marks error:', error);
+        if (error.statusCode || error.name === 'ValidationError') {
+            return res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Server error while creating marks'
@@ -114,9 +135,28 @@ const createMarks = async (req, res) => {
     }
 };
 
+// Columns of the marks import sheet, in template order
+const IMPORT_COLUMNS = ['rollNumber', 'studentName', 'subject', 'subjectCode', 'examType', 'totalMarks', 'maxMarks', 'credits', 'semester', 'academicYear', 'remarks'];
+const REQUIRED_IMPORT_COLUMNS = ['rollNumber', 'subject', 'examType', 'totalMarks', 'maxMarks', 'semester', 'academicYear'];
+
+// Send an array of row objects as a single-sheet xlsx download
+const sendWorkbook = (res, rows, sheetName, filename) => {
+    const workbook = xlsx.utils.book_new();
+    const worksheet = xlsx.utils.json_to_sheet(rows);
+    worksheet['!cols'] = Object.keys(rows[0] || {}).map(key => ({ width: key === 'message' || key === 'remarks' ? 40 : 15 }));
+    xlsx.utils.book_append_sheet(workbook, worksheet, sheetName);
+
+    const buffer = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(buffer);
+};
+
 /**
  * Upload marks via Excel file
- * POST /api/marks/upload
+ * POST /api/teacher/marks/import
+ * Body: excelFile, mode ('skip' | 'upsert'), dryRun ('true' to preview without saving)
+ * Query: report=xlsx to download the row-level report instead of JSON
  */
 const uploadMarksExcel = async (req, res) => {
     try {
@@ -129,6 +169,8 @@ const uploadMarksExcel = async (req, res) => {
 
         const filePath = req.file.path;
         const uploadBatch = uuidv4();
+        const dryRun = String(req.body.dryRun || req.query.dryRun) === 'true';
+        const mode = req.body.mode === 'upsert' ? 'upsert' : 'skip';
 
         try {
             // Read Excel file
@@ -137,7 +179,7 @@ const uploadMarksExcel = async (req, res) => {
             const worksheet = workbook.Sheets[sheetName];
             
             // Convert to JSON
-            const jsonData = xlsx.utils.sheet_to_json(worksheet);
+            const jsonData = xlsx.utils.sheet_to_json(worksheet, { defval: '' });
 
             if (jsonData.length === 0) {
                 return res.status(400).json({
@@ -147,92 +189,119 @@ const uploadMarksExcel = async (req, res) => {
             }
 
             // Validate required columns
-            const requiredColumns = ['studentId', 'courseId', 'subject', 'academicYear', 'semester'];
             const firstRow = jsonData[0];
-            const missingColumns = requiredColumns.filter(col => !(col in firstRow));
+            const missingColumns = REQUIRED_IMPORT_COLUMNS.filter(col => !(col in firstRow));
 
             if (missingColumns.length > 0) {
                 return res.status(400).json({
                     success: false,
                     message: `Missing required columns: ${missingColumns.join(', ')}`,
-                    requiredColumns,
+                    requiredColumns: REQUIRED_IMPORT_COLUMNS,
                     foundColumns: Object.keys(firstRow)
                 });
             }
 
-            // Validate data
-            const { validData, errors: validationErrors } = Marks.validateExcelData(jsonData);
-
-            if (validationErrors.length > 0) {
-                return res.status(400).json({
+            const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId });
+            if (!facultyProfile) {
+                return res.status(404).json({
                     success: false,
-                    message: 'Data validation failed',
-                    errors: validationErrors,
-                    totalRows: jsonData.length,
-                    validRows: validData.length
+                    message: 'Faculty profile not found'
                 });
             }
 
-            // Verify students and courses exist
-            const studentIds = [...new Set(validData.map(row => row.studentId))];
-            const courseIds = [...new Set(validData.map(row => row.courseId))];
-
-            const [students, courses] = await Promise.all([
-                Student.find({ _id: { $in: studentIds } }).select('_id rollNumber'),
-                Course.find({ _id: { $in: courseIds } }).select('_id code title')
-            ]);
-
-            const studentIdMap = new Map(students.map(s => [s._id.toString(), s]));
-            const courseIdMap = new Map(courses.map(c => [c._id.toString(), c]));
-
-            // Filter out invalid student/course IDs
-            const finalValidData = validData.filter(row => {
-                return studentIdMap.has(row.studentId) && courseIdMap.has(row.courseId);
+            // Validate data
+            const { validData, errors: rowErrors } = Marks.validateExcelData(jsonData);
+
+            // Resolve roll numbers to the faculty's assigned students
+            const rollNumbers = [...new Set(validData.map(row => row.rollNumber))];
+            const students = await StudentProfile.find({ rollNumber: { $in: rollNumbers } }).select('_id rollNumber');
+            const studentByRoll = new Map(students.map(s => [s.rollNumber, s]));
+            const assigned = new Set(facultyProfile.assignedStudents.map(id => id.toString()));
+
+            const resolvedData = [];
+            validData.forEach(row => {
+                const student = studentByRoll.get(row.rollNumber);
+                if (!student) {
+                    rowErrors.push({ row: row.row, rollNumber: row.rollNumber, field: 'rollNumber', message: 'Student not found' });
+                } else if (!assigned.has(student._id.toString())) {
+                    rowErrors.push({ row: row.row, rollNumber: row.rollNumber, field: 'rollNumber', message: 'Student is not assigned to you' });
+                } else {
+                    resolvedData.push({ ...row, studentId: student._id });
+                }
             });
 
-            const invalidData = validData.filter(row => {
-                return !studentIdMap.has(row.studentId) || !courseIdMap.has(row.courseId);
+            // Insert or update marks
+            const results = await Marks.bulkInsertMarks(resolvedData, {
+                facultyId: facultyProfile._id,
+                recordedBy: req.user.userId,
+                uploadBatch,
+                mode,
+                dryRun
             });
 
-            if (finalValidData.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'No valid student/course combinations found',
-                    invalidData: invalidData.map(row => ({
-                        studentId: row.studentId,
-                        courseId: row.courseId,
-                        issue: !studentIdMap.has(row.studentId) ? 'Student not found' : 'Course not found'
-                    }))
-                });
-            }
-
-            // Bulk insert marks
-            const results = await Marks.bulkInsertMarks(finalValidData, req.user.userId, uploadBatch);
+            if (!dryRun && results.saved.length > 0) {
+                for (const marks of results.saved) {
+                    await recompileForMarks(marks);
+                }
 
-            // Clean up uploaded file
-            fs.unlinkSync(filePath);
+                const studentIds = [...new Set(results.saved.map(marks => marks.studentId.toString()))];
+                const profiles = await StudentProfile.find({ _id: { $in: studentIds } });
+                for (const profile of profiles) {
+                    await profile.calculateCGPA();
+                }
+            }
 
-            console.log(`📊 Excel upload completed: ${results.success.length} records inserted, ${results.errors.length} errors, ${results.duplicates.length} duplicates`);
+            // One status line per sheet row
+            const statusByRow = new Map();
+            rowErrors.forEach(error => {
+                const previous = statusByRow.get(error.row);
+                statusByRow.set(error.row, {
+                    status: 'error',
+                    message: previous ? `${previous.message}; ${error.message}` : error.message
+                });
+            });
+            results.errors.forEach(row => statusByRow.set(row.row, { status: 'error', message: row.message }));
+            results.duplicates.forEach(row => statusByRow.set(row.row, { status: 'duplicate', message: row.message }));
+            results.inserted.forEach(row => statusByRow.set(row.row, { status: 'inserted', message: '' }));
+            results.updated.forEach(row => statusByRow.set(row.row, { status: 'updated', message: '' }));
+
+            const report = jsonData.map((raw, index) => ({
+                row: index + 2,
+                ...raw,
+                ...statusByRow.get(index + 2)
+            }));
+
+            const summary = {
+                uploadBatch: dryRun ? undefined : uploadBatch,
+                dryRun,
+                mode,
+                totalRows: jsonData.length,
+                inserted: results.inserted.length,
+                updated: results.updated.length,
+                duplicates: results.duplicates.length,
+                errors: report.filter(row => row.status === 'error').length
+            };
+
+            console.log(`📊 Excel upload ${dryRun ? 'preview' : 'completed'}: ${summary.inserted} inserted, ${summary.updated} updated, ${summary.duplicates} duplicates, ${summary.errors} errors`);
+
+            if (req.query.report === 'xlsx') {
+                return sendWorkbook(res, report, 'Import Report', `marks_import_report${dryRun ? '_preview' : ''}.xlsx`);
+            }
 
             res.json({
                 success: true,
-                message: 'Excel upload completed',
+                message: dryRun ? 'Excel import preview generated' : 'Excel upload completed',
                 data: {
-                    uploadBatch,
-                    totalProcessed: finalValidData.length,
-                    successful: results.success.length,
-                    errors: results.errors.length,
-                    duplicates: results.duplicates.length,
-                    results
+                    ...summary,
+                    report
                 }
             });
 
-        } catch (fileError) {
-            // Clean up file on error
+        } finally {
+            // Clean up uploaded file
             if (fs.existsSync(filePath)) {
                 fs.unlinkSync(filePath);
             }
-            throw fileError;
         }
 
     } catch (error) {
@@ -248,14 +317,23 @@ const uploadMarksExcel = async (req, res) => {
 /**
  * Get marks by student
  * GET /api/marks/student/:studentId
+ * studentId is the student profile id; students only see their own published marks
  */
 const getMarksByStudent = async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const { studentId } = req.params;
-        const { academicYear, semester, courseId } = req.query;
+        const { academicYear, semester, courseId, examType } = req.query;
 
-        // Verify student exists
-        const student = await Student.findById(studentId);
+        const student = await StudentProfile.findById(studentId).populate('userId', 'name email');
         if (!student) {
             return res.status(404).json({
                 success: false,
@@ -263,31 +341,35 @@ const getMarksByStudent = async (req, res) => {
             });
         }
 
-        // Check access permissions
-        const userRole = req.user.role;
-        const userId = req.user.userId;
-
-        if (userRole === 'student' && userId.toString() !== studentId) {
+        if (!canViewStudent(student, req.user)) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied. Students can only view their own marks.'
             });
         }
 
-        const marks = await Marks.getMarksByStudent(studentId, {
-            academicYear,
-            semester,
-            courseId
-        });
+        const filter = { studentId: student._id };
+        if (academicYear) filter.academicYear = academicYear;
+        if (semester) filter.semester = parseInt(semester);
+        if (examType) filter.examType = examType;
+        if (courseId) {
+            const { course } = await getCourseContext(courseId);
+            filter.subjectCode = course.code;
+        }
+        if (req.user.role === 'student') filter.isPublished = true;
 
-        // Calculate summary statistics
+        const marks = await Marks.find(filter)
+            .populate({ path: 'facultyId', select: 'userId', populate: { path: 'userId', select: 'name' } })
+            .sort({ academicYear: -1, semester: -1, subjectCode: 1, examType: 1 });
+
+        const percentages = marks.map(m => m.percentage);
         const summary = {
-            totalSubjects: marks.length,
-            averageMarks: marks.length > 0 ? (marks.reduce((sum, m) => sum + m.total, 0) / marks.length).toFixed(2) : 0,
-            highestMarks: marks.length > 0 ? Math.max(...marks.map(m => m.total)) : 0,
-            lowestMarks: marks.length > 0 ? Math.min(...marks.map(m => m.total)) : 0,
-            passedSubjects: marks.filter(m => m.isPassed).length,
-            failedSubjects: marks.filter(m => !m.isPassed).length
+            totalRecords: marks.length,
+            averagePercentage: marks.length > 0 ? (percentages.reduce((sum, p) => sum + p, 0) / marks.length).toFixed(2) : 0,
+            highestPercentage: marks.length > 0 ? Math.max(...percentages) : 0,
+            lowestPercentage: marks.length > 0 ? Math.min(...percentages) : 0,
+            passed: marks.filter(m => m.gradePoints > 0).length,
+            failed: marks.filter(m => m.gradePoints === 0).length
         };
 
         res.json({
@@ -295,7 +377,7 @@ const getMarksByStudent = async (req, res) => {
             data: {
                 student: {
                     id: student._id,
-                    name: `${student.firstName} ${student.lastName}`,
+                    name: student.userId?.name,
                     rollNumber: student.rollNumber
                 },
                 marks,
@@ -305,6 +387,12 @@ const getMarksByStudent = async (req, res) => {
 
     } catch (error) {
         console.error('Get marks by student error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Server error while fetching student marks'
@@ -312,47 +400,105 @@ const getMarksByStudent = async (req, res) => {
     }
 };
 
+// Count, average, spread and grade distribution for a set of marks rows
+const getClassStatistics = async (filter) => {
+    const [overall] = await Marks.aggregate([
+        { $match: filter },
+        {
+            $group: {
+                _id: null,
+                totalRecords: { $sum: 1 },
+                students: { $addToSet: '$studentId' },
+                averagePercentage: { $avg: '$percentage' },
+                highestPercentage: { $max: '$percentage' },
+                lowestPercentage: { $min: '$percentage' },
+                passed: { $sum: { $cond: [{ $gt: ['$gradePoints', 0] }, 1, 0] } }
+            }
+        }
+    ]);
+
+    const [byExamType, gradeDistribution] = await Promise.all([
+        Marks.aggregate([
+            { $match: filter },
+            {
+                $group: {
+                    _id: '$examType',
+                    count: { $sum: 1 },
+                    averagePercentage: { $avg: '$percentage' },
+                    highestPercentage: { $max: '$percentage' },
+                    lowestPercentage: { $min: '$percentage' }
+                }
+            },
+            { $sort: { _id: 1 } }
+        ]),
+        Marks.aggregate([
+            { $match: filter },
+            { $group: { _id: '$grade', count: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+        ])
+    ]);
+
+    const round = (value) => (value == null ? 0 : Math.round(value * 100) / 100);
+
+    return {
+        totalRecords: overall?.totalRecords || 0,
+        totalStudents: overall?.students.length || 0,
+        averagePercentage: round(overall?.averagePercentage),
+        highestPercentage: round(overall?.highestPercentage),
+        lowestPercentage: round(overall?.lowestPercentage),
+        passRate: overall ? round((overall.passed / overall.totalRecords) * 100) : 0,
+        byExamType: byExamType.map(row => ({
+            examType: row._id,
+            count: row.count,
+            averagePercentage: round(row.averagePercentage),
+            highestPercentage: round(row.highestPercentage),
+            lowestPercentage: round(row.lowestPercentage)
+        })),
+        gradeDistribution: Object.fromEntries(gradeDistribution.map(row => [row._id || 'ungraded', row.count]))
+    };
+};
+
 /**
  * Get marks by course
  * GET /api/marks/course/:courseId
  */
 const getMarksByCourse = async (req, res) => {
     try {
-        const { courseId } = req.params;
-        const { academicYear, semester, page = 1, limit = 50 } = req.query;
-
-        // Verify course exists
-        const course = await Course.findById(courseId);
-        if (!course) {
-            return res.status(404).json({
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
                 success: false,
-                message: 'Course not found'
+                message: 'Validation failed',
+                errors: errors.array()
             });
         }
 
-        // Check if faculty can access this course
-        const userRole = req.user.role;
-        const userId = req.user.userId;
+        const { courseId } = req.params;
+        const { academicYear, semester, examType, page = 1, limit = 50 } = req.query;
+
+        const { course } = await getCourseContext(courseId);
 
-        if (userRole === 'faculty' && course.instructor.toString() !== userId.toString()) {
+        if (!canManageCourse(course, req.user)) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied. You can only view marks for courses you teach.'
             });
         }
 
-        const marks = await Marks.getMarksByCourse(courseId, {
-            academicYear,
-            semester
-        });
-
-        // Pagination
-        const startIndex = (page - 1) * limit;
-        const endIndex = startIndex + parseInt(limit);
-        const paginatedMarks = marks.slice(startIndex, endIndex);
-
-        // Get class statistics
-        const statistics = await Marks.getClassStatistics(courseId, academicYear, semester);
+        const filter = { subjectCode: course.code };
+        if (academicYear) filter.academicYear = academicYear;
+        if (semester) filter.semester = parseInt(semester);
+        if (examType) filter.examType = examType;
+
+        const [marks, total, statistics] = await Promise.all([
+            Marks.find(filter)
+                .populate({ path: 'studentId', select: 'rollNumber userId', populate: { path: 'userId', select: 'name' } })
+                .sort({ examType: 1, dateRecorded: -1 })
+                .limit(limit * 1)
+                .skip((page - 1) * limit),
+            Marks.countDocuments(filter),
+            getClassStatistics(filter)
+        ]);
 
         res.json({
             success: true,
@@ -363,13 +509,13 @@ const getMarksByCourse = async (req, res) => {
                     code: course.code,
                     credits: course.credits
                 },
-                marks: paginatedMarks,
+                marks,
                 statistics,
                 pagination: {
                     currentPage: parseInt(page),
-                    totalPages: Math.ceil(marks.length / limit),
-                    totalRecords: marks.length,
-                    hasNext: endIndex < marks.length,
+                    totalPages: Math.ceil(total / limit),
+                    totalRecords: total,
+                    hasNext: page * limit < total,
                     hasPrev: page > 1
                 }
             }
@@ -377,6 +523,12 @@ const getMarksByCourse = async (req, res) => {
 
     } catch (error) {
         console.error('Get marks by course error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Server error while fetching course marks'
@@ -384,6 +536,15 @@ const getMarksByCourse = async (req, res) => {
     }
 };
 
+// Admins, or the faculty member who recorded the marks
+const canEditMarks = async (marks, user) => {
+    if (user.role === 'admin') return true;
+    if (user.role !== 'faculty') return false;
+
+    const faculty = await FacultyProfile.findOne({ userId: user.userId }).select('_id');
+    return Boolean(faculty && faculty._id.equals(marks.facultyId));
+};
+
 /**
  * Update marks
  * PUT /api/marks/:id
@@ -409,37 +570,42 @@ const updateMarks = async (req, res) => {
             });
         }
 
-        // Check permissions
-        const userRole = req.user.role;
-        const userId = req.user.userId;
-
-        if (userRole === 'faculty') {
-            // Faculty can only edit marks for courses they teach
-            const course = await Course.findById(marks.courseId);
-            if (!course || course.instructor.toString() !== userId.toString()) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied. You can only edit marks for courses you teach.'
-                });
-            }
-        } else if (userRole !== 'admin') {
+        if (!(await canEditMarks(marks, req.user))) {
             return res.status(403).json({
                 success: false,
-                message: 'Access denied. Only faculty and admin can edit marks.'
+                message: 'Access denied. Only the faculty member who recorded these marks or admin can edit them.'
+            });
+        }
+
+        if (marks.assignmentId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Marks released from an assignment are updated by regrading the submission'
             });
         }
 
-        // Update marks
-        await marks.updateMarks(req.body, userId);
+        ['totalMarks', 'maxMarks', 'credits', 'examDate', 'remarks'].forEach(field => {
+            if (req.body[field] !== undefined) marks[field] = req.body[field];
+        });
 
-        // Populate the response
-        await marks.populate([
-            { path: 'studentId', select: 'firstName lastName rollNumber' },
-            { path: 'courseId', select: 'title code credits' },
-            { path: 'lastModifiedBy', select: 'firstName lastName role' }
-        ]);
+        if (marks.totalMarks > marks.maxMarks) {
+            return res.status(400).json({
+                success: false,
+                message: 'Total marks cannot exceed maximum marks'
+            });
+        }
+
+        marks.recordedBy = req.user.userId;
+        await marks.save();
+        await recompileForMarks(marks);
 
-        console.log(`✅ Marks updated for student ${marks.studentId.rollNumber} by ${req.user.role} ${userId}`);
+        await marks.populate({
+            path: 'studentId',
+            select: 'rollNumber userId',
+            populate: { path: 'userId', select: 'name' }
+        });
+
+        console.log(`✅ Marks updated for student ${marks.studentId.rollNumber} by ${req.user.role} ${req.user.userId}`);
 
         res.json({
             success: true,
@@ -449,6 +615,12 @@ const updateMarks = async (req, res) => {
 
     } catch (error) {
         console.error('Update marks error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Server error while updating marks'
@@ -472,32 +644,17 @@ const deleteMarks = async (req, res) => {
             });
         }
 
-        // Check permissions
-        const userRole = req.user.role;
-        const userId = req.user.userId;
-
-        if (userRole === 'faculty') {
-            // Faculty can only delete marks for courses they teach
-            const course = await Course.findById(marks.courseId);
-            if (!course || course.instructor.toString() !== userId.toString()) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied. You can only delete marks for courses you teach.'
-                });
-            }
-        } else if (userRole !== 'admin') {
+        if (!(await canEditMarks(marks, req.user))) {
             return res.status(403).json({
                 success: false,
-                message: 'Access denied. Only faculty and admin can delete marks.'
+                message: 'Access denied. Only the faculty member who recorded these marks or admin can delete them.'
             });
         }
 
-        // Soft delete
-        marks.isActive = false;
-        marks.lastModifiedBy = userId;
-        await marks.save();
+        await marks.deleteOne();
+        await recompileForMarks(marks);
 
-        console.log(`🗑️ Marks deleted for student ${marks.studentId} by ${userRole} ${userId}`);
+        console.log(`🗑️ Marks deleted for student ${marks.studentId} by ${req.user.role} ${req.user.userId}`);
 
         res.json({
             success: true,
@@ -514,68 +671,50 @@ const deleteMarks = async (req, res) => {
 };
 
 /**
- * Get Excel template
- * GET /api/marks/template
+ * Get Excel template pre-filled with the faculty's assigned students
+ * GET /api/teacher/marks/template
+ * Query: subject, subjectCode, examType, maxMarks, credits, semester, academicYear
  */
 const getExcelTemplate = async (req, res) => {
     try {
-        // Create sample data for template
-        const templateData = [
-            {
-                studentId: '507f1f77bcf86cd799439011',
-                courseId: '507f1f77bcf86cd799439012',
-                subject: 'Mathematics',
-                academicYear: '2024-2025',
-                semester: 1,
-                test1: 20,
-                test2: 18,
-                assignment: 15,
-                presentation: 12,
-                attendanceMarks: 14,
-                remarks: 'Good performance'
-            },
-            {
-                studentId: '507f1f77bcf86cd799439013',
-                courseId: '507f1f77bcf86cd799439012',
-                subject: 'Mathematics',
-                academicYear: '2024-2025',
-                semester: 1,
-                test1: 22,
-                test2: 20,
-                assignment: 18,
-                presentation: 14,
-                attendanceMarks: 15,
-                remarks: 'Excellent work'
-            }
-        ];
-
-        // Create workbook and worksheet
-        const workbook = xlsx.utils.book_new();
-        const worksheet = xlsx.utils.json_to_sheet(templateData);
-
-        // Add column widths
-        worksheet['!cols'] = [
-            { width: 25 }, // studentId
-            { width: 25 }, // courseId
-            { width: 20 }, // subject
-            { width: 15 }, // academicYear
-            { width: 10 }, // semester
-            { width: 10 }, // test1
-            { width: 10 }, // test2
-            { width: 12 }, // assignment
-            { width: 12 }, // presentation
-            { width: 15 }, // attendanceMarks
-            { width: 30 }  // remarks
-        ];
-
-        xlsx.utils.book_append_sheet(workbook, worksheet, 'Marks Template');
-
-        // Generate buffer
-        const buffer = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
-
-        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-        res.setHeader('Content-Disposition', 'attachment; filename=marks_template.xlsx');
-        res.send(buffer);
+        const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId })
+            .populate({
+                path: 'assignedStudents',
+                select: 'rollNumber semester userId',
+                populate: { path: 'userId', select: 'name' }
+            });
+
+        if (!facultyProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Faculty profile not found'
+            });
+        }
+
+        const { subject, subjectCode, examType, maxMarks, credits, semester, academicYear } = req.query;
+
+        const students = [...facultyProfile.assignedStudents]
+            .filter(student => !semester || student.semester === parseInt(semester))
+            .sort((a, b) => a.rollNumber.localeCompare(b.rollNumber));
+
+        // Keep the header row even when no students are assigned
+        const templateData = students.length > 0
+            ? students.map(student => ({
+                rollNumber: student.rollNumber,
+                studentName: student.userId?.name || '',
+                subject: subject || '',
+                subjectCode: subjectCode || '',
+                examType: examType || '',
+                totalMarks: '',
+                maxMarks: maxMarks || '',
+                credits: credits || '',
+                semester: semester || student.semester || '',
+                academicYear: academicYear || '',
+                remarks: ''
+            }))
+            : [Object.fromEntries(IMPORT_COLUMNS.map(column => [column, '']))];
+
+        sendWorkbook(res, templateData, 'Marks Template', 'marks_template.xlsx');
 
     } catch (error) {
         console.error('Get Excel template error:', error);
@@ -587,43 +726,53 @@ const getExcelTemplate = async (req, res) => {
 };
 
 /**
- * Get marks statistics
+ * Get marks statistics for a course
  * GET /api/marks/statistics
  */
 const getMarksStatistics = async (req, res) => {
     try {
-        const { courseId, academicYear, semester } = req.query;
-
-        if (!courseId || !academicYear || !semester) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
             return res.status(400).json({
                 success: false,
-                message: 'Course ID, academic year, and semester are required'
+                message: 'Validation failed',
+                errors: errors.array()
             });
         }
 
-        // Check permissions
-        const userRole = req.user.role;
-        const userId = req.user.userId;
+        const { courseId, academicYear, semester } = req.query;
 
-        if (userRole === 'faculty') {
-            const course = await Course.findById(courseId);
-            if (!course || course.instructor.toString() !== userId.toString()) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied. You can only view statistics for courses you teach.'
-                });
-            }
+        const { course } = await getCourseContext(courseId);
+
+        if (!canManageCourse(course, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only view statistics for courses you teach.'
+            });
         }
 
-        const statistics = await Marks.getClassStatistics(courseId, academicYear, semester);
+        const statistics = await getClassStatistics({
+            subjectCode: course.code,
+            academicYear,
+            semester: parseInt(semester)
+        });
 
         res.json({
             success: true,
-            data: { statistics }
+            data: {
+                course: { id: course._id, title: course.title, code: course.code },
+                statistics
+            }
         });
 
     } catch (error) {
         console.error('Get marks statistics error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Server error while fetching statistics'
@@ -631,6 +780,38 @@ const getMarksStatistics = async (req, res) => {
     }
 };
 
+/**
+ * Get the signed-in student's published marks
+ * GET /api/marks/my-marks
+ */
+const getMyMarks = async (req, res) => {
+    try {
+        if (req.user.role !== 'student') {
+            return res.status(403).json({
+                success: false,
+                message: 'This endpoint is only for students'
+            });
+        }
+
+        const studentProfile = await getOwnStudentProfile(req.user.userId);
+        req.params.studentId = studentProfile._id.toString();
+        return getMarksByStudent(req, res);
+
+    } catch (error) {
+        console.error('Get my marks error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching marks'
+        });
+    }
+};
+
 module.exports = {
     createMarks,
     uploadMarksExcel,
@@ -639,5 +820,6 @@ module.exports = {
     updateMarks,
     deleteMarks,
     getExcelTemplate,
-    getMarksStatistics
-};
\ No newline at end of file
+    getMarksStatistics,
+    getMyMarks
+};
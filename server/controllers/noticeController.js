@@ -1,15 +1,104 @@
 const Notice = require('../models/Notice');
-const Course = require('../models/Course');
-const User = require('../models/User');
-const Student = require('../models/Student');
-const Faculty = require('../models/Faculty');
+const StudentProfile = require('../models/StudentProfile');
+const FacultyProfile = require('../models/FacultyProfile');
 const { validationResult } = require('express-validator');
-const emailService = require('../services/emailService');
+const { sendNoticeAlert } = require('../utils/emailService');
+
+// Published, active and unexpired notices
+const liveNoticeFilter = () => {
+    const now = new Date();
+    return {
+        isActive: true,
+        isDraft: false,
+        publishDate: { $lte: now },
+        $or: [
+            { expiryDate: null },
+            { expiryDate: { $gte: now } }
+        ]
+    };
+};
+
+// Target groups a student belongs to
+const studentTargetFilter = (studentProfile) => ({
+    $or: [
+        { 'targetGroup.allStudents': true },
+        { 'targetGroup.courses': studentProfile.course },
+        { 'targetGroup.semesters': studentProfile.semester },
+        { 'targetGroup.departments': studentProfile.department },
+        { 'targetGroup.specificStudents': studentProfile._id }
+    ]
+});
+
+// Whether a notice targets the given student (see studentTargetFilter)
+const targetsStudent = (notice, studentProfile) => {
+    const group = notice.targetGroup || {};
+    return Boolean(
+        group.allStudents ||
+        (group.courses || []).includes(studentProfile.course) ||
+        (group.semesters || []).includes(studentProfile.semester) ||
+        (group.departments || []).includes(studentProfile.department) ||
+        (group.specificStudents || []).some(id => id.equals(studentProfile._id))
+    );
+};
+
+// Admins, or the faculty member who posted the notice
+const canEditNotice = async (notice, user) => {
+    if (user.role === 'admin') return true;
+    if (user.role !== 'faculty') return false;
+
+    const faculty = await FacultyProfile.findOne({ userId: user.userId }).select('_id');
+    return Boolean(faculty && faculty._id.equals(notice.facultyId));
+};
+
+// Multipart bodies send targetGroup as a JSON string
+const parseTargetGroup = (targetGroup) => {
+    if (typeof targetGroup !== 'string') return targetGroup;
+    try {
+        return JSON.parse(targetGroup);
+    } catch (error) {
+        return undefined;
+    }
+};
+
+const toAttachments = (files = []) => files.map(file => ({
+    filename: file.filename,
+    originalName: file.originalname,
+    storageKey: file.storageKey,
+    storageBackend: file.storageBackend,
+    checksum: file.checksum,
+    fileSize: file.size,
+    mimeType: file.mimetype
+}));
+
+const formatNotice = (notice) => ({
+    id: notice._id,
+    title: notice.title,
+    content: notice.content,
+    priority: notice.priority,
+    category: notice.category,
+    targetGroup: notice.targetGroup,
+    attachments: notice.attachments,
+    isDraft: notice.isDraft,
+    isImportant: notice.isImportant,
+    acknowledgmentRequired: notice.acknowledgmentRequired,
+    publishDate: notice.publishDate,
+    expiryDate: notice.expiryDate,
+    facultyName: notice.facultyId?.userId?.name || 'Unknown',
+    viewCount: notice.viewCount,
+    createdAt: notice.createdAt,
+    updatedAt: notice.updatedAt
+});
+
+const populateFaculty = {
+    path: 'facultyId',
+    select: 'userId designation department',
+    populate: { path: 'userId', select: 'name email' }
+};
 
 /**
  * Create a new notice
  * POST /api/notices
- * Only faculty and admin can create notices
+ * Notices are posted from a faculty profile
  */
 const createNotice = async (req, res) => {
     try {
@@ -23,71 +112,50 @@ const createNotice = async (req, res) => {
             });
         }
 
+        const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId })
+            .populate('userId', 'name');
+        if (!facultyProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Faculty profile not found'
+            });
+        }
+
         const {
             title,
             content,
             priority,
-            targetAudience,
+            category,
             expiryDate,
-            targetCourses,
-            targetYears,
-            type,
-            publishDate
+            publishDate,
+            isDraft,
+            isImportant,
+            acknowledgmentRequired
         } = req.body;
 
-        const createdBy = req.user.userId;
-
-        // Validate target courses if specified
-        if (targetAudience === 'specific_course' && targetCourses && targetCourses.length > 0) {
-            const courses = await Course.find({ _id: { $in: targetCourses } });
-            if (courses.length !== targetCourses.length) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'One or more target courses not found'
-                });
-            }
-        }
-
-        // Handle file attachments if any
-        const attachments = [];
-        if (req.files && req.files.length > 0) {
-            req.files.forEach(file => {
-                attachments.push({
-                    filename: file.originalname,
-                    filePath: file.path,
-                    fileSize: file.size,
-                    mimeType: file.mimetype
-                });
-            });
-        }
-
-        // Create notice
         const notice = new Notice({
+            facultyId: facultyProfile._id,
             title,
             content,
-            priority: priority || 'normal',
-            targetAudience: targetAudience || 'all',
-            expiryDate: expiryDate ? new Date(expiryDate) : null,
-            createdBy,
-            targetCourses: targetAudience === 'specific_course' ? targetCourses : [],
-            targetYears: targetAudience === 'specific_year' ? targetYears : [],
-            type: type || 'general',
-            publishDate: publishDate ? new Date(publishDate) : new Date(),
-            attachments
+            priority: priority || 'medium',
+            category,
+            targetGroup: parseTargetGroup(req.body.targetGroup) || { allStudents: true },
+            attachments: toAttachments(req.files),
+            isDraft: String(isDraft) === 'true',
+            isImportant: String(isImportant) === 'true',
+            acknowledgmentRequired: String(acknowledgmentRequired) === 'true',
+            expiryDate: expiryDate ? new Date(expiryDate) : undefined,
+            publishDate: publishDate ? new Date(publishDate) : new Date()
         });
 
         await notice.save();
 
-        // Populate creator information
-        await notice.populate('createdBy', 'firstName lastName role');
-        await notice.populate('targetCourses', 'title code');
-
-        console.log(`✅ Notice created by ${req.user.role} ${createdBy}: ${title}`);
+        console.log(`✅ Notice created by ${req.user.role} ${req.user.userId}: ${title}`);
 
-        // Send email notifications for important/urgent notices
-        if (priority === 'important' || priority === 'urgent') {
+        // Email the target group about high priority notices
+        if (['high', 'urgent'].includes(notice.priority) && !notice.isDraft) {
             try {
-                await sendNoticeEmailNotifications(notice);
+                await sendNoticeEmailNotifications(notice, facultyProfile.userId?.name);
             } catch (emailError) {
                 console.error('Failed to send notice email notifications:', emailError);
                 // Don't fail the notice creation if email fails
@@ -97,11 +165,17 @@ const createNotice = async (req, res) => {
         res.status(201).json({
             success: true,
             message: 'Notice created successfully',
-            data: { notice }
+            data: { notice: formatNotice(notice) }
         });
 
     } catch (error) {
         console.error('Create notice error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Server error while creating notice'
@@ -110,71 +184,79 @@ const createNotice = async (req, res) => {
 };
 
 /**
- * Get all notices based on user role and targeting
+ * Get notices visible to the current user
  * GET /api/notices
+ * Students see live notices targeted to them; faculty see live notices and their own drafts; admins see everything
  */
 const getNotices = async (req, res) => {
     try {
-        const { page = 1, limit = 10, priority, type, search } = req.query;
-        const userRole = req.user.role;
-        const userId = req.user.userId;
-
-        // Use the static method from the Notice model
-        const result = await Notice.getNoticesForUser(userId, userRole, {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            priority,
-            type,
-            search
-        });
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
 
-        // Mark notices as read by current user (for students and faculty)
-        if (userRole !== 'admin' && result.notices.length > 0) {
-            const noticeIds = result.notices.map(notice => notice._id);
-            await Notice.updateMany(
-                {
-                    _id: { $in: noticeIds },
-                    'readBy.user': { $ne: userId }
-                },
-                {
-                    $push: {
-                        readBy: {
-                            user: userId,
-                            readAt: new Date()
-                        }
-                    }
-                }
-            );
+        const { page = 1, limit = 10, priority, category, search, mine } = req.query;
+        const conditions = [];
+
+        if (req.user.role === 'student') {
+            const studentProfile = await StudentProfile.findOne({ userId: req.user.userId });
+            if (!studentProfile) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Student profile not found'
+                });
+            }
+            conditions.push(liveNoticeFilter(), studentTargetFilter(studentProfile));
+        } else if (req.user.role === 'faculty') {
+            const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId }).select('_id');
+            const ownNotices = facultyProfile ? { facultyId: facultyProfile._id } : null;
+
+            if (String(mine) === 'true') {
+                conditions.push(ownNotices || { _id: null });
+            } else {
+                conditions.push({ $or: [liveNoticeFilter(), ...(ownNotices ? [ownNotices] : [])] });
+            }
+        }
+
+        if (priority) conditions.push({ priority });
+        if (category) conditions.push({ category });
+        if (search) {
+            conditions.push({
+                $or: [
+                    { title: { $regex: search, $options: 'i' } },
+                    { content: { $regex: search, $options: 'i' } }
+                ]
+            });
         }
 
-        // Format notices for response
-        const formattedNotices = result.notices.map(notice => ({
-            id: notice._id,
-            title: notice.title,
-            content: notice.content,
-            priority: notice.priority,
-            targetAudience: notice.targetAudience,
-            expiryDate: notice.expiryDate,
-            createdBy: notice.createdBy,
-            type: notice.type,
-            targetCourses: notice.targetCourses,
-            targetYears: notice.targetYears,
-            attachments: notice.attachments,
-            publishDate: notice.publishDate,
-            createdAt: notice.createdAt,
-            updatedAt: notice.updatedAt,
-            viewCount: notice.viewCount,
-            readCount: notice.readCount,
-            isUrgent: notice.isUrgent,
-            daysUntilExpiry: notice.daysUntilExpiry,
-            isRead: notice.readBy.some(read => read.user.toString() === userId.toString())
-        }));
+        const query = conditions.length > 0 ? { $and: conditions } : {};
+
+        const notices = await Notice.find(query)
+            .populate(populateFaculty)
+            .sort({ publishDate: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Notice.countDocuments(query);
 
         res.json({
             success: true,
             data: {
-                notices: formattedNotices,
-                pagination: result.pagination
+                notices: notices.map(notice => ({
+                    ...formatNotice(notice),
+                    isViewed: notice.viewedBy.some(view => view.userId.toString() === req.user.userId.toString())
+                })),
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / limit),
+                    totalNotices: total,
+                    hasNext: page < Math.ceil(total / limit),
+                    hasPrev: page > 1
+                }
             }
         });
 
@@ -188,89 +270,51 @@ const getNotices = async (req, res) => {
 };
 
 /**
- * Get notices specifically for students
+ * Get notices addressed to all students
  * GET /api/notices/students
- * Public endpoint that filters notices for student audience
+ * Public endpoint; notices aimed at particular groups need GET /api/notices
  */
 const getNoticesForStudents = async (req, res) => {
     try {
-        const { page = 1, limit = 10, priority, search, year, courseId } = req.query;
-
-        // Build query for student-targeted notices
-        let query = {
-            isActive: true,
-            publishDate: { $lte: new Date() },
-            $or: [
-                { expiryDate: null },
-                { expiryDate: { $gte: new Date() } }
-            ],
-            $and: [{
-                $or: [
-                    { targetAudience: 'all' },
-                    { targetAudience: 'students' }
-                ]
-            }]
-        };
-
-        // Add year-specific notices if year is provided
-        if (year) {
-            query.$and[0].$or.push({
-                targetAudience: 'specific_year',
-                targetYears: parseInt(year)
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
             });
         }
 
-        // Add course-specific notices if courseId is provided
-        if (courseId) {
-            query.$and[0].$or.push({
-                targetAudience: 'specific_course',
-                targetCourses: courseId
-            });
-        }
+        const { page = 1, limit = 10, priority, category } = req.query;
 
-        // Add additional filters
+        const query = {
+            ...liveNoticeFilter(),
+            'targetGroup.allStudents': true
+        };
         if (priority) query.priority = priority;
-        if (search) {
-            query.$and.push({
-                $or: [
-                    { title: { $regex: search, $options: 'i' } },
-                    { content: { $regex: search, $options: 'i' } }
-                ]
-            });
-        }
+        if (category) query.category = category;
 
-        // Execute query with pagination
         const notices = await Notice.find(query)
-            .populate('createdBy', 'firstName lastName role')
-            .populate('targetCourses', 'title code')
-            .sort({ priority: -1, publishDate: -1 })
+            .populate(populateFaculty)
+            .sort({ publishDate: -1 })
             .limit(limit * 1)
             .skip((page - 1) * limit);
 
-        // Get total count for pagination
         const total = await Notice.countDocuments(query);
 
-        // Format notices for response
-        const formattedNotices = notices.map(notice => ({
-            id: notice._id,
-            title: notice.title,
-            content: notice.content,
-            priority: notice.priority,
-            targetAudience: notice.targetAudience,
-            expiryDate: notice.expiryDate,
-            createdBy: notice.createdBy,
-            type: notice.type,
-            publishDate: notice.publishDate,
-            createdAt: notice.createdAt,
-            viewCount: notice.viewCount,
-            isUrgent: notice.isUrgent,
-            daysUntilExpiry: notice.daysUntilExpiry
-        }));
-
         res.json({
             success: true,
             data: {
-                notices: formattedNotices,
+                notices: notices.map(notice => ({
+                    id: notice._id,
+                    title: notice.title,
+                    content: notice.content,
+                    priority: notice.priority,
+                    category: notice.category,
+                    publishDate: notice.publishDate,
+                    expiryDate: notice.expiryDate,
+                    facultyName: notice.facultyId?.userId?.name || 'Unknown'
+                })),
                 pagination: {
                     currentPage: parseInt(page),
                     totalPages: Math.ceil(total / limit),
@@ -297,11 +341,8 @@ const getNoticesForStudents = async (req, res) => {
 const getNoticeById = async (req, res) => {
     try {
         const { id } = req.params;
-        const userId = req.user.userId;
 
-        const notice = await Notice.findById(id)
-            .populate('createdBy', 'firstName lastName role')
-            .populate('targetCourses', 'title code');
+        const notice = await Notice.findById(id).populate(populateFaculty);
 
         if (!notice) {
             return res.status(404).json({
@@ -310,57 +351,35 @@ const getNoticeById = async (req, res) => {
             });
         }
 
-        // Check if notice is visible (active and not expired)
-        if (!notice.isVisible()) {
+        const isAuthor = notice.facultyId?.userId?._id?.toString() === req.user.userId.toString();
+        const isLive = notice.isActive && !notice.isDraft &&
+            notice.publishDate <= new Date() && !notice.isExpired();
+
+        // Drafts, scheduled and expired notices are only visible to the author and admins
+        if (!isLive && !isAuthor && req.user.role !== 'admin') {
             return res.status(404).json({
                 success: false,
                 message: 'Notice not available'
             });
         }
 
-        // Check if user has access to this notice
-        const userRole = req.user.role;
-        let hasAccess = false;
-
-        if (userRole === 'admin') {
-            hasAccess = true;
-        } else if (notice.targetAudience === 'all') {
-            hasAccess = true;
-        } else if (notice.targetAudience === userRole + 's') { // 'students' or 'faculty'
-            hasAccess = true;
-        } else if (notice.targetAudience === 'specific_course') {
-            // Check if user is enrolled/teaching in target courses
-            const userCourses = await Course.find({
-                $or: [
-                    { 'enrolledStudents.student': userId },
-                    { instructor: userId }
-                ]
-            }).select('_id');
-
-            const userCourseIds = userCourses.map(c => c._id.toString());
-            const targetCourseIds = notice.targetCourses.map(c => c._id.toString());
-            
-            hasAccess = targetCourseIds.some(id => userCourseIds.includes(id));
-        } else if (notice.targetAudience === 'specific_year' && userRole === 'student') {
-            const Student = require('../models/Student');
-            const student = await Student.findById(userId);
-            hasAccess = student && notice.targetYears.includes(student.year);
+        if (req.user.role === 'student') {
+            const studentProfile = await StudentProfile.findOne({ userId: req.user.userId });
+            if (!studentProfile || !targetsStudent(notice, studentProfile)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. You do not have permission to view this notice.'
+                });
+            }
         }
 
-        if (!hasAccess) {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied. You do not have permission to view this notice.'
-            });
+        if (!isAuthor) {
+            await notice.incrementViewCount(req.user.userId);
         }
 
-        // Mark as read and increment view count
-        await notice.markAsRead(userId);
-        await notice.incrementViewCount();
-
         res.json({
             success: true,
-            data: { notice }
+            data: { notice: formatNotice(notice) }
         });
 
     } catch (error) {
@@ -375,13 +394,21 @@ const getNoticeById = async (req, res) => {
 /**
  * Update a notice (Edit notice)
  * PUT /api/notices/:id
- * Only the creator or admin can update notices
+ * Only the author or admin can update notices
  */
 const updateNotice = async (req, res) => {
     try {
         const { id } = req.params;
-        const userId = req.user.userId;
-        const userRole = req.user.role;
+
+        // Validate the request
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
 
         const notice = await Notice.findById(id);
         if (!notice) {
@@ -391,66 +418,62 @@ const updateNotice = async (req, res) => {
             });
         }
 
-        // Check if user can update this notice
-        if (userRole !== 'admin' && notice.createdBy.toString() !== userId.toString()) {
+        if (!(await canEditNotice(notice, req.user))) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied. You can only update your own notices.'
             });
         }
 
-        // Validate the request
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({
-                success: false,
-                message: 'Validation failed',
-                errors: errors.array()
-            });
-        }
+        const wasPublished = !notice.isDraft;
+        const previousPriority = notice.priority;
 
-        // Update allowed fields
-        const allowedUpdates = [
-            'title', 'content', 'priority', 'targetAudience',
-            'expiryDate', 'targetCourses', 'targetYears', 'type'
-        ];
-
-        allowedUpdates.forEach(field => {
-            if (req.body[field] !== undefined) {
-                if (field === 'expiryDate' && req.body[field]) {
-                    notice[field] = new Date(req.body[field]);
-                } else {
-                    notice[field] = req.body[field];
-                }
-            }
+        ['title', 'content', 'priority', 'category'].forEach(field => {
+            if (req.body[field] !== undefined) notice[field] = req.body[field];
         });
-
-        // Handle file attachments if any
-        if (req.files && req.files.length > 0) {
-            const newAttachments = req.files.map(file => ({
-                filename: file.originalname,
-                filePath: file.path,
-                fileSize: file.size,
-                mimeType: file.mimetype
-            }));
-            notice.attachments.push(...newAttachments);
+        ['isDraft', 'isImportant', 'acknowledgmentRequired', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) notice[field] = String(req.body[field]) === 'true';
+        });
+        ['expiryDate', 'publishDate'].forEach(field => {
+            if (req.body[field] !== undefined) notice[field] = req.body[field] ? new Date(req.body[field]) : undefined;
+        });
+        if (req.body.targetGroup !== undefined) {
+            notice.targetGroup = parseTargetGroup(req.body.targetGroup);
         }
 
+        // Allow adding more attachments
+        notice.attachments.push(...toAttachments(req.files));
+
         await notice.save();
+        await notice.populate(populateFaculty);
 
-        await notice.populate('createdBy', 'firstName lastName role');
-        await notice.populate('targetCourses', 'title code');
+        console.log(`✅ Notice updated by ${req.user.role} ${req.user.userId}: ${notice.title}`);
 
-        console.log(`✅ Notice updated by ${userRole} ${userId}: ${notice.title}`);
+        // Alert when a high priority notice is published or raised to high priority
+        const isAlert = ['high', 'urgent'].includes(notice.priority);
+        const wasAlert = wasPublished && ['high', 'urgent'].includes(previousPriority);
+        if (isAlert && !notice.isDraft && !wasAlert) {
+            try {
+                await sendNoticeEmailNotifications(notice, notice.facultyId?.userId?.name);
+            } catch (emailError) {
+                console.error('Failed to send notice email notifications:', emailError);
+            }
+        }
 
         res.json({
             success: true,
             message: 'Notice updated successfully',
-            data: { notice }
+            data: { notice: formatNotice(notice) }
         });
 
     } catch (error) {
         console.error('Update notice error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Server error while updating notice'
@@ -461,13 +484,11 @@ const updateNotice = async (req, res) => {
 /**
  * Delete a notice
  * DELETE /api/notices/:id
- * Only the creator or admin can delete notices
+ * Only the author or admin can delete notices
  */
 const deleteNotice = async (req, res) => {
     try {
         const { id } = req.params;
-        const userId = req.user.userId;
-        const userRole = req.user.role;
 
         const notice = await Notice.findById(id);
         if (!notice) {
@@ -477,8 +498,7 @@ const deleteNotice = async (req, res) => {
             });
         }
 
-        // Check if user can delete this notice
-        if (userRole !== 'admin' && notice.createdBy.toString() !== userId.toString()) {
+        if (!(await canEditNotice(notice, req.user))) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied. You can only delete your own notices.'
@@ -489,7 +509,7 @@ const deleteNotice = async (req, res) => {
         notice.isActive = false;
         await notice.save();
 
-        console.log(`🗑️ Notice deleted by ${userRole} ${userId}: ${notice.title}`);
+        console.log(`🗑️ Notice deleted by ${req.user.role} ${req.user.userId}: ${notice.title}`);
 
         res.json({
             success: true,
@@ -506,127 +526,51 @@ const deleteNotice = async (req, res) => {
 };
 
 /**
- * Send email notifications for important notices
- * @param {Object} notice - The notice object
+ * Email a notice to the active, verified students in its target group
+ * @param {Object} notice - The notice document
+ * @param {string} postedBy - Name of the faculty member who posted it
  */
-const sendNoticeEmailNotifications = async (notice) => {
-    try {
-        let recipients = [];
-
-        // Get recipients based on target audience
-        switch (notice.targetAudience) {
-            case 'all':
-                // Get all active users
-                recipients = await User.find({ 
-                    isActive: true,
-                    isEmailVerified: true 
-                }).select('email firstName lastName role');
-                break;
-
-            case 'students':
-                // Get all active students
-                recipients = await User.find({ 
-                    role: 'student',
-                    isActive: true,
-                    isEmailVerified: true 
-                }).select('email firstName lastName role');
-                break;
-
-            case 'faculty':
-                // Get all active faculty
-                recipients = await User.find({ 
-                    role: 'faculty',
-                    isActive: true,
-                    isEmailVerified: true 
-                }).select('email firstName lastName role');
-                break;
-
-            case 'specific_course':
-                if (notice.targetCourses && notice.targetCourses.length > 0) {
-                    // Get students enrolled in target courses and faculty teaching them
-                    const courses = await Course.find({ 
-                        _id: { $in: notice.targetCourses } 
-                    }).populate('enrolledStudents.student', 'email firstName lastName role')
-                      .populate('instructor', 'email firstName lastName role');
-
-                    const studentIds = new Set();
-                    const facultyIds = new Set();
-
-                    courses.forEach(course => {
-                        // Add enrolled students
-                        course.enrolledStudents.forEach(enrollment => {
-                            if (enrollment.student && enrollment.student.isActive) {
-                                studentIds.add(enrollment.student._id.toString());
-                                recipients.push(enrollment.student);
-                            }
-                        });
-
-                        // Add course instructor
-                        if (course.instructor && course.instructor.isActive) {
-                            facultyIds.add(course.instructor._id.toString());
-                            recipients.push(course.instructor);
-                        }
-                    });
-
-                    // Remove duplicates
-                    recipients = recipients.filter((recipient, index, self) => 
-                        index === self.findIndex(r => r._id.toString() === recipient._id.toString())
-                    );
-                }
-                break;
-
-            case 'specific_year':
-                if (notice.targetYears && notice.targetYears.length > 0) {
-                    // Get students in specific years
-                    const students = await Student.find({ 
-                        year: { $in: notice.targetYears } 
-                    }).populate('userId', 'email firstName lastName role isActive isEmailVerified');
-
-                    recipients = students
-                        .filter(student => student.userId && student.userId.isActive && student.userId.isEmailVerified)
-                        .map(student => student.userId);
-                }
-                break;
+const sendNoticeEmailNotifications = async (notice, postedBy) => {
+    if (!process.env.EMAIL_USER) {
+        console.log('Email not configured, skipping notice email notifications');
+        return;
+    }
 
-            default:
-                console.log('Unknown target audience for notice email notifications');
-                return;
-        }
+    const group = notice.targetGroup || {};
+    const targets = [
+        group.allStudents ? {} : null,
+        group.courses?.length ? { course: { $in: group.courses } } : null,
+        group.semesters?.length ? { semester: { $in: group.semesters } } : null,
+        group.departments?.length ? { department: { $in: group.departments } } : null,
+        group.specificStudents?.length ? { _id: { $in: group.specificStudents } } : null
+    ].filter(Boolean);
+
+    if (targets.length === 0) {
+        console.log('No target group set for notice email notifications');
+        return;
+    }
 
-        if (recipients.length === 0) {
-            console.log('No recipients found for notice email notifications');
-            return;
-        }
+    const students = await StudentProfile.find({ isActive: true, $or: targets })
+        .populate('userId', 'name email isActive isEmailVerified');
 
-        // Prepare notice details for email
-        const noticeDetails = {
-            title: notice.title,
-            content: notice.content,
-            priority: notice.priority,
-            createdBy: notice.createdBy ? `${notice.createdBy.firstName} ${notice.createdBy.lastName}` : 'System',
-            expiryDate: notice.expiryDate
-        };
+    // Unverified addresses may be typos; accounts from before verification have no flag
+    const recipients = students
+        .map(student => student.userId)
+        .filter(user => user && user.isActive !== false && user.isEmailVerified !== false && user.email);
 
-        // Send email notifications
-        console.log(`📧 Sending notice email notifications to ${recipients.length} recipients`);
-        const emailResults = await emailService.sendNoticeAlert(recipients, noticeDetails);
-
-        // Log results
-        const successful = emailResults.filter(result => result.status === 'fulfilled').length;
-        const failed = emailResults.filter(result => result.status === 'rejected').length;
-        
-        console.log(`📧 Notice email notifications: ${successful} sent, ${failed} failed`);
-
-        if (failed > 0) {
-            console.error('Some notice email notifications failed:', 
-                emailResults.filter(result => result.status === 'rejected')
-                    .map(result => result.reason)
-            );
-        }
+    if (recipients.length === 0) {
+        console.log('No recipients found for notice email notifications');
+        return;
+    }
 
-    } catch (error) {
-        console.error('Error sending notice email notifications:', error);
-        throw error;
+    console.log(`📧 Sending notice email notifications to ${recipients.length} recipients`);
+    const emailResults = await sendNoticeAlert(notice, recipients, postedBy);
+
+    const failed = emailResults.filter(result => result.status === 'rejected');
+    console.log(`📧 Notice email notifications: ${emailResults.length - failed.length} sent, ${failed.length} failed`);
+
+    if (failed.length > 0) {
+        console.error('Some notice email notifications failed:', failed.map(result => result.reason));
     }
 };
 
@@ -638,4 +582,4 @@ module.exports = {
     updateNotice,
     deleteNotice,
     sendNoticeEmailNotifications
-};
\ No newline at end of file
+};
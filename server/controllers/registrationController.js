@@ -1,108 +1,39 @@
 // Registration Status Controller - Handles registration status checking and workflow
 const User = require('../models/User');
-const Student = require('../models/Student');
-const Faculty = require('../models/Faculty');
-const Admin = require('../models/Admin');
-const emailService = require('../services/emailService');
+const { validationResult } = require('express-validator');
+const { register } = require('./authController');
+const {
+    sendRegistrationConfirmationEmail,
+    sendRegistrationApprovalEmail,
+    sendRegistrationRejectionEmail
+} = require('../utils/emailService');
+
+// Fields returned when describing a registration
+const registrationSummary = (user) => ({
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    status: user.status,
+    registrationDate: user.createdAt
+});
 
 /**
  * Register a new user (student or faculty)
  * POST /api/registration/register
- * Public endpoint for new registrations
+ * Same registration as POST /api/auth/register, with request validation
  */
 const registerUser = async (req, res) => {
-    try {
-        const {
-            firstName,
-            lastName,
-            email,
-            phone,
-            password,
-            registrationType,
-            // Student specific fields
-            course,
-            year,
-            // Faculty specific fields
-            department,
-            designation
-        } = req.body;
-
-        // Check if user already exists
-        const existingUser = await User.findOne({ email: email.toLowerCase() });
-        if (existingUser) {
-            return res.status(400).json({
-                success: false,
-                message: 'User with this email already exists'
-            });
-        }
-
-        // Create new user
-        const userData = {
-            firstName,
-            lastName,
-            email: email.toLowerCase(),
-            phone,
-            password,
-            role: registrationType,
-            registrationStatus: 'pending',
-            registrationDate: new Date()
-        };
-
-        const user = new User(userData);
-        await user.save();
-
-        // Create role-specific profile
-        if (registrationType === 'student') {
-            const student = new Student({
-                userId: user._id,
-                course,
-                year,
-                enrollmentNumber: `${new Date().getFullYear()}${Math.random().toString(36).substr(2, 6).toUpperCase()}`
-            });
-            await student.save();
-        } else if (registrationType === 'faculty') {
-            const faculty = new Faculty({
-                userId: user._id,
-                department,
-                designation,
-                employeeId: `FAC${new Date().getFullYear()}${Math.random().toString(36).substr(2, 4).toUpperCase()}`
-            });
-            await faculty.save();
-        }
-
-        // Send welcome email
-        try {
-            await emailService.sendWelcomeEmail({
-                email: user.email,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                userType: registrationType
-            });
-            console.log(`📧 Welcome email sent to ${user.email}`);
-        } catch (emailError) {
-            console.error('Failed to send welcome email:', emailError);
-        }
-
-        res.status(201).json({
-            success: true,
-            message: 'Registration submitted successfully. You will receive an email notification once approved.',
-            data: {
-                id: user._id,
-                email: user.email,
-                name: user.fullName,
-                role: user.role,
-                registrationStatus: user.registrationStatus,
-                registrationDate: user.registrationDate
-            }
-        });
-
-    } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
             success: false,
-            message: 'Server error during registration'
+            message: 'Validation failed',
+            errors: errors.array()
         });
     }
+
+    return register(req, res);
 };
 
 /**
@@ -112,8 +43,17 @@ const registerUser = async (req, res) => {
  */
 const approveRegistration = async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const { id } = req.params;
-        const { loginCredentials } = req.body; // { loginId, password }
+        const { comments } = req.body;
 
         const user = await User.findById(id);
         if (!user) {
@@ -123,55 +63,35 @@ const approveRegistration = async (req, res) => {
             });
         }
 
-        if (user.registrationStatus !== 'pending') {
+        if (user.status !== 'pending') {
             return res.status(400).json({
                 success: false,
                 message: 'Registration is not in pending status'
             });
         }
 
-        // Update user status
-        user.registrationStatus = 'approved';
+        user.status = 'approved';
         user.approvedAt = new Date();
-        user.approvedBy = req.user.id;
+        user.approvedBy = req.user.userId;
         user.isActive = true;
-
-        // Set login credentials if provided
-        if (loginCredentials) {
-            user.loginId = loginCredentials.loginId;
-            if (loginCredentials.password) {
-                user.password = loginCredentials.password;
-            }
-        }
-
         await user.save();
 
         // Send approval email
-        try {
-            await emailService.sendRegistrationApprovalEmail({
-                email: user.email,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                userType: user.role,
-                loginCredentials: {
-                    loginId: user.loginId || user.email,
-                    password: loginCredentials?.password || 'Please check your email for password'
-                }
-            });
-            console.log(`📧 Approval email sent to ${user.email}`);
-        } catch (emailError) {
-            console.error('Failed to send approval email:', emailError);
+        if (process.env.EMAIL_USER) {
+            try {
+                const approver = await User.findById(req.user.userId).select('name email');
+                await sendRegistrationApprovalEmail(user, approver, comments);
+                console.log(`📧 Approval email sent to ${user.email}`);
+            } catch (emailError) {
+                console.error('Failed to send approval email:', emailError);
+            }
         }
 
         res.json({
             success: true,
             message: 'Registration approved successfully',
             data: {
-                id: user._id,
-                email: user.email,
-                name: user.fullName,
-                role: user.role,
-                registrationStatus: user.registrationStatus,
+                ...registrationSummary(user),
                 approvedAt: user.approvedAt
             }
         });
@@ -192,6 +112,15 @@ const approveRegistration = async (req, res) => {
  */
 const rejectRegistration = async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const { id } = req.params;
         const { reason } = req.body;
 
@@ -203,43 +132,34 @@ const rejectRegistration = async (req, res) => {
             });
         }
 
-        if (user.registrationStatus !== 'pending') {
+        if (user.status !== 'pending') {
             return res.status(400).json({
                 success: false,
                 message: 'Registration is not in pending status'
             });
         }
 
-        // Update user status
-        user.registrationStatus = 'rejected';
+        user.status = 'rejected';
         user.rejectedAt = new Date();
-        user.rejectedBy = req.user.id;
-        user.rejectionReason = reason || 'Registration requirements not met';
-
+        user.rejectionReason = reason;
         await user.save();
 
         // Send rejection email
-        try {
-            await emailService.sendRegistrationRejectionEmail({
-                email: user.email,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                reason: user.rejectionReason
-            });
-            console.log(`📧 Rejection email sent to ${user.email}`);
-        } catch (emailError) {
-            console.error('Failed to send rejection email:', emailError);
+        if (process.env.EMAIL_USER) {
+            try {
+                const rejector = await User.findById(req.user.userId).select('name email');
+                await sendRegistrationRejectionEmail(user, rejector, user.rejectionReason);
+                console.log(`📧 Rejection email sent to ${user.email}`);
+            } catch (emailError) {
+                console.error('Failed to send rejection email:', emailError);
+            }
         }
 
         res.json({
             success: true,
             message: 'Registration rejected successfully',
             data: {
-                id: user._id,
-                email: user.email,
-                name: user.fullName,
-                role: user.role,
-                registrationStatus: user.registrationStatus,
+                ...registrationSummary(user),
                 rejectedAt: user.rejectedAt,
                 rejectionReason: user.rejectionReason
             }
@@ -272,7 +192,7 @@ const checkRegistrationStatus = async (req, res) => {
 
         // Find user by email
         const user = await User.findOne({ email: email.toLowerCase() })
-            .select('firstName lastName email role registrationStatus registrationDate approvedAt rejectedAt rejectionReason isActive');
+            .select('name email role status createdAt approvedAt rejectedAt rejectionReason isActive');
 
         if (!user) {
             return res.json({
@@ -288,17 +208,17 @@ const checkRegistrationStatus = async (req, res) => {
         // Prepare response based on registration status
         let responseData = {
             email: user.email,
-            name: user.fullName,
+            name: user.name,
             role: user.role,
-            registrationDate: user.registrationDate,
-            status: user.registrationStatus
+            registrationDate: user.createdAt,
+            status: user.status
         };
 
         let message = '';
         let canLogin = false;
         let nextSteps = [];
 
-        switch (user.registrationStatus) {
+        switch (user.status) {
             case 'pending':
                 message = 'Your registration is pending approval by an administrator';
                 nextSteps = [
@@ -309,8 +229,10 @@ const checkRegistrationStatus = async (req, res) => {
                 break;
 
             case 'approved':
-                message = 'Your registration has been approved and your account is active';
-                canLogin = true;
+                message = user.isActive === false
+                    ? 'Your registration has been approved but your account is inactive'
+                    : 'Your registration has been approved and your account is active';
+                canLogin = user.isActive !== false;
                 responseData.approvedAt = user.approvedAt;
                 nextSteps = [
                     'You can now log in to the portal',
@@ -340,7 +262,7 @@ const checkRegistrationStatus = async (req, res) => {
                 message,
                 canLogin,
                 nextSteps,
-                daysSinceRegistration: Math.floor((new Date() - user.registrationDate) / (1000 * 60 * 60 * 24))
+                daysSinceRegistration: Math.floor((new Date() - user.createdAt) / (1000 * 60 * 60 * 24))
             }
         });
 
@@ -380,17 +302,17 @@ const getRegistrationStatistics = async (req, res) => {
             User.countDocuments(),
             
             // Pending registrations
-            User.countDocuments({ registrationStatus: 'pending' }),
+            User.countDocuments({ status: 'pending' }),
             
             // Approved registrations
-            User.countDocuments({ registrationStatus: 'approved' }),
+            User.countDocuments({ status: 'approved' }),
             
             // Rejected registrations
-            User.countDocuments({ registrationStatus: 'rejected' }),
+            User.countDocuments({ status: 'rejected' }),
             
             // Recent registrations (within timeframe)
             User.countDocuments({ 
-                registrationDate: { $gte: startDate }
+                createdAt: { $gte: startDate }
             }),
             
             // Registrations by role
@@ -400,14 +322,14 @@ const getRegistrationStatistics = async (req, res) => {
             
             // Registrations by status
             User.aggregate([
-                { $group: { _id: '$registrationStatus', count: { $sum: 1 } } }
+                { $group: { _id: '$status', count: { $sum: 1 } } }
             ]),
             
             // Daily registrations for the last 7 days
             User.aggregate([
                 {
                     $match: {
-                        registrationDate: { 
+                        createdAt: { 
                             $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) 
                         }
                     }
@@ -417,7 +339,7 @@ const getRegistrationStatistics = async (req, res) => {
                         _id: {
                             $dateToString: { 
                                 format: "%Y-%m-%d", 
-                                date: "$registrationDate" 
+                                date: "$createdAt" 
                             }
                         },
                         count: { $sum: 1 }
@@ -481,51 +403,36 @@ const getRegistrationStatistics = async (req, res) => {
  */
 const getRecentActivity = async (req, res) => {
     try {
-        const { limit = 10 } = req.query;
-
-        // Get recent registrations with all statuses
-        const recentActivity = await User.find({})
-            .select('firstName lastName email role registrationStatus registrationDate approvedAt rejectedAt approvedBy rejectedBy')
-            .populate('approvedBy', 'firstName lastName')
-            .populate('rejectedBy', 'firstName lastName')
-            .sort({ 
-                $or: [
-                    { registrationDate: -1 },
-                    { approvedAt: -1 },
-                    { rejectedAt: -1 }
-                ]
-            })
-            .limit(parseInt(limit));
-
-        // Format the activity data
-        const formattedActivity = recentActivity.map(user => {
-            let activityType = 'registered';
-            let activityDate = user.registrationDate;
-            let activityBy = null;
-
-            if (user.approvedAt && (!user.rejectedAt || user.approvedAt > user.rejectedAt)) {
-                activityType = 'approved';
-                activityDate = user.approvedAt;
-                activityBy = user.approvedBy;
-            } else if (user.rejectedAt) {
-                activityType = 'rejected';
-                activityDate = user.rejectedAt;
-                activityBy = user.rejectedBy;
-            }
+        const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+        // Latest registrations, approvals and rejections, merged by date
+        const fields = 'name email role status createdAt approvedAt rejectedAt approvedBy';
+        const [registered, approved, rejected] = await Promise.all([
+            User.find({}).select(fields).sort({ createdAt: -1 }).limit(limit),
+            User.find({ approvedAt: { $ne: null } }).select(fields).populate('approvedBy', 'name').sort({ approvedAt: -1 }).limit(limit),
+            User.find({ rejectedAt: { $ne: null } }).select(fields).sort({ rejectedAt: -1 }).limit(limit)
+        ]);
 
-            return {
-                id: user._id,
-                name: user.fullName,
-                email: user.email,
-                role: user.role,
-                activityType,
-                activityDate,
-                activityBy: activityBy ? activityBy.fullName : null,
-                registrationStatus: user.registrationStatus,
-                registrationDate: user.registrationDate
-            };
+        const toActivity = (user, activityType, activityDate, activityBy = null) => ({
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            activityType,
+            activityDate,
+            activityBy,
+            status: user.status,
+            registrationDate: user.createdAt
         });
 
+        const formattedActivity = [
+            ...registered.map(user => toActivity(user, 'registered', user.createdAt)),
+            ...approved.map(user => toActivity(user, 'approved', user.approvedAt, user.approvedBy?.name || null)),
+            ...rejected.map(user => toActivity(user, 'rejected', user.rejectedAt))
+        ]
+            .sort((a, b) => new Date(b.activityDate) - new Date(a.activityDate))
+            .slice(0, limit);
+
         res.json({
             success: true,
             data: {
@@ -561,7 +468,7 @@ const resendConfirmation = async (req, res) => {
 
         const user = await User.findOne({ 
             email: email.toLowerCase(),
-            registrationStatus: 'pending'
+            status: 'pending'
         });
 
         if (!user) {
@@ -571,13 +478,17 @@ const resendConfirmation = async (req, res) => {
             });
         }
 
+        if (!process.env.EMAIL_USER) {
+            return res.status(503).json({
+                success: false,
+                message: 'Email service is not configured'
+            });
+        }
+
         // Send confirmation email
         try {
-            const { sendRegistrationConfirmationEmail } = require('../utils/emailService');
-            if (process.env.EMAIL_USER) {
-                await sendRegistrationConfirmationEmail(user);
-                console.log(`📧 Confirmation email resent to ${user.email}`);
-            }
+            await sendRegistrationConfirmationEmail(user);
+            console.log(`📧 Confirmation email resent to ${user.email}`);
         } catch (emailError) {
             console.error('Failed to resend confirmation email:', emailError);
             return res.status(500).json({
@@ -591,7 +502,7 @@ const resendConfirmation = async (req, res) => {
             message: 'Confirmation email sent successfully',
             data: {
                 email: user.email,
-                registrationDate: user.registrationDate
+                registrationDate: user.createdAt
             }
         });
 
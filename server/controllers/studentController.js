@@ -6,6 +6,19 @@ const Marks = require('../models/Marks');
 const Notice = require('../models/Notice');
 const Resource = require('../models/Resource');
 const Leave = require('../models/Leave');
+const GradingScheme = require('../models/GradingScheme');
+const SubjectResult = require('../models/SubjectResult');
+const CondonationRequest = require('../models/CondonationRequest');
+const CourseRegistration = require('../models/CourseRegistration');
+const RegistrationWindow = require('../models/RegistrationWindow');
+const { calculateStudentResults } = require('../services/resultService');
+const { issueTranscript, renderTranscriptPdf } = require('../services/transcriptService');
+const { getStudentEligibility, createCondonationRequest } = require('../services/eligibilityService');
+const { syncLeaveAttendance } = require('../services/leaveAttendanceService');
+const { getStudentWindow, describeWindowForStudent, submitRegistration } = require('../services/courseRegistrationService');
+const { describePreferences } = require('../services/electiveAllocationService');
+const { statStoredFile, sendStoredFile, createSignedUrl } = require('../services/storage');
+const { fileHelpers } = require('../utils/helpers');
 
 /**
  * Get logged-in student's profile
@@ -113,9 +126,44 @@ const getStudentAttendance = async (req, res) => {
 
         const total = await Attendance.countDocuments(query);
 
+        // Per-subject percentages, taken against the classes held
+        const match = { studentId: studentProfile._id };
+        if (academicYear) match.academicYear = academicYear;
+        const subjects = await Attendance.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: {
+                        subject: '$subject',
+                        subjectCode: '$subjectCode',
+                        facultyId: '$facultyId',
+                        academicYear: '$academicYear'
+                    }
+                }
+            }
+        ]);
+
+        const summary = [];
+        for (const { _id } of subjects) {
+            const stats = await Attendance.getSubjectAttendance(studentProfile._id, {
+                facultyId: _id.facultyId,
+                subjectCode: _id.subjectCode,
+                academicYear: _id.academicYear
+            });
+            summary.push({
+                subject: _id.subject,
+                subjectCode: _id.subjectCode,
+                academicYear: _id.academicYear,
+                attendedClasses: stats.attendedClasses,
+                totalClasses: stats.totalClasses,
+                percentage: Number(stats.percentage.toFixed(2))
+            });
+        }
+
         res.json({
             success: true,
             data: {
+                summary,
                 attendance: attendance.map(att => ({
                     id: att._id,
                     subject: att.subject,
@@ -182,9 +230,68 @@ const getStudentMarks = async (req, res) => {
 
         const total = await Marks.countDocuments(query);
 
+        // Bands the dashboard uses to label individual components
+        const gradingScheme = await GradingScheme.resolve({
+            department: studentProfile.department,
+            course: studentProfile.course,
+            academicYear
+        });
+
+        // Final subject results rolled up from the components by each assessment plan
+        const resultQuery = { studentId: studentProfile._id, isPublished: true };
+        if (subject) resultQuery.subject = subject;
+        if (academicYear) resultQuery.academicYear = academicYear;
+        if (semester) resultQuery.semester = parseInt(semester);
+
+        const subjectResults = await SubjectResult.find(resultQuery)
+            .sort({ academicYear: -1, semester: -1, subject: 1 });
+
+        // SGPA per semester and CGPA over published final results
+        const results = await calculateStudentResults(studentProfile);
+
         res.json({
             success: true,
             data: {
+                results: {
+                    cgpa: results.cgpa,
+                    totalCredits: results.totalCredits,
+                    creditsEarned: results.creditsEarned,
+                    semesters: results.semesters.map(result => ({
+                        semester: result.semester,
+                        academicYear: result.academicYear,
+                        sgpa: result.sgpa,
+                        credits: result.credits,
+                        creditsEarned: result.creditsEarned,
+                        subjects: result.subjects.length
+                    }))
+                },
+                subjectResults: subjectResults.map(result => ({
+                    id: result._id,
+                    subject: result.subject,
+                    subjectCode: result.subjectCode,
+                    semester: result.semester,
+                    academicYear: result.academicYear,
+                    credits: result.credits,
+                    components: result.components.map(component => ({
+                        label: component.label,
+                        group: component.group,
+                        weight: component.weight,
+                        weightedScore: component.weightedScore,
+                        isRecorded: component.isRecorded
+                    })),
+                    internalScore: result.internalScore,
+                    internalMax: result.internalMax,
+                    externalScore: result.externalScore,
+                    externalMax: result.externalMax,
+                    totalScore: result.totalScore,
+                    grade: result.grade,
+                    gradePoints: result.gradePoints,
+                    isComplete: result.isComplete
+                })),
+                gradingScheme: {
+                    name: gradingScheme ? gradingScheme.name : 'Default',
+                    bands: gradingScheme ? gradingScheme.bands : GradingScheme.DEFAULT_GRADE_BANDS
+                },
                 marks: marks.map(mark => ({
                     id: mark._id,
                     subject: mark.subject,
@@ -286,11 +393,19 @@ const getStudentDashboard = async (req, res) => {
             status: 'pending'
         });
 
-        // Calculate CGPA
-        await studentProfile.calculateCGPA();
+        // Calculate SGPA/CGPA from published final results
+        const results = await calculateStudentResults(studentProfile);
+        studentProfile.applyResults(results);
+        await studentProfile.save();
+        const latestSemester = results.semesters[results.semesters.length - 1];
 
         const stats = {
             cgpa: studentProfile.cgpa,
+            sgpa: latestSemester ? latestSemester.sgpa : 0,
+            semesterGPAs: results.semesters.map(result => ({
+                semester: result.semester,
+                sgpa: result.sgpa
+            })),
             totalCredits: studentProfile.totalCredits,
             currentSemester: studentProfile.semester,
             enrollmentYear: studentProfile.enrollmentYear,
@@ -418,6 +533,311 @@ const applyLeave = async (req, res) => {
     }
 };
 
+/**
+ * Cancel one of the logged-in student's leave applications
+ * PATCH /api/student/leave/:id/cancel
+ */
+const cancelLeave = async (req, res) => {
+    try {
+        const leave = await Leave.findOne({ _id: req.params.id, userId: req.user.userId });
+        if (!leave) {
+            return res.status(404).json({
+                success: false,
+                message: 'Leave application not found'
+            });
+        }
+
+        if (!['pending', 'approved'].includes(leave.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Leave application is already ${leave.status}`
+            });
+        }
+
+        const previousStatus = leave.status;
+        leave.status = 'cancelled';
+        await leave.save();
+
+        // Marks excused by this leave go back to what they were
+        const attendance = await syncLeaveAttendance(leave, previousStatus);
+
+        res.json({
+            success: true,
+            message: 'Leave application cancelled successfully',
+            data: {
+                id: leave._id,
+                status: leave.status,
+                attendanceRestored: attendance.restored
+            }
+        });
+    } catch (error) {
+        console.error('Cancel leave error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error cancelling leave application'
+        });
+    }
+};
+
+/**
+ * Get logged-in student's exam eligibility by attendance
+ * GET /api/student/eligibility?semester=&academicYear=
+ */
+const getEligibility = async (req, res) => {
+    try {
+        const studentProfile = await StudentProfile.findOne({ userId: req.user.userId });
+        if (!studentProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student profile not found'
+            });
+        }
+
+        const currentDate = new Date();
+        const currentYear = currentDate.getFullYear();
+        const semester = req.query.semester || studentProfile.semester;
+        const academicYear = req.query.academicYear || (currentDate.getMonth() + 1 >= 7
+            ? `${currentYear}-${currentYear + 1}`
+            : `${currentYear - 1}-${currentYear}`);
+
+        const eligibility = await getStudentEligibility(studentProfile, { semester, academicYear });
+
+        res.json({
+            success: true,
+            data: {
+                semester: parseInt(semester),
+                academicYear,
+                threshold: eligibility.policy.threshold,
+                condonationLimit: eligibility.policy.condonationLimit,
+                isEligible: eligibility.isEligible,
+                subjects: eligibility.subjects
+            }
+        });
+    } catch (error) {
+        console.error('Get eligibility error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching eligibility'
+        });
+    }
+};
+
+/**
+ * Get the registration window for the student's course and current semester
+ * GET /api/student/registration-window
+ * Offerings include seats left and any prerequisites the student has not passed
+ */
+const getRegistrationWindow = async (req, res) => {
+    try {
+        const studentProfile = await StudentProfile.findOne({ userId: req.user.userId });
+        if (!studentProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student profile not found'
+            });
+        }
+
+        const window = await getStudentWindow(studentProfile);
+        if (!window) {
+            return res.status(404).json({
+                success: false,
+                message: `No course registration has been published for semester ${studentProfile.semester}`
+            });
+        }
+
+        const data = await describeWindowForStudent(window, studentProfile);
+        // Allocation outcomes stay hidden until the results are published
+        if (data.registration && window.allocation.status === 'published') {
+            data.electivePreferences = await describePreferences(data.registration);
+        }
+
+        res.json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        console.error('Get registration window error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching course registration'
+        });
+    }
+};
+
+/**
+ * Get logged-in student's course registrations
+ * GET /api/student/course-registrations
+ */
+const getCourseRegistrations = async (req, res) => {
+    try {
+        const studentProfile = await StudentProfile.findOne({ userId: req.user.userId });
+        if (!studentProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student profile not found'
+            });
+        }
+
+        const registrations = await CourseRegistration.find({ studentId: studentProfile._id })
+            .populate('windowId', 'title opensAt closesAt')
+            .sort({ submittedAt: -1 });
+
+        res.json({
+            success: true,
+            data: registrations.map(registration => ({
+                id: registration._id,
+                window: registration.windowId,
+                semester: registration.semester,
+                academicYear: registration.academicYear,
+                subjects: registration.subjects,
+                totalCredits: registration.totalCredits,
+                status: registration.status,
+                reviewComments: registration.reviewComments,
+                reviewDate: registration.reviewDate,
+                submittedAt: registration.submittedAt
+            }))
+        });
+    } catch (error) {
+        console.error('Get course registrations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching course registrations'
+        });
+    }
+};
+
+/**
+ * Submit or change subject selection for a registration window
+ * POST /api/student/course-registration
+ * Body: windowId, subjectCodes (core and elective subject codes),
+ *       electivePreferences (ranked elective codes, in windows that allocate electives)
+ */
+const submitCourseRegistration = async (req, res) => {
+    try {
+        const studentProfile = await StudentProfile.findOne({ userId: req.user.userId });
+        if (!studentProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student profile not found'
+            });
+        }
+
+        const window = await RegistrationWindow.findById(req.body.windowId);
+        if (!window || !window.isPublished) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registration window not found'
+            });
+        }
+
+        const registration = await submitRegistration(
+            studentProfile,
+            window,
+            req.body.subjectCodes,
+            req.body.electivePreferences
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Course registration submitted for advisor approval',
+            data: {
+                id: registration._id,
+                subjects: registration.subjects,
+                totalCredits: registration.totalCredits,
+                status: registration.status
+            }
+        });
+    } catch (error) {
+        console.error('Submit course registration error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error submitting course registration'
+        });
+    }
+};
+
+/**
+ * Get logged-in student's condonation requests
+ * GET /api/student/condonation-requests
+ */
+const getCondonationRequests = async (req, res) => {
+    try {
+        const studentProfile = await StudentProfile.findOne({ userId: req.user.userId });
+        if (!studentProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student profile not found'
+            });
+        }
+
+        const requests = await CondonationRequest.find({ studentId: studentProfile._id })
+            .populate('leaveIds', 'leaveType fromDate toDate totalDays')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: requests.map(request => ({
+                id: request._id,
+                subject: request.subject,
+                subjectCode: request.subjectCode,
+                semester: request.semester,
+                academicYear: request.academicYear,
+                reason: request.reason,
+                leaves: request.leaveIds,
+                percentageAtRequest: request.percentageAtRequest,
+                status: request.status,
+                reviewComments: request.reviewComments,
+                reviewDate: request.reviewDate,
+                excusedClasses: request.excusedAttendance.length,
+                createdAt: request.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error('Get condonation requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching condonation requests'
+        });
+    }
+};
+
+/**
+ * Apply for condonation of attendance shortage in a subject
+ * POST /api/student/condonation-request
+ * Body: subjectCode, semester, academicYear, leaveIds (approved medical/sick leaves), reason
+ */
+const applyCondonation = async (req, res) => {
+    try {
+        const studentProfile = await StudentProfile.findOne({ userId: req.user.userId });
+        if (!studentProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student profile not found'
+            });
+        }
+
+        const request = await createCondonationRequest(studentProfile, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Condonation request submitted successfully',
+            data: {
+                id: request._id,
+                subject: request.subject,
+                subjectCode: request.subjectCode,
+                percentageAtRequest: request.percentageAtRequest,
+                status: request.status
+            }
+        });
+    } catch (error) {
+        console.error('Apply condonation error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error submitting condonation request'
+        });
+    }
+};
+
 /**
  * Get notices for logged-in student
  * GET /api/student/notices
@@ -568,6 +988,37 @@ const getStudentResources = async (req, res) => {
     }
 };
 
+// Resource the logged-in student may download, with its storage location
+const findAccessibleResource = async (resourceId, userId) => {
+    const resource = await Resource.findById(resourceId).select('+storageKey');
+    if (!resource) {
+        return { status: 404, message: 'Resource not found' };
+    }
+
+    // Check if student has access to this resource
+    const studentProfile = await StudentProfile.findOne({ userId });
+    if (!studentProfile) {
+        return { status: 404, message: 'Student profile not found' };
+    }
+
+    const hasAccess = resource.isPublic || 
+                     resource.targetGroup.allStudents ||
+                     resource.targetGroup.courses.includes(studentProfile.course) ||
+                     resource.targetGroup.semesters.includes(studentProfile.semester) ||
+                     resource.targetGroup.departments.includes(studentProfile.department);
+
+    if (!hasAccess) {
+        return { status: 403, message: 'Access denied to this resource' };
+    }
+
+    const stored = resource.storageKey ? await statStoredFile(resource) : null;
+    if (!stored) {
+        return { status: 404, message: 'Resource file is no longer available' };
+    }
+
+    return { resource, size: stored.size };
+};
+
 /**
  * Download a specific resource
  * GET /api/student/resource/:id/download
@@ -575,20 +1026,100 @@ const getStudentResources = async (req, res) => {
 const downloadResource = async (req, res) => {
     try {
         const { id } = req.params;
-        const path = require('path');
-        const fs = require('fs');
         
         console.log('🔍 Student downloading resource:', id, 'for user:', req.user.userId);
         
-        const resource = await Resource.findById(id);
+        const { resource, size, status, message } = await findAccessibleResource(id, req.user.userId);
         if (!resource) {
-            return res.status(404).json({
+            return res.status(status).json({
                 success: false,
-                message: 'Resource not found'
+                message
             });
         }
 
-        // Check if student has access to this resource
+        // Resumed and partial fetches of the same download are not counted again
+        const range = fileHelpers.parseRange(req.headers.range, size);
+        if (range !== false && (!range || range.start === 0)) {
+            await resource.incrementDownloadCount(req.user.userId);
+        }
+
+        await sendStoredFile(req, res, {
+            storageKey: resource.storageKey,
+            storageBackend: resource.storageBackend,
+            size,
+            mimeType: resource.mimeType,
+            filename: resource.originalName || resource.filename,
+            checksum: resource.checksum
+        });
+        
+    } catch (error) {
+        console.error('Download resource error:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error downloading resource'
+        });
+    }
+};
+
+/**
+ * Get a signed, expiring link to a resource file
+ * GET /api/student/resource/:id/download-url
+ */
+const getResourceDownloadUrl = async (req, res) => {
+    try {
+        const { resource, status, message } = await findAccessibleResource(req.params.id, req.user.userId);
+        if (!resource) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        const { url, expiresAt } = await createSignedUrl({
+            storageKey: resource.storageKey,
+            storageBackend: resource.storageBackend,
+            filename: resource.originalName || resource.filename,
+            mimeType: resource.mimeType
+        });
+
+        await resource.incrementDownloadCount(req.user.userId);
+
+        res.json({
+            success: true,
+            data: {
+                url,
+                expiresAt,
+                filename: resource.originalName || resource.filename,
+                fileSize: resource.fileSize
+            }
+        });
+
+    } catch (error) {
+        console.error('Get resource download URL error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating download link'
+        });
+    }
+};
+
+/**
+ * Get logged-in student's subject-wise results and SGPA for a semester
+ * GET /api/student/results/:semester
+ */
+const getSemesterResults = async (req, res) => {
+    try {
+        const semester = parseInt(req.params.semester);
+        
+        if (!semester || semester < 1 || semester > 8) {
+            return res.status(400).json({
+                success: false,
+                message: 'Semester must be a number between 1 and 8'
+            });
+        }
+        
+        // Find student profile
         const studentProfile = await StudentProfile.findOne({ userId: req.user.userId });
         if (!studentProfile) {
             return res.status(404).json({
@@ -597,49 +1128,77 @@ const downloadResource = async (req, res) => {
             });
         }
 
-        const hasAccess = resource.isPublic || 
-                         resource.targetGroup.allStudents ||
-                         resource.targetGroup.courses.includes(studentProfile.course) ||
-                         resource.targetGroup.semesters.includes(studentProfile.semester) ||
-                         resource.targetGroup.departments.includes(studentProfile.department);
+        const results = await calculateStudentResults(studentProfile);
+        // A repeated semester is shown as its latest academic year
+        const semesterResult = results.semesters.findLast(result => result.semester === semester);
 
-        if (!hasAccess) {
-            return res.status(403).json({
+        if (!semesterResult) {
+            return res.status(404).json({
                 success: false,
-                message: 'Access denied to this resource'
+                message: `No published results for semester ${semester}`
             });
         }
 
-        // Increment download count
-        await resource.incrementDownloadCount(req.user.userId);
+        res.json({
+            success: true,
+            data: {
+                semester: semesterResult.semester,
+                academicYear: semesterResult.academicYear,
+                subjects: semesterResult.subjects.map(subject => ({
+                    subject: subject.subject,
+                    subjectCode: subject.subjectCode,
+                    credits: subject.credits,
+                    totalScore: subject.totalScore,
+                    grade: subject.grade,
+                    gradePoints: subject.gradePoints,
+                    creditPoints: subject.credits * subject.gradePoints
+                })),
+                credits: semesterResult.credits,
+                creditsEarned: semesterResult.creditsEarned,
+                sgpa: semesterResult.sgpa,
+                cgpa: results.cgpa
+            }
+        });
+    } catch (error) {
+        console.error('Get semester results error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching semester results'
+        });
+    }
+};
 
-        // Get the actual file path
-        const filePath = path.join(__dirname, '../../uploads/resources', resource.filename);
+/**
+ * Download logged-in student's grade card (with semester) or consolidated transcript as PDF
+ * GET /api/student/transcript?semester=
+ */
+const downloadTranscript = async (req, res) => {
+    try {
+        const { semester } = req.query;
         
-        // Check if file exists
-        if (!fs.existsSync(filePath)) {
-            // Create a dummy file for demonstration
-            const dummyContent = `This is a sample ${resource.resourceType} file for ${resource.title}\n\nSubject: ${resource.subject}\nUploaded: ${resource.uploadDate}\nDescription: ${resource.description}`;
-            
-            res.setHeader('Content-Type', resource.mimeType || 'text/plain');
-            res.setHeader('Content-Disposition', `attachment; filename="${resource.originalName || resource.filename}"`);
-            res.setHeader('Content-Length', Buffer.byteLength(dummyContent));
-            
-            return res.send(dummyContent);
+        // Find student profile
+        const studentProfile = await StudentProfile.findOne({ userId: req.user.userId })
+            .populate('userId', 'name email');
+        if (!studentProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student profile not found'
+            });
         }
 
-        // Serve the actual file
-        res.setHeader('Content-Type', resource.mimeType || 'application/octet-stream');
-        res.setHeader('Content-Disposition', `attachment; filename="${resource.originalName || resource.filename}"`);
-        
-        const fileStream = fs.createReadStream(filePath);
-        fileStream.pipe(res);
-        
+        const issued = await issueTranscript(studentProfile, { semester, issuedBy: req.user.userId });
+        const filename = semester
+            ? `${studentProfile.rollNumber}_semester_${semester}_grade_card.pdf`
+            : `${studentProfile.rollNumber}_transcript.pdf`;
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        renderTranscriptPdf(issued, res);
     } catch (error) {
-        console.error('Download resource error:', error);
-        res.status(500).json({
+        console.error('Download transcript error:', error);
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: 'Error downloading resource'
+            message: error.statusCode ? error.message : 'Error generating transcript'
         });
     }
 };
@@ -652,7 +1211,17 @@ module.exports = {
     getStudentDashboard,
     getStudentLeaves,
     applyLeave,
+    cancelLeave,
+    getEligibility,
+    getCondonationRequests,
+    applyCondonation,
+    getRegistrationWindow,
+    getCourseRegistrations,
+    submitCourseRegistration,
     getStudentNotices,
     getStudentResources,
-    downloadResource
+    downloadResource,
+    getResourceDownloadUrl,
+    getSemesterResults,
+    downloadTranscript
 };
\ No newline at end of file
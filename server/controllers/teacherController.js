@@ -1,11 +1,24 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
 const StudentProfile = require('../models/StudentProfile');
 const FacultyProfile = require('../models/FacultyProfile');
 const Attendance = require('../models/Attendance');
+const ClassSession = require('../models/ClassSession');
+const CondonationRequest = require('../models/CondonationRequest');
+const CourseRegistration = require('../models/CourseRegistration');
+const RegistrationWindow = require('../models/RegistrationWindow');
 const Marks = require('../models/Marks');
 const Leave = require('../models/Leave');
 const Notice = require('../models/Notice');
 const Resource = require('../models/Resource');
 const User = require('../models/User');
+const AssessmentPlan = require('../models/AssessmentPlan');
+const { compilePlanResults, recompileForMarks } = require('../services/resultService');
+const { getSubjectShortageReport, reviewCondonationRequest } = require('../services/eligibilityService');
+const { syncLeaveAttendance } = require('../services/leaveAttendanceService');
+const { reviewRegistration } = require('../services/courseRegistrationService');
+const { parseRegisterSheet, buildRegisterRows, writeRegister, toDateKey } = require('../services/attendanceSheetService');
+const { statStoredFile, removeStoredFile } = require('../services/storage');
 
 /**
  * Get teacher profile and assigned students
@@ -109,16 +122,41 @@ const getAllStudents = async (req, res) => {
     }
 };
 
+// Session details shared by single, roster and sheet attendance saves
+const getSessionDetails = (body, facultyProfile, userId) => {
+    const { subject, subjectCode, date, period, semester, academicYear, classType, duration, topic } = body;
+    return {
+        facultyId: facultyProfile._id,
+        subject,
+        subjectCode: subjectCode || subject.toUpperCase().replace(/\s+/g, ''),
+        date,
+        period: period ? parseInt(period) : 1,
+        semester: semester ? parseInt(semester) : 1,
+        academicYear: academicYear || `${new Date().getFullYear()}-${new Date().getFullYear() + 1}`,
+        classType,
+        duration,
+        topic,
+        recordedBy: userId
+    };
+};
+
 /**
- * Update student attendance
+ * Update student attendance for one class session
  * POST /api/teacher/attendance
  */
 const updateAttendance = async (req, res) => {
     try {
-        const { studentId, subject, subjectCode, date, status, semester, academicYear, classType, duration, remarks } = req.body;
+        const { studentId, subject, status, remarks } = req.body;
         
         console.log('🔍 Teacher updating attendance:', { studentId, subject, status });
         
+        if (!studentId || !subject || !status) {
+            return res.status(400).json({
+                success: false,
+                message: 'Student, subject and status are required'
+            });
+        }
+
         // Get faculty profile
         const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId });
         if (!facultyProfile) {
@@ -127,31 +165,36 @@ const updateAttendance = async (req, res) => {
                 message: 'Faculty profile not found'
             });
         }
+
+        if (!mongoose.isValidObjectId(studentId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid student ID format'
+            });
+        }
+        if (!facultyProfile.assignedStudents.some(id => id.equals(studentId))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Student is not assigned to you'
+            });
+        }
         
-        // Create new attendance record
-        const attendance = new Attendance({
-            studentId,
-            facultyId: facultyProfile._id,
-            subject,
-            subjectCode: subjectCode || subject.toUpperCase().replace(/\s+/g, ''),
-            date: date ? new Date(date) : new Date(),
+        // Marking the same student again for the same session corrects the mark
+        const session = await ClassSession.findOrCreate(getSessionDetails(req.body, facultyProfile, req.user.userId));
+        const attendance = await Attendance.markForSession(session, studentId, {
             status,
-            semester: semester || 1,
-            academicYear: academicYear || `${new Date().getFullYear()}-${new Date().getFullYear() + 1}`,
-            classType: classType || 'lecture',
-            duration: duration || 60,
             remarks,
             recordedBy: req.user.userId
         });
         
-        await attendance.save();
-        
         res.json({
             success: true,
             message: 'Attendance updated successfully',
             data: {
+                sessionId: session._id,
                 subject: attendance.subject,
                 date: attendance.date,
+                period: session.period,
                 status: attendance.status,
                 classType: attendance.classType
             }
@@ -166,6 +209,684 @@ const updateAttendance = async (req, res) => {
     }
 };
 
+/**
+ * Save attendance for a whole class in one call
+ * POST /api/teacher/attendance/session
+ * Body: subject, subjectCode, date, period, semester, academicYear, classType, duration, topic,
+ *       records: [{ studentId, status, remarks }]
+ */
+const saveClassSession = async (req, res) => {
+    try {
+        const { subject, records } = req.body;
+
+        if (!subject || !Array.isArray(records) || records.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Subject and attendance records are required'
+            });
+        }
+
+        const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId });
+        if (!facultyProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Faculty profile not found'
+            });
+        }
+
+        const statuses = Attendance.schema.path('status').enumValues;
+        const assigned = new Set(facultyProfile.assignedStudents.map(id => id.toString()));
+        const invalid = records.filter(record =>
+            !assigned.has(String(record.studentId)) || !statuses.includes(record.status)
+        );
+
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Some records are for students not assigned to you or have an invalid status',
+                errors: invalid.map(record => ({
+                    studentId: record.studentId,
+                    message: !assigned.has(String(record.studentId))
+                        ? 'Student is not assigned to you'
+                        : `Status must be one of: ${statuses.join(', ')}`
+                }))
+            });
+        }
+
+        const session = await ClassSession.findOrCreate(getSessionDetails(req.body, facultyProfile, req.user.userId));
+        for (const record of records) {
+            await Attendance.markForSession(session, record.studentId, {
+                status: record.status,
+                remarks: record.remarks,
+                recordedBy: req.user.userId
+            });
+        }
+
+        const counts = statuses.reduce((acc, status) => ({
+            ...acc,
+            [status]: records.filter(record => record.status === status).length
+        }), {});
+
+        res.json({
+            success: true,
+            message: 'Class attendance saved successfully',
+            data: {
+                sessionId: session._id,
+                subject: session.subject,
+                subjectCode: session.subjectCode,
+                date: session.date,
+                period: session.period,
+                classType: session.classType,
+                marked: records.length,
+                counts
+            }
+        });
+
+    } catch (error) {
+        console.error('Save class session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error saving class attendance'
+        });
+    }
+};
+
+/**
+ * Get class sessions held by the teacher
+ * GET /api/teacher/attendance/sessions?subjectCode=&semester=&academicYear=&startDate=&endDate=
+ */
+const getClassSessions = async (req, res) => {
+    try {
+        const { subjectCode, semester, academicYear, startDate, endDate } = req.query;
+
+        const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId });
+        if (!facultyProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Faculty profile not found'
+            });
+        }
+
+        const query = { facultyId: facultyProfile._id };
+        if (subjectCode) query.subjectCode = subjectCode;
+        if (semester) query.semester = parseInt(semester);
+        if (academicYear) query.academicYear = academicYear;
+        if (startDate || endDate) {
+            query.date = {};
+            if (startDate) query.date.$gte = ClassSession.toSessionDate(startDate);
+            if (endDate) query.date.$lte = ClassSession.toSessionDate(endDate);
+        }
+
+        const sessions = await ClassSession.find(query).sort({ date: -1, period: -1 });
+
+        const counts = await Attendance.aggregate([
+            { $match: { sessionId: { $in: sessions.map(session => session._id) } } },
+            { $group: { _id: { sessionId: '$sessionId', status: '$status' }, count: { $sum: 1 } } }
+        ]);
+        const countsBySession = new Map();
+        counts.forEach(({ _id, count }) => {
+            const key = _id.sessionId.toString();
+            if (!countsBySession.has(key)) countsBySession.set(key, {});
+            countsBySession.get(key)[_id.status] = count;
+        });
+
+        res.json({
+            success: true,
+            data: {
+                totalSessions: sessions.length,
+                sessions: sessions.map(session => ({
+                    id: session._id,
+                    subject: session.subject,
+                    subjectCode: session.subjectCode,
+                    date: session.date,
+                    period: session.period,
+                    classType: session.classType,
+                    duration: session.duration,
+                    topic: session.topic,
+                    semester: session.semester,
+                    academicYear: session.academicYear,
+                    counts: countsBySession.get(session._id.toString()) || {}
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get class sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching class sessions'
+        });
+    }
+};
+
+/**
+ * Get the roster for one class session, including assigned students not yet marked
+ * GET /api/teacher/attendance/session/:id
+ */
+const getClassSession = async (req, res) => {
+    try {
+        const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId })
+            .populate({
+                path: 'assignedStudents',
+                select: 'rollNumber semester userId',
+                populate: { path: 'userId', select: 'name' }
+            });
+
+        if (!facultyProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Faculty profile not found'
+            });
+        }
+
+        const session = await ClassSession.findOne({ _id: req.params.id, facultyId: facultyProfile._id });
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Class session not found'
+            });
+        }
+
+        const marks = await Attendance.find({ sessionId: session._id });
+        const markByStudent = new Map(marks.map(mark => [mark.studentId.toString(), mark]));
+
+        const roster = facultyProfile.assignedStudents
+            .filter(student => student.semester === session.semester || markByStudent.has(student._id.toString()))
+            .sort((a, b) => a.rollNumber.localeCompare(b.rollNumber))
+            .map(student => {
+                const mark = markByStudent.get(student._id.toString());
+                return {
+                    studentId: student._id,
+                    rollNumber: student.rollNumber,
+                    name: student.userId?.name,
+                    status: mark ? mark.status : null,
+                    remarks: mark?.remarks
+                };
+            });
+
+        res.json({
+            success: true,
+            data: {
+                session: {
+                    id: session._id,
+                    subject: session.subject,
+                    subjectCode: session.subjectCode,
+                    date: session.date,
+                    period: session.period,
+                    classType: session.classType,
+                    duration: session.duration,
+                    topic: session.topic,
+                    semester: session.semester,
+                    academicYear: session.academicYear
+                },
+                roster
+            }
+        });
+
+    } catch (error) {
+        console.error('Get class session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching class session'
+        });
+    }
+};
+
+/**
+ * Import an attendance register sheet for one subject
+ * POST /api/teacher/attendance/import
+ * Body: excelFile (rows = roll numbers, columns = dates, cells = P/A/L/E),
+ *       subject, subjectCode, period, semester, academicYear, classType, duration
+ */
+const importAttendanceSheet = async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            success: false,
+            message: 'Attendance sheet is required'
+        });
+    }
+
+    try {
+        const { subject } = req.body;
+
+        if (!subject) {
+            return res.status(400).json({
+                success: false,
+                message: 'Subject is required'
+            });
+        }
+
+        const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId });
+        if (!facultyProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Faculty profile not found'
+            });
+        }
+
+        const { classes, entries, errors } = parseRegisterSheet(req.file.path);
+        if (classes.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: errors[0]?.message || 'Invalid attendance sheet',
+                errors
+            });
+        }
+
+        // Resolve roll numbers to the faculty's assigned students
+        const rollNumbers = [...new Set(entries.map(entry => entry.rollNumber))];
+        const students = await StudentProfile.find({ rollNumber: { $in: rollNumbers } }).select('_id rollNumber');
+        const studentByRoll = new Map(students.map(student => [student.rollNumber, student]));
+        const assigned = new Set(facultyProfile.assignedStudents.map(id => id.toString()));
+
+        const rejectedRows = new Set();
+        const validEntries = entries.filter(entry => {
+            const student = studentByRoll.get(entry.rollNumber);
+            const message = !student
+                ? 'Student not found'
+                : !assigned.has(student._id.toString()) ? 'Student is not assigned to you' : null;
+
+            if (message) {
+                if (!rejectedRows.has(entry.row)) {
+                    errors.push({ row: entry.row, rollNumber: entry.rollNumber, message });
+                    rejectedRows.add(entry.row);
+                }
+                return false;
+            }
+
+            entry.studentId = student._id;
+            return true;
+        });
+
+        // One class session per date column
+        const details = getSessionDetails(req.body, facultyProfile, req.user.userId);
+        const sessionByColumn = new Map();
+        for (const { column, date, period } of classes) {
+            sessionByColumn.set(column, await ClassSession.findOrCreate({
+                ...details,
+                date,
+                period: period || details.period
+            }));
+        }
+
+        const summary = { created: 0, updated: 0, unchanged: 0 };
+        for (const entry of validEntries) {
+            const attendance = await Attendance.markForSession(sessionByColumn.get(entry.column), entry.studentId, {
+                status: entry.status,
+                recordedBy: req.user.userId
+            });
+
+            const { previousStatus } = attendance.$locals;
+            if (!previousStatus) summary.created++;
+            else if (previousStatus === entry.status) summary.unchanged++;
+            else summary.updated++;
+        }
+
+        console.log(`📋 Attendance sheet imported for ${details.subjectCode}: ${summary.created} created, ${summary.updated} updated, ${errors.length} errors`);
+
+        res.json({
+            success: true,
+            message: 'Attendance sheet imported',
+            data: {
+                subject,
+                subjectCode: details.subjectCode,
+                sessions: classes.map(({ column }) => {
+                    const session = sessionByColumn.get(column);
+                    return { id: session._id, date: toDateKey(session.date), period: session.period };
+                }),
+                ...summary,
+                errors
+            }
+        });
+
+    } catch (error) {
+        console.error('Import attendance sheet error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error importing attendance sheet'
+        });
+    } finally {
+        if (fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+    }
+};
+
+/**
+ * Export the month-wise attendance register for one subject
+ * GET /api/teacher/attendance/register?subject=&month=YYYY-MM&semester=&format=xlsx|csv
+ */
+const exportAttendanceRegister = async (req, res) => {
+    try {
+        const { subject, subjectCode, month, semester, format } = req.query;
+
+        if (!subject && !subjectCode) {
+            return res.status(400).json({
+                success: false,
+                message: 'Subject or subject code is required'
+            });
+        }
+
+        const monthMatch = String(month || '').match(/^(\d{4})-(\d{2})$/);
+        if (!monthMatch) {
+            return res.status(400).json({
+                success: false,
+                message: 'Month must be in format YYYY-MM'
+            });
+        }
+
+        const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId })
+            .populate({
+                path: 'assignedStudents',
+                select: 'rollNumber semester userId',
+                populate: { path: 'userId', select: 'name' }
+            });
+
+        if (!facultyProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Faculty profile not found'
+            });
+        }
+
+        const code = subjectCode || subject.toUpperCase().replace(/\s+/g, '');
+        const year = Number(monthMatch[1]);
+        const monthIndex = Number(monthMatch[2]) - 1;
+
+        const query = {
+            facultyId: facultyProfile._id,
+            subjectCode: code,
+            date: {
+                $gte: new Date(Date.UTC(year, monthIndex, 1)),
+                $lt: new Date(Date.UTC(year, monthIndex + 1, 1))
+            }
+        };
+        if (semester) query.semester = parseInt(semester);
+
+        const [sessions, records] = await Promise.all([
+            ClassSession.find(query).select('date period'),
+            Attendance.find(query).select('studentId sessionId date status')
+        ]);
+
+        const students = [...facultyProfile.assignedStudents]
+            .filter(student => !semester || student.semester === parseInt(semester))
+            .sort((a, b) => a.rollNumber.localeCompare(b.rollNumber));
+
+        const { buffer, contentType, extension } = writeRegister(
+            buildRegisterRows(students, sessions, records),
+            format === 'csv' ? 'csv' : 'xlsx'
+        );
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename=attendance_${code}_${month}.${extension}`);
+        res.send(buffer);
+
+    } catch (error) {
+        console.error('Export attendance register error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error exporting attendance register'
+        });
+    }
+};
+
+/**
+ * Attendance shortage report for a subject, over the teacher's assigned students
+ * GET /api/teacher/attendance/shortage?subjectCode=&semester=&academicYear=&includeEligible=
+ */
+const getAttendanceShortage = async (req, res) => {
+    try {
+        const { subjectCode, semester, academicYear, includeEligible } = req.query;
+
+        if (!subjectCode || !semester || !academicYear) {
+            return res.status(400).json({
+                success: false,
+                message: 'Subject code, semester and academic year are required'
+            });
+        }
+
+        const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId })
+            .populate({
+                path: 'assignedStudents',
+                select: 'rollNumber course semester userId',
+                populate: { path: 'userId', select: 'name email' }
+            });
+
+        if (!facultyProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Faculty profile not found'
+            });
+        }
+
+        const report = await getSubjectShortageReport(facultyProfile.assignedStudents, { subjectCode, semester, academicYear }, {
+            includeEligible: includeEligible === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('Get attendance shortage error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error generating shortage report'
+        });
+    }
+};
+
+// Condonation requests a teacher may review: their assigned students, in subjects they hold classes for
+const getReviewableCondonationQuery = async (facultyProfile) => {
+    const subjectCodes = await ClassSession.distinct('subjectCode', { facultyId: facultyProfile._id });
+    return {
+        studentId: { $in: facultyProfile.assignedStudents },
+        subjectCode: { $in: subjectCodes }
+    };
+};
+
+/**
+ * Get condonation requests for review
+ * GET /api/teacher/condonation-requests?status=
+ */
+const getCondonationRequests = async (req, res) => {
+    try {
+        const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId });
+        if (!facultyProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Faculty profile not found'
+            });
+        }
+
+        const query = await getReviewableCondonationQuery(facultyProfile);
+        if (req.query.status) query.status = req.query.status;
+
+        const requests = await CondonationRequest.find(query)
+            .populate({
+                path: 'studentId',
+                select: 'rollNumber userId',
+                populate: { path: 'userId', select: 'name email' }
+            })
+            .populate('leaveIds', 'leaveType fromDate toDate totalDays reason')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: requests.map(request => ({
+                id: request._id,
+                studentName: request.studentId?.userId?.name,
+                rollNumber: request.studentId?.rollNumber,
+                subject: request.subject,
+                subjectCode: request.subjectCode,
+                semester: request.semester,
+                academicYear: request.academicYear,
+                reason: request.reason,
+                percentageAtRequest: request.percentageAtRequest,
+                leaves: request.leaveIds,
+                status: request.status,
+                reviewComments: request.reviewComments,
+                createdAt: request.createdAt
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get condonation requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching condonation requests'
+        });
+    }
+};
+
+/**
+ * Approve/Reject a condonation request
+ * PATCH /api/teacher/condonation-request/:id/review
+ */
+const reviewCondonation = async (req, res) => {
+    try {
+        const { status, comments } = req.body;
+
+        const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId });
+        if (!facultyProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Faculty profile not found'
+            });
+        }
+
+        const query = await getReviewableCondonationQuery(facultyProfile);
+        const request = await CondonationRequest.findOne({ _id: req.params.id, ...query });
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Condonation request not found'
+            });
+        }
+
+        await reviewCondonationRequest(request, { status, comments, reviewerId: req.user.userId });
+
+        res.json({
+            success: true,
+            message: `Condonation request ${status} successfully`,
+            data: {
+                id: request._id,
+                status: request.status,
+                reviewComments: request.reviewComments,
+                reviewDate: request.reviewDate,
+                excusedClasses: request.excusedAttendance.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Review condonation error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error reviewing condonation request'
+        });
+    }
+};
+
+/**
+ * Get course registrations in windows the teacher advises
+ * GET /api/teacher/course-registrations?status=
+ */
+const getCourseRegistrations = async (req, res) => {
+    try {
+        const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId });
+        if (!facultyProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Faculty profile not found'
+            });
+        }
+
+        const windowIds = await RegistrationWindow.distinct('_id', { advisors: facultyProfile._id });
+        const query = { windowId: { $in: windowIds } };
+        if (req.query.status) query.status = req.query.status;
+
+        const registrations = await CourseRegistration.find(query)
+            .populate({
+                path: 'studentId',
+                select: 'rollNumber course semester userId',
+                populate: { path: 'userId', select: 'name email' }
+            })
+            .populate('windowId', 'title course semester academicYear minCredits maxCredits')
+            .sort({ submittedAt: -1 });
+
+        res.json({
+            success: true,
+            data: registrations.map(registration => ({
+                id: registration._id,
+                studentName: registration.studentId?.userId?.name,
+                rollNumber: registration.studentId?.rollNumber,
+                window: registration.windowId,
+                subjects: registration.subjects,
+                totalCredits: registration.totalCredits,
+                status: registration.status,
+                reviewComments: registration.reviewComments,
+                submittedAt: registration.submittedAt
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get course registrations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching course registrations'
+        });
+    }
+};
+
+/**
+ * Approve/Reject a course registration as faculty advisor
+ * PATCH /api/teacher/course-registration/:id/review
+ * Approval fills the student's selected courses and adds them to each subject's faculty
+ */
+const reviewCourseRegistration = async (req, res) => {
+    try {
+        const { status, comments } = req.body;
+
+        const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId });
+        if (!facultyProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Faculty profile not found'
+            });
+        }
+
+        const windowIds = await RegistrationWindow.distinct('_id', { advisors: facultyProfile._id });
+        const registration = await CourseRegistration.findOne({ _id: req.params.id, windowId: { $in: windowIds } });
+        if (!registration) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course registration not found'
+            });
+        }
+
+        await reviewRegistration(registration, { status, comments, reviewerId: req.user.userId });
+
+        res.json({
+            success: true,
+            message: `Course registration ${status} successfully`,
+            data: {
+                id: registration._id,
+                status: registration.status,
+                reviewComments: registration.reviewComments,
+                reviewDate: registration.reviewDate
+            }
+        });
+
+    } catch (error) {
+        console.error('Review course registration error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error reviewing course registration'
+        });
+    }
+};
+
 /**
  * Add/Update student marks
  * POST /api/teacher/marks
@@ -224,6 +945,9 @@ const updateMarks = async (req, res) => {
             await marks.save();
         }
         
+        // Roll the component into the subject result if the subject has an assessment plan
+        await recompileForMarks(marks);
+        
         // Update student CGPA
         const studentProfile = await StudentProfile.findById(studentId);
         if (studentProfile) {
@@ -340,6 +1064,7 @@ const reviewLeaveApplication = async (req, res) => {
             });
         }
         
+        const previousStatus = leave.status;
         leave.status = status;
         leave.reviewComments = comments;
         leave.reviewedBy = req.user.userId;
@@ -347,6 +1072,9 @@ const reviewLeaveApplication = async (req, res) => {
         
         await leave.save();
         
+        // Excuse absences on approval, restore them if an approved leave is rejected
+        const attendance = await syncLeaveAttendance(leave, previousStatus);
+        
         res.json({
             success: true,
             message: `Leave application ${status} successfully`,
@@ -354,7 +1082,8 @@ const reviewLeaveApplication = async (req, res) => {
                 id: leave._id,
                 status: leave.status,
                 reviewComments: leave.reviewComments,
-                reviewDate: leave.reviewDate
+                reviewDate: leave.reviewDate,
+                attendance
             }
         });
         
@@ -465,37 +1194,89 @@ const getTeacherNotices = async (req, res) => {
  * POST /api/teacher/resource
  */
 const uploadResource = async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please upload a resource file'
+        });
+    }
+
     try {
-        const { title, description, subject, subjectCode, resourceType, semester, targetGroup } = req.body;
-        
+        const {
+            title, description, subject, subjectCode, resourceType, semester,
+            academicYear, targetGroup, tags, isPublic, expiryDate
+        } = req.body;
+
         // Get faculty profile
         const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId });
         if (!facultyProfile) {
+            await removeStoredFile(req.file);
             return res.status(404).json({
                 success: false,
                 message: 'Faculty profile not found'
             });
         }
-        
+
+        if (!title || !subject || !subjectCode) {
+            await removeStoredFile(req.file);
+            return res.status(400).json({
+                success: false,
+                message: 'Title, subject and subject code are required'
+            });
+        }
+
+        // Multer enforces the upper limit; make sure what reached storage is complete
+        const stored = await statStoredFile(req.file);
+        if (!stored || req.file.size === 0 || stored.size !== req.file.size) {
+            await removeStoredFile(req.file);
+            return res.status(400).json({
+                success: false,
+                message: req.file.size === 0 ? 'Uploaded file is empty' : 'File upload was incomplete'
+            });
+        }
+
+        // Multipart fields arrive as strings
+        let audience = targetGroup || { allStudents: true };
+        if (typeof audience === 'string') {
+            try {
+                audience = JSON.parse(audience);
+            } catch (parseError) {
+                await removeStoredFile(req.file);
+                return res.status(400).json({
+                    success: false,
+                    message: 'targetGroup must be valid JSON'
+                });
+            }
+        }
+
+        const currentYear = new Date().getFullYear();
+
         const resource = new Resource({
             facultyId: facultyProfile._id,
             title,
             description,
             subject,
             subjectCode,
-            resourceType: resourceType || 'document',
+            resourceType: resourceType || 'other',
             semester: semester || 1,
-            targetGroup: targetGroup || { allStudents: true },
-            // Note: File upload handling would be implemented with multer middleware
-            fileUrl: '/uploads/placeholder.pdf', // Placeholder for now
-            originalName: title + '.pdf',
-            mimeType: 'application/pdf',
-            fileSize: 1024,
+            academicYear: academicYear || `${currentYear}-${currentYear + 1}`,
+            targetGroup: audience,
+            tags: typeof tags === 'string' ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : tags,
+            isPublic: isPublic === true || isPublic === 'true',
+            expiryDate: expiryDate || undefined,
+            filename: req.file.filename,
+            originalName: req.file.originalname,
+            mimeType: req.file.mimetype,
+            fileSize: req.file.size,
+            storageKey: req.file.storageKey,
+            storageBackend: req.file.storageBackend,
+            checksum: req.file.checksum,
             uploadDate: new Date()
         });
-        
+        resource.fileUrl = `/api/student/resource/${resource._id}/download`;
+
         await resource.save();
-        
+
         res.status(201).json({
             success: true,
             message: 'Resource uploaded successfully',
@@ -503,12 +1284,25 @@ const uploadResource = async (req, res) => {
                 id: resource._id,
                 title: resource.title,
                 subject: resource.subject,
+                fileUrl: resource.fileUrl,
+                originalName: resource.originalName,
+                fileSize: resource.fileSize,
+                mimeType: resource.mimeType,
+                checksum: resource.checksum,
                 uploadDate: resource.uploadDate
             }
         });
-        
+
     } catch (error) {
         console.error('Upload resource error:', error);
+        await removeStoredFile(req.file);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Error uploading resource'
@@ -576,7 +1370,7 @@ const deleteResource = async (req, res) => {
             });
         }
         
-        const resource = await Resource.findOne({ _id: id, facultyId: facultyProfile._id });
+        const resource = await Resource.findOne({ _id: id, facultyId: facultyProfile._id }).select('+storageKey');
         if (!resource) {
             return res.status(404).json({
                 success: false,
@@ -586,6 +1380,9 @@ const deleteResource = async (req, res) => {
         
         await Resource.findByIdAndDelete(id);
         
+        // Remove the stored file along with the record
+        await removeStoredFile(resource);
+        
         res.json({
             success: true,
             message: 'Resource deleted successfully'
@@ -703,10 +1500,188 @@ const getStudentMarks = async (req, res) => {
     }
 };
 
+/**
+ * Create or replace the assessment plan for a subject
+ * POST /api/teacher/assessment-plan
+ */
+const saveAssessmentPlan = async (req, res) => {
+    try {
+        const { subject, subjectCode, semester, academicYear, credits, components } = req.body;
+        
+        if (!subject || !semester || !academicYear || !Array.isArray(components) || components.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Subject, semester, academicYear and at least one component are required'
+            });
+        }
+        
+        // Get faculty profile
+        const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId });
+        if (!facultyProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Faculty profile not found'
+            });
+        }
+        
+        const code = subjectCode || subject.toUpperCase().replace(/\s+/g, '');
+        let plan = await AssessmentPlan.findOne({ subjectCode: code, semester, academicYear });
+        
+        if (plan && !plan.facultyId.equals(facultyProfile._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This subject\'s assessment plan belongs to another faculty member'
+            });
+        }
+        
+        if (!plan) {
+            plan = new AssessmentPlan({
+                facultyId: facultyProfile._id,
+                subjectCode: code,
+                semester,
+                academicYear,
+                createdBy: req.user.userId
+            });
+        }
+        
+        plan.subject = subject;
+        plan.credits = credits || plan.credits;
+        plan.components = components;
+        await plan.save();
+        
+        // Existing component marks are rolled up under the new weights
+        const results = await compilePlanResults(plan);
+        
+        res.json({
+            success: true,
+            message: 'Assessment plan saved successfully',
+            data: {
+                plan,
+                compiledResults: results.length
+            }
+        });
+        
+    } catch (error) {
+        console.error('Save assessment plan error:', error);
+        
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Error saving assessment plan'
+        });
+    }
+};
+
+/**
+ * Get teacher's assessment plans
+ * GET /api/teacher/assessment-plans
+ */
+const getAssessmentPlans = async (req, res) => {
+    try {
+        const { semester, academicYear } = req.query;
+        
+        // Get faculty profile
+        const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId });
+        if (!facultyProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Faculty profile not found'
+            });
+        }
+        
+        const query = { facultyId: facultyProfile._id };
+        if (semester) query.semester = parseInt(semester);
+        if (academicYear) query.academicYear = academicYear;
+        
+        const plans = await AssessmentPlan.find(query).sort({ academicYear: -1, semester: 1, subject: 1 });
+        
+        res.json({
+            success: true,
+            data: plans
+        });
+        
+    } catch (error) {
+        console.error('Get assessment plans error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching assessment plans'
+        });
+    }
+};
+
+/**
+ * Recompile final subject results for an assessment plan
+ * POST /api/teacher/assessment-plan/:id/compile
+ */
+const compileAssessmentPlan = async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Get faculty profile
+        const facultyProfile = await FacultyProfile.findOne({ userId: req.user.userId });
+        if (!facultyProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Faculty profile not found'
+            });
+        }
+        
+        const plan = await AssessmentPlan.findOne({ _id: id, facultyId: facultyProfile._id });
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assessment plan not found or access denied'
+            });
+        }
+        
+        const results = await compilePlanResults(plan);
+        
+        res.json({
+            success: true,
+            message: `Compiled results for ${results.length} students`,
+            data: results.map(result => ({
+                studentId: result.studentId,
+                subject: result.subject,
+                internalScore: result.internalScore,
+                externalScore: result.externalScore,
+                totalScore: result.totalScore,
+                grade: result.grade,
+                gradePoints: result.gradePoints,
+                credits: result.credits,
+                isComplete: result.isComplete,
+                isPublished: result.isPublished
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Compile assessment plan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error compiling subject results'
+        });
+    }
+};
+
 module.exports = {
     getTeacherProfile,
     getAllStudents,
     updateAttendance,
+    saveClassSession,
+    getClassSessions,
+    getClassSession,
+    importAttendanceSheet,
+    exportAttendanceRegister,
+    getAttendanceShortage,
+    getCondonationRequests,
+    reviewCondonation,
+    getCourseRegistrations,
+    reviewCourseRegistration,
     updateMarks,
     getLeaveApplications,
     reviewLeaveApplication,
@@ -716,5 +1691,8 @@ module.exports = {
     getTeacherResources,
     deleteResource,
     getStudentAttendance,
-    getStudentMarks
+    getStudentMarks,
+    saveAssessmentPlan,
+    getAssessmentPlans,
+    compileAssessmentPlan
 };
\ No newline at end of file
@@ -0,0 +1,677 @@
+const Period = require('../models/Period');
+const Room = require('../models/Room');
+const Section = require('../models/Section');
+const Timetable = require('../models/Timetable');
+const TimetableEntry = require('../models/TimetableEntry');
+const StudentProfile = require('../models/StudentProfile');
+const FacultyProfile = require('../models/FacultyProfile');
+const { canViewStudent } = require('../services/courseRosterService');
+const {
+    findAllClashes,
+    saveEntry,
+    checkTimetableDates,
+    getTimetableGrid,
+    getStudentTimetable,
+    getFacultyTimetable,
+    createCalendarToken,
+    verifyCalendarToken,
+    buildCalendar
+} = require('../services/timetableService');
+
+const PERIOD_FIELDS = ['number', 'label', 'startTime', 'endTime'];
+const ROOM_FIELDS = ['code', 'name', 'building', 'capacity', 'roomType', 'isActive'];
+const SECTION_FIELDS = ['name', 'course', 'semester', 'academicYear', 'students'];
+const TIMETABLE_FIELDS = ['department', 'semester', 'academicYear', 'startsOn', 'endsOn', 'isPublished'];
+const ENTRY_FIELDS = ['sectionId', 'day', 'period', 'span', 'subjectCode', 'subjectName', 'facultyId', 'roomId', 'classType'];
+
+const assignFields = (doc, body, fields) => {
+    fields.forEach(field => {
+        if (body[field] !== undefined) doc[field] = body[field];
+    });
+};
+
+// Service errors carry their status; duplicates and schema errors are the client's
+const sendError = (res, error, fallback, duplicateMessage) => {
+    const isDuplicate = error.code === 11000;
+    res.status(error.statusCode || (isDuplicate || error.name === 'ValidationError' ? 400 : 500)).json({
+        success: false,
+        message: error.statusCode
+            ? error.message
+            : isDuplicate ? duplicateMessage : fallback,
+        ...(error.clashes && { clashes: error.clashes }),
+        error: error.message
+    });
+};
+
+// Whether any entry covers the period, including as a later period of a longer class
+const periodInUse = (number) => TimetableEntry.exists({
+    period: { $lte: number },
+    $expr: { $gte: [{ $add: ['$period', '$span', -1] }, number] }
+});
+
+const notFound = (res, what) => res.status(404).json({
+    success: false,
+    message: `${what} not found`
+});
+
+// Get all periods of the day
+const getPeriods = async (req, res) => {
+    try {
+        const periods = await Period.find().sort({ number: 1 });
+        res.json({ success: true, data: periods });
+    } catch (error) {
+        console.error('Get periods error:', error);
+        sendError(res, error, 'Failed to fetch periods');
+    }
+};
+
+// Create a period
+const createPeriod = async (req, res) => {
+    try {
+        const period = new Period();
+        assignFields(period, req.body, PERIOD_FIELDS);
+        await period.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Period created successfully',
+            data: period
+        });
+    } catch (error) {
+        console.error('Create period error:', error);
+        sendError(res, error, 'Failed to create period', 'A period with this number already exists');
+    }
+};
+
+// Update a period's times or label; its number is what entries refer to
+const updatePeriod = async (req, res) => {
+    try {
+        const period = await Period.findById(req.params.id);
+        if (!period) return notFound(res, 'Period');
+
+        if (req.body.number !== undefined && Number(req.body.number) !== period.number &&
+            await periodInUse(period.number)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Period number cannot change while timetable entries use it'
+            });
+        }
+
+        assignFields(period, req.body, PERIOD_FIELDS);
+        await period.save();
+
+        res.json({
+            success: true,
+            message: 'Period updated successfully',
+            data: period
+        });
+    } catch (error) {
+        console.error('Update period error:', error);
+        sendError(res, error, 'Failed to update period', 'A period with this number already exists');
+    }
+};
+
+// Delete a period no entry uses
+const deletePeriod = async (req, res) => {
+    try {
+        const period = await Period.findById(req.params.id);
+        if (!period) return notFound(res, 'Period');
+
+        if (await periodInUse(period.number)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Period is used by timetable entries'
+            });
+        }
+
+        await period.deleteOne();
+        res.json({ success: true, message: 'Period deleted successfully' });
+    } catch (error) {
+        console.error('Delete period error:', error);
+        sendError(res, error, 'Failed to delete period');
+    }
+};
+
+// Get rooms, optionally by building, type or whether in use
+const getRooms = async (req, res) => {
+    try {
+        const { building, roomType, isActive } = req.query;
+        const filter = {};
+        if (building) filter.building = building;
+        if (roomType) filter.roomType = roomType;
+        if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+        const rooms = await Room.find(filter).sort({ code: 1 });
+        res.json({ success: true, data: rooms });
+    } catch (error) {
+        console.error('Get rooms error:', error);
+        sendError(res, error, 'Failed to fetch rooms');
+    }
+};
+
+// Create a room
+const createRoom = async (req, res) => {
+    try {
+        const room = new Room();
+        assignFields(room, req.body, ROOM_FIELDS);
+        await room.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Room created successfully',
+            data: room
+        });
+    } catch (error) {
+        console.error('Create room error:', error);
+        sendError(res, error, 'Failed to create room', 'A room with this code already exists');
+    }
+};
+
+// Update a room; set isActive false to stop new classes being placed in it
+const updateRoom = async (req, res) => {
+    try {
+        const room = await Room.findById(req.params.id);
+        if (!room) return notFound(res, 'Room');
+
+        assignFields(room, req.body, ROOM_FIELDS);
+        await room.save();
+
+        res.json({
+            success: true,
+            message: 'Room updated successfully',
+            data: room
+        });
+    } catch (error) {
+        console.error('Update room error:', error);
+        sendError(res, error, 'Failed to update room', 'A room with this code already exists');
+    }
+};
+
+// Delete a room no entry uses
+const deleteRoom = async (req, res) => {
+    try {
+        const room = await Room.findById(req.params.id);
+        if (!room) return notFound(res, 'Room');
+
+        if (await TimetableEntry.exists({ roomId: room._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Room is used by timetable entries; mark it inactive instead'
+            });
+        }
+
+        await room.deleteOne();
+        res.json({ success: true, message: 'Room deleted successfully' });
+    } catch (error) {
+        console.error('Delete room error:', error);
+        sendError(res, error, 'Failed to delete room');
+    }
+};
+
+// Get sections, optionally by course, semester or academic year
+const getSections = async (req, res) => {
+    try {
+        const { course, semester, academicYear } = req.query;
+        const filter = {};
+        if (course) filter.course = course;
+        if (semester) filter.semester = parseInt(semester);
+        if (academicYear) filter.academicYear = academicYear;
+
+        const sections = await Section.find(filter).sort({ course: 1, semester: 1, name: 1 });
+        res.json({ success: true, data: sections });
+    } catch (error) {
+        console.error('Get sections error:', error);
+        sendError(res, error, 'Failed to fetch sections');
+    }
+};
+
+// Create a section: a whole cohort, or a named list of students
+const createSection = async (req, res) => {
+    try {
+        const section = new Section();
+        assignFields(section, req.body, SECTION_FIELDS);
+
+        const students = await StudentProfile.countDocuments({ _id: { $in: section.students } });
+        if (students !== section.students.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'One or more students not found'
+            });
+        }
+
+        await section.save();
+        res.status(201).json({
+            success: true,
+            message: 'Section created successfully',
+            data: section
+        });
+    } catch (error) {
+        console.error('Create section error:', error);
+        sendError(res, error, 'Failed to create section', 'A section with this name already exists for the course, semester and year');
+    }
+};
+
+// Update a section; new members may clash with classes of their other sections
+const updateSection = async (req, res) => {
+    try {
+        const section = await Section.findById(req.params.id);
+        if (!section) return notFound(res, 'Section');
+
+        const inUse = await TimetableEntry.exists({ sectionId: section._id });
+        const movesScope = ['course', 'semester', 'academicYear']
+            .some(field => req.body[field] !== undefined && String(req.body[field]) !== String(section[field]));
+        if (movesScope && inUse) {
+            return res.status(400).json({
+                success: false,
+                message: 'Course, semester and academic year cannot change while timetable entries use the section'
+            });
+        }
+
+        assignFields(section, req.body, SECTION_FIELDS);
+
+        const students = await StudentProfile.countDocuments({ _id: { $in: section.students } });
+        if (students !== section.students.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'One or more students not found'
+            });
+        }
+
+        await section.save();
+
+        // Membership is not checked per entry, so report what the change caused
+        const clashes = inUse && req.body.students !== undefined
+            ? (await findAllClashes({ academicYear: section.academicYear }))
+                .filter(clash => clash.types.includes('section') &&
+                    clash.entries.some(entry => entry.sectionId === section._id.toString()))
+            : [];
+
+        res.json({
+            success: true,
+            message: clashes.length > 0
+                ? 'Section updated; some of its students now have clashing classes'
+                : 'Section updated successfully',
+            data: section,
+            clashes
+        });
+    } catch (error) {
+        console.error('Update section error:', error);
+        sendError(res, error, 'Failed to update section', 'A section with this name already exists for the course, semester and year');
+    }
+};
+
+// Delete a section no entry uses
+const deleteSection = async (req, res) => {
+    try {
+        const section = await Section.findById(req.params.id);
+        if (!section) return notFound(res, 'Section');
+
+        if (await TimetableEntry.exists({ sectionId: section._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Section is used by timetable entries'
+            });
+        }
+
+        await section.deleteOne();
+        res.json({ success: true, message: 'Section deleted successfully' });
+    } catch (error) {
+        console.error('Delete section error:', error);
+        sendError(res, error, 'Failed to delete section');
+    }
+};
+
+// Get timetables, optionally by department, semester or academic year
+const getTimetables = async (req, res) => {
+    try {
+        const { department, semester, academicYear } = req.query;
+        const filter = {};
+        if (department) filter.department = department;
+        if (semester) filter.semester = parseInt(semester);
+        if (academicYear) filter.academicYear = academicYear;
+
+        const timetables = await Timetable.find(filter).sort({ academicYear: -1, department: 1, semester: 1 });
+        res.json({ success: true, data: timetables });
+    } catch (error) {
+        console.error('Get timetables error:', error);
+        sendError(res, error, 'Failed to fetch timetables');
+    }
+};
+
+// Create an empty timetable for a department and semester
+const createTimetable = async (req, res) => {
+    try {
+        const timetable = new Timetable({ createdBy: req.user.userId, updatedBy: req.user.userId });
+        assignFields(timetable, req.body, TIMETABLE_FIELDS);
+        await timetable.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Timetable created successfully',
+            data: timetable
+        });
+    } catch (error) {
+        console.error('Create timetable error:', error);
+        sendError(res, error, 'Failed to create timetable', 'A timetable already exists for this department/semester/year');
+    }
+};
+
+// Get a timetable as a weekly grid
+const getTimetable = async (req, res) => {
+    try {
+        const timetable = await Timetable.findById(req.params.id);
+        if (!timetable) return notFound(res, 'Timetable');
+
+        res.json({ success: true, data: await getTimetableGrid(timetable) });
+    } catch (error) {
+        console.error('Get timetable error:', error);
+        sendError(res, error, 'Failed to fetch timetable');
+    }
+};
+
+// Update a timetable; publish it by setting isPublished
+const updateTimetable = async (req, res) => {
+    try {
+        const timetable = await Timetable.findById(req.params.id);
+        if (!timetable) return notFound(res, 'Timetable');
+
+        const movesScope = ['semester', 'academicYear']
+            .some(field => req.body[field] !== undefined && String(req.body[field]) !== String(timetable[field]));
+        if (movesScope && await TimetableEntry.exists({ timetableId: timetable._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Semester and academic year cannot change once the timetable has entries'
+            });
+        }
+
+        const movesDates = ['startsOn', 'endsOn'].some(field => req.body[field] !== undefined);
+        assignFields(timetable, req.body, TIMETABLE_FIELDS);
+        timetable.updatedBy = req.user.userId;
+
+        // Longer dates can run into other timetables' classes
+        if (movesDates) await checkTimetableDates(timetable);
+        await timetable.save();
+
+        res.json({
+            success: true,
+            message: 'Timetable updated successfully',
+            data: timetable
+        });
+    } catch (error) {
+        console.error('Update timetable error:', error);
+        sendError(res, error, 'Failed to update timetable', 'A timetable already exists for this department/semester/year');
+    }
+};
+
+// Delete a timetable and its entries
+const deleteTimetable = async (req, res) => {
+    try {
+        const timetable = await Timetable.findById(req.params.id);
+        if (!timetable) return notFound(res, 'Timetable');
+
+        await TimetableEntry.deleteMany({ timetableId: timetable._id });
+        await timetable.deleteOne();
+
+        res.json({ success: true, message: 'Timetable deleted successfully' });
+    } catch (error) {
+        console.error('Delete timetable error:', error);
+        sendError(res, error, 'Failed to delete timetable');
+    }
+};
+
+// Add a class to a timetable; refused with the clashes if faculty, room or students are busy
+const addEntry = async (req, res) => {
+    try {
+        const timetable = await Timetable.findById(req.params.id);
+        if (!timetable) return notFound(res, 'Timetable');
+
+        const entry = new TimetableEntry({ timetableId: timetable._id });
+        assignFields(entry, req.body, ENTRY_FIELDS);
+        await entry.validate();
+        await saveEntry(entry, timetable);
+
+        res.status(201).json({
+            success: true,
+            message: 'Class added to timetable',
+            data: entry
+        });
+    } catch (error) {
+        console.error('Add timetable entry error:', error);
+        sendError(res, error, 'Failed to add class to timetable');
+    }
+};
+
+// Move or change a class; checked for clashes like a new one
+const updateEntry = async (req, res) => {
+    try {
+        const entry = await TimetableEntry.findById(req.params.entryId);
+        if (!entry) return notFound(res, 'Timetable entry');
+
+        const timetable = await Timetable.findById(entry.timetableId);
+        assignFields(entry, req.body, ENTRY_FIELDS);
+        await entry.validate();
+        await saveEntry(entry, timetable);
+
+        res.json({
+            success: true,
+            message: 'Timetable entry updated successfully',
+            data: entry
+        });
+    } catch (error) {
+        console.error('Update timetable entry error:', error);
+        sendError(res, error, 'Failed to update timetable entry');
+    }
+};
+
+// Remove a class from a timetable
+const deleteEntry = async (req, res) => {
+    try {
+        const entry = await TimetableEntry.findByIdAndDelete(req.params.entryId);
+        if (!entry) return notFound(res, 'Timetable entry');
+
+        res.json({ success: true, message: 'Timetable entry deleted successfully' });
+    } catch (error) {
+        console.error('Delete timetable entry error:', error);
+        sendError(res, error, 'Failed to delete timetable entry');
+    }
+};
+
+// Every faculty, room and student-group clash, e.g. after sections were edited
+const getClashes = async (req, res) => {
+    try {
+        const { academicYear, department, semester } = req.query;
+        const clashes = await findAllClashes({ academicYear, department, semester });
+
+        res.json({
+            success: true,
+            data: {
+                total: clashes.length,
+                clashes
+            }
+        });
+    } catch (error) {
+        console.error('Get timetable clashes error:', error);
+        sendError(res, error, 'Failed to check timetable clashes');
+    }
+};
+
+// Get a student's weekly timetable (students see only their own)
+const getStudentTimetableById = async (req, res) => {
+    try {
+        const student = await StudentProfile.findById(req.params.id);
+        if (!student) return notFound(res, 'Student');
+
+        if (!canViewStudent(student, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Students can only view their own timetable.'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await getStudentTimetable(student, { academicYear: req.query.academicYear })
+        });
+    } catch (error) {
+        console.error('Get student timetable error:', error);
+        sendError(res, error, 'Failed to fetch student timetable');
+    }
+};
+
+// Get a faculty member's weekly timetable (faculty and admins)
+const getFacultyTimetableById = async (req, res) => {
+    try {
+        const faculty = await FacultyProfile.findById(req.params.id);
+        if (!faculty) return notFound(res, 'Faculty');
+
+        res.json({
+            success: true,
+            data: await getFacultyTimetable(faculty, { academicYear: req.query.academicYear })
+        });
+    } catch (error) {
+        console.error('Get faculty timetable error:', error);
+        sendError(res, error, 'Failed to fetch faculty timetable');
+    }
+};
+
+// The signed-in student's or faculty member's profile, as a calendar owner
+const getOwnProfile = async (user) => {
+    const Profile = user.role === 'student' ? StudentProfile : FacultyProfile;
+    const profile = ['student', 'faculty'].includes(user.role)
+        ? await Profile.findOne({ userId: user.userId })
+        : null;
+    if (!profile) {
+        const error = new Error('Only students and faculty have a timetable');
+        error.statusCode = 404;
+        throw error;
+    }
+    return { type: user.role, profile };
+};
+
+// Get the signed-in student's or faculty member's weekly timetable
+const getMyTimetable = async (req, res) => {
+    try {
+        const { type, profile } = await getOwnProfile(req.user);
+        const filters = { academicYear: req.query.academicYear };
+
+        res.json({
+            success: true,
+            data: type === 'student'
+                ? await getStudentTimetable(profile, filters)
+                : await getFacultyTimetable(profile, filters)
+        });
+    } catch (error) {
+        console.error('Get my timetable error:', error);
+        sendError(res, error, 'Failed to fetch timetable');
+    }
+};
+
+// Subscription URLs of a calendar owner's current feed token
+const calendarLink = (req, owner) => {
+    const path = `${req.baseUrl}/calendar/${createCalendarToken(owner)}`;
+    return {
+        url: `${req.protocol}://${req.get('host')}${path}`,
+        webcal: `webcal://${req.get('host')}${path}`
+    };
+};
+
+// Get a calendar subscription URL for the signed-in user's timetable
+const getCalendarLink = async (req, res) => {
+    try {
+        const owner = await getOwnProfile(req.user);
+
+        res.json({
+            success: true,
+            data: calendarLink(req, owner)
+        });
+    } catch (error) {
+        console.error('Get calendar link error:', error);
+        sendError(res, error, 'Failed to create calendar link');
+    }
+};
+
+// Revoke the signed-in user's calendar links and return a new one
+const resetCalendarLink = async (req, res) => {
+    try {
+        const owner = await getOwnProfile(req.user);
+        owner.profile.calendarTokenVersion = (owner.profile.calendarTokenVersion || 0) + 1;
+        await owner.profile.save();
+
+        res.json({
+            success: true,
+            message: 'Calendar link reset. Calendars subscribed with the old link stop updating.',
+            data: calendarLink(req, owner)
+        });
+    } catch (error) {
+        console.error('Reset calendar link error:', error);
+        sendError(res, error, 'Failed to reset calendar link');
+    }
+};
+
+// iCalendar feed behind a subscription URL; the token in the URL is the credential
+const getCalendarFeed = async (req, res) => {
+    try {
+        let owner;
+        try {
+            owner = verifyCalendarToken(req.params.token);
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid calendar link'
+            });
+        }
+
+        const isStudent = owner.type === 'student';
+        const profile = isStudent
+            ? await StudentProfile.findById(owner.profileId).populate('userId', 'name isActive')
+            : await FacultyProfile.findById(owner.profileId).populate('userId', 'name isActive');
+        if (!profile || !profile.userId?.isActive) return notFound(res, 'Calendar');
+        if (owner.version !== (profile.calendarTokenVersion || 0)) {
+            return res.status(401).json({
+                success: false,
+                message: 'This calendar link has been reset'
+            });
+        }
+
+        const timetable = isStudent
+            ? await getStudentTimetable(profile)
+            : await getFacultyTimetable(profile);
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="timetable.ics"');
+        res.send(buildCalendar(timetable, { name: `Timetable - ${profile.userId.name}` }));
+    } catch (error) {
+        console.error('Get calendar feed error:', error);
+        sendError(res, error, 'Failed to build calendar');
+    }
+};
+
+module.exports = {
+    getPeriods,
+    createPeriod,
+    updatePeriod,
+    deletePeriod,
+    getRooms,
+    createRoom,
+    updateRoom,
+    deleteRoom,
+    getSections,
+    createSection,
+    updateSection,
+    deleteSection,
+    getTimetables,
+    createTimetable,
+    getTimetable,
+    updateTimetable,
+    deleteTimetable,
+    addEntry,
+    updateEntry,
+    deleteEntry,
+    getClashes,
+    getStudentTimetableById,
+    getFacultyTimetableById,
+    getMyTimetable,
+    getCalendarLink,
+    resetCalendarLink,
+    getCalendarFeed
+};
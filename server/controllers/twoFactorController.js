@@ -0,0 +1,188 @@
+const {
+    supportsTwoFactor,
+    findUserWithSecrets,
+    generateRecoveryCodes,
+    startEnrolment,
+    confirmEnrolment,
+    verifySecondFactor,
+    clearTwoFactor,
+    isTwoFactorRequired
+} = require('../services/twoFactorService');
+const { securityLogger } = require('../middleware/logger');
+
+const sendError = (res, error, fallback) => {
+    if (!error.statusCode) console.error(`${fallback}:`, error);
+    res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : fallback
+    });
+};
+
+const loadUser = async (req, res) => {
+    const user = await findUserWithSecrets(req.user.userId);
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+    }
+    return user;
+};
+
+/**
+ * Two-factor status of the signed-in user
+ * GET /api/auth/2fa
+ */
+const getTwoFactorStatus = async (req, res) => {
+    try {
+        const user = await loadUser(req, res);
+        if (!user) return;
+
+        res.json({
+            success: true,
+            data: {
+                available: supportsTwoFactor(user),
+                enabled: user.twoFactorEnabled,
+                enabledAt: user.twoFactorEnabledAt,
+                required: await isTwoFactorRequired(user),
+                recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch two-factor status');
+    }
+};
+
+/**
+ * Start enrolment: returns a new secret and its otpauth:// URI for a QR code
+ * POST /api/auth/2fa/setup
+ */
+const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await loadUser(req, res);
+        if (!user) return;
+
+        const enrolment = startEnrolment(user);
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then enter a code to finish',
+            data: enrolment
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to start two-factor setup');
+    }
+};
+
+/**
+ * Finish enrolment with a code from the app; returns the recovery codes once
+ * POST /api/auth/2fa/enable
+ */
+const enableTwoFactor = async (req, res) => {
+    try {
+        const user = await loadUser(req, res);
+        if (!user) return;
+
+        const recoveryCodes = confirmEnrolment(user, req.body.code);
+        await user.save();
+        securityLogger('TWO_FACTOR_ENROLLED', req, { userId: user._id });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to enable two-factor authentication');
+    }
+};
+
+/**
+ * Turn 2FA off; needs the password and a current code, and is refused where the role requires 2FA
+ * POST /api/auth/2fa/disable
+ */
+const disableTwoFactor = async (req, res) => {
+    try {
+        const user = await loadUser(req, res);
+        if (!user) return;
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+        if (await isTwoFactorRequired(user)) {
+            return res.status(403).json({
+                success: false,
+                message: `Two-factor authentication is required for ${user.role} accounts`
+            });
+        }
+
+        const { password, code, recoveryCode } = req.body;
+        if (!await user.comparePassword(password) || !verifySecondFactor(user, { code, recoveryCode })) {
+            securityLogger('TWO_FACTOR_FAILED', req, { userId: user._id });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password or authentication code'
+            });
+        }
+
+        clearTwoFactor(user);
+        await user.save();
+        securityLogger('TWO_FACTOR_DISABLED', req, { userId: user._id });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to disable two-factor authentication');
+    }
+};
+
+/**
+ * Replace the recovery codes after checking a current code; the old codes stop working
+ * POST /api/auth/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const user = await loadUser(req, res);
+        if (!user) return;
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+        if (!verifySecondFactor(user, { code: req.body.code })) {
+            securityLogger('TWO_FACTOR_FAILED', req, { userId: user._id });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const recoveryCodes = generateRecoveryCodes(user);
+        await user.save();
+        securityLogger('TWO_FACTOR_RECOVERY_CODES_REGENERATED', req, { userId: user._id });
+
+        res.json({
+            success: true,
+            message: 'New recovery codes generated. The previous codes no longer work.',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to generate recovery codes');
+    }
+};
+
+module.exports = {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+};
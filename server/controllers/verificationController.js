@@ -0,0 +1,50 @@
+const { verifyTranscript } = require('../services/transcriptService');
+
+/**
+ * Check a grade card / transcript verification code
+ * GET /api/verify/transcript/:code
+ */
+const verifyTranscriptCode = async (req, res) => {
+    try {
+        const { code } = req.params;
+
+        const transcript = await verifyTranscript(code);
+        if (!transcript) {
+            return res.status(404).json({
+                success: false,
+                message: 'No document was issued with this verification code'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                valid: !transcript.isRevoked,
+                verificationCode: transcript.verificationCode,
+                documentType: transcript.documentType,
+                semester: transcript.semester,
+                issuedAt: transcript.issuedAt,
+                isRevoked: transcript.isRevoked,
+                student: {
+                    name: transcript.snapshot.name,
+                    rollNumber: transcript.snapshot.rollNumber,
+                    course: transcript.snapshot.course,
+                    department: transcript.snapshot.department
+                },
+                sgpa: transcript.snapshot.sgpa,
+                cgpa: transcript.snapshot.cgpa,
+                creditsEarned: transcript.snapshot.creditsEarned
+            }
+        });
+    } catch (error) {
+        console.error('Verify transcript error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying document'
+        });
+    }
+};
+
+module.exports = {
+    verifyTranscriptCode
+};
@@ -1,5 +1,5 @@
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { isSessionCurrent } = require('../services/sessionService');
 
 /**
  * Admin Authentication Middleware
@@ -31,12 +31,21 @@ const adminAuth = async (req, res, next) => {
             });
         }
 
+        // Tokens from a revoked session, or issued before a password reset, no longer count
+        if (!await isSessionCurrent(decoded)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has ended. Please log in again.'
+            });
+        }
+
         // Add user info to request (ensure compatibility)
         req.user = {
             userId: decoded.userId || decoded.id,
             id: decoded.userId || decoded.id,
             email: decoded.email,
-            role: decoded.role
+            role: decoded.role,
+            sid: decoded.sid
         };
         next();
 
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const { isSessionCurrent } = require('../services/sessionService');
 
 /**
  * Authentication middleware for all users
@@ -22,6 +23,14 @@ const auth = async (req, res, next) => {
         const jwtSecret = process.env.JWT_SECRET || 'fallback_secret_key_for_development';
         const decoded = jwt.verify(token, jwtSecret);
 
+        // Tokens from a revoked session, or issued before a password reset, no longer count
+        if (!await isSessionCurrent(decoded)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has ended. Please log in again.'
+            });
+        }
+
         // Add user info to request
         req.user = decoded;
         next();
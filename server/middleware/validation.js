@@ -319,6 +319,18 @@ const commonValidations = {
         .withMessage('Admin ID must start with ADM followed by 4-8 digits')
         .customSanitizer(value => value.toUpperCase()),
     
+    // Second factor: a 6-digit authenticator code, or a recovery code in its place
+    totpCode: body('code')
+        .if(body('recoveryCode').not().exists())
+        .matches(/^\d{6}$/)
+        .withMessage('Enter the 6-digit code from your authenticator app or a recovery code'),
+    
+    recoveryCode: body('recoveryCode')
+        .optional()
+        .isString()
+        .isLength({ min: 10, max: 20 })
+        .withMessage('Invalid recovery code'),
+    
     // MongoDB ObjectId validation
     mongoId: param('id')
         .isMongoId()
@@ -343,6 +355,15 @@ const commonValidations = {
         .withMessage('Sort order must be asc, desc, 1, or -1')
 };
 
+/**
+ * ObjectId validation for a named route parameter (commonValidations.mongoId covers :id)
+ * @param {string} name - Route parameter name
+ * @returns {Object} Validation chain
+ */
+const mongoIdParam = (name) => param(name)
+    .isMongoId()
+    .withMessage('Invalid ID format');
+
 /**
  * Security headers middleware
  * Adds security-related headers to responses
@@ -402,6 +423,7 @@ module.exports = {
     securityHeaders,
     validateRequestSize,
     commonValidations,
+    mongoIdParam,
     
     // Custom validators
     validateAcademicYear,
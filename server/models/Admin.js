@@ -316,11 +316,6 @@ const adminSchema = new mongoose.Schema({
         max: [365, 'Password expiry cannot be more than 365 days']
     },
     
-    twoFactorEnabled: {
-        type: Boolean,
-        default: false
-    },
-    
     ipWhitelist: [{
         ip: {
             type: String,
@@ -466,8 +461,6 @@ const adminSchema = new mongoose.Schema({
         },
         certificateUrl: String
     }]
-}, {
-    timestamps: true // Automatically manage createdAt and updatedAt
 });
 
 /**
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const assessmentComponentSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+    // 'marks' components read Marks rows of examType, 'attendance' uses the attendance percentage
+    source: {
+        type: String,
+        enum: ['marks', 'attendance'],
+        default: 'marks'
+    },
+    examType: {
+        type: String,
+        enum: ['midterm', 'final', 'assignment', 'quiz', 'practical', 'internal', 'test1', 'test2', 'presentation'],
+        required: function() { return this.source === 'marks'; }
+    },
+    group: {
+        type: String,
+        enum: ['internal', 'external'],
+        default: 'internal'
+    },
+    // Share of the final subject result out of 100
+    weight: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    }
+}, { _id: false });
+
+const assessmentPlanSchema = new mongoose.Schema({
+    facultyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FacultyProfile',
+        required: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    subjectCode: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    semester: {
+        type: Number,
+        required: true
+    },
+    academicYear: {
+        type: String,
+        required: true
+    },
+    credits: {
+        type: Number,
+        default: 3,
+        min: 1,
+        max: 6
+    },
+    components: {
+        type: [assessmentComponentSchema],
+        validate: [
+            {
+                validator: function(components) {
+                    const total = components.reduce((sum, component) => sum + component.weight, 0);
+                    return Math.abs(total - 100) < 0.01;
+                },
+                message: 'Component weights must add up to 100'
+            },
+            {
+                validator: function(components) {
+                    const examTypes = components.filter(c => c.source === 'marks').map(c => c.examType);
+                    return new Set(examTypes).size === examTypes.length;
+                },
+                message: 'Each exam type can only appear once in a plan'
+            }
+        ]
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp on save
+assessmentPlanSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+// One plan per subject per semester
+assessmentPlanSchema.index({ subjectCode: 1, semester: 1, academicYear: 1 }, { unique: true });
+
+// Total weight of a component group ('internal' or 'external')
+assessmentPlanSchema.methods.groupWeight = function(group) {
+    return this.components
+        .filter(component => component.group === group)
+        .reduce((sum, component) => sum + component.weight, 0);
+};
+
+module.exports = mongoose.model('AssessmentPlan', assessmentPlanSchema);
@@ -34,6 +34,9 @@ const assignmentSchema = new mongoose.Schema({
         required: [true, 'Deadline is required'],
         validate: {
             validator: function(value) {
+                // Only a newly set deadline has to be in the future; saving submissions
+                // or grades after the deadline must not trip this
+                if (!this.isNew && !this.isModified('deadline')) return true;
                 return value > new Date();
             },
             message: 'Deadline must be in the future'
@@ -83,6 +86,20 @@ const assignmentSchema = new mongoose.Schema({
         trim: true
     },
     
+    // Where the assignment file is stored (see services/storage)
+    storageKey: {
+        type: String
+    },
+    
+    storageBackend: {
+        type: String,
+        enum: ['local', 's3', 'gridfs']
+    },
+    
+    checksum: {
+        type: String
+    },
+    
     // Who uploaded this assignment
     uploadedBy: {
         type: mongoose.Schema.Types.ObjectId,
@@ -126,10 +143,16 @@ const assignmentSchema = new mongoose.Schema({
             type: String,
             required: true
         },
+        // Disk path of attachments stored before the storage backends; new ones use storageKey
         filePath: {
+            type: String
+        },
+        storageKey: String,
+        storageBackend: {
             type: String,
-            required: true
+            enum: ['local', 's3', 'gridfs']
         },
+        checksum: String,
         fileSize: {
             type: Number,
             default: 0
@@ -157,17 +180,79 @@ const assignmentSchema = new mongoose.Schema({
         max: [100, 'Late penalty cannot exceed 100%']
     },
     
+    // 'flat': latePenalty % once for any late submission; 'per_day': latePenalty % per started day late
+    latePenaltyMode: {
+        type: String,
+        enum: ['flat', 'per_day'],
+        default: 'flat'
+    },
+    
+    // Late submissions are refused after this point (none means accepted any time)
+    lateSubmissionCutoff: {
+        type: Date,
+        validate: {
+            validator: function(value) {
+                return !value || !this.deadline || value >= this.deadline;
+            },
+            message: 'Late submission cutoff cannot be before the deadline'
+        }
+    },
+    
     maxSubmissions: {
         type: Number,
         default: 1,
         min: [1, 'Maximum submissions must be at least 1']
     },
     
+    // Grading rubric: each criterion is scored by picking one of its levels.
+    // When present, totalPoints is the sum of every criterion's best level.
+    rubric: {
+        type: [{
+            title: {
+                type: String,
+                required: [true, 'Rubric criterion title is required'],
+                trim: true,
+                maxlength: [100, 'Criterion title cannot exceed 100 characters']
+            },
+            description: {
+                type: String,
+                trim: true,
+                maxlength: [1000, 'Criterion description cannot exceed 1000 characters']
+            },
+            levels: {
+                type: [{
+                    label: {
+                        type: String,
+                        required: [true, 'Rubric level label is required'],
+                        trim: true,
+                        maxlength: [50, 'Level label cannot exceed 50 characters']
+                    },
+                    description: {
+                        type: String,
+                        trim: true,
+                        maxlength: [500, 'Level description cannot exceed 500 characters']
+                    },
+                    points: {
+                        type: Number,
+                        required: [true, 'Rubric level points are required'],
+                        min: [0, 'Level points cannot be negative']
+                    }
+                }],
+                validate: {
+                    validator: (levels) => levels.length > 0,
+                    message: 'Each rubric criterion needs at least one level'
+                }
+            }
+        }],
+        default: []
+    },
+    
     // Student submissions
     submissions: [{
+        // The student's User id
         student: {
             type: mongoose.Schema.Types.ObjectId,
-            ref: 'Student',
+            ref: 'User',
             required: true
         },
         submissionDate: {
@@ -177,13 +262,48 @@ const assignmentSchema = new mongoose.Schema({
         files: [{
             filename: String,
             filePath: String,
+            storageKey: String,
+            storageBackend: {
+                type: String,
+                enum: ['local', 's3', 'gridfs']
+            },
+            checksum: String,
             fileSize: Number,
             mimeType: String
         }],
+        // Answer typed in directly instead of (or alongside) files
+        text: {
+            type: String,
+            maxlength: [20000, 'Submission text cannot exceed 20000 characters']
+        },
         comments: {
             type: String,
             maxlength: [1000, 'Comments cannot exceed 1000 characters']
         },
+        // Level picked for each rubric criterion, with the grader's comment on it
+        rubricScores: [{
+            criterionId: {
+                type: mongoose.Schema.Types.ObjectId,
+                required: true
+            },
+            levelId: {
+                type: mongoose.Schema.Types.ObjectId,
+                required: true
+            },
+            points: {
+                type: Number,
+                min: 0
+            },
+            comment: {
+                type: String,
+                maxlength: [1000, 'Criterion comment cannot exceed 1000 characters']
+            }
+        }],
+        // Points awarded before the late penalty; grade is after it
+        score: {
+            type: Number,
+            min: 0
+        },
         grade: {
             type: Number,
             min: 0
@@ -196,11 +316,32 @@ const assignmentSchema = new mongoose.Schema({
             type: Boolean,
             default: false
         },
+        // Started days past the deadline, and the % to deduct from the grade for it
+        daysLate: {
+            type: Number,
+            default: 0
+        },
+        penaltyPercent: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 100
+        },
         gradedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
         },
         gradedAt: Date,
+        // Students only see a grade once it is released; releasing writes it to Marks
+        isGradeReleased: {
+            type: Boolean,
+            default: false
+        },
+        gradeReleasedAt: Date,
+        marksId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Marks'
+        },
         submissionNumber: {
             type: Number,
             default: 1
@@ -287,24 +428,76 @@ assignmentSchema.methods.incrementDownloadCount = function() {
     return this.save();
 };
 
+/**
+ * Whether a submission made at a given time is late and what it costs
+ * @param {Date} submittedAt - Submission time (defaults to now)
+ * @returns {{isLate: boolean, daysLate: number, penaltyPercent: number, isAccepted: boolean}}
+ */
+assignmentSchema.methods.getLateStatus = function(submittedAt = new Date()) {
+    const lateBy = submittedAt - this.deadline;
+    if (lateBy <= 0) {
+        return { isLate: false, daysLate: 0, penaltyPercent: 0, isAccepted: true };
+    }
+
+    const daysLate = Math.ceil(lateBy / (24 * 60 * 60 * 1000));
+    const penaltyPercent = this.latePenaltyMode === 'per_day'
+        ? Math.min(this.latePenalty * daysLate, 100)
+        : this.latePenalty;
+    const isAccepted = this.allowLateSubmission &&
+        (!this.lateSubmissionCutoff || submittedAt <= this.lateSubmissionCutoff);
+
+    return { isLate: true, daysLate, penaltyPercent, isAccepted };
+};
+
+// When the assignment stops taking submissions: the late cutoff if late work is allowed up to one, else the deadline
+assignmentSchema.methods.getClosesAt = function() {
+    return this.allowLateSubmission && this.lateSubmissionCutoff ? this.lateSubmissionCutoff : this.deadline;
+};
+
+// A student's submissions, oldest first
+assignmentSchema.methods.getStudentSubmissions = function(studentId) {
+    return this.submissions.filter(sub => sub.student.toString() === studentId.toString());
+};
+
+/**
+ * Record a submission after checking the deadline and submission limit.
+ * Errors carry a statusCode for the API.
+ * @param {string} studentId - User id of the student
+ * @param {Object} submissionData - { files, text, comments }
+ * @returns {Promise<Object>} The saved assignment
+ */
 assignmentSchema.methods.addSubmission = function(studentId, submissionData) {
+    const rejection = (message) => {
+        const error = new Error(message);
+        error.statusCode = 400;
+        return error;
+    };
+
     // Check if student already has submissions
-    const existingSubmissions = this.submissions.filter(
-        sub => sub.student.toString() === studentId.toString()
-    );
+    const existingSubmissions = this.getStudentSubmissions(studentId);
     
     if (existingSubmissions.length >= this.maxSubmissions) {
-        throw new Error(`Maximum ${this.maxSubmissions} submission(s) allowed`);
+        throw rejection(`Maximum ${this.maxSubmissions} submission(s) allowed`);
     }
     
-    const isLate = new Date() > this.deadline;
+    const submissionDate = new Date();
+    const { isLate, daysLate, penaltyPercent, isAccepted } = this.getLateStatus(submissionDate);
+    
+    if (!isAccepted) {
+        throw rejection(this.allowLateSubmission
+            ? 'The late submission window for this assignment has closed'
+            : 'The deadline for this assignment has passed');
+    }
     
     const submission = {
         student: studentId,
-        submissionDate: new Date(),
+        submissionDate,
         files: submissionData.files || [],
+        text: submissionData.text || undefined,
         comments: submissionData.comments || '',
         isLate,
+        daysLate,
+        penaltyPercent,
         submissionNumber: existingSubmissions.length + 1
     };
     
@@ -312,22 +505,72 @@ assignmentSchema.methods.addSubmission = function(studentId, submissionData) {
     return this.save();
 };
 
-assignmentSchema.methods.gradeSubmission = function(submissionId, grade, feedback, gradedBy) {
+// Points of the best level of every rubric criterion
+assignmentSchema.methods.getRubricTotal = function() {
+    return this.rubric.reduce((sum, criterion) =>
+        sum + Math.max(...criterion.levels.map(level => level.points)), 0);
+};
+
+/**
+ * Grade a submission, either by rubric or with a single score, and apply its late penalty.
+ * Errors carry a statusCode for the API.
+ * @param {string} submissionId - Submission subdocument id
+ * @param {Object} grading - { scores: [{ criterionId, levelId, comment }] with a rubric, otherwise score; feedback }
+ * @param {string} gradedBy - User id of the grader
+ * @returns {Object} The graded submission (not yet saved)
+ */
+assignmentSchema.methods.gradeSubmission = function(submissionId, { scores, score, feedback }, gradedBy) {
+    const rejection = (message) => {
+        const error = new Error(message);
+        error.statusCode = 400;
+        return error;
+    };
+
     const submission = this.submissions.id(submissionId);
     if (!submission) {
-        throw new Error('Submission not found');
+        const error = new Error('Submission not found');
+        error.statusCode = 404;
+        throw error;
     }
     
-    if (grade < 0 || grade > this.totalPoints) {
-        throw new Error(`Grade must be between 0 and ${this.totalPoints}`);
+    if (this.rubric.length > 0) {
+        const given = new Map((scores || []).map(entry => [String(entry.criterionId), entry]));
+        if ([...given.keys()].some(criterionId => !this.rubric.id(criterionId))) {
+            throw rejection('Scores were given for criteria that are not in the rubric');
+        }
+
+        submission.rubricScores = this.rubric.map(criterion => {
+            const entry = given.get(criterion._id.toString());
+            if (!entry) {
+                throw rejection(`Score the "${criterion.title}" criterion`);
+            }
+            const level = criterion.levels.id(entry.levelId);
+            if (!level) {
+                throw rejection(`Unknown level for the "${criterion.title}" criterion`);
+            }
+            return {
+                criterionId: criterion._id,
+                levelId: level._id,
+                points: level.points,
+                comment: entry.comment || undefined
+            };
+        });
+        score = submission.rubricScores.reduce((sum, entry) => sum + entry.points, 0);
+    } else {
+        score = Number(score);
+        if (Number.isNaN(score) || score < 0 || score > this.totalPoints) {
+            throw rejection(`Score must be between 0 and ${this.totalPoints}`);
+        }
+        submission.rubricScores = [];
     }
     
-    submission.grade = grade;
+    submission.score = score;
+    submission.grade = Math.round(score * (100 - submission.penaltyPercent)) / 100;
     submission.feedback = feedback;
     submission.gradedBy = gradedBy;
     submission.gradedAt = new Date();
     
-    return this.save();
+    return submission;
 };
 
 // Static methods
@@ -354,9 +597,9 @@ assignmentSchema.statics.getAssignmentsByCourse = async function(courseId, optio
     if (populate) {
         assignmentQuery = assignmentQuery
             .populate('courseId', 'title code credits')
-            .populate('uploadedBy', 'firstName lastName role')
-            .populate('submissions.student', 'firstName lastName rollNumber')
-            .populate('submissions.gradedBy', 'firstName lastName role');
+            .populate('uploadedBy', 'name role')
+            .populate('submissions.student', 'name email')
+            .populate('submissions.gradedBy', 'name role');
     }
 
     return await assignmentQuery;
@@ -385,7 +628,7 @@ assignmentSchema.statics.getAssignmentsForStudent = async function(studentId, op
     if (populate) {
         assignmentQuery = assignmentQuery
             .populate('courseId', 'title code credits')
-            .populate('uploadedBy', 'firstName lastName role');
+            .populate('uploadedBy', 'name role');
     }
 
     const assignments = await assignmentQuery;
@@ -400,7 +643,13 @@ assignmentSchema.statics.getAssignmentsForStudent = async function(studentId, op
         assignmentObj.hasSubmitted = studentSubmissions.length > 0;
         assignmentObj.submissionCount = studentSubmissions.length;
         assignmentObj.latestSubmission = studentSubmissions.length > 0 ? 
-            studentSubmissions[studentSubmissions.length - 1] : null;
+            studentSubmissions[studentSubmissions.length - 1].toObject() : null;
+        
+        // Grades stay hidden until they are released
+        if (assignmentObj.latestSubmission && !assignmentObj.latestSubmission.isGradeReleased) {
+            ['rubricScores', 'score', 'grade', 'feedback', 'gradedBy', 'gradedAt']
+                .forEach(field => delete assignmentObj.latestSubmission[field]);
+        }
         
         // Remove all submissions from response for privacy
         delete assignmentObj.submissions;
@@ -420,7 +669,7 @@ assignmentSchema.statics.getUpcomingDeadlines = async function(courseId, days =
         isPublished: true
     })
     .populate('courseId', 'title code')
-    .populate('uploadedBy', 'firstName lastName')
+    .populate('uploadedBy', 'name')
     .sort({ deadline: 1 });
 };
 
@@ -432,7 +681,7 @@ assignmentSchema.statics.getAssignmentStatistics = async function(assignmentId)
     
     const submissions = assignment.submissions;
     const totalSubmissions = submissions.length;
-    const gradedSubmissions = submissions.filter(sub => sub.grade !== undefined);
+    const gradedSubmissions = submissions.filter(sub => sub.grade !== undefined && sub.grade !== null);
     const lateSubmissions = submissions.filter(sub => sub.isLate);
     
     let averageGrade = 0;
@@ -450,6 +699,7 @@ assignmentSchema.statics.getAssignmentStatistics = async function(assignmentId)
         totalSubmissions,
         gradedSubmissions: gradedSubmissions.length,
         pendingGrading: totalSubmissions - gradedSubmissions.length,
+        releasedGrades: gradedSubmissions.filter(sub => sub.isGradeReleased).length,
         lateSubmissions: lateSubmissions.length,
         onTimeSubmissions: totalSubmissions - lateSubmissions.length,
         averageGrade: parseFloat(averageGrade.toFixed(2)),
@@ -460,12 +710,26 @@ assignmentSchema.statics.getAssignmentStatistics = async function(assignmentId)
     };
 };
 
+// A rubric sets the assignment's total points
+assignmentSchema.pre('validate', function(next) {
+    if (this.rubric.length > 0 && this.rubric.every(criterion => criterion.levels.length > 0)) {
+        this.totalPoints = this.getRubricTotal();
+    }
+    next();
+});
+
 // Pre-save middleware
 assignmentSchema.pre('save', function(next) {
     // Update late submission status for existing submissions
-    if (this.isModified('deadline')) {
+    if (this.isModified('deadline') || this.isModified('latePenalty') || this.isModified('latePenaltyMode')) {
         this.submissions.forEach(submission => {
-            submission.isLate = submission.submissionDate > this.deadline;
+            const { isLate, daysLate, penaltyPercent } = this.getLateStatus(submission.submissionDate);
+            submission.isLate = isLate;
+            submission.daysLate = daysLate;
+            submission.penaltyPercent = penaltyPercent;
+            if (submission.score !== undefined && submission.score !== null) {
+                submission.grade = Math.round(submission.score * (100 - penaltyPercent)) / 100;
+            }
         });
     }
     next();
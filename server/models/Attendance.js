@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ClassSession = require('./ClassSession');
 
 const attendanceSchema = new mongoose.Schema({
     studentId: {
@@ -11,6 +12,11 @@ const attendanceSchema = new mongoose.Schema({
         ref: 'FacultyProfile',
         required: true
     },
+    // Class the mark belongs to; older records taken before sessions existed have none
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ClassSession'
+    },
     subject: {
         type: String,
         required: true
@@ -50,6 +56,15 @@ const attendanceSchema = new mongoose.Schema({
         type: String,
         maxlength: 200
     },
+    // Approved leave that excused this mark, and the status to restore if it is revoked
+    leaveId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Leave'
+    },
+    statusBeforeLeave: {
+        type: String,
+        enum: ['present', 'absent', 'late', 'excused']
+    },
     recordedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -74,26 +89,103 @@ attendanceSchema.pre('save', function(next) {
 // Compound index for efficient queries
 attendanceSchema.index({ studentId: 1, facultyId: 1, subject: 1, academicYear: 1 });
 attendanceSchema.index({ facultyId: 1, date: -1 });
+attendanceSchema.index({ leaveId: 1 }, { sparse: true });
 attendanceSchema.index({ studentId: 1, semester: 1, academicYear: 1 });
+// One mark per student per class session
+attendanceSchema.index(
+    { sessionId: 1, studentId: 1 },
+    { unique: true, partialFilterExpression: { sessionId: { $exists: true } } }
+);
 
-// Static method to calculate attendance percentage
-attendanceSchema.statics.calculateAttendancePercentage = async function(studentId, facultyId, subject, academicYear) {
-    const totalClasses = await this.countDocuments({
-        studentId,
-        facultyId,
-        subject,
-        academicYear
+/**
+ * Classes held and attended by a student in a subject.
+ * Classes held are the ClassSessions for the scope, plus any older marks
+ * recorded without a session (each of those counts as one class).
+ * @param {string} studentId - StudentProfile id
+ * @param {Object} scope - Any of facultyId, subject, subjectCode, semester, academicYear
+ * @returns {Promise<{totalClasses: number, attendedClasses: number, excusedClasses: number, percentage: number}>}
+ */
+attendanceSchema.statics.getSubjectAttendance = async function(studentId, scope) {
+    const filter = {};
+    ['facultyId', 'subject', 'subjectCode', 'semester', 'academicYear'].forEach(field => {
+        if (scope[field] !== undefined && scope[field] !== null) filter[field] = scope[field];
     });
-    
-    const attendedClasses = await this.countDocuments({
-        studentId,
-        facultyId,
-        subject,
-        academicYear,
-        status: { $in: ['present', 'late'] }
+
+    const [sessionsHeld, unsessionedClasses, attendedClasses, excusedClasses] = await Promise.all([
+        ClassSession.countDocuments(filter),
+        this.countDocuments({ ...filter, studentId, sessionId: { $exists: false } }),
+        this.countDocuments({ ...filter, studentId, status: { $in: ['present', 'late'] } }),
+        this.countDocuments({ ...filter, studentId, status: 'excused' })
+    ]);
+
+    const totalClasses = sessionsHeld + unsessionedClasses;
+    return {
+        totalClasses,
+        attendedClasses,
+        excusedClasses,
+        percentage: totalClasses > 0 ? (attendedClasses / totalClasses) * 100 : 0
+    };
+};
+
+/**
+ * Record (or correct) one student's mark for a class session.
+ * A mark recorded for the same day before sessions existed is attached to the session
+ * rather than duplicated. An absence covered by an approved leave is saved as excused.
+ * The previous status is left in attendance.$locals.previousStatus.
+ * @param {Object} session - ClassSession document
+ * @param {string} studentId - StudentProfile id
+ * @param {Object} mark - { status, remarks, recordedBy }
+ * @returns {Promise<Object>} The saved Attendance document
+ */
+attendanceSchema.statics.markForSession = async function(session, studentId, { status, remarks, recordedBy }) {
+    const nextDay = new Date(session.date.getTime() + 24 * 60 * 60 * 1000);
+
+    const existing = await this.findOne({ sessionId: session._id, studentId })
+        || await this.findOne({
+            studentId,
+            facultyId: session.facultyId,
+            subjectCode: session.subjectCode,
+            date: { $gte: session.date, $lt: nextDay },
+            sessionId: { $exists: false }
+        });
+
+    const attendance = existing || new this({ studentId });
+    attendance.$locals.previousStatus = existing ? existing.status : null;
+
+    attendance.set({
+        sessionId: session._id,
+        facultyId: session.facultyId,
+        subject: session.subject,
+        subjectCode: session.subjectCode,
+        date: session.date,
+        semester: session.semester,
+        academicYear: session.academicYear,
+        classType: session.classType,
+        duration: session.duration,
+        status,
+        recordedBy
     });
-    
-    return totalClasses > 0 ? (attendedClasses / totalClasses) * 100 : 0;
+    if (remarks !== undefined) attendance.remarks = remarks;
+
+    // An absence on a day the student has approved leave for is excused
+    const { findCoveringLeave } = require('../services/leaveAttendanceService');
+    const leave = status === 'absent' ? await findCoveringLeave(studentId, session) : null;
+    if (leave) {
+        attendance.status = 'excused';
+        attendance.statusBeforeLeave = 'absent';
+        attendance.leaveId = leave._id;
+    } else {
+        attendance.statusBeforeLeave = undefined;
+        attendance.leaveId = undefined;
+    }
+
+    return attendance.save();
+};
+
+// Static method to calculate attendance percentage
+attendanceSchema.statics.calculateAttendancePercentage = async function(studentId, facultyId, subject, academicYear) {
+    const { percentage } = await this.getSubjectAttendance(studentId, { facultyId, subject, academicYear });
+    return percentage;
 };
 
 // Static method to get attendance summary for a student
@@ -112,7 +204,6 @@ attendanceSchema.statics.getStudentAttendanceSummary = async function(studentId,
                     subjectCode: '$subjectCode',
                     facultyId: '$facultyId'
                 },
-                totalClasses: { $sum: 1 },
                 attendedClasses: {
                     $sum: {
                         $cond: [
@@ -124,16 +215,6 @@ attendanceSchema.statics.getStudentAttendanceSummary = async function(studentId,
                 }
             }
         },
-        {
-            $addFields: {
-                percentage: {
-                    $multiply: [
-                        { $divide: ['$attendedClasses', '$totalClasses'] },
-                        100
-                    ]
-                }
-            }
-        },
         {
             $lookup: {
                 from: 'facultyprofiles',
@@ -144,7 +225,20 @@ attendanceSchema.statics.getStudentAttendanceSummary = async function(studentId,
         }
     ];
     
-    return await this.aggregate(pipeline);
+    const summary = await this.aggregate(pipeline);
+
+    // Percentages are taken against classes held, not rows recorded for the student
+    for (const subject of summary) {
+        const { totalClasses, percentage } = await this.getSubjectAttendance(studentId, {
+            facultyId: subject._id.facultyId,
+            subjectCode: subject._id.subjectCode,
+            academicYear
+        });
+        subject.totalClasses = totalClasses;
+        subject.percentage = percentage;
+    }
+
+    return summary;
 };
 
 module.exports = mongoose.model('Attendance', attendanceSchema);
\ No newline at end of file
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// Used when no policy matches a student's course/semester
+const DEFAULT_THRESHOLD = 75;
+const DEFAULT_CONDONATION_LIMIT = 65;
+
+// Minimum attendance a student needs in each subject to sit its exam
+const attendancePolicySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    // Scope: empty course/semester/academicYear applies to all
+    course: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    semester: {
+        type: Number,
+        min: 1,
+        max: 8
+    },
+    academicYear: {
+        type: String,
+        default: ''
+    },
+    // Percentage needed to be eligible
+    threshold: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100,
+        default: DEFAULT_THRESHOLD
+    },
+    // Students below the threshold but at or above this may apply for condonation
+    condonationLimit: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: DEFAULT_CONDONATION_LIMIT,
+        validate: {
+            validator: function(value) { return value <= this.threshold; },
+            message: 'Condonation limit cannot be above the threshold'
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp on save
+attendancePolicySchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+attendancePolicySchema.index({ course: 1, semester: 1, academicYear: 1 }, { unique: true });
+
+// Number of scope fields set; a more specific policy wins over a general one
+attendancePolicySchema.methods.specificity = function() {
+    return [this.course, this.semester, this.academicYear].filter(Boolean).length;
+};
+
+/**
+ * Find the policy that applies to a course/semester/academic year.
+ * Falls back to the built-in 75% rule when none is configured.
+ * @param {Object} scope - { course, semester, academicYear }
+ * @returns {Promise<{threshold: number, condonationLimit: number, policyId: ObjectId|null, name: string}>}
+ */
+attendancePolicySchema.statics.resolve = async function({ course, semester, academicYear } = {}) {
+    const candidates = await this.find({
+        isActive: true,
+        course: { $in: ['', null, ...(course ? [course] : [])] },
+        semester: { $in: [null, ...(semester ? [parseInt(semester)] : [])] },
+        academicYear: { $in: ['', null, ...(academicYear ? [academicYear] : [])] }
+    });
+
+    candidates.sort((a, b) => b.specificity() - a.specificity());
+    const policy = candidates[0];
+
+    if (!policy) {
+        return {
+            policyId: null,
+            name: 'Default',
+            threshold: DEFAULT_THRESHOLD,
+            condonationLimit: DEFAULT_CONDONATION_LIMIT
+        };
+    }
+
+    return {
+        policyId: policy._id,
+        name: policy.name,
+        threshold: policy.threshold,
+        condonationLimit: policy.condonationLimit
+    };
+};
+
+const AttendancePolicy = mongoose.model('AttendancePolicy', attendancePolicySchema);
+
+AttendancePolicy.DEFAULT_THRESHOLD = DEFAULT_THRESHOLD;
+AttendancePolicy.DEFAULT_CONDONATION_LIMIT = DEFAULT_CONDONATION_LIMIT;
+
+module.exports = AttendancePolicy;
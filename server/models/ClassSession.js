@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// One class actually held (a lecture, lab, ...); attendance marks hang off it
+const classSessionSchema = new mongoose.Schema({
+    facultyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FacultyProfile',
+        required: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    subjectCode: {
+        type: String,
+        required: true
+    },
+    semester: {
+        type: Number,
+        required: true
+    },
+    academicYear: {
+        type: String,
+        required: true
+    },
+    // Day of the class, stored at UTC midnight
+    date: {
+        type: Date,
+        required: true
+    },
+    // Timetable slot within the day
+    period: {
+        type: Number,
+        min: 1,
+        max: 12,
+        default: 1
+    },
+    classType: {
+        type: String,
+        enum: ['lecture', 'lab', 'tutorial', 'seminar'],
+        default: 'lecture'
+    },
+    duration: {
+        type: Number, // in minutes
+        default: 60
+    },
+    topic: {
+        type: String,
+        maxlength: 200
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp on save
+classSessionSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+// A subject is only held once per period per day
+classSessionSchema.index(
+    { facultyId: 1, subjectCode: 1, semester: 1, academicYear: 1, date: 1, period: 1 },
+    { unique: true }
+);
+
+// Normalise any date to UTC midnight of the same calendar day
+classSessionSchema.statics.toSessionDate = function(value) {
+    const date = value ? new Date(value) : new Date();
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Find the session for a subject/day/period, creating it if it has not been recorded yet
+ * @param {Object} details - facultyId, subject, subjectCode, semester, academicYear, date, period,
+ *                           classType, duration, topic, recordedBy
+ * @returns {Promise<Object>} The ClassSession document
+ */
+classSessionSchema.statics.findOrCreate = async function(details) {
+    const key = {
+        facultyId: details.facultyId,
+        subjectCode: details.subjectCode,
+        semester: details.semester,
+        academicYear: details.academicYear,
+        date: this.toSessionDate(details.date),
+        period: details.period || 1
+    };
+
+    const update = {
+        $setOnInsert: {
+            subject: details.subject,
+            recordedBy: details.recordedBy,
+            createdAt: new Date()
+        },
+        $set: { updatedAt: new Date() }
+    };
+    ['classType', 'duration', 'topic'].forEach(field => {
+        if (details[field] !== undefined) update.$set[field] = details[field];
+    });
+
+    return this.findOneAndUpdate(key, update, {
+        new: true,
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true
+    });
+};
+
+module.exports = mongoose.model('ClassSession', classSessionSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// A student's request to have absences in one subject excused on medical grounds
+const condonationRequestSchema = new mongoose.Schema({
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StudentProfile',
+        required: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    subjectCode: {
+        type: String,
+        required: true
+    },
+    semester: {
+        type: Number,
+        required: true
+    },
+    academicYear: {
+        type: String,
+        required: true
+    },
+    // Approved medical/sick leaves covering the absences
+    leaveIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Leave'
+    }],
+    reason: {
+        type: String,
+        required: true,
+        maxlength: 500,
+        trim: true
+    },
+    // Attendance when the request was made
+    percentageAtRequest: {
+        type: Number
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewComments: {
+        type: String,
+        maxlength: 300,
+        trim: true
+    },
+    reviewDate: {
+        type: Date
+    },
+    // Attendance marks changed to excused when the request was approved
+    excusedAttendance: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attendance'
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp on save
+condonationRequestSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+condonationRequestSchema.index({ studentId: 1, subjectCode: 1, semester: 1, academicYear: 1 });
+condonationRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CondonationRequest', condonationRequestSchema);
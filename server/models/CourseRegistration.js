@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Subjects chosen from a window's offerings, copied so later edits to the window don't change them
+const registeredSubjectSchema = new mongoose.Schema({
+    subjectCode: String,
+    subjectName: String,
+    facultyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FacultyProfile'
+    },
+    credits: Number,
+    category: String
+}, { _id: false });
+
+// An elective the student ranked, and what the allocation gave them
+const electivePreferenceSchema = new mongoose.Schema({
+    subjectCode: String,
+    // 1 is the most wanted
+    rank: Number,
+    // released: given up automatically when a higher preference came off the waitlist
+    status: {
+        type: String,
+        enum: ['pending', 'allocated', 'waitlisted', 'unallocated', 'released', 'dropped'],
+        default: 'pending'
+    }
+}, { _id: false });
+
+// A student's subject selection in a registration window, approved by a faculty advisor
+const courseRegistrationSchema = new mongoose.Schema({
+    windowId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RegistrationWindow',
+        required: true
+    },
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StudentProfile',
+        required: true
+    },
+    semester: {
+        type: Number,
+        required: true
+    },
+    academicYear: {
+        type: String,
+        required: true
+    },
+    subjects: [registeredSubjectSchema],
+    // Ranked electives, in windows that allocate electives by preference
+    electivePreferences: [electivePreferenceSchema],
+    // Position in the allocation's merit order (1 first); waitlists follow it
+    meritRank: {
+        type: Number
+    },
+    cgpaAtAllocation: {
+        type: Number
+    },
+    totalCredits: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    submittedAt: {
+        type: Date,
+        default: Date.now
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewComments: {
+        type: String,
+        maxlength: 300,
+        trim: true
+    },
+    reviewDate: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp on save
+courseRegistrationSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+courseRegistrationSchema.index({ windowId: 1, studentId: 1 }, { unique: true });
+courseRegistrationSchema.index({ windowId: 1, status: 1 });
+courseRegistrationSchema.index({ windowId: 1, 'electivePreferences.subjectCode': 1, meritRank: 1 });
+
+module.exports = mongoose.model('CourseRegistration', courseRegistrationSchema);
@@ -416,8 +416,6 @@ const facultySchema = new mongoose.Schema({
         trim: true,
         maxlength: [20, 'Salary grade cannot exceed 20 characters']
     }
-}, {
-    timestamps: true // Automatically manage createdAt and updatedAt
 });
 
 /**
@@ -60,6 +60,11 @@ const facultyProfileSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'StudentProfile'
     }],
+    // Signed into calendar feed links; bumping it revokes the links handed out so far
+    calendarTokenVersion: {
+        type: Number,
+        default: 0
+    },
     isActive: {
         type: Boolean,
         default: true
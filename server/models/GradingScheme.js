@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+// Fallback bands used when no scheme has been configured
+const DEFAULT_GRADE_BANDS = [
+    { grade: 'A+', minPercentage: 90, gradePoints: 10 },
+    { grade: 'A', minPercentage: 80, gradePoints: 9 },
+    { grade: 'B+', minPercentage: 70, gradePoints: 8 },
+    { grade: 'B', minPercentage: 60, gradePoints: 7 },
+    { grade: 'C', minPercentage: 50, gradePoints: 6 },
+    { grade: 'D', minPercentage: 40, gradePoints: 5 },
+    { grade: 'F', minPercentage: 0, gradePoints: 0 }
+];
+
+const gradeBandSchema = new mongoose.Schema({
+    grade: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 5
+    },
+    minPercentage: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    },
+    gradePoints: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 10
+    }
+}, { _id: false });
+
+const gradingSchemeSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        maxlength: 500,
+        trim: true
+    },
+    bands: {
+        type: [gradeBandSchema],
+        validate: {
+            validator: function(bands) {
+                return bands.length > 0 && bands.some(band => band.minPercentage === 0);
+            },
+            message: 'A grading scheme needs at least one band starting at 0%'
+        }
+    },
+    // Scope - an empty field matches everything
+    department: {
+        type: String,
+        trim: true
+    },
+    course: {
+        type: String,
+        trim: true
+    },
+    academicYear: {
+        type: String,
+        trim: true
+    },
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Keep bands ordered from highest to lowest cut-off
+gradingSchemeSchema.pre('save', function(next) {
+    this.bands.sort((a, b) => b.minPercentage - a.minPercentage);
+    this.updatedAt = new Date();
+    next();
+});
+
+gradingSchemeSchema.index({ department: 1, course: 1, academicYear: 1, isActive: 1 });
+
+/**
+ * Look up the grade for a percentage in a list of bands
+ * @param {number} percentage - Percentage scored (0-100)
+ * @param {Array} bands - Grade bands, any order
+ * @returns {{grade: string, gradePoints: number}}
+ */
+const gradeForPercentage = (percentage, bands = DEFAULT_GRADE_BANDS) => {
+    const sorted = [...bands].sort((a, b) => b.minPercentage - a.minPercentage);
+    const band = sorted.find(b => percentage >= b.minPercentage) || sorted[sorted.length - 1];
+    return { grade: band.grade, gradePoints: band.gradePoints };
+};
+
+// Grade a percentage using this scheme's bands
+gradingSchemeSchema.methods.gradeFor = function(percentage) {
+    return gradeForPercentage(percentage, this.bands);
+};
+
+// Number of scope fields set, used to pick the most specific scheme
+gradingSchemeSchema.methods.specificity = function() {
+    return ['department', 'course', 'academicYear'].filter(field => this[field]).length;
+};
+
+/**
+ * Resolve the grading scheme that applies to a department/course/academic year.
+ * The most specific active scheme wins; the default scheme is used otherwise.
+ * Returns null when nothing is configured so callers can use DEFAULT_GRADE_BANDS.
+ */
+gradingSchemeSchema.statics.resolve = async function({ department, course, academicYear } = {}) {
+    // A null match in $in also covers documents where the field is missing
+    const matchField = (value) => ({ $in: value ? [null, '', value] : [null, ''] });
+
+    const candidates = await this.find({
+        isActive: true,
+        department: matchField(department),
+        course: matchField(course),
+        academicYear: matchField(academicYear)
+    });
+
+    if (candidates.length === 0) return null;
+
+    candidates.sort((a, b) => {
+        const diff = b.specificity() - a.specificity();
+        if (diff !== 0) return diff;
+        return Number(b.isDefault) - Number(a.isDefault);
+    });
+
+    return candidates[0];
+};
+
+const GradingScheme = mongoose.model('GradingScheme', gradingSchemeSchema);
+
+GradingScheme.DEFAULT_GRADE_BANDS = DEFAULT_GRADE_BANDS;
+GradingScheme.gradeForPercentage = gradeForPercentage;
+
+module.exports = GradingScheme;
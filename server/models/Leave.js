@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Timetable periods up to this one are the morning half of the day
+const LAST_MORNING_PERIOD = 4;
+
 const leaveSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -127,6 +130,18 @@ leaveSchema.methods.isCurrentLeave = function() {
     return now >= this.fromDate && now <= this.toDate;
 };
 
+// Method to check if a class on a day/period falls within the leave.
+// A half-day leave only covers classes whose period is known to be in that half.
+leaveSchema.methods.coversClass = function(date, period) {
+    const day = (value) => Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate());
+    const classDay = day(new Date(date));
+    if (classDay < day(this.fromDate) || classDay > day(this.toDate)) return false;
+
+    if (!this.isHalfDay) return true;
+    if (!period) return false;
+    return this.halfDayPeriod === 'morning' ? period <= LAST_MORNING_PERIOD : period > LAST_MORNING_PERIOD;
+};
+
 // Static method to get leave statistics for a user
 leaveSchema.statics.getLeaveStats = async function(userId, academicYear) {
     const startDate = new Date(`${academicYear.split('-')[0]}-07-01`);
@@ -184,4 +199,8 @@ leaveSchema.statics.getPendingLeaves = async function(filters = {}) {
         .sort({ priority: -1, appliedDate: 1 });
 };
 
-module.exports = mongoose.model('Leave', leaveSchema);
\ No newline at end of file
+const Leave = mongoose.model('Leave', leaveSchema);
+
+Leave.LAST_MORNING_PERIOD = LAST_MORNING_PERIOD;
+
+module.exports = Leave;
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const GradingScheme = require('./GradingScheme');
 
 const marksSchema = new mongoose.Schema({
     studentId: {
@@ -35,36 +36,43 @@ const marksSchema = new mongoose.Schema({
         min: 1
     },
     percentage: {
-        type: Number,
-        default: function() {
-            return (this.totalMarks / this.maxMarks) * 100;
-        }
+        type: Number
     },
     grade: {
-        type: String,
-        default: function() {
-            const percentage = (this.totalMarks / this.maxMarks) * 100;
-            if (percentage >= 90) return 'A+';
-            if (percentage >= 80) return 'A';
-            if (percentage >= 70) return 'B+';
-            if (percentage >= 60) return 'B';
-            if (percentage >= 50) return 'C';
-            if (percentage >= 40) return 'D';
-            return 'F';
-        }
+        type: String
     },
     gradePoints: {
-        type: Number,
-        default: function() {
-            const percentage = (this.totalMarks / this.maxMarks) * 100;
-            if (percentage >= 90) return 10;
-            if (percentage >= 80) return 9;
-            if (percentage >= 70) return 8;
-            if (percentage >= 60) return 7;
-            if (percentage >= 50) return 6;
-            if (percentage >= 40) return 5;
-            return 0;
-        }
+        type: Number
+    },
+    gradingSchemeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GradingScheme'
+    },
+    // Grade from the absolute scheme, kept for audit when a curve is applied
+    absoluteGrade: {
+        type: String
+    },
+    absoluteGradePoints: {
+        type: Number
+    },
+    gradingMode: {
+        type: String,
+        enum: ['absolute', 'relative'],
+        default: 'absolute'
+    },
+    curve: {
+        method: {
+            type: String,
+            enum: ['zscore', 'percentile']
+        },
+        cutoffs: [Number],
+        mean: Number,
+        standardDeviation: Number,
+        appliedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        appliedAt: Date
     },
     credits: {
         type: Number,
@@ -99,6 +107,14 @@ const marksSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    uploadBatch: {
+        type: String
+    },
+    // Set on rows written by releasing assignment grades: one row per student and assignment
+    assignmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Assignment'
+    },
     dateRecorded: {
         type: Date,
         default: Date.now
@@ -110,62 +126,216 @@ const marksSchema = new mongoose.Schema({
 });
 
 // Calculate percentage, grade, and grade points before saving
-marksSchema.pre('save', function(next) {
-    this.percentage = (this.totalMarks / this.maxMarks) * 100;
-    
-    const percentage = this.percentage;
-    if (percentage >= 90) {
-        this.grade = 'A+';
-        this.gradePoints = 10;
-    } else if (percentage >= 80) {
-        this.grade = 'A';
-        this.gradePoints = 9;
-    } else if (percentage >= 70) {
-        this.grade = 'B+';
-        this.gradePoints = 8;
-    } else if (percentage >= 60) {
-        this.grade = 'B';
-        this.gradePoints = 7;
-    } else if (percentage >= 50) {
-        this.grade = 'C';
-        this.gradePoints = 6;
-    } else if (percentage >= 40) {
-        this.grade = 'D';
-        this.gradePoints = 5;
-    } else {
-        this.grade = 'F';
-        this.gradePoints = 0;
+marksSchema.pre('save', async function(next) {
+    try {
+        this.percentage = (this.totalMarks / this.maxMarks) * 100;
+
+        // Changing the marks invalidates a curved grade
+        if (this.gradingMode === 'relative' && (this.isModified('totalMarks') || this.isModified('maxMarks'))) {
+            this.gradingMode = 'absolute';
+            this.curve = undefined;
+        }
+
+        await this.applyGradingScheme();
+        this.updatedAt = new Date();
+        next();
+    } catch (error) {
+        next(error);
     }
-    
-    this.updatedAt = new Date();
-    next();
 });
 
 // Compound indexes for efficient queries
 marksSchema.index({ studentId: 1, semester: 1, academicYear: 1 });
 marksSchema.index({ facultyId: 1, subject: 1, academicYear: 1 });
 marksSchema.index({ studentId: 1, facultyId: 1, subject: 1 });
+marksSchema.index({ assignmentId: 1, studentId: 1 }, { sparse: true });
 
-// Static method to calculate semester GPA
-marksSchema.statics.calculateSemesterGPA = async function(studentId, semester, academicYear) {
-    const marks = await this.find({
-        studentId,
-        semester,
-        academicYear,
-        isPublished: true
+// Resolve the grading scheme for this record's student and set grade/gradePoints.
+// Curved records keep their relative grade; only the absolute audit grade is refreshed.
+marksSchema.methods.applyGradingScheme = async function() {
+    const StudentProfile = mongoose.model('StudentProfile');
+
+    const student = await StudentProfile.findById(this.studentId).select('department course');
+    const scheme = await GradingScheme.resolve({
+        department: student?.department,
+        course: student?.course,
+        academicYear: this.academicYear
     });
+
+    const { grade, gradePoints } = scheme
+        ? scheme.gradeFor(this.percentage)
+        : GradingScheme.gradeForPercentage(this.percentage);
+
+    this.absoluteGrade = grade;
+    this.absoluteGradePoints = gradePoints;
+    if (this.gradingMode !== 'relative') {
+        this.grade = grade;
+        this.gradePoints = gradePoints;
+    }
+    this.gradingSchemeId = scheme ? scheme._id : undefined;
+    return scheme;
+};
+
+// Static method to calculate semester GPA, counting each subject's final result once
+marksSchema.statics.calculateSemesterGPA = async function(studentId, semester, academicYear) {
+    // Required lazily: the results service depends on this model
+    const { calculateStudentResults } = require('../services/resultService');
+    const StudentProfile = mongoose.model('StudentProfile');
     
-    if (marks.length === 0) return 0;
+    const student = await StudentProfile.findById(studentId);
+    if (!student) return 0;
     
-    let totalPoints = 0;
-    let totalCredits = 0;
+    const results = await calculateStudentResults(student);
+    const semesterResult = results.semesters.find(result =>
+        result.semester === Number(semester) && (!academicYear || result.academicYear === academicYear)
+    );
     
-    marks.forEach(mark => {
-        totalPoints += mark.gradePoints * mark.credits;
-        totalCredits += mark.credits;
+    return semesterResult ? semesterResult.sgpa : 0;
+};
+
+const EXAM_TYPES = marksSchema.path('examType').enumValues;
+
+/**
+ * Validate and normalise rows read from a marks import sheet.
+ * Row numbers match the spreadsheet (row 1 is the header).
+ * @param {Array} rows - Objects from xlsx.utils.sheet_to_json
+ * @returns {{validData: Array, errors: Array}}
+ */
+marksSchema.statics.validateExcelData = function(rows) {
+    const validData = [];
+    const errors = [];
+
+    rows.forEach((raw, index) => {
+        const row = index + 2;
+        const rowErrors = [];
+        const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+        const rollNumber = text(raw.rollNumber).toUpperCase();
+        const subject = text(raw.subject);
+        const examType = text(raw.examType).toLowerCase();
+        const academicYear = text(raw.academicYear);
+        const totalMarks = Number(raw.totalMarks);
+        const maxMarks = Number(raw.maxMarks);
+        const semester = Number(raw.semester);
+        const credits = text(raw.credits) === '' ? 3 : Number(raw.credits);
+
+        if (!rollNumber) rowErrors.push({ field: 'rollNumber', message: 'Roll number is required' });
+        if (!subject) rowErrors.push({ field: 'subject', message: 'Subject is required' });
+        if (!EXAM_TYPES.includes(examType)) {
+            rowErrors.push({ field: 'examType', message: `Exam type must be one of: ${EXAM_TYPES.join(', ')}` });
+        }
+        if (!/^\d{4}-\d{4}$/.test(academicYear)) {
+            rowErrors.push({ field: 'academicYear', message: 'Academic year must be in format YYYY-YYYY' });
+        }
+        if (!Number.isInteger(semester) || semester < 1 || semester > 8) {
+            rowErrors.push({ field: 'semester', message: 'Semester must be between 1 and 8' });
+        }
+        if (text(raw.totalMarks) === '' || Number.isNaN(totalMarks) || totalMarks < 0) {
+            rowErrors.push({ field: 'totalMarks', message: 'Marks obtained must be a number of at least 0' });
+        }
+        if (Number.isNaN(maxMarks) || maxMarks < 1) {
+            rowErrors.push({ field: 'maxMarks', message: 'Maximum marks must be a number of at least 1' });
+        } else if (totalMarks > maxMarks) {
+            rowErrors.push({ field: 'totalMarks', message: 'Marks obtained cannot exceed maximum marks' });
+        }
+        if (!Number.isInteger(credits) || credits < 1 || credits > 6) {
+            rowErrors.push({ field: 'credits', message: 'Credits must be between 1 and 6' });
+        }
+
+        if (rowErrors.length > 0) {
+            rowErrors.forEach(error => errors.push({ row, rollNumber, ...error }));
+            return;
+        }
+
+        validData.push({
+            row,
+            rollNumber,
+            subject,
+            subjectCode: text(raw.subjectCode) || subject.toUpperCase().replace(/\s+/g, ''),
+            examType,
+            totalMarks,
+            maxMarks,
+            semester,
+            academicYear,
+            credits,
+            remarks: text(raw.remarks) || undefined
+        });
     });
-    
-    return totalCredits > 0 ? totalPoints / totalCredits : 0;
+
+    return { validData, errors };
+};
+
+/**
+ * Insert or update validated import rows (each row needs a resolved studentId).
+ * In 'skip' mode an existing record for the same student/subject/exam is reported
+ * as a duplicate; in 'upsert' mode it is overwritten. dryRun classifies without writing.
+ * @param {Array} rows - Rows from validateExcelData with studentId added
+ * @param {Object} options - { facultyId, recordedBy, uploadBatch, mode, dryRun }
+ * @returns {Promise<{inserted: Array, updated: Array, duplicates: Array, errors: Array, saved: Array}>}
+ */
+marksSchema.statics.bulkInsertMarks = async function(rows, { facultyId, recordedBy, uploadBatch, mode = 'skip', dryRun = false }) {
+    const results = { inserted: [], updated: [], duplicates: [], errors: [], saved: [] };
+    const seen = new Set();
+
+    for (const row of rows) {
+        const key = [row.studentId, row.subjectCode, row.examType, row.semester, row.academicYear].join('|');
+        const summary = { row: row.row, rollNumber: row.rollNumber, subject: row.subject, examType: row.examType };
+
+        if (seen.has(key)) {
+            results.duplicates.push({ ...summary, message: 'Repeated in this sheet' });
+            continue;
+        }
+        seen.add(key);
+
+        try {
+            const existing = await this.findOne({
+                studentId: row.studentId,
+                subjectCode: row.subjectCode,
+                examType: row.examType,
+                semester: row.semester,
+                academicYear: row.academicYear,
+                // Rows from released assignment grades are kept apart from imported marks
+                assignmentId: null
+            });
+
+            if (existing && mode !== 'upsert') {
+                results.duplicates.push({ ...summary, message: 'Marks already recorded' });
+                continue;
+            }
+
+            if (existing && !existing.facultyId.equals(facultyId)) {
+                results.errors.push({ ...summary, message: 'Marks were recorded by another faculty member' });
+                continue;
+            }
+
+            if (!dryRun) {
+                const marks = existing || new this({
+                    studentId: row.studentId,
+                    facultyId,
+                    subject: row.subject,
+                    subjectCode: row.subjectCode,
+                    examType: row.examType,
+                    semester: row.semester,
+                    academicYear: row.academicYear
+                });
+
+                marks.totalMarks = row.totalMarks;
+                marks.maxMarks = row.maxMarks;
+                marks.credits = row.credits;
+                marks.remarks = row.remarks;
+                marks.recordedBy = recordedBy;
+                marks.uploadBatch = uploadBatch;
+                await marks.save();
+                results.saved.push(marks);
+            }
+
+            results[existing ? 'updated' : 'inserted'].push(summary);
+        } catch (error) {
+            results.errors.push({ ...summary, message: error.message });
+        }
+    }
+
+    return results;
 };
 
 // Static method to get student marks summary
@@ -42,6 +42,13 @@ const noticeSchema = new mongoose.Schema({
         filename: String,
         originalName: String,
         fileUrl: String,
+        // Where the attachment is stored (see services/storage)
+        storageKey: String,
+        storageBackend: {
+            type: String,
+            enum: ['local', 's3', 'gridfs']
+        },
+        checksum: String,
         fileSize: Number,
         mimeType: String,
         uploadDate: { type: Date, default: Date.now }
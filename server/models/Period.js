@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const TIME_FORMAT = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:MM format'];
+
+// A teaching slot in the day; ClassSession.period and timetable entries refer to its number
+const periodSchema = new mongoose.Schema({
+    number: {
+        type: Number,
+        required: true,
+        unique: true,
+        min: 1,
+        max: 12
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: 50
+    },
+    startTime: {
+        type: String,
+        required: true,
+        match: TIME_FORMAT
+    },
+    endTime: {
+        type: String,
+        required: true,
+        match: TIME_FORMAT,
+        validate: {
+            validator: function(value) { return value > this.startTime; },
+            message: 'A period must end after it starts'
+        }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp on save
+periodSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+module.exports = mongoose.model('Period', periodSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One issued refresh token; each refresh uses it up and issues the next in its session
+const refreshTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Tokens rotated from the same login share a session; reuse revokes all of it
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session',
+        required: true
+    },
+    // SHA-256 of the token's jti; the token itself is never stored
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    // Set when the token is exchanged; a second exchange is reuse
+    usedAt: {
+        type: Date
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout-all', 'user', 'admin', 'reuse', 'account']
+    },
+    createdByIp: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+refreshTokenSchema.index({ sessionId: 1 });
+refreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+// MongoDB removes tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
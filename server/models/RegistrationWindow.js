@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const StudentProfile = require('./StudentProfile');
+
+// A subject open for registration, taught by one faculty member
+const offeringSchema = new mongoose.Schema({
+    subjectCode: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true
+    },
+    subjectName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    facultyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FacultyProfile',
+        required: true
+    },
+    credits: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 10
+    },
+    // Seats across pending and approved registrations
+    capacity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Core subjects must be taken by every student in the window
+    category: {
+        type: String,
+        enum: ['core', 'elective'],
+        default: 'core'
+    },
+    // Subject codes the student must have passed
+    prerequisites: [{
+        type: String,
+        trim: true,
+        uppercase: true
+    }]
+});
+
+// Subject selection for one course and semester of an academic year
+const registrationWindowSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    course: {
+        type: String,
+        required: true,
+        enum: StudentProfile.schema.path('course').enumValues
+    },
+    semester: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 8
+    },
+    academicYear: {
+        type: String,
+        required: true
+    },
+    opensAt: {
+        type: Date,
+        required: true
+    },
+    closesAt: {
+        type: Date,
+        required: true,
+        validate: {
+            validator: function(value) { return value > this.opensAt; },
+            message: 'Registration must close after it opens'
+        }
+    },
+    minCredits: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    maxCredits: {
+        type: Number,
+        required: true,
+        validate: {
+            validator: function(value) { return value >= this.minCredits; },
+            message: 'Maximum credits cannot be below the minimum'
+        }
+    },
+    offerings: [offeringSchema],
+    // Electives each student is given from ranked preferences; 0 lets students pick electives directly
+    electiveSlots: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Elective seat allocation: run as a draft once registration closes, then published
+    allocation: {
+        status: {
+            type: String,
+            enum: ['none', 'draft', 'published'],
+            default: 'none'
+        },
+        runAt: Date,
+        runBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        publishedAt: Date
+    },
+    // Faculty who approve registrations in this window
+    advisors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FacultyProfile'
+    }],
+    // Students only see published windows
+    isPublished: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp on save
+registrationWindowSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+registrationWindowSchema.index({ course: 1, semester: 1, academicYear: 1 }, { unique: true });
+registrationWindowSchema.index({ advisors: 1 });
+
+// Whether students can submit or change registrations right now
+registrationWindowSchema.methods.isOpen = function(at = new Date()) {
+    return this.isPublished && this.opensAt <= at && at < this.closesAt;
+};
+
+// Whether electives are allocated from preferences rather than picked
+registrationWindowSchema.methods.usesPreferences = function() {
+    return this.electiveSlots > 0;
+};
+
+registrationWindowSchema.methods.findOffering = function(subjectCode) {
+    return this.offerings.find(offering => offering.subjectCode === String(subjectCode).toUpperCase());
+};
+
+module.exports = mongoose.model('RegistrationWindow', registrationWindowSchema);
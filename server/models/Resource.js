@@ -50,6 +50,20 @@ const resourceSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Where the uploaded file is stored (see services/storage); never sent to clients
+    storageKey: {
+        type: String,
+        select: false
+    },
+    storageBackend: {
+        type: String,
+        enum: ['local', 's3', 'gridfs'],
+        default: 'local'
+    },
+    // SHA-256 of the stored file, also served as the download ETag
+    checksum: {
+        type: String
+    },
     targetGroup: {
         courses: [String],
         semesters: [Number],
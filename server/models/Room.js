@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A room classes can be timetabled in
+const roomSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true,
+        maxlength: 20
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    building: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    capacity: {
+        type: Number,
+        min: 1
+    },
+    roomType: {
+        type: String,
+        enum: ['classroom', 'lab', 'seminar-hall', 'auditorium'],
+        default: 'classroom'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp on save
+roomSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+module.exports = mongoose.model('Room', roomSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const StudentProfile = require('./StudentProfile');
+
+// A group of students taught together: a whole cohort, or a named group such as a lab batch or elective
+const sectionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+    course: {
+        type: String,
+        required: true,
+        enum: StudentProfile.schema.path('course').enumValues
+    },
+    semester: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 8
+    },
+    academicYear: {
+        type: String,
+        required: true
+    },
+    // Members; empty means every active student of the course and semester
+    students: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StudentProfile'
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp on save
+sectionSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+sectionSchema.index({ course: 1, semester: 1, academicYear: 1, name: 1 }, { unique: true });
+sectionSchema.index({ students: 1 });
+
+// Whether the section is the whole cohort rather than a named list
+sectionSchema.methods.isWholeCohort = function() {
+    return this.students.length === 0;
+};
+
+/**
+ * Whether two sections can have a student in common
+ * @param {Object} other - Section document
+ * @returns {boolean}
+ */
+sectionSchema.methods.overlaps = function(other) {
+    if (this._id.equals(other._id)) return true;
+
+    const sameCohort = this.course === other.course &&
+        this.semester === other.semester &&
+        this.academicYear === other.academicYear;
+    if (sameCohort && (this.isWholeCohort() || other.isWholeCohort())) return true;
+
+    const members = new Set(this.students.map(id => id.toString()));
+    return other.students.some(id => members.has(id.toString()));
+};
+
+module.exports = mongoose.model('Section', sectionSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One signed-in device: created at login, kept alive by refreshes, ended by logout or revocation
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['admin', 'faculty', 'student']
+    },
+    device: {
+        browser: String,
+        os: String,
+        device: String
+    },
+    ipAddress: {
+        type: String
+    },
+    userAgent: {
+        type: String,
+        maxlength: 500
+    },
+    // Last authenticated request or refresh from this device
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    // When its current refresh token runs out
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // user/admin: ended from the sessions endpoints; reuse: a refresh token was replayed
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout-all', 'user', 'admin', 'reuse', 'account']
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// MongoDB removes sessions a week after they could last have been used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Whether the session can still be used
+sessionSchema.methods.isActive = function(at = new Date()) {
+    return !this.revokedAt && this.expiresAt > at;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
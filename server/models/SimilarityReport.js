@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const reportStudentSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    name: String,
+    rollNumber: String
+}, { _id: false });
+
+// One side of an overlapping passage; excerpt is HTML with the overlap in <mark>
+const passageSideSchema = new mongoose.Schema({
+    source: String,
+    start: Number,
+    end: Number,
+    excerpt: String
+}, { _id: false });
+
+const similarityPairSchema = new mongoose.Schema({
+    // 'document' pairs compare prose (typed answers, PDF, DOCX, TXT); 'code' pairs compare source files
+    kind: {
+        type: String,
+        enum: ['document', 'code']
+    },
+    studentA: reportStudentSchema,
+    studentB: reportStudentSchema,
+    submissionA: mongoose.Schema.Types.ObjectId,
+    submissionB: mongoose.Schema.Types.ObjectId,
+    // Share (%) of each student's fingerprints found in the other's work; score is the larger
+    score: Number,
+    overlapA: Number,
+    overlapB: Number,
+    sharedFingerprints: Number,
+    passages: [{
+        a: passageSideSchema,
+        b: passageSideSchema
+    }]
+}, { _id: false });
+
+const similarityReportSchema = new mongoose.Schema({
+    assignmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Assignment',
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: ['running', 'completed', 'failed'],
+        default: 'running'
+    },
+    // 'closed' when run by the scheduler after the assignment closed, 'manual' when requested
+    trigger: {
+        type: String,
+        enum: ['closed', 'manual'],
+        default: 'closed'
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    completedAt: {
+        type: Date
+    },
+    error: {
+        type: String
+    },
+    settings: {
+        minScore: Number,
+        document: { k: Number, window: Number },
+        code: { k: Number, window: Number }
+    },
+    submissionsAnalyzed: {
+        type: Number,
+        default: 0
+    },
+    // Files that could not be read or have no text to compare
+    skippedFiles: [{
+        student: reportStudentSchema,
+        submissionId: mongoose.Schema.Types.ObjectId,
+        filename: String,
+        reason: String,
+        _id: false
+    }],
+    pairs: [similarityPairSchema]
+});
+
+module.exports = mongoose.model('SimilarityReport', similarityReportSchema);
@@ -97,6 +97,11 @@ const studentProfileSchema = new mongoose.Schema({
         guardianPhone: String,
         emergencyContact: String
     },
+    // Signed into calendar feed links; bumping it revokes the links handed out so far
+    calendarTokenVersion: {
+        type: Number,
+        default: 0
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -127,38 +132,23 @@ studentProfileSchema.pre('save', async function(next) {
     next();
 });
 
-// Calculate CGPA from marks
-studentProfileSchema.methods.calculateCGPA = async function() {
-    const Marks = mongoose.model('Marks');
-    const marks = await Marks.find({ studentId: this._id });
-    
-    if (marks.length === 0) {
-        this.cgpa = 0;
-        return 0;
-    }
+// Copy CGPA and credits from already calculated results; the caller saves the profile
+studentProfileSchema.methods.applyResults = function(results) {
+    const currentSemester = results.semesters.findLast(semester => semester.semester === this.semester);
     
-    let totalPoints = 0;
-    let totalCredits = 0;
-    
-    marks.forEach(mark => {
-        const percentage = (mark.totalMarks / mark.maxMarks) * 100;
-        let gradePoint = 0;
-        
-        if (percentage >= 90) gradePoint = 10;
-        else if (percentage >= 80) gradePoint = 9;
-        else if (percentage >= 70) gradePoint = 8;
-        else if (percentage >= 60) gradePoint = 7;
-        else if (percentage >= 50) gradePoint = 6;
-        else if (percentage >= 40) gradePoint = 5;
-        else gradePoint = 0;
-        
-        const credits = mark.credits || 3; // Default 3 credits
-        totalPoints += gradePoint * credits;
-        totalCredits += credits;
-    });
+    this.cgpa = results.cgpa;
+    this.totalCredits = results.creditsEarned;
+    this.currentSemesterCredits = currentSemester ? currentSemester.credits : 0;
+    return this.cgpa;
+};
+
+// Calculate CGPA from published final subject results, counting each subject once
+studentProfileSchema.methods.calculateCGPA = async function() {
+    // Required lazily: the results service depends on this model
+    const { calculateStudentResults } = require('../services/resultService');
+    const results = await calculateStudentResults(this);
     
-    this.cgpa = totalCredits > 0 ? totalPoints / totalCredits : 0;
-    this.totalCredits = totalCredits;
+    this.applyResults(results);
     await this.save();
     return this.cgpa;
 };
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const resultComponentSchema = new mongoose.Schema({
+    label: String,
+    source: String,
+    examType: String,
+    group: String,
+    weight: Number,
+    obtained: Number,
+    maxMarks: Number,
+    // Contribution to the final result, out of `weight`
+    weightedScore: Number,
+    isRecorded: Boolean
+}, { _id: false });
+
+const subjectResultSchema = new mongoose.Schema({
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StudentProfile',
+        required: true
+    },
+    facultyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FacultyProfile',
+        required: true
+    },
+    assessmentPlanId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AssessmentPlan',
+        required: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    subjectCode: {
+        type: String,
+        required: true
+    },
+    semester: {
+        type: Number,
+        required: true
+    },
+    academicYear: {
+        type: String,
+        required: true
+    },
+    credits: {
+        type: Number,
+        required: true
+    },
+    components: [resultComponentSchema],
+    internalScore: {
+        type: Number,
+        default: 0
+    },
+    internalMax: {
+        type: Number,
+        default: 0
+    },
+    externalScore: {
+        type: Number,
+        default: 0
+    },
+    externalMax: {
+        type: Number,
+        default: 0
+    },
+    // Out of 100
+    totalScore: {
+        type: Number,
+        default: 0
+    },
+    grade: {
+        type: String
+    },
+    gradePoints: {
+        type: Number
+    },
+    gradingSchemeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GradingScheme'
+    },
+    // Grade from the absolute scheme, kept for audit when a curve is applied
+    absoluteGrade: {
+        type: String
+    },
+    absoluteGradePoints: {
+        type: Number
+    },
+    gradingMode: {
+        type: String,
+        enum: ['absolute', 'relative'],
+        default: 'absolute'
+    },
+    curve: {
+        method: {
+            type: String,
+            enum: ['zscore', 'percentile']
+        },
+        cutoffs: [Number],
+        mean: Number,
+        standardDeviation: Number,
+        appliedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        appliedAt: Date
+    },
+    // Every component has been recorded
+    isComplete: {
+        type: Boolean,
+        default: false
+    },
+    // Every recorded marks component has been published
+    isPublished: {
+        type: Boolean,
+        default: false
+    },
+    compiledAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Relative grading curves a subject's results by their total, like Marks by percentage
+subjectResultSchema.virtual('percentage').get(function() {
+    return this.totalScore;
+});
+
+subjectResultSchema.index({ studentId: 1, subjectCode: 1, semester: 1, academicYear: 1 }, { unique: true });
+subjectResultSchema.index({ assessmentPlanId: 1 });
+
+module.exports = mongoose.model('SubjectResult', subjectResultSchema);
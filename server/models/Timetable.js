@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const StudentProfile = require('./StudentProfile');
+
+// The weekly class grid of one department and semester, repeating between two dates
+const timetableSchema = new mongoose.Schema({
+    department: {
+        type: String,
+        required: true,
+        enum: StudentProfile.schema.path('department').enumValues
+    },
+    semester: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 8
+    },
+    academicYear: {
+        type: String,
+        required: true
+    },
+    // First and last day classes follow this timetable
+    startsOn: {
+        type: Date,
+        required: true
+    },
+    endsOn: {
+        type: Date,
+        required: true,
+        validate: {
+            validator: function(value) { return value >= this.startsOn; },
+            message: 'A timetable must end on or after its start date'
+        }
+    },
+    // Students and faculty only see published timetables
+    isPublished: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp on save
+timetableSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+timetableSchema.index({ department: 1, semester: 1, academicYear: 1 }, { unique: true });
+timetableSchema.index({ startsOn: 1, endsOn: 1 });
+
+module.exports = mongoose.model('Timetable', timetableSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const ClassSession = require('./ClassSession');
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// One weekly class in a timetable: a section taught a subject in a room for one or more consecutive periods
+const timetableEntrySchema = new mongoose.Schema({
+    timetableId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Timetable',
+        required: true
+    },
+    sectionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Section',
+        required: true
+    },
+    day: {
+        type: String,
+        required: true,
+        enum: DAYS
+    },
+    // First period number; labs and other long classes take `span` periods from here
+    period: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 12
+    },
+    span: {
+        type: Number,
+        min: 1,
+        max: 4,
+        default: 1
+    },
+    subjectCode: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true
+    },
+    subjectName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    facultyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FacultyProfile',
+        required: true
+    },
+    roomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room',
+        required: true
+    },
+    classType: {
+        type: String,
+        enum: ClassSession.schema.path('classType').enumValues,
+        default: 'lecture'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp on save
+timetableEntrySchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+timetableEntrySchema.index({ timetableId: 1, day: 1, period: 1 });
+timetableEntrySchema.index({ facultyId: 1, day: 1 });
+timetableEntrySchema.index({ roomId: 1, day: 1 });
+
+// Last period the entry takes up
+timetableEntrySchema.methods.lastPeriod = function() {
+    return this.period + (this.span || 1) - 1;
+};
+
+const TimetableEntry = mongoose.model('TimetableEntry', timetableEntrySchema);
+
+TimetableEntry.DAYS = DAYS;
+
+module.exports = TimetableEntry;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Record of every grade card / transcript issued, so its verification code can be checked
+const transcriptSchema = new mongoose.Schema({
+    verificationCode: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true
+    },
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StudentProfile',
+        required: true
+    },
+    documentType: {
+        type: String,
+        enum: ['grade-card', 'transcript'],
+        required: true
+    },
+    // Only set for semester grade cards
+    semester: {
+        type: Number,
+        min: 1,
+        max: 8
+    },
+    // What the document showed when it was issued
+    snapshot: {
+        name: String,
+        rollNumber: String,
+        course: String,
+        department: String,
+        enrollmentYear: Number,
+        sgpa: Number,
+        cgpa: Number,
+        creditsEarned: Number,
+        subjects: Number
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    isRevoked: {
+        type: Boolean,
+        default: false
+    }
+});
+
+transcriptSchema.index({ studentId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Transcript', transcriptSchema);
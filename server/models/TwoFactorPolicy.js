@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Roles that can enrol an authenticator app
+const TWO_FACTOR_ROLES = ['admin', 'faculty'];
+
+// Whether every account of a role must sign in with a second factor
+const twoFactorPolicySchema = new mongoose.Schema({
+    role: {
+        type: String,
+        enum: TWO_FACTOR_ROLES,
+        required: true,
+        unique: true
+    },
+    required: {
+        type: Boolean,
+        default: false
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp on save
+twoFactorPolicySchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+/**
+ * Whether accounts of a role must use two-factor authentication.
+ * Roles without a policy document are not enforced.
+ * @param {string} role - User role
+ * @returns {Promise<boolean>}
+ */
+twoFactorPolicySchema.statics.isRequiredFor = async function(role) {
+    if (!TWO_FACTOR_ROLES.includes(role)) return false;
+    const policy = await this.findOne({ role }).select('required');
+    return Boolean(policy && policy.required);
+};
+
+const TwoFactorPolicy = mongoose.model('TwoFactorPolicy', twoFactorPolicySchema);
+
+TwoFactorPolicy.TWO_FACTOR_ROLES = TWO_FACTOR_ROLES;
+
+module.exports = TwoFactorPolicy;
@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// How long a password reset link stays valid
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+// How long an email verification link stays valid
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -56,6 +65,66 @@ const userSchema = new mongoose.Schema({
     lastLogin: {
         type: Date
     },
+    // False until the emailed link is opened; unset on accounts from before verification, which count as verified
+    isEmailVerified: {
+        type: Boolean
+    },
+    emailVerifiedAt: {
+        type: Date
+    },
+    // SHA-256 of the emailed verification token
+    emailVerificationToken: {
+        type: String,
+        select: false
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false
+    },
+    // SHA-256 of the emailed reset token; the token itself is never stored
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
+    passwordChangedAt: {
+        type: Date
+    },
+    // Signed into every login token; bumping it ends all of the user's sessions
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    // TOTP second factor (admin and faculty); secrets are stored encrypted
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorEnabledAt: {
+        type: Date
+    },
+    twoFactorSecret: {
+        type: String,
+        select: false
+    },
+    // Secret shown during enrolment, until the first code confirms it
+    twoFactorPendingSecret: {
+        type: String,
+        select: false
+    },
+    // SHA-256 hashes of the unused recovery codes
+    twoFactorRecoveryCodes: {
+        type: [String],
+        select: false
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+        type: Number,
+        select: false
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -90,6 +159,28 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Start a password reset: store the token's hash and expiry
+ * @returns {string} The token to email to the user
+ */
+userSchema.methods.createPasswordResetToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.passwordResetToken = hashToken(token);
+    this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+    return token;
+};
+
+/**
+ * Start email verification: store the token's hash and expiry
+ * @returns {string} The token to email to the user
+ */
+userSchema.methods.createEmailVerificationToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.emailVerificationToken = hashToken(token);
+    this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+    return token;
+};
+
 // Get user profile based on role
 userSchema.methods.getProfile = async function() {
     if (this.role === 'faculty') {
@@ -102,4 +193,7 @@ userSchema.methods.getProfile = async function() {
     return null;
 };
 
+userSchema.statics.hashResetToken = hashToken;
+userSchema.statics.hashVerificationToken = hashToken;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
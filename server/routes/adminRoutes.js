@@ -1,12 +1,26 @@
 const express = require('express');
+const { body, param, query } = require('express-validator');
 const adminAuth = require('../middleware/adminAuth');
+const { commonValidations, handleValidationErrors } = require('../middleware/validation');
+const { authLimiter } = require('../middleware/rateLimiter');
+const { TWO_FACTOR_ROLES } = require('../models/TwoFactorPolicy');
+const FacultyProfile = require('../models/FacultyProfile');
+const StudentProfile = require('../models/StudentProfile');
+const RegistrationWindow = require('../models/RegistrationWindow');
 const {
     adminLogin,
+    adminLoginTwoFactor,
     getDashboardStats,
     getPendingRegistrations,
     updateUserStatus,
     getAllUsers,
     deleteUser,
+    getUserSessions,
+    revokeUserSessions,
+    revokeSession,
+    getTwoFactorPolicies,
+    updateTwoFactorPolicy,
+    resetUserTwoFactor,
     createUser,
     getAllLeaves,
     reviewLeave,
@@ -19,16 +33,179 @@ const {
     getAllNotices,
     deleteNotice,
     getAllResources,
-    deleteResource
+    deleteResource,
+    getGradingSchemes,
+    createGradingScheme,
+    updateGradingScheme,
+    deleteGradingScheme,
+    recomputeGradingScheme,
+    getStudentTranscript,
+    getAttendancePolicies,
+    createAttendancePolicy,
+    updateAttendancePolicy,
+    deleteAttendancePolicy,
+    getAttendanceShortage,
+    getCondonationRequests,
+    reviewCondonation,
+    getEligibilityList,
+    getRegistrationWindows,
+    createRegistrationWindow,
+    updateRegistrationWindow,
+    deleteRegistrationWindow,
+    getWindowRegistrations,
+    getElectiveAllocation,
+    allocateElectives,
+    publishElectiveAllocation,
+    reviewCourseRegistration
 } = require('../controllers/adminController');
 
 const router = express.Router();
 
+const { mongoId } = commonValidations;
+const REVIEW_STATUSES = ['approved', 'rejected'];
+
+const loginValidation = [
+    body('email').isEmail().withMessage('Please provide a valid email address'),
+    body('password').notEmpty().withMessage('Password is required')
+];
+
+const pendingRegistrationsValidation = [
+    query('hideUnverified').optional().isBoolean().withMessage('hideUnverified must be true or false')
+];
+
+const loginTwoFactorValidation = [
+    body('twoFactorToken').isJWT().withMessage('Two-factor sign-in token is required'),
+    commonValidations.totpCode,
+    commonValidations.recoveryCode
+];
+
+const twoFactorPolicyValidation = [
+    param('role').isIn(TWO_FACTOR_ROLES).withMessage(`Role must be one of: ${TWO_FACTOR_ROLES.join(', ')}`),
+    body('required').isBoolean().withMessage('required must be true or false').toBoolean()
+];
+
+const userStatusValidation = [
+    mongoId,
+    body('status')
+        .isIn(REVIEW_STATUSES)
+        .withMessage('Invalid status. Must be approved or rejected'),
+    body('reason')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot exceed 500 characters')
+];
+
+const createUserValidation = [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('email').isEmail().withMessage('Please provide a valid email address'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
+    body('role').isIn(['admin', 'faculty', 'student']).withMessage('Role must be admin, faculty or student')
+];
+
+const reviewValidation = [
+    mongoId,
+    body('status')
+        .isIn(REVIEW_STATUSES)
+        .withMessage('Invalid status. Must be approved or rejected'),
+    body('comments')
+        .optional()
+        .isLength({ max: 300 })
+        .withMessage('Comments cannot exceed 300 characters')
+];
+
+// Profile updates are applied as sent; these are the fields the admin screens edit
+const facultyProfileValidation = [
+    mongoId,
+    body('designation').optional().isIn(FacultyProfile.schema.path('designation').enumValues),
+    body('department').optional().isIn(FacultyProfile.schema.path('department').enumValues),
+    body('specialization').optional().isArray(),
+    body('officeLocation').optional().isObject(),
+    body('isActive').optional().isBoolean()
+];
+
+const studentProfileValidation = [
+    mongoId,
+    body('course').optional().isIn(StudentProfile.schema.path('course').enumValues),
+    body('department').optional().isIn(StudentProfile.schema.path('department').enumValues),
+    body('semester').optional().isInt({ min: 1, max: 8 }).withMessage('Semester must be between 1 and 8'),
+    body('enrollmentYear').optional().isInt({ min: 2000, max: 2100 }),
+    body('cgpa').optional().isFloat({ min: 0, max: 10 }),
+    body('isActive').optional().isBoolean()
+];
+
+const transcriptValidation = [
+    mongoId,
+    query('semester').optional().isInt({ min: 1, max: 8 }).withMessage('Semester must be between 1 and 8')
+];
+
+const gradingSchemeFields = (required) => [
+    (required ? body('name') : body('name').optional())
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name and at least one grade band are required'),
+    (required ? body('bands') : body('bands').optional())
+        .isArray({ min: 1 })
+        .withMessage('Name and at least one grade band are required'),
+    body('bands.*.grade').isLength({ min: 1, max: 5 }),
+    body('bands.*.minPercentage').isFloat({ min: 0, max: 100 }),
+    body('bands.*.gradePoints').isFloat({ min: 0, max: 10 }),
+    body('description').optional().isLength({ max: 500 }),
+    body(['department', 'course', 'academicYear']).optional({ values: 'null' }).isString(),
+    body(['isDefault', 'isActive']).optional().isBoolean()
+];
+
+const attendancePolicyFields = (required) => [
+    (required ? body('name') : body('name').optional())
+        .trim()
+        .notEmpty()
+        .withMessage('Name and threshold are required'),
+    (required ? body('threshold') : body('threshold').optional())
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Threshold must be between 0 and 100'),
+    body('condonationLimit').optional().isFloat({ min: 0, max: 100 }),
+    body('semester').optional({ values: 'null' }).isInt({ min: 1, max: 8 }),
+    body(['course', 'academicYear']).optional({ values: 'null' }).isString(),
+    body('isActive').optional().isBoolean()
+];
+
+const registrationWindowFields = (required) => {
+    const field = (name) => (required ? body(name) : body(name).optional());
+    return [
+        field('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title is required and cannot exceed 100 characters'),
+        field('course').isIn(RegistrationWindow.schema.path('course').enumValues).withMessage('Invalid course'),
+        field('semester').isInt({ min: 1, max: 8 }).withMessage('Semester must be between 1 and 8'),
+        field('academicYear').matches(/^\d{4}-\d{4}$/).withMessage('Academic year must be in format YYYY-YYYY'),
+        field('opensAt').isISO8601().withMessage('Valid opening date is required'),
+        field('closesAt').isISO8601().withMessage('Valid closing date is required'),
+        field('minCredits').isInt({ min: 0 }).withMessage('Minimum credits must be a non-negative number'),
+        field('maxCredits').isInt({ min: 1 }).withMessage('Maximum credits must be a positive number'),
+        field('offerings').isArray({ min: 1 }).withMessage('At least one subject must be offered'),
+        body('offerings.*.subjectCode').trim().notEmpty().withMessage('Each offering needs a subject code'),
+        body('offerings.*.subjectName').trim().notEmpty().withMessage('Each offering needs a subject name'),
+        body('offerings.*.facultyId').isMongoId().withMessage('Invalid faculty ID format'),
+        body('offerings.*.credits').isInt({ min: 1, max: 10 }).withMessage('Credits must be between 1 and 10'),
+        body('offerings.*.capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+        body('offerings.*.category').optional().isIn(['core', 'elective']).withMessage('Category must be core or elective'),
+        body('offerings.*.prerequisites').optional().isArray(),
+        body('offerings.*.prerequisites.*').isString().trim().notEmpty(),
+        body('electiveSlots').optional().isInt({ min: 0 }).withMessage('Elective slots must be a non-negative number'),
+        field('advisors').isArray({ min: 1 }).withMessage('At least one faculty advisor is required'),
+        body('advisors.*').isMongoId().withMessage('Invalid advisor ID format'),
+        body('isPublished').optional().isBoolean()
+    ];
+};
+
 /**
  * POST /api/admin/login
  * Admin login (no auth required)
  */
-router.post('/login', adminLogin);
+router.post('/login', loginValidation, handleValidationErrors, adminLogin);
+
+/**
+ * POST /api/admin/login/2fa
+ * Finish admin login with an authenticator or recovery code (no auth required)
+ */
+router.post('/login/2fa', authLimiter, loginTwoFactorValidation, handleValidationErrors, adminLoginTwoFactor);
 
 /**
  * GET /api/admin/stats
@@ -38,15 +215,15 @@ router.get('/stats', adminAuth, getDashboardStats);
 
 /**
  * GET /api/admin/pending-registrations
- * Get pending user registrations (admin auth required)
+ * Get pending user registrations with email verification status; ?hideUnverified=true hides unverified ones (admin auth required)
  */
-router.get('/pending-registrations', adminAuth, getPendingRegistrations);
+router.get('/pending-registrations', adminAuth, pendingRegistrationsValidation, handleValidationErrors, getPendingRegistrations);
 
 /**
  * PATCH /api/admin/user/:id/status
  * Approve/Reject user registration (admin auth required)
  */
-router.patch('/user/:id/status', adminAuth, updateUserStatus);
+router.patch('/user/:id/status', adminAuth, userStatusValidation, handleValidationErrors, updateUserStatus);
 
 /**
  * GET /api/admin/users
@@ -58,13 +235,49 @@ router.get('/users', adminAuth, getAllUsers);
  * DELETE /api/admin/user/:id
  * Delete a user (admin auth required)
  */
-router.delete('/user/:id', adminAuth, deleteUser);
+router.delete('/user/:id', adminAuth, mongoId, handleValidationErrors, deleteUser);
+
+/**
+ * GET /api/admin/user/:id/sessions
+ * Get a user's sessions; ?includeEnded=true adds revoked and expired ones (admin auth required)
+ */
+router.get('/user/:id/sessions', adminAuth, mongoId, handleValidationErrors, getUserSessions);
+
+/**
+ * DELETE /api/admin/user/:id/sessions
+ * Sign a user out of every device (admin auth required)
+ */
+router.delete('/user/:id/sessions', adminAuth, mongoId, handleValidationErrors, revokeUserSessions);
+
+/**
+ * DELETE /api/admin/session/:id
+ * End a single session of any user (admin auth required)
+ */
+router.delete('/session/:id', adminAuth, mongoId, handleValidationErrors, revokeSession);
+
+/**
+ * GET /api/admin/two-factor/policies
+ * Get 2FA enforcement and enrolment counts per role (admin auth required)
+ */
+router.get('/two-factor/policies', adminAuth, getTwoFactorPolicies);
+
+/**
+ * PUT /api/admin/two-factor/policies/:role
+ * Require 2FA for a role, or make it optional (admin auth required)
+ */
+router.put('/two-factor/policies/:role', adminAuth, twoFactorPolicyValidation, handleValidationErrors, updateTwoFactorPolicy);
+
+/**
+ * DELETE /api/admin/user/:id/two-factor
+ * Remove a user's 2FA so they can enrol again (admin auth required)
+ */
+router.delete('/user/:id/two-factor', adminAuth, mongoId, handleValidationErrors, resetUserTwoFactor);
 
 /**
  * POST /api/admin/create-user
  * Create user manually (admin auth required)
  */
-router.post('/create-user', adminAuth, createUser);
+router.post('/create-user', adminAuth, createUserValidation, handleValidationErrors, createUser);
 
 /**
  * GET /api/admin/leaves
@@ -76,7 +289,7 @@ router.get('/leaves', adminAuth, getAllLeaves);
  * PATCH /api/admin/leave/:id/review
  * Review leave application (admin auth required)
  */
-router.patch('/leave/:id/review', adminAuth, reviewLeave);
+router.patch('/leave/:id/review', adminAuth, reviewValidation, handleValidationErrors, reviewLeave);
 
 /**
  * GET /api/admin/faculty
@@ -88,7 +301,7 @@ router.get('/faculty', adminAuth, getAllFaculty);
  * PATCH /api/admin/faculty/:id
  * Update faculty profile (admin auth required)
  */
-router.patch('/faculty/:id', adminAuth, updateFacultyProfile);
+router.patch('/faculty/:id', adminAuth, facultyProfileValidation, handleValidationErrors, updateFacultyProfile);
 
 /**
  * GET /api/admin/students
@@ -100,7 +313,13 @@ router.get('/students', adminAuth, getAllStudents);
  * PATCH /api/admin/student/:id
  * Update student profile (admin auth required)
  */
-router.patch('/student/:id', adminAuth, updateStudentProfile);
+router.patch('/student/:id', adminAuth, studentProfileValidation, handleValidationErrors, updateStudentProfile);
+
+/**
+ * GET /api/admin/student/:id/transcript?semester=
+ * Generate a student's grade card or transcript PDF (admin auth required)
+ */
+router.get('/student/:id/transcript', adminAuth, transcriptValidation, handleValidationErrors, getStudentTranscript);
 
 /**
  * GET /api/admin/attendance
@@ -124,7 +343,7 @@ router.get('/notices', adminAuth, getAllNotices);
  * DELETE /api/admin/notice/:id
  * Delete notice (admin auth required)
  */
-router.delete('/notice/:id', adminAuth, deleteNotice);
+router.delete('/notice/:id', adminAuth, mongoId, handleValidationErrors, deleteNotice);
 
 /**
  * GET /api/admin/resources
@@ -136,6 +355,138 @@ router.get('/resources', adminAuth, getAllResources);
  * DELETE /api/admin/resource/:id
  * Delete resource (admin auth required)
  */
-router.delete('/resource/:id', adminAuth, deleteResource);
+router.delete('/resource/:id', adminAuth, mongoId, handleValidationErrors, deleteResource);
+
+/**
+ * GET /api/admin/grading-schemes
+ * Get all grading schemes (admin auth required)
+ */
+router.get('/grading-schemes', adminAuth, getGradingSchemes);
+
+/**
+ * POST /api/admin/grading-scheme
+ * Create a grading scheme (admin auth required)
+ */
+router.post('/grading-scheme', adminAuth, gradingSchemeFields(true), handleValidationErrors, createGradingScheme);
+
+/**
+ * PATCH /api/admin/grading-scheme/:id
+ * Update a grading scheme and recompute affected grades (admin auth required)
+ */
+router.patch('/grading-scheme/:id', adminAuth, mongoId, gradingSchemeFields(false), handleValidationErrors, updateGradingScheme);
+
+/**
+ * DELETE /api/admin/grading-scheme/:id
+ * Delete a grading scheme and recompute affected grades (admin auth required)
+ */
+router.delete('/grading-scheme/:id', adminAuth, mongoId, handleValidationErrors, deleteGradingScheme);
+
+/**
+ * POST /api/admin/grading-scheme/:id/recompute
+ * Recompute grades for everything a scheme covers (admin auth required)
+ */
+router.post('/grading-scheme/:id/recompute', adminAuth, mongoId, handleValidationErrors, recomputeGradingScheme);
+
+/**
+ * GET /api/admin/attendance-policies
+ * Get all attendance eligibility policies (admin auth required)
+ */
+router.get('/attendance-policies', adminAuth, getAttendancePolicies);
+
+/**
+ * POST /api/admin/attendance-policy
+ * Create an attendance eligibility policy (admin auth required)
+ */
+router.post('/attendance-policy', adminAuth, attendancePolicyFields(true), handleValidationErrors, createAttendancePolicy);
+
+/**
+ * PATCH /api/admin/attendance-policy/:id
+ * Update an attendance eligibility policy (admin auth required)
+ */
+router.patch('/attendance-policy/:id', adminAuth, mongoId, attendancePolicyFields(false), handleValidationErrors, updateAttendancePolicy);
+
+/**
+ * DELETE /api/admin/attendance-policy/:id
+ * Delete an attendance eligibility policy (admin auth required)
+ */
+router.delete('/attendance-policy/:id', adminAuth, mongoId, handleValidationErrors, deleteAttendancePolicy);
+
+/**
+ * GET /api/admin/attendance/shortage
+ * Attendance shortage report for a subject (admin auth required)
+ */
+router.get('/attendance/shortage', adminAuth, getAttendanceShortage);
+
+/**
+ * GET /api/admin/condonation-requests
+ * Get attendance condonation requests (admin auth required)
+ */
+router.get('/condonation-requests', adminAuth, getCondonationRequests);
+
+/**
+ * PATCH /api/admin/condonation-request/:id/review
+ * Approve or reject a condonation request (admin auth required)
+ */
+router.patch('/condonation-request/:id/review', adminAuth, reviewValidation, handleValidationErrors, reviewCondonation);
+
+/**
+ * GET /api/admin/eligibility
+ * Exam eligibility list for a course and semester (admin auth required)
+ */
+router.get('/eligibility', adminAuth, getEligibilityList);
+
+/**
+ * GET /api/admin/registration-windows
+ * Get course registration windows (admin auth required)
+ */
+router.get('/registration-windows', adminAuth, getRegistrationWindows);
+
+/**
+ * POST /api/admin/registration-window
+ * Create a registration window with offered subjects, credit limits and advisors (admin auth required)
+ */
+router.post('/registration-window', adminAuth, registrationWindowFields(true), handleValidationErrors, createRegistrationWindow);
+
+/**
+ * PATCH /api/admin/registration-window/:id
+ * Update or publish a registration window (admin auth required)
+ */
+router.patch('/registration-window/:id', adminAuth, mongoId, registrationWindowFields(false), handleValidationErrors, updateRegistrationWindow);
+
+/**
+ * DELETE /api/admin/registration-window/:id
+ * Delete a registration window nobody has registered in (admin auth required)
+ */
+router.delete('/registration-window/:id', adminAuth, mongoId, handleValidationErrors, deleteRegistrationWindow);
+
+/**
+ * GET /api/admin/registration-window/:id/registrations
+ * Get a window's course registrations and seats held per subject (admin auth required)
+ */
+router.get('/registration-window/:id/registrations', adminAuth, mongoId, handleValidationErrors, getWindowRegistrations);
+
+/**
+ * GET /api/admin/registration-window/:id/allocation
+ * Elective allocation results with waitlists (admin auth required)
+ */
+router.get('/registration-window/:id/allocation', adminAuth, mongoId, handleValidationErrors, getElectiveAllocation);
+
+/**
+ * POST /api/admin/registration-window/:id/allocation
+ * Allocate elective seats by preference and CGPA as a draft (admin auth required)
+ */
+router.post('/registration-window/:id/allocation', adminAuth, mongoId, handleValidationErrors, allocateElectives);
+
+/**
+ * POST /api/admin/registration-window/:id/allocation/publish
+ * Publish the elective allocation and enroll allocated students (admin auth required)
+ */
+router.post('/registration-window/:id/allocation/publish', adminAuth, mongoId, handleValidationErrors, publishElectiveAllocation);
+
+/**
+ * PATCH /api/admin/course-registration/:id/review
+ * Approve or reject a course registration (admin auth required)
+ */
+router.patch('/course-registration/:id/review', adminAuth, reviewValidation, handleValidationErrors, reviewCourseRegistration);
 
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,9 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const assignmentController = require('../controllers/assignmentController');
-const authMiddleware = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
 const { canUploadMarksAttendance } = require('../middleware/roleMiddleware');
-const { assignmentUpload } = require('../config/multer');
+const { assignmentUpload, handleUploadError } = require('../config/multer');
 
 const router = express.Router();
 
@@ -78,6 +78,16 @@ const createAssignmentValidation = [
         .isFloat({ min: 0, max: 100 })
         .withMessage('Late penalty must be between 0 and 100'),
     
+    body('latePenaltyMode')
+        .optional()
+        .isIn(['flat', 'per_day'])
+        .withMessage('Late penalty mode must be flat or per_day'),
+    
+    body('lateSubmissionCutoff')
+        .optional({ checkFalsy: true })
+        .isISO8601()
+        .withMessage('Late submission cutoff must be in ISO format'),
+    
     body('maxSubmissions')
         .optional()
         .isInt({ min: 1 })
@@ -152,6 +162,16 @@ const updateAssignmentValidation = [
         .isFloat({ min: 0, max: 100 })
         .withMessage('Late penalty must be between 0 and 100'),
     
+    body('latePenaltyMode')
+        .optional()
+        .isIn(['flat', 'per_day'])
+        .withMessage('Late penalty mode must be flat or per_day'),
+    
+    body('lateSubmissionCutoff')
+        .optional({ checkFalsy: true })
+        .isISO8601()
+        .withMessage('Late submission cutoff must be in ISO format'),
+    
     body('maxSubmissions')
         .optional()
         .isInt({ min: 1 })
@@ -227,7 +247,7 @@ const queryValidation = [
 ];
 
 // All routes require authentication
-router.use(authMiddleware);
+router.use(auth);
 
 /**
  * POST /api/assignments
@@ -262,6 +282,25 @@ router.get('/my-assignments',
     assignmentController.getMyAssignments
 );
 
+/**
+ * GET /api/assignments/my-submissions
+ * Get the current student's submissions with their status
+ * Only students can access this endpoint
+ */
+router.get('/my-submissions',
+    [
+        query('status')
+            .optional()
+            .isIn(['submitted', 'late', 'graded'])
+            .withMessage('Status must be submitted, late, or graded'),
+        query('academicYear')
+            .optional()
+            .matches(/^\d{4}-\d{4}$/)
+            .withMessage('Academic year must be in format YYYY-YYYY')
+    ],
+    assignmentController.getMySubmissions
+);
+
 /**
  * GET /api/assignments/upcoming-deadlines
  * Get upcoming assignment deadlines
@@ -319,9 +358,163 @@ router.delete('/:id',
     assignmentController.deleteAssignment
 );
 
+/**
+ * POST /api/assignments/:id/submit
+ * Submit an assignment: files (field "files", up to 5) and/or "text"
+ * Only students enrolled in the course; deadline and submission limits apply
+ */
+router.post('/:id/submit',
+    [param('id').isMongoId().withMessage('Invalid assignment ID format')],
+    assignmentUpload.array('files', 5),
+    handleUploadError,
+    [
+        body('text')
+            .optional()
+            .isLength({ max: 20000 })
+            .withMessage('Submission text cannot exceed 20000 characters'),
+        body('comments')
+            .optional()
+            .isLength({ max: 1000 })
+            .withMessage('Comments cannot exceed 1000 characters')
+    ],
+    assignmentController.submitAssignment
+);
+
+/**
+ * GET /api/assignments/:id/submissions
+ * Submission inbox for an assignment (?status=submitted|late|graded, ?all=true for every attempt)
+ * Only faculty teaching the course and admin
+ */
+router.get('/:id/submissions',
+    [param('id').isMongoId().withMessage('Invalid assignment ID format')],
+    assignmentController.getSubmissionInbox
+);
+
+/**
+ * GET /api/assignments/:id/submissions/download
+ * Download all submissions as a zip (?all=true for every attempt)
+ * Only faculty teaching the course and admin
+ */
+router.get('/:id/submissions/download',
+    [param('id').isMongoId().withMessage('Invalid assignment ID format')],
+    assignmentController.downloadSubmissions
+);
+
+/**
+ * GET /api/assignments/:id/submissions/:submissionId/files/:fileId
+ * Download one submitted file
+ * The submitting student, faculty teaching the course and admin
+ */
+router.get('/:id/submissions/:submissionId/files/:fileId',
+    [
+        param('id').isMongoId().withMessage('Invalid assignment ID format'),
+        param('submissionId').isMongoId().withMessage('Invalid submission ID format'),
+        param('fileId').isMongoId().withMessage('Invalid file ID format')
+    ],
+    assignmentController.downloadSubmissionFile
+);
+
+/**
+ * PUT /api/assignments/:id/rubric
+ * Set the grading rubric: criteria, each with levels worth points (an empty list removes it)
+ * Only faculty teaching the course and admin, before grading starts
+ */
+router.put('/:id/rubric',
+    [
+        param('id').isMongoId().withMessage('Invalid assignment ID format'),
+        body('criteria')
+            .isArray({ max: 20 })
+            .withMessage('Criteria must be a list of at most 20 criteria'),
+        body('criteria.*.title')
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Each criterion needs a title of at most 100 characters'),
+        body('criteria.*.levels')
+            .isArray({ min: 1, max: 10 })
+            .withMessage('Each criterion needs between 1 and 10 levels'),
+        body('criteria.*.levels.*.label')
+            .trim()
+            .isLength({ min: 1, max: 50 })
+            .withMessage('Each level needs a label of at most 50 characters'),
+        body('criteria.*.levels.*.points')
+            .isFloat({ min: 0 })
+            .withMessage('Level points must be a number of at least 0')
+            .toFloat()
+    ],
+    assignmentController.updateRubric
+);
+
+/**
+ * PUT /api/assignments/:id/submissions/:submissionId/grade
+ * Grade a submission: scores [{ criterionId, levelId, comment }] with a rubric, otherwise score
+ * Only faculty teaching the course and admin; release=true also releases the grade
+ */
+router.put('/:id/submissions/:submissionId/grade',
+    [
+        param('id').isMongoId().withMessage('Invalid assignment ID format'),
+        param('submissionId').isMongoId().withMessage('Invalid submission ID format'),
+        body('scores')
+            .optional()
+            .isArray()
+            .withMessage('Scores must be a list'),
+        body('scores.*.criterionId')
+            .isMongoId()
+            .withMessage('Each score needs a valid criterion ID'),
+        body('scores.*.levelId')
+            .isMongoId()
+            .withMessage('Each score needs a valid level ID'),
+        body('scores.*.comment')
+            .optional()
+            .isLength({ max: 1000 })
+            .withMessage('Criterion comments cannot exceed 1000 characters'),
+        body('score')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Score must be a number of at least 0'),
+        body('feedback')
+            .optional()
+            .isLength({ max: 2000 })
+            .withMessage('Feedback cannot exceed 2000 characters'),
+        body('release')
+            .optional()
+            .isBoolean()
+            .withMessage('Release must be true or false')
+    ],
+    assignmentController.gradeSubmission
+);
+
+/**
+ * POST /api/assignments/:id/grades/release
+ * Release grades to students, write them to Marks and email the students
+ * Only faculty teaching the course and admin; optional submissionIds limits what is released
+ */
+router.post('/:id/grades/release',
+    [
+        param('id').isMongoId().withMessage('Invalid assignment ID format'),
+        body('submissionIds')
+            .optional()
+            .isArray()
+            .withMessage('Submission IDs must be a list'),
+        body('submissionIds.*')
+            .isMongoId()
+            .withMessage('Invalid submission ID format')
+    ],
+    assignmentController.releaseGrades
+);
+
+/**
+ * POST /api/assignments/:id/similarity
+ * Re-run the similarity check over the latest submissions (runs by itself when the assignment closes)
+ * Only faculty teaching the course and admin
+ */
+router.post('/:id/similarity',
+    mongoIdValidation,
+    assignmentController.checkSimilarity
+);
+
 /**
  * GET /api/assignments/:id/statistics
- * Get assignment statistics (submissions, grades, etc.)
+ * Get assignment statistics (submissions, grades, similarity report)
  * Only faculty and admin can view assignment statistics
  */
 router.get('/:id/statistics',
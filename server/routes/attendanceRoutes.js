@@ -2,7 +2,7 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const attendanceController = require('../controllers/attendanceController');
-const authMiddleware = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
 const { canUploadMarksAttendance } = require('../middleware/roleMiddleware');
 
 const router = express.Router();
@@ -19,11 +19,6 @@ const markAttendanceValidation = [
         .isMongoId()
         .withMessage('Valid course ID is required'),
     
-    body('subject')
-        .trim()
-        .isLength({ min: 2, max: 100 })
-        .withMessage('Subject must be between 2 and 100 characters'),
-    
     body('date')
         .isISO8601()
         .withMessage('Valid date is required in ISO format')
@@ -50,10 +45,15 @@ const markAttendanceValidation = [
         .isInt({ min: 1, max: 8 })
         .withMessage('Semester must be between 1 and 8'),
     
+    body('period')
+        .optional()
+        .isInt({ min: 1, max: 12 })
+        .withMessage('Period must be between 1 and 12'),
+    
     body('classType')
         .optional()
-        .isIn(['lecture', 'lab', 'tutorial', 'seminar', 'practical'])
-        .withMessage('Class type must be one of: lecture, lab, tutorial, seminar, practical'),
+        .isIn(['lecture', 'lab', 'tutorial', 'seminar'])
+        .withMessage('Class type must be one of: lecture, lab, tutorial, seminar'),
     
     body('duration')
         .optional()
@@ -62,8 +62,8 @@ const markAttendanceValidation = [
     
     body('remarks')
         .optional()
-        .isLength({ max: 500 })
-        .withMessage('Remarks cannot exceed 500 characters')
+        .isLength({ max: 200 })
+        .withMessage('Remarks cannot exceed 200 characters')
 ];
 
 /**
@@ -82,11 +82,6 @@ const bulkAttendanceValidation = [
         .isMongoId()
         .withMessage('Valid course ID is required for each attendance entry'),
     
-    body('attendanceData.*.subject')
-        .trim()
-        .isLength({ min: 2, max: 100 })
-        .withMessage('Subject must be between 2 and 100 characters'),
-    
     body('attendanceData.*.date')
         .isISO8601()
         .withMessage('Valid date is required in ISO format'),
@@ -114,8 +109,8 @@ const updateAttendanceValidation = [
     
     body('remarks')
         .optional()
-        .isLength({ max: 500 })
-        .withMessage('Remarks cannot exceed 500 characters')
+        .isLength({ max: 200 })
+        .withMessage('Remarks cannot exceed 200 characters')
 ];
 
 /**
@@ -124,12 +119,16 @@ const updateAttendanceValidation = [
 const mongoIdValidation = [
     param('id')
         .isMongoId()
-        .withMessage('Invalid attendance ID format'),
-    
+        .withMessage('Invalid attendance ID format')
+];
+
+const studentIdValidation = [
     param('studentId')
         .isMongoId()
-        .withMessage('Invalid student ID format'),
-    
+        .withMessage('Invalid student ID format')
+];
+
+const courseIdValidation = [
     param('courseId')
         .isMongoId()
         .withMessage('Invalid course ID format')
@@ -184,7 +183,7 @@ const queryValidation = [
 ];
 
 // All routes require authentication
-router.use(authMiddleware);
+router.use(auth);
 
 /**
  * POST /api/attendance
@@ -214,7 +213,7 @@ router.post('/bulk',
  * Students can only see their own attendance, faculty/admin can see any student's attendance
  */
 router.get('/student/:studentId',
-    mongoIdValidation,
+    studentIdValidation,
     queryValidation,
     attendanceController.getStudentAttendance
 );
@@ -225,7 +224,7 @@ router.get('/student/:studentId',
  * Faculty can see attendance for courses they teach, admin can see all
  */
 router.get('/course/:courseId',
-    mongoIdValidation,
+    courseIdValidation,
     queryValidation,
     attendanceController.getCourseAttendance
 );
@@ -236,10 +235,8 @@ router.get('/course/:courseId',
  * Students can only see their own percentage, faculty can see for their courses
  */
 router.get('/percentage/:studentId/:courseId',
-    [
-        param('studentId').isMongoId().withMessage('Invalid student ID format'),
-        param('courseId').isMongoId().withMessage('Invalid course ID format')
-    ],
+    studentIdValidation,
+    courseIdValidation,
     queryValidation,
     attendanceController.getAttendancePercentage
 );
@@ -247,7 +244,7 @@ router.get('/percentage/:studentId/:courseId',
 /**
  * PUT /api/attendance/:id
  * Update attendance record
- * Only faculty who teach the course or admin can update attendance
+ * Only the faculty member who recorded it or admin can update attendance
  */
 router.put('/:id',
     mongoIdValidation,
@@ -257,8 +254,8 @@ router.put('/:id',
 
 /**
  * DELETE /api/attendance/:id
- * Delete attendance record (soft delete)
- * Only faculty who teach the course or admin can delete attendance
+ * Delete attendance record
+ * Only the faculty member who recorded it or admin can delete attendance
  */
 router.delete('/:id',
     mongoIdValidation,
@@ -281,75 +278,19 @@ router.get('/my-attendance',
  * Only faculty and admin can access course attendance summary
  */
 router.get('/course/:courseId/summary',
-    mongoIdValidation,
+    courseIdValidation,
     queryValidation,
     canUploadMarksAttendance,
-    async (req, res) => {
-        try {
-            const { courseId } = req.params;
-            const { academicYear, semester, startDate, endDate } = req.query;
-            
-            const Course = require('../models/Course');
-            const Attendance = require('../models/Attendance');
-
-            // Verify course exists and check permissions
-            const course = await Course.findById(courseId);
-            if (!course) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Course not found'
-                });
-            }
-
-            // Check if faculty can access this course
-            const userRole = req.user.role;
-            const userId = req.user.userId;
-
-            if (userRole === 'faculty' && course.instructor.toString() !== userId.toString()) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied. You can only view attendance for courses you teach.'
-                });
-            }
-
-            // Get course statistics
-            const statistics = await Attendance.getCourseAttendanceStatistics(courseId, {
-                academicYear,
-                semester,
-                startDate,
-                endDate
-            });
-
-            res.json({
-                success: true,
-                data: {
-                    course: {
-                        id: course._id,
-                        title: course.title,
-                        code: course.code,
-                        credits: course.credits
-                    },
-                    summary: statistics
-                }
-            });
-
-        } catch (error) {
-            console.error('Get attendance summary error:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Server error while fetching attendance summary'
-            });
-        }
-    }
+    attendanceController.getCourseAttendanceSummary
 );
 
 /**
  * GET /api/attendance/course/:courseId/defaulters
- * Get list of students with poor attendance (below threshold)
+ * Get list of students below the attendance requirement
  * Only faculty and admin can access this endpoint
  */
 router.get('/course/:courseId/defaulters',
-    mongoIdValidation,
+    courseIdValidation,
     canUploadMarksAttendance,
     [
         query('threshold')
@@ -358,93 +299,7 @@ router.get('/course/:courseId/defaulters',
             .withMessage('Threshold must be between 0 and 100'),
         ...queryValidation
     ],
-    async (req, res) => {
-        try {
-            const { courseId } = req.params;
-            const { 
-                threshold = 75, 
-                academicYear, 
-                semester, 
-                startDate, 
-                endDate 
-            } = req.query;
-            
-            const Course = require('../models/Course');
-            const Attendance = require('../models/Attendance');
-
-            // Verify course exists and check permissions
-            const course = await Course.findById(courseId)
-                .populate('enrolledStudents.student', 'firstName lastName rollNumber phone email');
-
-            if (!course) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Course not found'
-                });
-            }
-
-            // Check if faculty can access this course
-            const userRole = req.user.role;
-            const userId = req.user.userId;
-
-            if (userRole === 'faculty' && course.instructor.toString() !== userId.toString()) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied. You can only view attendance for courses you teach.'
-                });
-            }
-
-            const activeStudents = course.enrolledStudents.filter(e => e.status === 'active');
-            const defaulters = [];
-
-            // Calculate attendance percentage for each student
-            for (const enrollment of activeStudents) {
-                const studentId = enrollment.student._id;
-                const attendanceStats = await Attendance.calculateAttendancePercentage(studentId, courseId, {
-                    academicYear,
-                    semester,
-                    startDate,
-                    endDate
-                });
-
-                if (attendanceStats.percentage < threshold) {
-                    defaulters.push({
-                        studentId,
-                        studentName: `${enrollment.student.firstName} ${enrollment.student.lastName}`,
-                        rollNumber: enrollment.student.rollNumber,
-                        phone: enrollment.student.phone,
-                        email: enrollment.student.email,
-                        attendanceStats
-                    });
-                }
-            }
-
-            // Sort by attendance percentage (lowest first)
-            defaulters.sort((a, b) => a.attendanceStats.percentage - b.attendanceStats.percentage);
-
-            res.json({
-                success: true,
-                data: {
-                    course: {
-                        id: course._id,
-                        title: course.title,
-                        code: course.code
-                    },
-                    threshold: parseFloat(threshold),
-                    totalStudents: activeStudents.length,
-                    defaultersCount: defaulters.length,
-                    defaulters
-                }
-            });
-
-        } catch (error) {
-            console.error('Get attendance defaulters error:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Server error while fetching attendance defaulters'
-            });
-        }
-    }
+    attendanceController.getAttendanceDefaulters
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
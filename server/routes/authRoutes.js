@@ -1,18 +1,260 @@
 const express = require('express');
-const { register, login } = require('../controllers/authController');
+const { body, param } = require('express-validator');
+const {
+    register,
+    login,
+    loginTwoFactor,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    verifyResetToken,
+    resetPassword,
+    refresh,
+    logout,
+    logoutAll,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions
+} = require('../controllers/authController');
+const {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const { auth } = require('../middleware/auth');
+const { commonValidations, handleValidationErrors } = require('../middleware/validation');
+const { authLimiter, passwordResetLimiter, emailVerificationLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
+/**
+ * Validation rules for registration, mirroring the checks in authController.register
+ */
+const registerValidation = [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Name is required'),
+    body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email address'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long'),
+    body('role')
+        .isIn(['student', 'faculty'])
+        .withMessage('Role must be either student or faculty'),
+    body(['department', 'designation'])
+        .if(body('role').equals('faculty'))
+        .notEmpty()
+        .withMessage('Department and designation are required for faculty registration'),
+    body(['course', 'semester'])
+        .if(body('role').equals('student'))
+        .notEmpty()
+        .withMessage('Course and semester are required for student registration'),
+    body('enrollmentYear')
+        .optional()
+        .isInt({ min: 2000, max: 2100 })
+        .withMessage('Enrollment year must be a valid year')
+];
+
+/**
+ * Validation rules for login
+ */
+const loginValidation = [
+    body(['email', 'password'])
+        .notEmpty()
+        .withMessage('Email and password are required')
+];
+
+/**
+ * Validation rules for the second step of login
+ */
+const loginTwoFactorValidation = [
+    body('twoFactorToken')
+        .isJWT()
+        .withMessage('Two-factor sign-in token is required'),
+    commonValidations.totpCode,
+    commonValidations.recoveryCode
+];
+
+// Enrolment and recovery code changes need a current authenticator code
+const totpCodeValidation = [
+    body('code')
+        .matches(/^\d{6}$/)
+        .withMessage('Enter the 6-digit code from your authenticator app')
+];
+
+const disableTwoFactorValidation = [
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required'),
+    commonValidations.totpCode,
+    commonValidations.recoveryCode
+];
+
+/**
+ * Validation rules for requesting a password reset
+ */
+const forgotPasswordValidation = [
+    body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+];
+
+// Reset tokens are 32 random bytes, hex encoded
+const resetTokenRule = (chain) => chain
+    .isHexadecimal()
+    .withMessage('Invalid password reset token')
+    .bail()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid password reset token');
+
+/**
+ * Validation rules for confirming an email address; tokens are 32 random bytes, hex encoded
+ */
+const verifyEmailValidation = [
+    body('token')
+        .isHexadecimal()
+        .withMessage('Invalid verification token')
+        .bail()
+        .isLength({ min: 64, max: 64 })
+        .withMessage('Invalid verification token')
+];
+
+/**
+ * Validation rules for requesting a new verification link
+ */
+const resendVerificationValidation = [
+    body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+];
+
+/**
+ * Validation rules for setting a new password from a reset link
+ */
+const resetPasswordValidation = [
+    resetTokenRule(body('token')),
+    body('newPassword')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long')
+];
+
 /**
  * POST /api/auth/register
  * Register a new user
  */
-router.post('/register', register);
+router.post('/register', registerValidation, handleValidationErrors, register);
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address with the token from the verification link
+ */
+router.post('/verify-email', verifyEmailValidation, handleValidationErrors, verifyEmail);
+
+/**
+ * POST /api/auth/resend-verification
+ * Email a new verification link to an unverified address
+ */
+router.post('/resend-verification', emailVerificationLimiter, resendVerificationValidation, handleValidationErrors, resendVerification);
 
 /**
  * POST /api/auth/login
  * Login a user
  */
-router.post('/login', login);
+router.post('/login', loginValidation, handleValidationErrors, login);
+
+/**
+ * POST /api/auth/login/2fa
+ * Finish login with the token from /login and an authenticator or recovery code
+ */
+router.post('/login/2fa', authLimiter, loginTwoFactorValidation, handleValidationErrors, loginTwoFactor);
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link valid for one hour
+ */
+router.post('/forgot-password', passwordResetLimiter, forgotPasswordValidation, handleValidationErrors, forgotPassword);
+
+/**
+ * GET /api/auth/verify-reset-token/:token
+ * Check a password reset link is still valid
+ */
+router.get('/verify-reset-token/:token', resetTokenRule(param('token')), handleValidationErrors, verifyResetToken);
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with a reset token; ends all of the user's sessions
+ */
+router.post('/reset-password', passwordResetLimiter, resetPasswordValidation, handleValidationErrors, resetPassword);
+
+/**
+ * POST /api/auth/refresh
+ * Exchange the refresh cookie for a new access token; the cookie is rotated
+ */
+router.post('/refresh', refresh);
+
+/**
+ * POST /api/auth/logout
+ * End this session and clear the refresh cookie
+ */
+router.post('/logout', logout);
+
+/**
+ * POST /api/auth/logout-all
+ * End all of the signed-in user's sessions on every device
+ */
+router.post('/logout-all', auth, logoutAll);
+
+/**
+ * GET /api/auth/sessions
+ * List the signed-in user's active sessions with device, IP and last activity
+ */
+router.get('/sessions', auth, getSessions);
+
+/**
+ * DELETE /api/auth/sessions
+ * End every session of the signed-in user except the current one
+ */
+router.delete('/sessions', auth, revokeOtherSessions);
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * End one of the signed-in user's sessions
+ */
+router.delete('/sessions/:id', auth, commonValidations.mongoId, handleValidationErrors, revokeSession);
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor status of the signed-in user
+ */
+router.get('/2fa', auth, getTwoFactorStatus);
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start authenticator enrolment (admin and faculty); returns the secret and otpauth:// URI
+ */
+router.post('/2fa/setup', auth, setupTwoFactor);
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrolment with a code; returns one-time recovery codes
+ */
+router.post('/2fa/enable', auth, authLimiter, totpCodeValidation, handleValidationErrors, enableTwoFactor);
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn two-factor authentication off, unless the user's role requires it
+ */
+router.post('/2fa/disable', auth, authLimiter, disableTwoFactorValidation, handleValidationErrors, disableTwoFactor);
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes
+ */
+router.post('/2fa/recovery-codes', auth, authLimiter, totpCodeValidation, handleValidationErrors, regenerateRecoveryCodes);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
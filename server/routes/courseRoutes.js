@@ -2,7 +2,7 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const courseController = require('../controllers/courseController');
-const authMiddleware = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
 const roleMiddleware = require('../middleware/roleMiddleware');
 
 const router = express.Router();
@@ -116,13 +116,13 @@ const queryValidation = [
  * Get all courses with pagination and filtering
  * Query parameters: page, limit, department, search
  */
-router.get('/', authMiddleware, queryValidation, courseController.getAllCourses);
+router.get('/', auth, queryValidation, courseController.getAllCourses);
 
 /**
  * GET /api/courses/:id
  * Get single course by ID with detailed information
  */
-router.get('/:id', authMiddleware, mongoIdValidation, courseController.getCourseById);
+router.get('/:id', auth, mongoIdValidation, courseController.getCourseById);
 
 // Student routes
 
@@ -131,12 +131,23 @@ router.get('/:id', authMiddleware, mongoIdValidation, courseController.getCourse
  * Enroll current user (student) in a course
  */
 router.post('/:id/enroll', 
-    authMiddleware, 
+    auth, 
     roleMiddleware(['student']), 
     mongoIdValidation, 
     courseController.enrollStudent
 );
 
+/**
+ * POST /api/courses/:id/drop
+ * Drop current user (student) from a course; frees the seat for the elective waitlist
+ */
+router.post('/:id/drop', 
+    auth, 
+    roleMiddleware(['student']), 
+    mongoIdValidation, 
+    courseController.dropCourse
+);
+
 // Teacher/Admin routes
 
 /**
@@ -144,7 +155,7 @@ router.post('/:id/enroll',
  * Create a new course (Admin only)
  */
 router.post('/', 
-    authMiddleware, 
+    auth, 
     roleMiddleware(['admin']), 
     createCourseValidation, 
     courseController.createCourse
@@ -155,8 +166,8 @@ router.post('/',
  * Update course information (Admin or course instructor only)
  */
 router.put('/:id', 
-    authMiddleware, 
-    roleMiddleware(['admin', 'teacher']), 
+    auth, 
+    roleMiddleware(['admin', 'faculty']), 
     mongoIdValidation,
     [
         // Validation for update (similar to create but all fields optional)
@@ -190,93 +201,21 @@ router.put('/:id',
  * Soft delete a course (Admin only)
  */
 router.delete('/:id', 
-    authMiddleware, 
+    auth, 
     roleMiddleware(['admin']), 
     mongoIdValidation,
-    async (req, res) => {
-        try {
-            const Course = require('../models/Course');
-            const course = await Course.findById(req.params.id);
-            
-            if (!course) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Course not found'
-                });
-            }
-
-            // Soft delete by setting isActive to false
-            course.isActive = false;
-            await course.save();
-
-            res.json({
-                success: true,
-                message: 'Course deleted successfully'
-            });
-
-        } catch (error) {
-            console.error('Delete course error:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Server error while deleting course'
-            });
-        }
-    }
+    courseController.deleteCourse
 );
 
 /**
  * GET /api/courses/:id/students
- * Get list of enrolled students for a course (Instructor or Admin only)
+ * Get students taking a course: the active roster plus students who selected its code (Instructor or Admin only)
  */
 router.get('/:id/students', 
-    authMiddleware, 
-    roleMiddleware(['admin', 'teacher']), 
+    auth, 
+    roleMiddleware(['admin', 'faculty']), 
     mongoIdValidation,
-    async (req, res) => {
-        try {
-            const Course = require('../models/Course');
-            const course = await Course.findById(req.params.id)
-                .populate('enrolledStudents.student', 'firstName lastName email studentId phone')
-                .populate('instructor', 'firstName lastName');
-
-            if (!course) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Course not found'
-                });
-            }
-
-            // Check if user is authorized (admin or course instructor)
-            const User = require('../models/User');
-            const user = await User.findById(req.user.userId);
-            
-            if (user.role !== 'admin' && course.instructor._id.toString() !== req.user.userId) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Not authorized to view course students'
-                });
-            }
-
-            res.json({
-                success: true,
-                data: {
-                    course: {
-                        id: course._id,
-                        title: course.title,
-                        code: course.code
-                    },
-                    students: course.enrolledStudents
-                }
-            });
-
-        } catch (error) {
-            console.error('Get course students error:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Server error while fetching course students'
-            });
-        }
-    }
+    courseController.getCourseStudents
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,53 @@
+// API Docs Routes - OpenAPI document and interactive explorer
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const { buildOpenApiSpec } = require('../services/openApiService');
+
+/**
+ * Docs router for the given route modules.
+ * The document is built on first request, once every router has been mounted.
+ * @param {Array} mounts - [mountPath, router] pairs, as listed in routes/index.js
+ * @returns {Object} Express router
+ */
+const createDocsRouter = (mounts) => {
+    const router = express.Router();
+    let spec = null;
+
+    const loadSpec = (req, res, next) => {
+        try {
+            spec = spec || buildOpenApiSpec(mounts);
+            req.swaggerDoc = spec;
+            next();
+        } catch (error) {
+            console.error('OpenAPI generation error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while generating API documentation'
+            });
+        }
+    };
+
+    /**
+     * GET /api/docs/openapi.json
+     * OpenAPI 3 document for every API route
+     */
+    router.get('/openapi.json', loadSpec, (req, res) => {
+        res.json(req.swaggerDoc);
+    });
+
+    // Explorer assets; /api/docs is redirected to /api/docs/ so they resolve
+    router.use('/', loadSpec, swaggerUi.serveFiles(null));
+
+    /**
+     * GET /api/docs
+     * Interactive API explorer
+     */
+    router.get('/', swaggerUi.setup(null, {
+        customSiteTitle: 'Academic Portal API',
+        swaggerOptions: { persistAuthorization: true }
+    }));
+
+    return router;
+};
+
+module.exports = createDocsRouter;
@@ -0,0 +1,18 @@
+const express = require('express');
+const { param } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+const { downloadSignedFile } = require('../controllers/fileController');
+
+const router = express.Router();
+
+/**
+ * GET /api/files/:token
+ * Download a stored file through a signed, expiring link (no auth required)
+ */
+router.get('/:token',
+    param('token').isJWT().withMessage('Invalid download link'),
+    handleValidationErrors,
+    downloadSignedFile
+);
+
+module.exports = router;
@@ -12,13 +12,16 @@ const router = express.Router();
 /**
  * GET /api/health
  * Basic health check endpoint
+ * Answers 200 while the server is up, since it can run without a database;
+ * use /api/health/readiness to gate on the database connection
  */
 router.get('/', async (req, res) => {
     try {
         const dbInfo = getConnectionInfo();
         
         const healthStatus = {
-            status: dbInfo.isConnected ? 'healthy' : 'unhealthy',
+            status: 'OK',
+            message: 'Server is running',
             timestamp: new Date().toISOString(),
             uptime: process.uptime(),
             version: process.version,
@@ -39,8 +42,7 @@ router.get('/', async (req, res) => {
             }
         };
 
-        const statusCode = healthStatus.status === 'healthy' ? 200 : 503;
-        res.status(statusCode).json(healthStatus);
+        res.json(healthStatus);
 
     } catch (error) {
         console.error('Health check error:', error);
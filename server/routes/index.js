@@ -0,0 +1,48 @@
+// API Router - Mounts every route module under one base path
+const express = require('express');
+const createDocsRouter = require('./docsRoutes');
+
+const router = express.Router();
+
+/**
+ * Route modules by mount path.
+ * server.js mounts this router at /api/v1, and at /api for existing clients.
+ */
+const routes = [
+    ['/health', require('./healthRoutes')],
+    ['/auth', require('./authRoutes')],
+    ['/registration', require('./registrationRoutes')],
+    ['/verify', require('./verificationRoutes')],
+    ['/files', require('./fileRoutes')],
+    ['/admin', require('./adminRoutes')],
+    ['/student', require('./studentRoutes')],
+    ['/teacher', require('./teacherRoutes')],
+    ['/courses', require('./courseRoutes')],
+    ['/assignments', require('./assignmentRoutes')],
+    ['/attendance', require('./attendanceRoutes')],
+    ['/marks', require('./marksRoutes')],
+    ['/notices', require('./noticeRoutes')],
+    ['/users', require('./userSpecificRoutes')],
+    ['/timetable', require('./timetableRoutes')]
+];
+
+// Upload diagnostics are for development only
+if (process.env.NODE_ENV !== 'production') {
+    routes.push(['/upload-test', require('./uploadTestRoutes')]);
+}
+
+// OpenAPI document and explorer for the routes above
+routes.push(['/docs', createDocsRouter(routes)]);
+
+routes.forEach(([path, routeModule]) => router.use(path, routeModule));
+
+// Unknown API paths answer in JSON instead of falling through to static files
+router.use((req, res) => {
+    res.status(404).json({
+        success: false,
+        message: `API endpoint not found: ${req.method} ${req.originalUrl}`
+    });
+});
+
+module.exports = router;
+module.exports.routes = routes;
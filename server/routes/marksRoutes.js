@@ -2,12 +2,14 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const marksController = require('../controllers/marksController');
-const authMiddleware = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
 const { canUploadMarksAttendance } = require('../middleware/roleMiddleware');
 const { excelUpload } = require('../config/multer');
 
 const router = express.Router();
 
+const EXAM_TYPES = ['midterm', 'final', 'assignment', 'quiz', 'practical', 'internal', 'test1', 'test2', 'presentation'];
+
 /**
  * Validation rules for creating marks manually
  */
@@ -20,10 +22,22 @@ const createMarksValidation = [
         .isMongoId()
         .withMessage('Valid course ID is required'),
     
-    body('subject')
-        .trim()
-        .isLength({ min: 2, max: 100 })
-        .withMessage('Subject must be between 2 and 100 characters'),
+    body('examType')
+        .isIn(EXAM_TYPES)
+        .withMessage(`Exam type must be one of: ${EXAM_TYPES.join(', ')}`),
+    
+    body('totalMarks')
+        .isFloat({ min: 0 })
+        .withMessage('Total marks must be a non-negative number'),
+    
+    body('maxMarks')
+        .isFloat({ min: 1 })
+        .withMessage('Maximum marks must be at least 1'),
+    
+    body('credits')
+        .optional()
+        .isInt({ min: 1, max: 6 })
+        .withMessage('Credits must be between 1 and 6'),
     
     body('academicYear')
         .matches(/^\d{4}-\d{4}$/)
@@ -33,70 +47,45 @@ const createMarksValidation = [
         .isInt({ min: 1, max: 8 })
         .withMessage('Semester must be between 1 and 8'),
     
-    body('test1')
-        .optional()
-        .isFloat({ min: 0, max: 25 })
-        .withMessage('Test 1 marks must be between 0 and 25'),
-    
-    body('test2')
-        .optional()
-        .isFloat({ min: 0, max: 25 })
-        .withMessage('Test 2 marks must be between 0 and 25'),
-    
-    body('assignment')
-        .optional()
-        .isFloat({ min: 0, max: 20 })
-        .withMessage('Assignment marks must be between 0 and 20'),
-    
-    body('presentation')
-        .optional()
-        .isFloat({ min: 0, max: 15 })
-        .withMessage('Presentation marks must be between 0 and 15'),
-    
-    body('attendanceMarks')
+    body('examDate')
         .optional()
-        .isFloat({ min: 0, max: 15 })
-        .withMessage('Attendance marks must be between 0 and 15'),
+        .isISO8601()
+        .withMessage('Exam date must be a valid date'),
     
     body('remarks')
         .optional()
-        .isLength({ max: 500 })
-        .withMessage('Remarks cannot exceed 500 characters')
+        .isLength({ max: 200 })
+        .withMessage('Remarks cannot exceed 200 characters')
 ];
 
 /**
  * Validation rules for updating marks
  */
 const updateMarksValidation = [
-    body('test1')
-        .optional()
-        .isFloat({ min: 0, max: 25 })
-        .withMessage('Test 1 marks must be between 0 and 25'),
-    
-    body('test2')
+    body('totalMarks')
         .optional()
-        .isFloat({ min: 0, max: 25 })
-        .withMessage('Test 2 marks must be between 0 and 25'),
+        .isFloat({ min: 0 })
+        .withMessage('Total marks must be a non-negative number'),
     
-    body('assignment')
+    body('maxMarks')
         .optional()
-        .isFloat({ min: 0, max: 20 })
-        .withMessage('Assignment marks must be between 0 and 20'),
+        .isFloat({ min: 1 })
+        .withMessage('Maximum marks must be at least 1'),
     
-    body('presentation')
+    body('credits')
         .optional()
-        .isFloat({ min: 0, max: 15 })
-        .withMessage('Presentation marks must be between 0 and 15'),
+        .isInt({ min: 1, max: 6 })
+        .withMessage('Credits must be between 1 and 6'),
     
-    body('attendanceMarks')
+    body('examDate')
         .optional()
-        .isFloat({ min: 0, max: 15 })
-        .withMessage('Attendance marks must be between 0 and 15'),
+        .isISO8601()
+        .withMessage('Exam date must be a valid date'),
     
     body('remarks')
         .optional()
-        .isLength({ max: 500 })
-        .withMessage('Remarks cannot exceed 500 characters')
+        .isLength({ max: 200 })
+        .withMessage('Remarks cannot exceed 200 characters')
 ];
 
 /**
@@ -105,12 +94,16 @@ const updateMarksValidation = [
 const mongoIdValidation = [
     param('id')
         .isMongoId()
-        .withMessage('Invalid marks ID format'),
-    
+        .withMessage('Invalid marks ID format')
+];
+
+const studentIdValidation = [
     param('studentId')
         .isMongoId()
-        .withMessage('Invalid student ID format'),
-    
+        .withMessage('Invalid student ID format')
+];
+
+const courseIdValidation = [
     param('courseId')
         .isMongoId()
         .withMessage('Invalid course ID format')
@@ -130,6 +123,16 @@ const queryValidation = [
         .isInt({ min: 1, max: 8 })
         .withMessage('Semester must be between 1 and 8'),
     
+    query('examType')
+        .optional()
+        .isIn(EXAM_TYPES)
+        .withMessage('Invalid exam type'),
+    
+    query('courseId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid course ID format'),
+    
     query('page')
         .optional()
         .isInt({ min: 1 })
@@ -142,7 +145,7 @@ const queryValidation = [
 ];
 
 // All routes require authentication
-router.use(authMiddleware);
+router.use(auth);
 
 /**
  * GET /api/marks/template
@@ -179,10 +182,11 @@ router.post('/',
 /**
  * GET /api/marks/student/:studentId
  * Get marks for a specific student
- * Students can only see their own marks, faculty/admin can see any student's marks
+ * studentId is the student profile id
+ * Students can only see their own published marks, faculty/admin can see any student's marks
  */
 router.get('/student/:studentId',
-    mongoIdValidation,
+    studentIdValidation,
     queryValidation,
     marksController.getMarksByStudent
 );
@@ -193,7 +197,8 @@ router.get('/student/:studentId',
  * Faculty can see marks for courses they teach, admin can see all
  */
 router.get('/course/:courseId',
-    mongoIdValidation,
+    canUploadMarksAttendance,
+    courseIdValidation,
     queryValidation,
     marksController.getMarksByCourse
 );
@@ -201,7 +206,7 @@ router.get('/course/:courseId',
 /**
  * PUT /api/marks/:id
  * Update marks for a specific record
- * Only faculty who teach the course or admin can update marks
+ * Only the faculty member who recorded it or admin can update marks
  */
 router.put('/:id',
     mongoIdValidation,
@@ -211,8 +216,8 @@ router.put('/:id',
 
 /**
  * DELETE /api/marks/:id
- * Delete marks (soft delete)
- * Only faculty who teach the course or admin can delete marks
+ * Delete a marks record
+ * Only the faculty member who recorded it or admin can delete marks
  */
 router.delete('/:id',
     mongoIdValidation,
@@ -245,29 +250,9 @@ router.get('/statistics',
  * Get current student's marks (convenience endpoint)
  * Only students can access this endpoint
  */
-router.get('/my-marks', 
+router.get('/my-marks',
     queryValidation,
-    async (req, res) => {
-        try {
-            if (req.user.role !== 'student') {
-                return res.status(403).json({
-                    success: false,
-                    message: 'This endpoint is only for students'
-                });
-            }
-
-            // Redirect to student marks endpoint with current user's ID
-            req.params.studentId = req.user.userId;
-            return marksController.getMarksByStudent(req, res);
-
-        } catch (error) {
-            console.error('Get my marks error:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Server error while fetching marks'
-            });
-        }
-    }
+    marksController.getMyMarks
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,12 +1,50 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const noticeController = require('../controllers/noticeController');
-const authMiddleware = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
 const { canUploadNotices } = require('../middleware/roleMiddleware');
 const { noticeUpload } = require('../config/multer');
 
 const router = express.Router();
 
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const CATEGORIES = ['general', 'academic', 'exam', 'event', 'holiday', 'assignment', 'announcement'];
+
+/**
+ * targetGroup may arrive as an object or, in multipart requests, as a JSON string
+ */
+const targetGroupValidation = body('targetGroup')
+    .optional()
+    .custom((value) => {
+        const group = typeof value === 'string' ? JSON.parse(value) : value;
+        if (!group || typeof group !== 'object' || Array.isArray(group)) {
+            throw new Error('Target group must be an object');
+        }
+        ['courses', 'semesters', 'departments', 'specificStudents'].forEach(key => {
+            if (group[key] !== undefined && !Array.isArray(group[key])) {
+                throw new Error(`targetGroup.${key} must be an array`);
+            }
+        });
+        if ((group.semesters || []).some(semester => !Number.isInteger(semester) || semester < 1 || semester > 8)) {
+            throw new Error('Each target semester must be between 1 and 8');
+        }
+        if ((group.specificStudents || []).some(id => !/^[a-f\d]{24}$/i.test(String(id)))) {
+            throw new Error('Each specific student must be a valid student ID');
+        }
+        return true;
+    });
+
+const futureExpiryValidation = body('expiryDate')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Expiry date must be in ISO format')
+    .custom((value) => {
+        if (value && new Date(value) <= new Date()) {
+            throw new Error('Expiry date must be in the future');
+        }
+        return true;
+    });
+
 /**
  * Validation rules for notice creation
  */
@@ -18,54 +56,25 @@ const createNoticeValidation = [
     
     body('content')
         .trim()
-        .isLength({ min: 10, max: 5000 })
-        .withMessage('Content must be between 10 and 5000 characters'),
+        .isLength({ min: 10, max: 2000 })
+        .withMessage('Content must be between 10 and 2000 characters'),
     
     body('priority')
         .optional()
-        .isIn(['normal', 'important', 'urgent'])
-        .withMessage('Priority must be normal, important, or urgent'),
-    
-    body('targetAudience')
-        .optional()
-        .isIn(['all', 'students', 'faculty', 'admin', 'specific_course', 'specific_year'])
-        .withMessage('Target audience must be all, students, faculty, admin, specific_course, or specific_year'),
-    
-    body('expiryDate')
-        .optional()
-        .isISO8601()
-        .withMessage('Expiry date must be in ISO format')
-        .custom((value) => {
-            if (value && new Date(value) <= new Date()) {
-                throw new Error('Expiry date must be in the future');
-            }
-            return true;
-        }),
-    
-    body('targetCourses')
-        .optional()
-        .isArray()
-        .withMessage('Target courses must be an array'),
+        .isIn(PRIORITIES)
+        .withMessage('Priority must be low, medium, high, or urgent'),
     
-    body('targetCourses.*')
-        .optional()
-        .isMongoId()
-        .withMessage('Each target course must be a valid course ID'),
+    body('category')
+        .isIn(CATEGORIES)
+        .withMessage(`Category must be one of: ${CATEGORIES.join(', ')}`),
     
-    body('targetYears')
-        .optional()
-        .isArray()
-        .withMessage('Target years must be an array'),
+    targetGroupValidation,
+    futureExpiryValidation,
     
-    body('targetYears.*')
+    body('publishDate')
         .optional()
-        .isInt({ min: 1, max: 6 })
-        .withMessage('Each target year must be between 1 and 6'),
-    
-    body('type')
-        .optional()
-        .isIn(['general', 'academic', 'exam', 'event', 'holiday', 'announcement'])
-        .withMessage('Type must be general, academic, exam, event, holiday, or announcement')
+        .isISO8601()
+        .withMessage('Publish date must be in ISO format')
 ];
 
 /**
@@ -81,29 +90,26 @@ const updateNoticeValidation = [
     body('content')
         .optional()
         .trim()
-        .isLength({ min: 10, max: 5000 })
-        .withMessage('Content must be between 10 and 5000 characters'),
+        .isLength({ min: 10, max: 2000 })
+        .withMessage('Content must be between 10 and 2000 characters'),
     
     body('priority')
         .optional()
-        .isIn(['normal', 'important', 'urgent'])
-        .withMessage('Priority must be normal, important, or urgent'),
+        .isIn(PRIORITIES)
+        .withMessage('Priority must be low, medium, high, or urgent'),
     
-    body('targetAudience')
+    body('category')
         .optional()
-        .isIn(['all', 'students', 'faculty', 'admin', 'specific_course', 'specific_year'])
-        .withMessage('Target audience must be all, students, faculty, admin, specific_course, or specific_year'),
+        .isIn(CATEGORIES)
+        .withMessage(`Category must be one of: ${CATEGORIES.join(', ')}`),
     
-    body('expiryDate')
+    targetGroupValidation,
+    futureExpiryValidation,
+    
+    body('publishDate')
         .optional()
         .isISO8601()
-        .withMessage('Expiry date must be in ISO format')
-        .custom((value) => {
-            if (value && new Date(value) <= new Date()) {
-                throw new Error('Expiry date must be in the future');
-            }
-            return true;
-        })
+        .withMessage('Publish date must be in ISO format')
 ];
 
 /**
@@ -131,13 +137,18 @@ const queryValidation = [
     
     query('priority')
         .optional()
-        .isIn(['normal', 'important', 'urgent'])
-        .withMessage('Priority filter must be normal, important, or urgent'),
+        .isIn(PRIORITIES)
+        .withMessage('Priority filter must be low, medium, high, or urgent'),
+    
+    query('category')
+        .optional()
+        .isIn(CATEGORIES)
+        .withMessage('Category filter must be valid'),
     
-    query('type')
+    query('mine')
         .optional()
-        .isIn(['general', 'academic', 'exam', 'event', 'holiday', 'announcement'])
-        .withMessage('Type filter must be valid'),
+        .isBoolean()
+        .withMessage('mine must be true or false'),
     
     query('search')
         .optional()
@@ -149,7 +160,7 @@ const queryValidation = [
 
 /**
  * GET /api/notices/students
- * Get notices specifically for students
+ * Get notices addressed to all students
  * Public endpoint that can be accessed without authentication
  */
 router.get('/students',
@@ -166,18 +177,13 @@ router.get('/students',
         
         query('priority')
             .optional()
-            .isIn(['normal', 'important', 'urgent'])
-            .withMessage('Priority filter must be normal, important, or urgent'),
-        
-        query('year')
-            .optional()
-            .isInt({ min: 1, max: 6 })
-            .withMessage('Year must be between 1 and 6'),
+            .isIn(PRIORITIES)
+            .withMessage('Priority filter must be low, medium, high, or urgent'),
         
-        query('courseId')
+        query('category')
             .optional()
-            .isMongoId()
-            .withMessage('Course ID must be valid')
+            .isIn(CATEGORIES)
+            .withMessage('Category filter must be valid')
     ],
     noticeController.getNoticesForStudents
 );
@@ -187,10 +193,10 @@ router.get('/students',
 /**
  * POST /api/notices
  * Create a new notice
- * Only faculty and admin can create notices
+ * Only faculty can post notices (a notice belongs to a faculty profile)
  */
 router.post('/', 
-    authMiddleware,
+    auth,
     canUploadNotices,
     noticeUpload.array('attachments', 5), // Allow up to 5 file attachments
     createNoticeValidation,
@@ -200,10 +206,10 @@ router.post('/',
 /**
  * GET /api/notices
  * Get all notices based on user role and targeting
- * All authenticated users can view notices targeted to them
+ * Students see notices targeted to them; faculty and admin see all live notices (mine=true for own notices)
  */
 router.get('/',
-    authMiddleware,
+    auth,
     queryValidation,
     noticeController.getNotices
 );
@@ -214,7 +220,7 @@ router.get('/',
  * Users can only view notices they have access to
  */
 router.get('/:id',
-    authMiddleware,
+    auth,
     mongoIdValidation,
     noticeController.getNoticeById
 );
@@ -222,10 +228,10 @@ router.get('/:id',
 /**
  * PUT /api/notices/:id
  * Update a notice (Edit notice)
- * Only the creator or admin can update notices
+ * Only the author or admin can update notices
  */
 router.put('/:id',
-    authMiddleware,
+    auth,
     mongoIdValidation,
     noticeUpload.array('attachments', 5), // Allow adding more attachments
     updateNoticeValidation,
@@ -235,10 +241,10 @@ router.put('/:id',
 /**
  * DELETE /api/notices/:id
  * Delete a notice (soft delete)
- * Only the creator or admin can delete notices
+ * Only the author or admin can delete notices
  */
 router.delete('/:id',
-    authMiddleware,
+    auth,
     mongoIdValidation,
     noticeController.deleteNotice
 );
@@ -1,48 +1,63 @@
 // Registration Routes - API endpoints for registration workflow and status checking
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const registrationController = require('../controllers/registrationController');
-const authMiddleware = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
 const { adminOnly } = require('../middleware/roleMiddleware');
 
 const router = express.Router();
 
 /**
- * Validation rules for user registration
+ * Validation rules for user registration (same fields as POST /api/auth/register)
  */
 const registerValidation = [
-    body('firstName')
+    body('name')
         .trim()
-        .isLength({ min: 2, max: 50 })
-        .withMessage('First name must be between 2 and 50 characters')
-        .matches(/^[a-zA-Z\s]+$/)
-        .withMessage('First name can only contain letters and spaces'),
-    
-    body('lastName')
-        .trim()
-        .isLength({ min: 2, max: 50 })
-        .withMessage('Last name must be between 2 and 50 characters')
-        .matches(/^[a-zA-Z\s]+$/)
-        .withMessage('Last name can only contain letters and spaces'),
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
     
     body('email')
         .isEmail()
         .normalizeEmail()
         .withMessage('Please provide a valid email address'),
     
-    body('phone')
-        .matches(/^[+]?[\d\s\-()]{10,15}$/)
-        .withMessage('Please provide a valid phone number'),
-    
     body('password')
-        .isLength({ min: 8 })
-        .withMessage('Password must be at least 8 characters long')
-        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-        .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long'),
     
-    body('registrationType')
+    body('role')
         .isIn(['student', 'faculty'])
-        .withMessage('Registration type must be student or faculty')
+        .withMessage('Role must be student or faculty'),
+    
+    // Faculty specific fields
+    body('department')
+        .if(body('role').equals('faculty'))
+        .trim()
+        .notEmpty()
+        .withMessage('Department is required for faculty registration'),
+    
+    body('designation')
+        .if(body('role').equals('faculty'))
+        .trim()
+        .notEmpty()
+        .withMessage('Designation is required for faculty registration'),
+    
+    // Student specific fields
+    body('course')
+        .if(body('role').equals('student'))
+        .trim()
+        .notEmpty()
+        .withMessage('Course is required for student registration'),
+    
+    body('semester')
+        .if(body('role').equals('student'))
+        .isInt({ min: 1, max: 8 })
+        .withMessage('Semester must be between 1 and 8'),
+    
+    body('enrollmentYear')
+        .optional()
+        .isInt({ min: 2000, max: 2100 })
+        .withMessage('Enrollment year must be a valid year')
 ];
 
 /**
@@ -59,17 +74,19 @@ const emailValidation = [
  * Validation rules for approval/rejection
  */
 const approvalValidation = [
-    body('loginCredentials.loginId')
-        .optional()
-        .isLength({ min: 3, max: 50 })
-        .withMessage('Login ID must be between 3 and 50 characters'),
-    body('loginCredentials.password')
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid user ID format'),
+    body('comments')
         .optional()
-        .isLength({ min: 8 })
-        .withMessage('Password must be at least 8 characters long')
+        .isLength({ max: 500 })
+        .withMessage('Comments cannot exceed 500 characters')
 ];
 
 const rejectionValidation = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid user ID format'),
     body('reason')
         .isLength({ min: 10, max: 500 })
         .withMessage('Rejection reason must be between 10 and 500 characters')
@@ -91,7 +108,7 @@ router.post('/register',
  * Admin only endpoint
  */
 router.put('/approve/:id',
-    authMiddleware,
+    auth,
     adminOnly,
     approvalValidation,
     registrationController.approveRegistration
@@ -103,7 +120,7 @@ router.put('/approve/:id',
  * Admin only endpoint
  */
 router.put('/reject/:id',
-    authMiddleware,
+    auth,
     adminOnly,
     rejectionValidation,
     registrationController.rejectRegistration
@@ -135,7 +152,7 @@ router.post('/resend-confirmation',
  * Admin only endpoint
  */
 router.get('/statistics',
-    authMiddleware,
+    auth,
     adminOnly,
     registrationController.getRegistrationStatistics
 );
@@ -146,7 +163,7 @@ router.get('/statistics',
  * Admin only endpoint
  */
 router.get('/recent-activity',
-    authMiddleware,
+    auth,
     adminOnly,
     registrationController.getRecentActivity
 );
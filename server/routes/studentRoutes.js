@@ -1,5 +1,8 @@
 const express = require('express');
+const { body, param } = require('express-validator');
 const { auth, studentAuth } = require('../middleware/auth');
+const { commonValidations, handleValidationErrors } = require('../middleware/validation');
+const Leave = require('../models/Leave');
 const {
     getStudentProfile,
     getStudentAttendance,
@@ -7,13 +10,64 @@ const {
     getStudentDashboard,
     getStudentLeaves,
     applyLeave,
+    cancelLeave,
+    getEligibility,
+    getCondonationRequests,
+    applyCondonation,
+    getRegistrationWindow,
+    getCourseRegistrations,
+    submitCourseRegistration,
     getStudentNotices,
     getStudentResources,
-    downloadResource
+    downloadResource,
+    getResourceDownloadUrl,
+    getSemesterResults,
+    downloadTranscript
 } = require('../controllers/studentController');
 
 const router = express.Router();
 
+const { mongoId } = commonValidations;
+
+const semesterParamValidation = [
+    param('semester')
+        .isInt({ min: 1, max: 8 })
+        .withMessage('Semester must be a number between 1 and 8')
+];
+
+const leaveValidation = [
+    body('leaveType')
+        .isIn(Leave.schema.path('leaveType').enumValues)
+        .withMessage('Invalid leave type'),
+    body('reason')
+        .trim()
+        .isLength({ min: 1, max: 500 })
+        .withMessage('Reason is required and cannot exceed 500 characters'),
+    body('fromDate').isISO8601().withMessage('Valid from date is required'),
+    body('toDate').isISO8601().withMessage('Valid to date is required'),
+    body('priority').optional().isIn(Leave.schema.path('priority').enumValues),
+    body('isHalfDay').optional().isBoolean(),
+    body('halfDayPeriod').optional().isIn(['morning', 'afternoon']),
+    body(['emergencyContact.name', 'emergencyContact.phone', 'emergencyContact.relationship']).optional().isString()
+];
+
+const condonationValidation = [
+    body('subjectCode').trim().notEmpty().withMessage('Subject code, semester, academic year and reason are required'),
+    body('semester').isInt({ min: 1, max: 8 }).withMessage('Semester must be between 1 and 8'),
+    body('academicYear').matches(/^\d{4}-\d{4}$/).withMessage('Academic year must be in format YYYY-YYYY'),
+    body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required and cannot exceed 500 characters'),
+    body('leaveIds').isArray({ min: 1 }).withMessage('At least one approved medical leave is required'),
+    body('leaveIds.*').isMongoId().withMessage('Invalid leave ID format')
+];
+
+const courseRegistrationValidation = [
+    body('windowId').isMongoId().withMessage('Invalid registration window ID format'),
+    body('subjectCodes').isArray().withMessage('Subject codes must be a list'),
+    body('subjectCodes.*').isString().trim().notEmpty().withMessage('Subject codes must be non-empty strings'),
+    body('electivePreferences').optional().isArray().withMessage('Elective preferences must be a list, most wanted first'),
+    body('electivePreferences.*').isString().trim().notEmpty().withMessage('Subject codes must be non-empty strings')
+];
+
 // All student routes require authentication and student role
 router.use(auth);
 router.use(studentAuth);
@@ -36,6 +90,18 @@ router.get('/attendance', getStudentAttendance);
  */
 router.get('/marks', getStudentMarks);
 
+/**
+ * GET /api/student/results/:semester
+ * Get subject-wise final results and SGPA for a semester
+ */
+router.get('/results/:semester', semesterParamValidation, handleValidationErrors, getSemesterResults);
+
+/**
+ * GET /api/student/transcript?semester=
+ * Download grade card (with semester) or consolidated transcript as PDF
+ */
+router.get('/transcript', downloadTranscript);
+
 /**
  * GET /api/student/dashboard
  * Get logged-in student's dashboard summary
@@ -52,7 +118,49 @@ router.get('/leaves', getStudentLeaves);
  * POST /api/student/leave
  * Apply for leave
  */
-router.post('/leave', applyLeave);
+router.post('/leave', leaveValidation, handleValidationErrors, applyLeave);
+
+/**
+ * PATCH /api/student/leave/:id/cancel
+ * Cancel a pending or approved leave application
+ */
+router.patch('/leave/:id/cancel', mongoId, handleValidationErrors, cancelLeave);
+
+/**
+ * GET /api/student/eligibility
+ * Get exam eligibility by attendance for a semester
+ */
+router.get('/eligibility', getEligibility);
+
+/**
+ * GET /api/student/condonation-requests
+ * Get logged-in student's condonation requests
+ */
+router.get('/condonation-requests', getCondonationRequests);
+
+/**
+ * POST /api/student/condonation-request
+ * Apply for condonation of attendance shortage using medical leave
+ */
+router.post('/condonation-request', condonationValidation, handleValidationErrors, applyCondonation);
+
+/**
+ * GET /api/student/registration-window
+ * Get the course registration window for the current semester
+ */
+router.get('/registration-window', getRegistrationWindow);
+
+/**
+ * GET /api/student/course-registrations
+ * Get logged-in student's course registrations
+ */
+router.get('/course-registrations', getCourseRegistrations);
+
+/**
+ * POST /api/student/course-registration
+ * Submit or change core and elective subject selection for advisor approval
+ */
+router.post('/course-registration', courseRegistrationValidation, handleValidationErrors, submitCourseRegistration);
 
 /**
  * GET /api/student/notices
@@ -70,6 +178,12 @@ router.get('/resources', getStudentResources);
  * GET /api/student/resource/:id/download
  * Download a specific resource
  */
-router.get('/resource/:id/download', downloadResource);
+router.get('/resource/:id/download', mongoId, handleValidationErrors, downloadResource);
+
+/**
+ * GET /api/student/resource/:id/download-url
+ * Get a signed, expiring download link for a resource
+ */
+router.get('/resource/:id/download-url', mongoId, handleValidationErrors, getResourceDownloadUrl);
 
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,25 @@
 const express = require('express');
+const { body, param } = require('express-validator');
 const { auth, teacherAuth } = require('../middleware/auth');
+const { commonValidations, mongoIdParam, handleValidationErrors } = require('../middleware/validation');
+const Attendance = require('../models/Attendance');
+const Marks = require('../models/Marks');
+const Notice = require('../models/Notice');
+const { CURVE_METHODS } = require('../services/gradingService');
 const {
     getTeacherProfile,
     getAllStudents,
     updateAttendance,
+    saveClassSession,
+    getClassSessions,
+    getClassSession,
+    importAttendanceSheet,
+    exportAttendanceRegister,
+    getAttendanceShortage,
+    getCondonationRequests,
+    reviewCondonation,
+    getCourseRegistrations,
+    reviewCourseRegistration,
     updateMarks,
     getLeaveApplications,
     reviewLeaveApplication,
@@ -13,11 +29,122 @@ const {
     getTeacherResources,
     deleteResource,
     getStudentAttendance,
-    getStudentMarks
+    getStudentMarks,
+    saveAssessmentPlan,
+    getAssessmentPlans,
+    compileAssessmentPlan
 } = require('../controllers/teacherController');
+const {
+    previewRelativeGrades,
+    applyRelativeGrades
+} = require('../controllers/facultyController');
+const {
+    uploadMarksExcel,
+    getExcelTemplate
+} = require('../controllers/marksController');
+const { excelUpload, resourceUpload, handleUploadError } = require('../config/multer');
 
 const router = express.Router();
 
+const { mongoId } = commonValidations;
+const ATTENDANCE_STATUSES = Attendance.schema.path('status').enumValues;
+const EXAM_TYPES = Marks.schema.path('examType').enumValues;
+const CLASS_TYPES = Attendance.schema.path('classType').enumValues;
+
+// Class session fields shared by single-student and whole-class attendance.
+// The dashboard forms send blank optional fields as '' or null, which count as not given.
+const sessionValidation = [
+    body('subjectCode').optional({ checkFalsy: true }).trim().notEmpty(),
+    body('date').optional({ checkFalsy: true }).isISO8601().withMessage('Valid date is required in ISO format'),
+    body('period').optional({ checkFalsy: true }).isInt({ min: 1, max: 12 }).withMessage('Period must be between 1 and 12'),
+    body('semester').optional({ checkFalsy: true }).isInt({ min: 1, max: 8 }).withMessage('Semester must be between 1 and 8'),
+    body('academicYear').optional({ checkFalsy: true }).matches(/^\d{4}-\d{4}$/).withMessage('Academic year must be in format YYYY-YYYY'),
+    body('classType').optional({ checkFalsy: true }).isIn(CLASS_TYPES),
+    body('duration').optional({ checkFalsy: true }).isInt({ min: 1 }),
+    body('topic').optional().isLength({ max: 200 })
+];
+
+const attendanceValidation = [
+    body('studentId').isMongoId().withMessage('Student, subject and status are required'),
+    body('subject').trim().notEmpty().withMessage('Student, subject and status are required'),
+    body('status').isIn(ATTENDANCE_STATUSES).withMessage(`Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`),
+    body('remarks').optional().isLength({ max: 200 }),
+    ...sessionValidation
+];
+
+const classSessionValidation = [
+    body('subject').trim().notEmpty().withMessage('Subject and attendance records are required'),
+    body('records').isArray({ min: 1 }).withMessage('Subject and attendance records are required'),
+    body('records.*.studentId').isMongoId().withMessage('Invalid student ID format'),
+    body('records.*.status').isIn(ATTENDANCE_STATUSES).withMessage(`Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`),
+    body('records.*.remarks').optional().isLength({ max: 200 }),
+    ...sessionValidation
+];
+
+const reviewValidation = [
+    mongoId,
+    body('status')
+        .isIn(['approved', 'rejected'])
+        .withMessage('Invalid status. Must be approved or rejected'),
+    body('comments')
+        .optional()
+        .isLength({ max: 300 })
+        .withMessage('Comments cannot exceed 300 characters')
+];
+
+const marksValidation = [
+    body('studentId').isMongoId().withMessage('Valid student ID is required'),
+    body('subject').trim().notEmpty().withMessage('Subject is required'),
+    body('subjectCode').optional({ checkFalsy: true }).trim().notEmpty(),
+    body('examType').isIn(EXAM_TYPES).withMessage(`Exam type must be one of: ${EXAM_TYPES.join(', ')}`),
+    body('totalMarks').isFloat({ min: 0 }).withMessage('Marks obtained must be a positive number'),
+    body('maxMarks').isFloat({ min: 1 }).withMessage('Maximum marks must be at least 1'),
+    body('credits').optional({ checkFalsy: true }).isInt({ min: 1, max: 6 }),
+    body('semester').optional({ checkFalsy: true }).isInt({ min: 1, max: 8 }).withMessage('Semester must be between 1 and 8'),
+    body('academicYear').optional({ checkFalsy: true }).matches(/^\d{4}-\d{4}$/).withMessage('Academic year must be in format YYYY-YYYY'),
+    body('examDate').optional({ checkFalsy: true }).isISO8601(),
+    body('remarks').optional().isLength({ max: 200 })
+];
+
+const curveValidation = [
+    body('subject').optional().trim().notEmpty(),
+    body('subjectCode')
+        .if(body('subject').not().exists())
+        .trim()
+        .notEmpty()
+        .withMessage('Subject (or subjectCode), semester and academicYear are required'),
+    body('semester').isInt({ min: 1, max: 8 }).withMessage('Subject (or subjectCode), semester and academicYear are required'),
+    body('academicYear').matches(/^\d{4}-\d{4}$/).withMessage('Subject (or subjectCode), semester and academicYear are required'),
+    body('examType').optional().isIn(EXAM_TYPES),
+    body('gradingSchemeId').optional().isMongoId(),
+    body('method').optional().isIn(CURVE_METHODS).withMessage(`Curve method must be one of: ${CURVE_METHODS.join(', ')}`),
+    body('cutoffs').optional().isArray(),
+    body('cutoffs.*').isFloat({ min: 0, max: 100 })
+];
+
+const noticeValidation = [
+    body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title is required and cannot exceed 200 characters'),
+    body('content').trim().isLength({ min: 1, max: 2000 }).withMessage('Content is required and cannot exceed 2000 characters'),
+    body('priority').optional({ checkFalsy: true }).isIn(Notice.schema.path('priority').enumValues),
+    body('category').isIn(Notice.schema.path('category').enumValues).withMessage('A valid category is required'),
+    body('targetGroup').optional().isObject(),
+    body('expiryDate').optional({ checkFalsy: true }).isISO8601()
+];
+
+const assessmentPlanValidation = [
+    body('subject').trim().notEmpty().withMessage('Subject, semester, academicYear and at least one component are required'),
+    body('subjectCode').optional().trim().notEmpty(),
+    body('semester').isInt({ min: 1, max: 8 }).withMessage('Subject, semester, academicYear and at least one component are required'),
+    body('academicYear').matches(/^\d{4}-\d{4}$/).withMessage('Subject, semester, academicYear and at least one component are required'),
+    body('credits').optional().isInt({ min: 1, max: 6 }),
+    body('components').isArray({ min: 1 }).withMessage('Subject, semester, academicYear and at least one component are required'),
+    body('components.*.label').trim().isLength({ min: 1, max: 50 }),
+    body('components.*.source').optional().isIn(['marks', 'attendance']),
+    body('components.*.examType').optional().isIn(EXAM_TYPES),
+    body('components.*.group').optional().isIn(['internal', 'external']),
+    body('components.*.weight').isFloat({ min: 0, max: 100 })
+];
+
 // All teacher routes require authentication and teacher role
 router.use(auth);
 router.use(teacherAuth);
@@ -38,13 +165,97 @@ router.get('/students', getAllStudents);
  * POST /api/teacher/attendance
  * Update student attendance
  */
-router.post('/attendance', updateAttendance);
+router.post('/attendance', attendanceValidation, handleValidationErrors, updateAttendance);
+
+/**
+ * POST /api/teacher/attendance/session
+ * Save attendance for a whole class session in one call
+ */
+router.post('/attendance/session', classSessionValidation, handleValidationErrors, saveClassSession);
+
+/**
+ * GET /api/teacher/attendance/sessions
+ * Get class sessions held, with attendance counts
+ */
+router.get('/attendance/sessions', getClassSessions);
+
+/**
+ * GET /api/teacher/attendance/session/:id
+ * Get the roster for one class session
+ */
+router.get('/attendance/session/:id', mongoId, handleValidationErrors, getClassSession);
+
+/**
+ * POST /api/teacher/attendance/import
+ * Import an attendance register sheet (roll numbers x dates, P/A/L/E cells)
+ */
+router.post('/attendance/import', excelUpload.single('excelFile'), handleUploadError, importAttendanceSheet);
+
+/**
+ * GET /api/teacher/attendance/register
+ * Export the month-wise attendance register for a subject as XLSX/CSV
+ */
+router.get('/attendance/register', exportAttendanceRegister);
+
+/**
+ * GET /api/teacher/attendance/shortage
+ * Attendance shortage report for a subject
+ */
+router.get('/attendance/shortage', getAttendanceShortage);
+
+/**
+ * GET /api/teacher/condonation-requests
+ * Get attendance condonation requests for review
+ */
+router.get('/condonation-requests', getCondonationRequests);
+
+/**
+ * PATCH /api/teacher/condonation-request/:id/review
+ * Approve/Reject an attendance condonation request
+ */
+router.patch('/condonation-request/:id/review', reviewValidation, handleValidationErrors, reviewCondonation);
+
+/**
+ * GET /api/teacher/course-registrations
+ * Get course registrations of students the teacher advises
+ */
+router.get('/course-registrations', getCourseRegistrations);
+
+/**
+ * PATCH /api/teacher/course-registration/:id/review
+ * Approve/Reject a student's course registration as faculty advisor
+ */
+router.patch('/course-registration/:id/review', reviewValidation, handleValidationErrors, reviewCourseRegistration);
 
 /**
  * POST /api/teacher/marks
  * Add/Update student marks
  */
-router.post('/marks', updateMarks);
+router.post('/marks', marksValidation, handleValidationErrors, updateMarks);
+
+/**
+ * GET /api/teacher/marks/template
+ * Download a marks import template pre-filled with assigned students
+ */
+router.get('/marks/template', getExcelTemplate);
+
+/**
+ * POST /api/teacher/marks/import
+ * Import marks from an Excel/CSV sheet (dryRun=true to preview, report=xlsx for a report sheet)
+ */
+router.post('/marks/import', excelUpload.single('excelFile'), handleUploadError, uploadMarksExcel);
+
+/**
+ * POST /api/teacher/marks/curve/preview
+ * Preview relative (curved) grades for a subject without saving
+ */
+router.post('/marks/curve/preview', curveValidation, handleValidationErrors, previewRelativeGrades);
+
+/**
+ * POST /api/teacher/marks/curve
+ * Apply relative (curved) grades for a subject
+ */
+router.post('/marks/curve', curveValidation, handleValidationErrors, applyRelativeGrades);
 
 /**
  * GET /api/teacher/leaves
@@ -56,13 +267,13 @@ router.get('/leaves', getLeaveApplications);
  * PATCH /api/teacher/leave/:id/review
  * Approve/Reject leave application
  */
-router.patch('/leave/:id/review', reviewLeaveApplication);
+router.patch('/leave/:id/review', reviewValidation, handleValidationErrors, reviewLeaveApplication);
 
 /**
  * POST /api/teacher/notice
  * Create a new notice
  */
-router.post('/notice', createNotice);
+router.post('/notice', noticeValidation, handleValidationErrors, createNotice);
 
 /**
  * GET /api/teacher/notices
@@ -72,9 +283,9 @@ router.get('/notices', getTeacherNotices);
 
 /**
  * POST /api/teacher/resource
- * Upload a new resource
+ * Upload a new resource (multipart, file field: resourceFile)
  */
-router.post('/resource', uploadResource);
+router.post('/resource', resourceUpload.single('resourceFile'), handleUploadError, uploadResource);
 
 /**
  * GET /api/teacher/resources
@@ -86,18 +297,36 @@ router.get('/resources', getTeacherResources);
  * DELETE /api/teacher/resource/:id
  * Delete a resource
  */
-router.delete('/resource/:id', deleteResource);
+router.delete('/resource/:id', mongoId, handleValidationErrors, deleteResource);
 
 /**
  * GET /api/teacher/attendance/:studentId
  * Get attendance records for a specific student
  */
-router.get('/attendance/:studentId', getStudentAttendance);
+router.get('/attendance/:studentId', mongoIdParam('studentId'), handleValidationErrors, getStudentAttendance);
 
 /**
  * GET /api/teacher/marks/:studentId
  * Get marks records for a specific student
  */
-router.get('/marks/:studentId', getStudentMarks);
+router.get('/marks/:studentId', mongoIdParam('studentId'), handleValidationErrors, getStudentMarks);
+
+/**
+ * POST /api/teacher/assessment-plan
+ * Create or replace a subject's weighted assessment plan
+ */
+router.post('/assessment-plan', assessmentPlanValidation, handleValidationErrors, saveAssessmentPlan);
+
+/**
+ * GET /api/teacher/assessment-plans
+ * Get teacher's assessment plans
+ */
+router.get('/assessment-plans', getAssessmentPlans);
+
+/**
+ * POST /api/teacher/assessment-plan/:id/compile
+ * Recompile final subject results from component marks
+ */
+router.post('/assessment-plan/:id/compile', mongoId, handleValidationErrors, compileAssessmentPlan);
 
 module.exports = router;
\ No newline at end of file
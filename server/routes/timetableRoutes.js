@@ -0,0 +1,384 @@
+// Timetable Routes - Periods, rooms, sections, weekly timetables and calendar feeds
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const timetableController = require('../controllers/timetableController');
+const { auth } = require('../middleware/auth');
+const { facultyOrAdmin, requirePermission } = require('../middleware/roleMiddleware');
+const { handleValidationErrors, commonValidations, mongoIdParam } = require('../middleware/validation');
+const StudentProfile = require('../models/StudentProfile');
+const Room = require('../models/Room');
+const ClassSession = require('../models/ClassSession');
+const { DAYS } = require('../models/TimetableEntry');
+
+const router = express.Router();
+
+const COURSES = StudentProfile.schema.path('course').enumValues;
+const DEPARTMENTS = StudentProfile.schema.path('department').enumValues;
+const ROOM_TYPES = Room.schema.path('roomType').enumValues;
+const CLASS_TYPES = ClassSession.schema.path('classType').enumValues;
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Admins with the Timetable Management permission
+const canManage = (action) => requirePermission('Timetable Management', action);
+
+// Optional on updates, required on creates
+const field = (name, required) => (required ? body(name) : body(name).optional());
+
+const academicYearField = (required) => field('academicYear', required)
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year must be in format YYYY-YYYY (e.g., 2024-2025)');
+
+const semesterField = (required) => field('semester', required)
+    .isInt({ min: 1, max: 8 })
+    .withMessage('Semester must be between 1 and 8');
+
+const periodFields = (required) => [
+    field('number', required).isInt({ min: 1, max: 12 }).withMessage('Period number must be between 1 and 12'),
+    body('label').optional().trim().isLength({ max: 50 }).withMessage('Label cannot exceed 50 characters'),
+    field('startTime', required).matches(TIME_FORMAT).withMessage('Start time must be HH:MM'),
+    field('endTime', required).matches(TIME_FORMAT).withMessage('End time must be HH:MM')
+];
+
+const roomFields = (required) => [
+    field('code', required).trim().isLength({ min: 1, max: 20 }).withMessage('Room code must be 1-20 characters'),
+    body('name').optional().trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+    body('building').optional().trim().isLength({ max: 100 }).withMessage('Building cannot exceed 100 characters'),
+    field('capacity', required).isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+    body('roomType').optional().isIn(ROOM_TYPES).withMessage(`Room type must be one of: ${ROOM_TYPES.join(', ')}`),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+];
+
+const sectionFields = (required) => [
+    field('name', required).trim().isLength({ min: 1, max: 50 }).withMessage('Section name must be 1-50 characters'),
+    field('course', required).isIn(COURSES).withMessage(`Course must be one of: ${COURSES.join(', ')}`),
+    semesterField(required),
+    academicYearField(required),
+    body('students').optional().isArray().withMessage('Students must be an array of student profile IDs'),
+    body('students.*').isMongoId().withMessage('Each student must be a valid student profile ID')
+];
+
+const timetableFields = (required) => [
+    field('department', required).isIn(DEPARTMENTS).withMessage(`Department must be one of: ${DEPARTMENTS.join(', ')}`),
+    semesterField(required),
+    academicYearField(required),
+    field('startsOn', required).isISO8601().withMessage('Start date must be a valid date'),
+    field('endsOn', required).isISO8601().withMessage('End date must be a valid date'),
+    body('isPublished').optional().isBoolean().withMessage('isPublished must be true or false')
+];
+
+const entryFields = (required) => [
+    field('sectionId', required).isMongoId().withMessage('Valid section ID is required'),
+    field('day', required).isIn(DAYS).withMessage(`Day must be one of: ${DAYS.join(', ')}`),
+    field('period', required).isInt({ min: 1, max: 12 }).withMessage('Period must be between 1 and 12'),
+    body('span').optional().isInt({ min: 1, max: 4 }).withMessage('Span must be between 1 and 4 periods'),
+    field('subjectCode', required).trim().isLength({ min: 1, max: 20 }).withMessage('Subject code is required'),
+    field('subjectName', required).trim().isLength({ min: 1, max: 100 }).withMessage('Subject name is required'),
+    field('facultyId', required).isMongoId().withMessage('Valid faculty profile ID is required'),
+    field('roomId', required).isMongoId().withMessage('Valid room ID is required'),
+    body('classType').optional().isIn(CLASS_TYPES).withMessage(`Class type must be one of: ${CLASS_TYPES.join(', ')}`)
+];
+
+const academicYearQuery = query('academicYear')
+    .optional()
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year must be in format YYYY-YYYY (e.g., 2024-2025)');
+
+/**
+ * GET /api/timetable/calendar/:token
+ * iCalendar feed of a student's or faculty member's timetable
+ * Public: calendar apps subscribe with the signed link from /me/calendar-link
+ */
+router.get('/calendar/:token',
+    param('token').isJWT().withMessage('Invalid calendar link'),
+    handleValidationErrors,
+    timetableController.getCalendarFeed
+);
+
+// All other routes require authentication
+router.use(auth);
+
+/**
+ * GET /api/timetable/me
+ * Get the signed-in student's or faculty member's weekly timetable
+ */
+router.get('/me',
+    academicYearQuery,
+    handleValidationErrors,
+    timetableController.getMyTimetable
+);
+
+/**
+ * GET /api/timetable/me/calendar-link
+ * Get a calendar subscription URL for the signed-in user's timetable
+ */
+router.get('/me/calendar-link', timetableController.getCalendarLink);
+
+/**
+ * POST /api/timetable/me/calendar-link/reset
+ * Revoke the signed-in user's calendar links and get a new one
+ */
+router.post('/me/calendar-link/reset', timetableController.resetCalendarLink);
+
+/**
+ * GET /api/timetable/student/:id
+ * Get a student's weekly timetable (students can only view their own)
+ */
+router.get('/student/:id',
+    commonValidations.mongoId,
+    academicYearQuery,
+    handleValidationErrors,
+    timetableController.getStudentTimetableById
+);
+
+/**
+ * GET /api/timetable/faculty/:id
+ * Get a faculty member's weekly timetable (faculty and admins)
+ */
+router.get('/faculty/:id',
+    facultyOrAdmin,
+    commonValidations.mongoId,
+    academicYearQuery,
+    handleValidationErrors,
+    timetableController.getFacultyTimetableById
+);
+
+/**
+ * GET /api/timetable/periods
+ * Get the periods of the teaching day
+ */
+router.get('/periods', timetableController.getPeriods);
+
+/**
+ * POST /api/timetable/periods
+ * Create a period
+ */
+router.post('/periods',
+    canManage('Create'),
+    periodFields(true),
+    handleValidationErrors,
+    timetableController.createPeriod
+);
+
+/**
+ * PATCH /api/timetable/periods/:id
+ * Update a period
+ */
+router.patch('/periods/:id',
+    canManage('Update'),
+    commonValidations.mongoId,
+    periodFields(false),
+    handleValidationErrors,
+    timetableController.updatePeriod
+);
+
+/**
+ * DELETE /api/timetable/periods/:id
+ * Delete a period no class uses
+ */
+router.delete('/periods/:id',
+    canManage('Delete'),
+    commonValidations.mongoId,
+    handleValidationErrors,
+    timetableController.deletePeriod
+);
+
+/**
+ * GET /api/timetable/rooms
+ * Get rooms
+ */
+router.get('/rooms',
+    canManage('Read'),
+    query('roomType').optional().isIn(ROOM_TYPES).withMessage(`Room type must be one of: ${ROOM_TYPES.join(', ')}`),
+    query('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+    handleValidationErrors,
+    timetableController.getRooms
+);
+
+/**
+ * POST /api/timetable/rooms
+ * Create a room
+ */
+router.post('/rooms',
+    canManage('Create'),
+    roomFields(true),
+    handleValidationErrors,
+    timetableController.createRoom
+);
+
+/**
+ * PATCH /api/timetable/rooms/:id
+ * Update a room
+ */
+router.patch('/rooms/:id',
+    canManage('Update'),
+    commonValidations.mongoId,
+    roomFields(false),
+    handleValidationErrors,
+    timetableController.updateRoom
+);
+
+/**
+ * DELETE /api/timetable/rooms/:id
+ * Delete a room no class uses
+ */
+router.delete('/rooms/:id',
+    canManage('Delete'),
+    commonValidations.mongoId,
+    handleValidationErrors,
+    timetableController.deleteRoom
+);
+
+/**
+ * GET /api/timetable/sections
+ * Get sections
+ */
+router.get('/sections',
+    canManage('Read'),
+    query('course').optional().isIn(COURSES).withMessage(`Course must be one of: ${COURSES.join(', ')}`),
+    query('semester').optional().isInt({ min: 1, max: 8 }).withMessage('Semester must be between 1 and 8'),
+    academicYearQuery,
+    handleValidationErrors,
+    timetableController.getSections
+);
+
+/**
+ * POST /api/timetable/sections
+ * Create a section; leave students empty for the whole cohort
+ */
+router.post('/sections',
+    canManage('Create'),
+    sectionFields(true),
+    handleValidationErrors,
+    timetableController.createSection
+);
+
+/**
+ * PATCH /api/timetable/sections/:id
+ * Update a section; reports clashes its new members cause
+ */
+router.patch('/sections/:id',
+    canManage('Update'),
+    commonValidations.mongoId,
+    sectionFields(false),
+    handleValidationErrors,
+    timetableController.updateSection
+);
+
+/**
+ * DELETE /api/timetable/sections/:id
+ * Delete a section no class uses
+ */
+router.delete('/sections/:id',
+    canManage('Delete'),
+    commonValidations.mongoId,
+    handleValidationErrors,
+    timetableController.deleteSection
+);
+
+/**
+ * GET /api/timetable/clashes
+ * Get every faculty, room and student-group clash
+ */
+router.get('/clashes',
+    canManage('Read'),
+    academicYearQuery,
+    query('department').optional().isIn(DEPARTMENTS).withMessage(`Department must be one of: ${DEPARTMENTS.join(', ')}`),
+    query('semester').optional().isInt({ min: 1, max: 8 }).withMessage('Semester must be between 1 and 8'),
+    handleValidationErrors,
+    timetableController.getClashes
+);
+
+/**
+ * PATCH /api/timetable/entries/:entryId
+ * Move or change a class in a timetable
+ */
+router.patch('/entries/:entryId',
+    canManage('Update'),
+    mongoIdParam('entryId'),
+    entryFields(false),
+    handleValidationErrors,
+    timetableController.updateEntry
+);
+
+/**
+ * DELETE /api/timetable/entries/:entryId
+ * Remove a class from a timetable
+ */
+router.delete('/entries/:entryId',
+    canManage('Delete'),
+    mongoIdParam('entryId'),
+    handleValidationErrors,
+    timetableController.deleteEntry
+);
+
+/**
+ * GET /api/timetable
+ * Get timetables
+ */
+router.get('/',
+    canManage('Read'),
+    query('department').optional().isIn(DEPARTMENTS).withMessage(`Department must be one of: ${DEPARTMENTS.join(', ')}`),
+    query('semester').optional().isInt({ min: 1, max: 8 }).withMessage('Semester must be between 1 and 8'),
+    academicYearQuery,
+    handleValidationErrors,
+    timetableController.getTimetables
+);
+
+/**
+ * POST /api/timetable
+ * Create a timetable for a department and semester
+ */
+router.post('/',
+    canManage('Create'),
+    timetableFields(true),
+    handleValidationErrors,
+    timetableController.createTimetable
+);
+
+/**
+ * POST /api/timetable/:id/entries
+ * Add a class; refused with the clashes when faculty, room or students are busy
+ */
+router.post('/:id/entries',
+    canManage('Create'),
+    commonValidations.mongoId,
+    entryFields(true),
+    handleValidationErrors,
+    timetableController.addEntry
+);
+
+/**
+ * GET /api/timetable/:id
+ * Get a timetable as a weekly grid
+ */
+router.get('/:id',
+    canManage('Read'),
+    commonValidations.mongoId,
+    handleValidationErrors,
+    timetableController.getTimetable
+);
+
+/**
+ * PATCH /api/timetable/:id
+ * Update a timetable; publish it by setting isPublished
+ */
+router.patch('/:id',
+    canManage('Update'),
+    commonValidations.mongoId,
+    timetableFields(false),
+    handleValidationErrors,
+    timetableController.updateTimetable
+);
+
+/**
+ * DELETE /api/timetable/:id
+ * Delete a timetable and its classes
+ */
+router.delete('/:id',
+    canManage('Delete'),
+    commonValidations.mongoId,
+    handleValidationErrors,
+    timetableController.deleteTimetable
+);
+
+module.exports = router;
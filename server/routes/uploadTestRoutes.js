@@ -1,19 +1,22 @@
 const express = require('express');
-const authMiddleware = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
+const { adminOnly } = require('../middleware/roleMiddleware');
 const { 
     excelUpload, 
     assignmentUpload, 
     noticeUpload, 
     profileUpload, 
     documentUpload,
-    getFileInfo,
-    deleteFile
+    getFileInfo
 } = require('../config/multer');
+const { removeStoredFile } = require('../services/storage');
 
+// Upload diagnostics; only mounted outside production (see routes/index.js)
 const router = express.Router();
 
-// All routes require authentication
-router.use(authMiddleware);
+// All routes require an admin
+router.use(auth);
+router.use(adminOnly);
 
 /**
  * Test Excel file upload
@@ -195,25 +198,27 @@ router.post('/document', documentUpload.array('documents', 10), (req, res) => {
 /**
  * Test file deletion
  * DELETE /api/upload-test/file
+ * Body: storageKey, storageBackend (as returned by the upload endpoints)
  */
-router.delete('/file', (req, res) => {
+router.delete('/file', async (req, res) => {
     try {
-        const { filePath } = req.body;
+        const { storageKey, storageBackend = 'local' } = req.body;
         
-        if (!filePath) {
+        if (!storageKey) {
             return res.status(400).json({
                 success: false,
-                message: 'File path is required'
+                message: 'Storage key is required'
             });
         }
 
-        const deleted = deleteFile(filePath);
+        const deleted = await removeStoredFile({ storageKey, storageBackend });
         
         res.json({
             success: true,
             message: deleted ? 'File deleted successfully' : 'File not found or already deleted',
             data: {
-                filePath,
+                storageKey,
+                storageBackend,
                 deleted
             }
         });
@@ -278,7 +283,7 @@ router.get('/config', (req, res) => {
                     fileTypeValidation: 'Extension + MIME type',
                     fileNameSanitization: 'Special characters replaced',
                     uniqueNaming: 'Timestamp + random number',
-                    accessControl: 'Authentication required'
+                    accessControl: 'Admin only, disabled in production'
                 }
             }
         });
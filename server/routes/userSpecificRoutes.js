@@ -7,7 +7,10 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware
-const { authenticateToken } = require('../middleware/auth');
+const { body } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { commonValidations, mongoIdParam, handleValidationErrors } = require('../middleware/validation');
+const { facultyOrAdmin } = require('../middleware/roleMiddleware');
 const {
     verifyResourceOwnership,
     verifyFacultyStudentAccess,
@@ -38,9 +41,72 @@ const {
     applyForLeave,
     getStudentOwnLeaves
 } = require('../controllers/userSpecificController');
+const { reviewLeaveApplication } = require('../controllers/teacherController');
+const { updateMarks, deleteMarks } = require('../controllers/marksController');
+
+const { mongoId } = commonValidations;
+const studentIdValidation = mongoIdParam('studentId');
+const userIdValidation = mongoIdParam('userId');
+
+const updateMarksValidation = [
+    mongoId,
+    body('totalMarks')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Total marks must be a non-negative number'),
+    body('maxMarks')
+        .optional()
+        .isFloat({ min: 1 })
+        .withMessage('Maximum marks must be at least 1')
+];
+
+const attendanceValidation = [
+    studentIdValidation,
+    body('subject').trim().notEmpty().withMessage('Subject is required'),
+    body('date').isISO8601().withMessage('Valid date is required in ISO format'),
+    body('status')
+        .isIn(['present', 'absent', 'late', 'excused'])
+        .withMessage('Status must be one of: present, absent, late, excused'),
+    body('classType').optional().isIn(['lecture', 'lab', 'tutorial', 'seminar'])
+];
+
+const marksValidation = [
+    studentIdValidation,
+    body('subject').trim().notEmpty().withMessage('Subject is required'),
+    body('examType').trim().notEmpty().withMessage('Exam type is required'),
+    body('totalMarks').isFloat({ min: 0 }).withMessage('Total marks must be a non-negative number'),
+    body('maxMarks').isFloat({ min: 1 }).withMessage('Maximum marks must be at least 1')
+];
+
+const noticeValidation = [
+    body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title is required and cannot exceed 200 characters'),
+    body('content').trim().isLength({ min: 1, max: 2000 }).withMessage('Content is required and cannot exceed 2000 characters'),
+    body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+    body('category').trim().notEmpty().withMessage('Category is required'),
+    body('targetGroup').optional().isObject()
+];
+
+const leaveValidation = [
+    body('leaveType').trim().notEmpty().withMessage('Leave type is required'),
+    body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required and cannot exceed 500 characters'),
+    body('fromDate').isISO8601().withMessage('Valid from date is required'),
+    body('toDate').isISO8601().withMessage('Valid to date is required'),
+    body('priority').optional().isIn(['low', 'medium', 'high', 'urgent'])
+];
+
+const leaveReviewValidation = [
+    mongoId,
+    body('status')
+        .isIn(['approved', 'rejected'])
+        .withMessage('Invalid status. Must be approved or rejected'),
+    body('comments')
+        .optional()
+        .isLength({ max: 300 })
+        .withMessage('Comments cannot exceed 300 characters')
+];
 
 // Apply common middleware to all routes
-router.use(authenticateToken);
+router.use(auth);
 router.use(logApiAccess);
 router.use(validateMongoOperation);
 
@@ -57,12 +123,16 @@ router.get('/admin/users',
 // Approve user (Admin only) - Updates MongoDB
 router.patch('/admin/users/:userId/approve', 
     verifyAdminAccess,
+    userIdValidation,
+    handleValidationErrors,
     approveUser
 );
 
 // Delete user (Admin only) - Updates MongoDB
 router.delete('/admin/users/:userId', 
     verifyAdminAccess,
+    userIdValidation,
+    handleValidationErrors,
     deleteUser
 );
 
@@ -80,6 +150,8 @@ router.get('/faculty/students',
 router.post('/faculty/students/:studentId/attendance', 
     verifyResourceOwnership,
     verifyFacultyStudentAccess,
+    attendanceValidation,
+    handleValidationErrors,
     addStudentAttendance
 );
 
@@ -87,6 +159,8 @@ router.post('/faculty/students/:studentId/attendance',
 router.post('/faculty/students/:studentId/marks', 
     verifyResourceOwnership,
     verifyFacultyStudentAccess,
+    marksValidation,
+    handleValidationErrors,
     addStudentMarks
 );
 
@@ -94,12 +168,16 @@ router.post('/faculty/students/:studentId/marks',
 router.get('/faculty/students/:studentId/attendance', 
     verifyResourceOwnership,
     verifyFacultyStudentAccess,
+    studentIdValidation,
+    handleValidationErrors,
     getFacultyStudentAttendance
 );
 
 // Create notice - Updates MongoDB
 router.post('/faculty/notices', 
     verifyResourceOwnership,
+    noticeValidation,
+    handleValidationErrors,
     createNotice
 );
 
@@ -132,6 +210,8 @@ router.get('/student/marks',
 router.post('/student/leave', 
     verifyResourceOwnership,
     verifyStudentSelfAccess,
+    leaveValidation,
+    handleValidationErrors,
     applyForLeave
 );
 
@@ -146,166 +226,32 @@ router.get('/student/leaves',
  * CROSS-ROLE ROUTES WITH SPECIFIC ACCESS CONTROLS
  */
 
-// Review leave application (Faculty/Admin only) - Updates MongoDB
-router.patch('/leave/:leaveId/review', 
-    authenticateToken,
-    async (req, res) => {
-        try {
-            const { role } = req.user;
-            const { leaveId } = req.params;
-            const { status, reviewComments } = req.body;
-            
-            // Only faculty and admin can review leaves
-            if (!['faculty', 'admin'].includes(role)) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied - faculty or admin required'
-                });
-            }
-            
-            console.log(`🔍 ${role} reviewing leave:`, leaveId);
-            
-            // Update leave status in MongoDB
-            const leave = await Leave.findByIdAndUpdate(
-                leaveId,
-                {
-                    status,
-                    reviewComments,
-                    reviewDate: new Date(),
-                    reviewedBy: req.user.userId
-                },
-                { new: true }
-            );
-            
-            if (!leave) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Leave application not found'
-                });
-            }
-            
-            res.json({
-                success: true,
-                message: 'Leave application reviewed successfully',
-                data: leave
-            });
-            
-        } catch (error) {
-            console.error('Review leave error:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Error reviewing leave application'
-            });
-        }
-    }
+// Review leave application (Faculty/Admin only) - Updates MongoDB and syncs attendance
+router.patch('/leave/:id/review', 
+    facultyOrAdmin,
+    (req, res, next) => {
+        // Older clients send reviewComments
+        if (req.body.comments === undefined) req.body.comments = req.body.reviewComments;
+        next();
+    },
+    leaveReviewValidation,
+    handleValidationErrors,
+    reviewLeaveApplication
 );
 
-// Edit marks (Faculty/Admin only) - Updates MongoDB
-router.put('/marks/:markId', 
-    authenticateToken,
-    async (req, res) => {
-        try {
-            const { role } = req.user;
-            const { markId } = req.params;
-            const { totalMarks, maxMarks } = req.body;
-            
-            // Only faculty and admin can edit marks
-            if (!['faculty', 'admin'].includes(role)) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied - faculty or admin required'
-                });
-            }
-            
-            console.log(`🔍 ${role} editing marks:`, markId);
-            
-            // Calculate new percentage and grade
-            const percentage = (totalMarks / maxMarks) * 100;
-            const grade = calculateGrade(percentage);
-            
-            // Update marks in MongoDB
-            const marks = await Marks.findByIdAndUpdate(
-                markId,
-                {
-                    totalMarks,
-                    maxMarks,
-                    percentage,
-                    grade,
-                    lastModified: new Date(),
-                    modifiedBy: req.user.userId
-                },
-                { new: true }
-            );
-            
-            if (!marks) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Marks record not found'
-                });
-            }
-            
-            res.json({
-                success: true,
-                message: 'Marks updated successfully',
-                data: marks
-            });
-            
-        } catch (error) {
-            console.error('Edit marks error:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Error updating marks'
-            });
-        }
-    }
+// Edit marks (Faculty who recorded them / Admin) - Updates MongoDB
+router.put('/marks/:id', 
+    facultyOrAdmin,
+    updateMarksValidation,
+    updateMarks
 );
 
 // Delete marks (Admin only) - Updates MongoDB
-router.delete('/marks/:markId', 
+router.delete('/marks/:id', 
     verifyAdminAccess,
-    async (req, res) => {
-        try {
-            const { markId } = req.params;
-            
-            console.log('🔍 Admin deleting marks:', markId);
-            
-            // Delete marks from MongoDB
-            const marks = await Marks.findByIdAndDelete(markId);
-            
-            if (!marks) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Marks record not found'
-                });
-            }
-            
-            res.json({
-                success: true,
-                message: 'Marks deleted successfully'
-            });
-            
-        } catch (error) {
-            console.error('Delete marks error:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Error deleting marks'
-            });
-        }
-    }
+    mongoId,
+    handleValidationErrors,
+    deleteMarks
 );
 
-/**
- * UTILITY FUNCTIONS
- */
-function calculateGrade(percentage) {
-    if (percentage >= 90) return 'A+';
-    if (percentage >= 80) return 'A';
-    if (percentage >= 70) return 'B+';
-    if (percentage >= 60) return 'B';
-    if (percentage >= 50) return 'C+';
-    if (percentage >= 40) return 'C';
-    if (percentage >= 35) return 'D';
-    return 'F';
-}
-
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const { param } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+const { verifyTranscriptCode } = require('../controllers/verificationController');
+
+const router = express.Router();
+
+/**
+ * GET /api/verify/transcript/:code
+ * Verify a grade card or transcript (no auth required)
+ */
+router.get('/transcript/:code',
+    param('code')
+        .matches(/^CUK(-[0-9A-F]{4}){3}$/i)
+        .withMessage('Invalid verification code format'),
+    handleValidationErrors,
+    verifyTranscriptCode
+);
+
+module.exports = router;
@@ -0,0 +1,241 @@
+const xlsx = require('xlsx');
+
+// Register cell codes and the Attendance status each one stands for
+const STATUS_CODES = {
+    P: 'present',
+    A: 'absent',
+    L: 'late',
+    E: 'excused'
+};
+
+const CODE_BY_STATUS = Object.fromEntries(
+    Object.entries(STATUS_CODES).map(([code, status]) => [status, code])
+);
+
+// Summary columns added to exported registers; ignored on import
+const SUMMARY_COLUMNS = ['Attended', 'Classes', 'Percentage'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Register dates are whole days, stored at UTC midnight
+const toDateKey = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+const utcDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+        ? date
+        : null;
+};
+
+// Read a date header cell: a real date, an Excel serial number, or YYYY-MM-DD / DD-MM-YYYY / DD/MM/YYYY text
+const parseHeaderDate = (value) => {
+    if (value instanceof Date && !isNaN(value)) {
+        return utcDate(value.getFullYear(), value.getMonth() + 1, value.getDate());
+    }
+
+    if (typeof value === 'number') {
+        const parsed = xlsx.SSF.parse_date_code(value);
+        return parsed ? utcDate(parsed.y, parsed.m, parsed.d) : null;
+    }
+
+    const text = String(value || '').trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) return utcDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+    match = text.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/);
+    if (match) return utcDate(Number(match[3]), Number(match[2]), Number(match[1]));
+
+    return null;
+};
+
+/**
+ * Read a class column header: a date, optionally followed by the period as " P<n>"
+ * (e.g. "2025-01-06 P3") when more than one class was held that day
+ * @returns {{date: Date, period: number|null}|null} null if the header is not a class column
+ */
+const parseHeader = (value) => {
+    const match = typeof value === 'string' && value.trim().match(/^(.+?)\s+P(\d{1,2})$/i);
+    const date = parseHeaderDate(match ? match[1] : value);
+    if (!date) return null;
+    return { date, period: match ? Number(match[2]) : null };
+};
+
+// Column header for a class session; period 1 is the default and left off
+const sessionLabel = (date, period) => (period && period !== 1 ? `${toDateKey(date)} P${period}` : toDateKey(date));
+
+// Accept the register codes or the full status name, in any case
+const parseStatusCell = (value) => {
+    const text = String(value ?? '').trim().toUpperCase();
+    if (!text) return null;
+    if (STATUS_CODES[text]) return STATUS_CODES[text];
+
+    const status = text.toLowerCase();
+    return CODE_BY_STATUS[status] ? status : undefined;
+};
+
+/**
+ * Parse an attendance register: one row per roll number, one column per class held.
+ * Blank cells are skipped (student not marked for that class).
+ * Row and column numbers in errors match the spreadsheet.
+ * @param {string} filePath - Uploaded XLSX/CSV file
+ * @returns {{classes: Array, entries: Array, errors: Array}}
+ */
+const parseRegisterSheet = (filePath) => {
+    const workbook = xlsx.readFile(filePath, { cellDates: true, raw: true });
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: '', raw: true });
+
+    const result = { classes: [], entries: [], errors: [] };
+    if (rows.length < 2) {
+        result.errors.push({ row: 1, message: 'Register has no student rows' });
+        return result;
+    }
+
+    const header = rows[0];
+    const rollColumn = header.findIndex(cell => String(cell).trim().toLowerCase() === 'rollnumber');
+    if (rollColumn === -1) {
+        result.errors.push({ row: 1, message: 'Missing rollNumber column' });
+        return result;
+    }
+
+    const dateColumns = [];
+    header.forEach((cell, index) => {
+        if (index === rollColumn) return;
+        const parsed = parseHeader(cell);
+        if (parsed) {
+            dateColumns.push({ index, ...parsed, column: xlsx.utils.encode_col(index) });
+        }
+    });
+
+    if (dateColumns.length === 0) {
+        result.errors.push({ row: 1, message: 'No date columns found in the header row' });
+        return result;
+    }
+    result.classes = dateColumns.map(({ column, date, period }) => ({ column, date, period }));
+
+    rows.slice(1).forEach((cells, offset) => {
+        const row = offset + 2;
+        const rollNumber = String(cells[rollColumn] ?? '').trim().toUpperCase();
+
+        if (!rollNumber) {
+            if (cells.some(cell => String(cell).trim())) {
+                result.errors.push({ row, message: 'Roll number is required' });
+            }
+            return;
+        }
+
+        dateColumns.forEach(({ index, date, column }) => {
+            const status = parseStatusCell(cells[index]);
+            if (status === null) return;
+
+            if (status === undefined) {
+                result.errors.push({
+                    row,
+                    column,
+                    rollNumber,
+                    date: toDateKey(date),
+                    message: `Invalid attendance code "${cells[index]}". Use ${Object.keys(STATUS_CODES).join('/')}`
+                });
+                return;
+            }
+
+            result.entries.push({ row, column, rollNumber, status });
+        });
+    });
+
+    return result;
+};
+
+/**
+ * Build the month-wise register rows in the same layout the import reads.
+ * Every session is a column; marks recorded before sessions existed get a column per day.
+ * Classes (and the percentage) count every session held, plus any such older marks.
+ * @param {Array} students - StudentProfile documents with userId populated
+ * @param {Array} sessions - ClassSession documents for the month
+ * @param {Array} records - Attendance records for the month
+ * @returns {Array} Row objects keyed by column header
+ */
+const buildRegisterRows = (students, sessions, records) => {
+    const columns = new Map();
+    const sessionColumns = new Map();
+    [...sessions]
+        .sort((a, b) => a.date - b.date || a.period - b.period)
+        .forEach(session => {
+            const label = sessionLabel(session.date, session.period);
+            columns.set(label, { label, date: session.date, isSession: true });
+            sessionColumns.set(session._id.toString(), label);
+        });
+
+    const byStudent = new Map();
+    records.forEach(record => {
+        let label = record.sessionId ? sessionColumns.get(record.sessionId.toString()) : null;
+        if (!label) {
+            label = toDateKey(record.date);
+            if (!columns.has(label)) columns.set(label, { label, date: record.date, isSession: false });
+        }
+
+        const key = record.studentId.toString();
+        if (!byStudent.has(key)) byStudent.set(key, new Map());
+        byStudent.get(key).set(label, record.status);
+    });
+
+    const ordered = [...columns.values()].sort((a, b) => a.date - b.date || a.label.localeCompare(b.label));
+
+    return students.map(student => {
+        const statuses = byStudent.get(student._id.toString()) || new Map();
+        const row = {
+            rollNumber: student.rollNumber,
+            studentName: student.userId?.name || ''
+        };
+
+        let attended = 0;
+        let classes = 0;
+        ordered.forEach(({ label, isSession }) => {
+            const status = statuses.get(label);
+            row[label] = status ? CODE_BY_STATUS[status] : '';
+            if (isSession || status) classes++;
+            if (status === 'present' || status === 'late') attended++;
+        });
+
+        row[SUMMARY_COLUMNS[0]] = attended;
+        row[SUMMARY_COLUMNS[1]] = classes;
+        row[SUMMARY_COLUMNS[2]] = classes > 0 ? Number(((attended / classes) * 100).toFixed(2)) : '';
+        return row;
+    });
+};
+
+/**
+ * Write register rows as an XLSX or CSV file
+ * @param {Array} rows - From buildRegisterRows
+ * @param {string} format - 'xlsx' or 'csv'
+ * @returns {{buffer: Buffer, contentType: string, extension: string}}
+ */
+const writeRegister = (rows, format = 'xlsx') => {
+    const workbook = xlsx.utils.book_new();
+    const worksheet = xlsx.utils.json_to_sheet(rows.length > 0 ? rows : [{ rollNumber: '', studentName: '' }]);
+    worksheet['!cols'] = Object.keys(rows[0] || { rollNumber: '', studentName: '' })
+        .map(key => ({ width: key === 'studentName' ? 25 : key === 'rollNumber' ? 15 : 11 }));
+    xlsx.utils.book_append_sheet(workbook, worksheet, 'Attendance Register');
+
+    if (format === 'csv') {
+        return {
+            buffer: Buffer.from(xlsx.write(workbook, { type: 'string', bookType: 'csv' })),
+            contentType: 'text/csv',
+            extension: 'csv'
+        };
+    }
+
+    return {
+        buffer: xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx'
+    };
+};
+
+module.exports = {
+    STATUS_CODES,
+    toDateKey,
+    parseRegisterSheet,
+    buildRegisterRows,
+    writeRegister
+};
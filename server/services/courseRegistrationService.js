@@ -0,0 +1,372 @@
+const CourseRegistration = require('../models/CourseRegistration');
+const FacultyProfile = require('../models/FacultyProfile');
+const RegistrationWindow = require('../models/RegistrationWindow');
+const StudentProfile = require('../models/StudentProfile');
+const { getFinalSubjectResults } = require('./resultService');
+
+// Registrations that hold a seat in each of their subjects
+const SEAT_HOLDING_STATUSES = ['pending', 'approved'];
+
+const serviceError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Check a window's offerings and advisors before it is saved
+ * @param {Object} window - RegistrationWindow document
+ * @throws {Error} 400 on duplicate subject codes or unknown faculty profiles
+ */
+const validateWindow = async (window) => {
+    const codes = window.offerings.map(offering => offering.subjectCode);
+    const duplicates = codes.filter((code, index) => codes.indexOf(code) !== index);
+    if (duplicates.length > 0) {
+        throw serviceError(`Subjects offered more than once: ${[...new Set(duplicates)].join(', ')}`, 400);
+    }
+
+    const selfPrerequisites = window.offerings.filter(offering => offering.prerequisites.includes(offering.subjectCode));
+    if (selfPrerequisites.length > 0) {
+        throw serviceError(`A subject cannot be its own prerequisite: ${selfPrerequisites[0].subjectCode}`, 400);
+    }
+
+    const facultyIds = [...new Set([
+        ...window.offerings.map(offering => offering.facultyId.toString()),
+        ...window.advisors.map(advisor => advisor.toString())
+    ])];
+    const found = await FacultyProfile.countDocuments({ _id: { $in: facultyIds } });
+    if (found !== facultyIds.length) {
+        throw serviceError('Every offering and advisor must be an existing faculty profile', 400);
+    }
+};
+
+/**
+ * Seats held in each subject of a window
+ * @param {Object} window - RegistrationWindow document
+ * @param {Object} options - { statuses, excludeId } to count other statuses or skip one registration
+ * @returns {Promise<Map<string, number>>} Subject code to seats held
+ */
+const getSeatCounts = async (window, { statuses = SEAT_HOLDING_STATUSES, excludeId } = {}) => {
+    const match = { windowId: window._id, status: { $in: statuses } };
+    if (excludeId) match._id = { $ne: excludeId };
+
+    const counts = await CourseRegistration.aggregate([
+        { $match: match },
+        { $unwind: '$subjects' },
+        { $group: { _id: '$subjects.subjectCode', seats: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(({ _id, seats }) => [_id, seats]));
+};
+
+// Subject codes a student has a published passing result in
+const getPassedSubjectCodes = async (studentProfile) => {
+    const results = await getFinalSubjectResults(studentProfile);
+    return new Set(results
+        .filter(result => result.gradePoints > 0)
+        .map(result => result.subjectCode.toUpperCase()));
+};
+
+/**
+ * The published window for a student's course and current semester, latest first
+ * @param {Object} studentProfile - StudentProfile document
+ * @returns {Promise<Object|null>} RegistrationWindow document
+ */
+const getStudentWindow = async (studentProfile) => {
+    return RegistrationWindow.findOne({
+        course: studentProfile.course,
+        semester: studentProfile.semester,
+        isPublished: true
+    })
+        .populate({
+            path: 'offerings.facultyId',
+            select: 'facultyId designation userId',
+            populate: { path: 'userId', select: 'name email' }
+        })
+        .sort({ opensAt: -1 });
+};
+
+/**
+ * A window as a student sees it: seats left and whether they meet each subject's prerequisites
+ * @param {Object} window - RegistrationWindow document
+ * @param {Object} studentProfile - StudentProfile document
+ * @returns {Promise<Object>}
+ */
+const describeWindowForStudent = async (window, studentProfile) => {
+    const [seats, passed, registration] = await Promise.all([
+        getSeatCounts(window),
+        getPassedSubjectCodes(studentProfile),
+        CourseRegistration.findOne({ windowId: window._id, studentId: studentProfile._id })
+    ]);
+
+    return {
+        id: window._id,
+        title: window.title,
+        course: window.course,
+        semester: window.semester,
+        academicYear: window.academicYear,
+        opensAt: window.opensAt,
+        closesAt: window.closesAt,
+        isOpen: window.isOpen(),
+        minCredits: window.minCredits,
+        maxCredits: window.maxCredits,
+        electiveSlots: window.electiveSlots,
+        allocationStatus: window.allocation.status,
+        offerings: window.offerings.map(offering => {
+            const held = seats.get(offering.subjectCode) || 0;
+            const ownSeat = registration?.subjects.some(subject => subject.subjectCode === offering.subjectCode) &&
+                SEAT_HOLDING_STATUSES.includes(registration.status);
+            const missingPrerequisites = offering.prerequisites.filter(code => !passed.has(code));
+
+            return {
+                subjectCode: offering.subjectCode,
+                subjectName: offering.subjectName,
+                category: offering.category,
+                credits: offering.credits,
+                faculty: offering.facultyId?.userId?.name,
+                capacity: offering.capacity,
+                seatsLeft: Math.max(offering.capacity - held + (ownSeat ? 1 : 0), 0),
+                prerequisites: offering.prerequisites,
+                missingPrerequisites,
+                canRegister: missingPrerequisites.length === 0
+            };
+        }),
+        registration
+    };
+};
+
+// A window offering as stored on a registration
+const toRegisteredSubject = (offering) => ({
+    subjectCode: offering.subjectCode,
+    subjectName: offering.subjectName,
+    facultyId: offering.facultyId._id || offering.facultyId,
+    credits: offering.credits,
+    category: offering.category
+});
+
+/**
+ * Check ranked elective preferences for a window that allocates electives
+ * @param {Object} window - RegistrationWindow document
+ * @param {Array<string>} preferences - Subject codes, most wanted first
+ * @returns {Array<Object>} The preferred offerings in rank order
+ */
+const checkElectivePreferences = (window, preferences) => {
+    const codes = preferences.map(code => String(code).trim().toUpperCase());
+    const repeated = codes.filter((code, index) => codes.indexOf(code) !== index);
+    if (repeated.length > 0) {
+        throw serviceError(`Each elective can only be ranked once: ${[...new Set(repeated)].join(', ')}`, 400);
+    }
+
+    const notElective = codes.filter(code => window.findOffering(code)?.category !== 'elective');
+    if (notElective.length > 0) {
+        throw serviceError(`Not electives in this window: ${notElective.join(', ')}`, 400);
+    }
+    if (codes.length < window.electiveSlots) {
+        throw serviceError(`Rank at least ${window.electiveSlots} electives`, 400);
+    }
+
+    return codes.map(code => window.findOffering(code));
+};
+
+/**
+ * Submit or change a student's subject selection while the window is open.
+ * Core subjects are mandatory; the total must fall within the window's credit limits.
+ * In windows that allocate electives, electives are ranked instead of picked and the
+ * credit limits are checked against the top-ranked ones.
+ * @param {Object} studentProfile - StudentProfile document
+ * @param {Object} window - RegistrationWindow document
+ * @param {Array<string>} subjectCodes - Chosen subject codes
+ * @param {Array<string>} electivePreferences - Ranked elective codes, most wanted first
+ * @returns {Promise<Object>} The saved CourseRegistration, pending advisor approval
+ */
+const submitRegistration = async (studentProfile, window, subjectCodes, electivePreferences = []) => {
+    if (window.course !== studentProfile.course || window.semester !== studentProfile.semester) {
+        throw serviceError('This registration window is not for your course and semester', 403);
+    }
+    if (!window.isOpen()) {
+        throw serviceError('Registration window is not open', 400);
+    }
+    if (window.allocation.status !== 'none') {
+        throw serviceError('Electives have already been allocated for this window', 400);
+    }
+
+    const codes = [...new Set(subjectCodes.map(code => String(code).trim().toUpperCase()))];
+    if (codes.length === 0 && electivePreferences.length === 0) {
+        throw serviceError('Select at least one subject', 400);
+    }
+
+    const unknown = codes.filter(code => !window.findOffering(code));
+    if (unknown.length > 0) {
+        throw serviceError(`Subjects not offered in this window: ${unknown.join(', ')}`, 400);
+    }
+
+    const missingCore = window.offerings
+        .filter(offering => offering.category === 'core' && !codes.includes(offering.subjectCode))
+        .map(offering => offering.subjectCode);
+    if (missingCore.length > 0) {
+        throw serviceError(`Core subjects must be included: ${missingCore.join(', ')}`, 400);
+    }
+
+    const offerings = codes.map(code => window.findOffering(code));
+    let preferred = [];
+    if (window.usesPreferences()) {
+        if (offerings.some(offering => offering.category === 'elective')) {
+            throw serviceError('Electives in this window are allocated by preference; rank them instead of selecting them', 400);
+        }
+        preferred = checkElectivePreferences(window, electivePreferences);
+    } else if (electivePreferences.length > 0) {
+        throw serviceError('This window does not take elective preferences', 400);
+    }
+
+    const totalCredits = offerings.reduce((sum, offering) => sum + offering.credits, 0);
+    const expectedCredits = totalCredits + preferred
+        .slice(0, window.electiveSlots)
+        .reduce((sum, offering) => sum + offering.credits, 0);
+    if (expectedCredits < window.minCredits || expectedCredits > window.maxCredits) {
+        throw serviceError(
+            `Selected subjects total ${expectedCredits} credits; between ${window.minCredits} and ${window.maxCredits} are required`,
+            400
+        );
+    }
+
+    const passed = await getPassedSubjectCodes(studentProfile);
+    const unmet = [...offerings, ...preferred]
+        .map(offering => ({ offering, missing: offering.prerequisites.filter(code => !passed.has(code)) }))
+        .filter(({ missing }) => missing.length > 0);
+    if (unmet.length > 0) {
+        throw serviceError(`Prerequisites not met: ${unmet
+            .map(({ offering, missing }) => `${offering.subjectCode} (needs ${missing.join(', ')})`)
+            .join('; ')}`, 400);
+    }
+
+    let registration = await CourseRegistration.findOne({ windowId: window._id, studentId: studentProfile._id });
+    if (registration?.status === 'approved') {
+        throw serviceError('Your registration has already been approved', 400);
+    }
+
+    // Preferred electives are not checked here; the allocation hands out their seats
+    const seats = await getSeatCounts(window, { excludeId: registration?._id });
+    const full = offerings.filter(offering => (seats.get(offering.subjectCode) || 0) >= offering.capacity);
+    if (full.length > 0) {
+        throw serviceError(`No seats left in ${full.map(offering => offering.subjectCode).join(', ')}`, 400);
+    }
+
+    if (!registration) {
+        registration = new CourseRegistration({
+            windowId: window._id,
+            studentId: studentProfile._id,
+            semester: window.semester,
+            academicYear: window.academicYear
+        });
+    }
+
+    registration.subjects = offerings.map(toRegisteredSubject);
+    registration.electivePreferences = preferred.map((offering, index) => ({
+        subjectCode: offering.subjectCode,
+        rank: index + 1
+    }));
+    registration.totalCredits = totalCredits;
+    registration.status = 'pending';
+    registration.submittedAt = new Date();
+    registration.reviewedBy = undefined;
+    registration.reviewComments = undefined;
+    registration.reviewDate = undefined;
+    return registration.save();
+};
+
+/**
+ * Whether a faculty member advises a window
+ * @param {Object} window - RegistrationWindow document
+ * @param {Object} facultyProfile - FacultyProfile document
+ * @returns {boolean}
+ */
+const isWindowAdvisor = (window, facultyProfile) =>
+    window.advisors.some(advisor => (advisor._id || advisor).toString() === facultyProfile._id.toString());
+
+/**
+ * Copy an approved registration onto the student's selected courses for that semester,
+ * and add the student to each subject's faculty
+ * @param {Object} registration - CourseRegistration document
+ * @returns {Promise<Object>} The updated StudentProfile
+ */
+const applyApprovedRegistration = async (registration) => {
+    const studentProfile = await StudentProfile.findById(registration.studentId);
+    if (!studentProfile) {
+        throw serviceError('Student profile not found', 404);
+    }
+
+    studentProfile.selectedCourses = [
+        ...studentProfile.selectedCourses.filter(selected => selected.semester !== registration.semester),
+        ...registration.subjects.map(subject => ({
+            subjectName: subject.subjectName,
+            subjectCode: subject.subjectCode,
+            facultyId: subject.facultyId,
+            semester: registration.semester,
+            credits: subject.credits
+        }))
+    ];
+    await studentProfile.save();
+
+    await FacultyProfile.updateMany(
+        { _id: { $in: registration.subjects.map(subject => subject.facultyId) } },
+        { $addToSet: { assignedStudents: studentProfile._id } }
+    );
+
+    return studentProfile;
+};
+
+/**
+ * Approve or reject a pending registration.
+ * Approval re-checks capacity against approved registrations only.
+ * @param {Object} registration - CourseRegistration document
+ * @param {Object} review - { status, comments, reviewerId }
+ * @returns {Promise<Object>} The updated registration
+ */
+const reviewRegistration = async (registration, { status, comments, reviewerId }) => {
+    if (!['approved', 'rejected'].includes(status)) {
+        throw serviceError('Invalid status. Must be approved or rejected', 400);
+    }
+    if (registration.status !== 'pending') {
+        throw serviceError(`Registration has already been ${registration.status}`, 400);
+    }
+
+    if (status === 'approved') {
+        const window = await RegistrationWindow.findById(registration.windowId);
+        if (!window) {
+            throw serviceError('Registration window not found', 404);
+        }
+        if (window.usesPreferences() && window.allocation.status !== 'published') {
+            throw serviceError('Electives have not been allocated for this window yet', 400);
+        }
+
+        const approved = await getSeatCounts(window, { statuses: ['approved'], excludeId: registration._id });
+        const full = registration.subjects.filter(subject => {
+            const offering = window.findOffering(subject.subjectCode);
+            return offering && (approved.get(subject.subjectCode) || 0) >= offering.capacity;
+        });
+        if (full.length > 0) {
+            throw serviceError(`No seats left in ${full.map(subject => subject.subjectCode).join(', ')}`, 400);
+        }
+
+        await applyApprovedRegistration(registration);
+    }
+
+    registration.status = status;
+    registration.reviewComments = comments;
+    registration.reviewedBy = reviewerId;
+    registration.reviewDate = new Date();
+    return registration.save();
+};
+
+module.exports = {
+    SEAT_HOLDING_STATUSES,
+    toRegisteredSubject,
+    validateWindow,
+    getSeatCounts,
+    getStudentWindow,
+    describeWindowForStudent,
+    submitRegistration,
+    isWindowAdvisor,
+    applyApprovedRegistration,
+    reviewRegistration
+};
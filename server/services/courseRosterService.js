@@ -0,0 +1,109 @@
+const Course = require('../models/Course');
+const StudentProfile = require('../models/StudentProfile');
+const FacultyProfile = require('../models/FacultyProfile');
+
+const serviceError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Load a course with the faculty profile of its instructor.
+ * Courses reference users; attendance and marks are kept against profiles.
+ * @param {string} courseId - Course id
+ * @returns {Promise<{course: Object, faculty: Object|null}>}
+ * @throws {Error} 404 when the course does not exist
+ */
+const getCourseContext = async (courseId) => {
+    const course = await Course.findById(courseId);
+    if (!course) {
+        throw serviceError('Course not found', 404);
+    }
+
+    const faculty = await FacultyProfile.findOne({ userId: course.instructor });
+    return { course, faculty };
+};
+
+/**
+ * Whether a user may record and review attendance or marks for a course
+ * @param {Object} course - Course document
+ * @param {Object} user - req.user ({ userId, role })
+ * @returns {boolean}
+ */
+const canManageCourse = (course, user) =>
+    user.role === 'admin' ||
+    (user.role === 'faculty' && course.instructor.toString() === user.userId.toString());
+
+/**
+ * Students taking a course: the active roster, plus students who selected the course code
+ * @param {Object} course - Course document
+ * @returns {Promise<Array>} StudentProfile documents with userId (name, email) populated
+ */
+const getCourseStudents = async (course) => {
+    const rosterUserIds = course.enrolledStudents
+        .filter(enrollment => enrollment.student && enrollment.status === 'active')
+        .map(enrollment => enrollment.student);
+
+    return StudentProfile.find({
+        isActive: true,
+        $or: [
+            { userId: { $in: rosterUserIds } },
+            { 'selectedCourses.subjectCode': course.code }
+        ]
+    })
+        .populate('userId', 'name email phone')
+        .sort({ rollNumber: 1 });
+};
+
+/**
+ * Whether a student takes a course (see getCourseStudents)
+ * @param {Object} course - Course document
+ * @param {Object} studentProfile - StudentProfile document
+ * @returns {boolean}
+ */
+const isTakingCourse = (course, studentProfile) => {
+    const userId = (studentProfile.userId._id || studentProfile.userId).toString();
+    const onRoster = course.enrolledStudents.some(enrollment =>
+        enrollment.student &&
+        enrollment.student.toString() === userId &&
+        enrollment.status === 'active'
+    );
+
+    return onRoster || studentProfile.selectedCourses.some(selected => selected.subjectCode === course.code);
+};
+
+/**
+ * Student profile of the signed-in student
+ * @param {string} userId - User id from the token
+ * @returns {Promise<Object>}
+ * @throws {Error} 404 when the user has no student profile
+ */
+const getOwnStudentProfile = async (userId) => {
+    const studentProfile = await StudentProfile.findOne({ userId });
+    if (!studentProfile) {
+        throw serviceError('Student profile not found', 404);
+    }
+    return studentProfile;
+};
+
+/**
+ * Whether a user may view one student's records: admins and faculty, or the student themselves
+ * @param {Object} studentProfile - StudentProfile document
+ * @param {Object} user - req.user ({ userId, role })
+ * @returns {boolean}
+ */
+const canViewStudent = (studentProfile, user) => {
+    if (['admin', 'faculty'].includes(user.role)) return true;
+    const ownerId = (studentProfile.userId._id || studentProfile.userId).toString();
+    return user.role === 'student' && ownerId === user.userId.toString();
+};
+
+module.exports = {
+    getCourseContext,
+    canManageCourse,
+    getCourseStudents,
+    isTakingCourse,
+    getOwnStudentProfile,
+    canViewStudent
+};
@@ -0,0 +1,470 @@
+const Course = require('../models/Course');
+const CourseRegistration = require('../models/CourseRegistration');
+const RegistrationWindow = require('../models/RegistrationWindow');
+const StudentProfile = require('../models/StudentProfile');
+const { toRegisteredSubject, applyApprovedRegistration } = require('./courseRegistrationService');
+
+const serviceError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const STUDENT_FIELDS = 'rollNumber cgpa totalCredits userId';
+
+/**
+ * Merit order for elective seats: higher CGPA first, then more credits earned,
+ * then earlier submission, then roll number so the order is always total
+ * @param {Object} a - CourseRegistration with studentId populated
+ * @param {Object} b - CourseRegistration with studentId populated
+ * @returns {number}
+ */
+const compareMerit = (a, b) =>
+    (b.studentId.cgpa || 0) - (a.studentId.cgpa || 0) ||
+    (b.studentId.totalCredits || 0) - (a.studentId.totalCredits || 0) ||
+    a.submittedAt - b.submittedAt ||
+    a.studentId.rollNumber.localeCompare(b.studentId.rollNumber);
+
+/**
+ * Hand out elective seats in merit order. Each student takes their best-ranked
+ * electives that still have seats, up to `electiveSlots`, without going over
+ * `maxCredits`. A full elective ranked above what the student ends up with
+ * puts them on its waitlist.
+ * @param {Array} candidates - [{ id, preferences: [subjectCode], baseCredits }] in merit order
+ * @param {Object} options - { seats: Map code => seats, credits: Map code => credits, electiveSlots, maxCredits }
+ * @returns {Map<string, Object>} Candidate id to { subjectCode: status }
+ */
+const allocateSeats = (candidates, { seats, credits, electiveSlots, maxCredits }) => {
+    const remaining = new Map(seats);
+    const results = new Map();
+
+    candidates.forEach(candidate => {
+        const statuses = {};
+        let held = 0;
+        let totalCredits = candidate.baseCredits;
+
+        candidate.preferences.forEach(code => {
+            if (held >= electiveSlots || !credits.has(code) || totalCredits + credits.get(code) > maxCredits) {
+                statuses[code] = 'unallocated';
+            } else if ((remaining.get(code) || 0) > 0) {
+                remaining.set(code, remaining.get(code) - 1);
+                statuses[code] = 'allocated';
+                held += 1;
+                totalCredits += credits.get(code);
+            } else {
+                statuses[code] = 'waitlisted';
+            }
+        });
+
+        results.set(candidate.id, statuses);
+    });
+
+    return results;
+};
+
+/**
+ * The active course for each elective in a window; course code is the subject code
+ * @param {Object} window - RegistrationWindow document
+ * @returns {Promise<Map<string, Object>>} Subject code to Course document
+ * @throws {Error} 400 when an elective has no active course
+ */
+const loadElectiveCourses = async (window) => {
+    const codes = window.offerings
+        .filter(offering => offering.category === 'elective')
+        .map(offering => offering.subjectCode);
+    const courses = await Course.find({ code: { $in: codes }, isActive: true });
+    const byCode = new Map(courses.map(course => [course.code, course]));
+
+    const missing = codes.filter(code => !byCode.has(code));
+    if (missing.length > 0) {
+        throw serviceError(`No active course for electives: ${missing.join(', ')}`, 400);
+    }
+    return byCode;
+};
+
+// Seats an elective can still give out: its window capacity and the course's enrollment limit
+const openSeats = (offering, course, allocatedInWindow) => Math.max(
+    Math.min(offering.capacity - allocatedInWindow, course.maxEnrollment - course.currentEnrollment),
+    0
+);
+
+const enrollOnCourse = (course, userId) => {
+    const existing = course.enrolledStudents.find(enrollment =>
+        enrollment.student && enrollment.student.toString() === userId.toString()
+    );
+    if (existing) {
+        existing.status = 'active';
+        existing.enrollmentDate = new Date();
+    } else {
+        course.enrolledStudents.push({ student: userId, enrollmentDate: new Date(), status: 'active' });
+    }
+};
+
+const leaveCourse = (course, userId) => {
+    course.enrolledStudents
+        .filter(enrollment =>
+            enrollment.student &&
+            enrollment.student.toString() === userId.toString() &&
+            enrollment.status === 'active'
+        )
+        .forEach(enrollment => { enrollment.status = 'dropped'; });
+};
+
+const recountCredits = (registration) => {
+    registration.totalCredits = registration.subjects.reduce((sum, subject) => sum + subject.credits, 0);
+};
+
+const checkAllocatable = (window) => {
+    if (!window.usesPreferences()) {
+        throw serviceError('This window does not allocate electives by preference', 400);
+    }
+};
+
+/**
+ * Run the elective allocation for a closed window as a draft.
+ * Re-running replaces the previous draft; nothing is enrolled until it is published.
+ * @param {Object} window - RegistrationWindow document
+ * @param {string} runBy - User id of the admin
+ * @returns {Promise<Object>} Allocation summary (see describeAllocation)
+ */
+const runAllocation = async (window, runBy) => {
+    checkAllocatable(window);
+    if (window.allocation.status === 'published') {
+        throw serviceError('Elective allocation has already been published', 400);
+    }
+    if (new Date() < window.closesAt) {
+        throw serviceError('Electives can only be allocated after registration closes', 400);
+    }
+
+    const courses = await loadElectiveCourses(window);
+    const registrations = await CourseRegistration.find({ windowId: window._id, status: 'pending' })
+        .populate('studentId', STUDENT_FIELDS);
+    registrations.sort(compareMerit);
+
+    const seats = new Map();
+    const credits = new Map();
+    courses.forEach((course, code) => {
+        const offering = window.findOffering(code);
+        seats.set(code, openSeats(offering, course, 0));
+        credits.set(code, offering.credits);
+    });
+
+    const results = allocateSeats(registrations.map(registration => ({
+        id: registration._id.toString(),
+        preferences: [...registration.electivePreferences]
+            .sort((a, b) => a.rank - b.rank)
+            .map(preference => preference.subjectCode),
+        baseCredits: registration.totalCredits
+    })), { seats, credits, electiveSlots: window.electiveSlots, maxCredits: window.maxCredits });
+
+    for (const [index, registration] of registrations.entries()) {
+        const statuses = results.get(registration._id.toString());
+        registration.meritRank = index + 1;
+        registration.cgpaAtAllocation = registration.studentId.cgpa || 0;
+        registration.electivePreferences.forEach(preference => {
+            preference.status = statuses[preference.subjectCode];
+        });
+        await registration.save();
+    }
+
+    window.allocation = { status: 'draft', runAt: new Date(), runBy };
+    await window.save();
+
+    return describeAllocation(window);
+};
+
+/**
+ * Publish a draft allocation: allocated students are enrolled on the elective courses
+ * and the electives are added to their registrations. A course that filled up since
+ * the draft was run waitlists the student instead.
+ * @param {Object} window - RegistrationWindow document
+ * @returns {Promise<Object>} Allocation summary (see describeAllocation)
+ */
+const publishAllocation = async (window) => {
+    checkAllocatable(window);
+    if (window.allocation.status !== 'draft') {
+        throw serviceError(window.allocation.status === 'published'
+            ? 'Elective allocation has already been published'
+            : 'Run the elective allocation before publishing it', 400);
+    }
+
+    const courses = await loadElectiveCourses(window);
+    const registrations = await CourseRegistration.find({ windowId: window._id, status: 'pending' })
+        .populate('studentId', STUDENT_FIELDS)
+        .sort({ meritRank: 1 });
+
+    for (const registration of registrations) {
+        for (const preference of registration.electivePreferences) {
+            if (preference.status !== 'allocated') continue;
+
+            const course = courses.get(preference.subjectCode);
+            if (course.isFull) {
+                preference.status = 'waitlisted';
+                continue;
+            }
+            enrollOnCourse(course, registration.studentId.userId);
+            registration.subjects.push(toRegisteredSubject(window.findOffering(preference.subjectCode)));
+        }
+        recountCredits(registration);
+        await registration.save();
+    }
+
+    for (const course of courses.values()) {
+        await course.save();
+    }
+
+    window.allocation.status = 'published';
+    window.allocation.publishedAt = new Date();
+    await window.save();
+
+    return describeAllocation(window);
+};
+
+/**
+ * Fill free seats in one elective from its waitlist, in merit order.
+ * A promoted student who already holds all their electives gives up their
+ * lowest-ranked one, which is then offered to that elective's waitlist.
+ * @param {Object} window - RegistrationWindow document with a published allocation
+ * @param {string} subjectCode - Elective with a free seat
+ * @returns {Promise<Array>} Promotions made: [{ registrationId, studentId, subjectCode, released }]
+ */
+const promoteFromWaitlist = async (window, subjectCode) => {
+    const promotions = [];
+    const queue = [subjectCode];
+
+    while (queue.length > 0) {
+        const code = queue.shift();
+        const offering = window.findOffering(code);
+        const course = await Course.findOne({ code, isActive: true });
+        if (!offering || !course) continue;
+
+        while (true) {
+            const allocatedInWindow = await CourseRegistration.countDocuments({
+                windowId: window._id,
+                electivePreferences: { $elemMatch: { subjectCode: code, status: 'allocated' } }
+            });
+            if (openSeats(offering, course, allocatedInWindow) === 0) break;
+
+            const registration = await CourseRegistration.findOne({
+                windowId: window._id,
+                status: { $ne: 'rejected' },
+                electivePreferences: { $elemMatch: { subjectCode: code, status: 'waitlisted' } }
+            }).sort({ meritRank: 1 });
+            if (!registration) break;
+
+            const preference = registration.electivePreferences.find(entry => entry.subjectCode === code);
+            const held = registration.electivePreferences
+                .filter(entry => entry.status === 'allocated')
+                .sort((a, b) => b.rank - a.rank);
+            const released = held.length >= window.electiveSlots ? held[0] : null;
+            const releasedCredits = released ? window.findOffering(released.subjectCode).credits : 0;
+
+            if ((released && released.rank < preference.rank) ||
+                registration.totalCredits - releasedCredits + offering.credits > window.maxCredits) {
+                preference.status = 'unallocated';
+                await registration.save();
+                continue;
+            }
+
+            const student = await StudentProfile.findById(registration.studentId).select('userId');
+            preference.status = 'allocated';
+            registration.subjects.push(toRegisteredSubject(offering));
+            enrollOnCourse(course, student.userId);
+            await course.save();
+
+            if (released) {
+                released.status = 'released';
+                registration.subjects = registration.subjects.filter(subject => subject.subjectCode !== released.subjectCode);
+                const releasedCourse = await Course.findOne({ code: released.subjectCode });
+                if (releasedCourse) {
+                    leaveCourse(releasedCourse, student.userId);
+                    await releasedCourse.save();
+                }
+                queue.push(released.subjectCode);
+            }
+
+            // Holding every slot again: waitlists below the lowest elective held no longer matter
+            const stillHeld = registration.electivePreferences.filter(entry => entry.status === 'allocated');
+            if (stillHeld.length >= window.electiveSlots) {
+                const lowestHeld = Math.max(...stillHeld.map(entry => entry.rank));
+                registration.electivePreferences
+                    .filter(entry => entry.status === 'waitlisted' && entry.rank > lowestHeld)
+                    .forEach(entry => { entry.status = 'unallocated'; });
+            }
+
+            recountCredits(registration);
+            await registration.save();
+            if (registration.status === 'approved') {
+                await applyApprovedRegistration(registration);
+            }
+
+            promotions.push({
+                registrationId: registration._id,
+                studentId: registration.studentId,
+                subjectCode: code,
+                released: released ? released.subjectCode : null
+            });
+        }
+    }
+
+    return promotions;
+};
+
+/**
+ * Drop a student from a course. When the course is an elective in a published
+ * allocation, the student's registration gives it up and the next waitlisted
+ * student is promoted into the seat.
+ * @param {Object} course - Course document
+ * @param {string} userId - User id of the student
+ * @returns {Promise<Array>} Promotions made (see promoteFromWaitlist)
+ */
+const dropEnrollment = async (course, userId) => {
+    const isActive = course.enrolledStudents.some(enrollment =>
+        enrollment.student &&
+        enrollment.student.toString() === userId.toString() &&
+        enrollment.status === 'active'
+    );
+    if (!isActive) {
+        throw serviceError('Not enrolled in this course', 400);
+    }
+
+    leaveCourse(course, userId);
+    await course.save();
+
+    const windows = await RegistrationWindow.find({
+        'allocation.status': 'published',
+        offerings: { $elemMatch: { subjectCode: course.code, category: 'elective' } }
+    });
+    const studentProfile = await StudentProfile.findOne({ userId });
+
+    const promotions = [];
+    for (const window of windows) {
+        const registration = studentProfile && await CourseRegistration.findOne({
+            windowId: window._id,
+            studentId: studentProfile._id,
+            electivePreferences: { $elemMatch: { subjectCode: course.code, status: 'allocated' } }
+        });
+
+        if (registration) {
+            registration.electivePreferences
+                .find(entry => entry.subjectCode === course.code)
+                .status = 'dropped';
+            registration.subjects = registration.subjects.filter(subject => subject.subjectCode !== course.code);
+            recountCredits(registration);
+            await registration.save();
+            if (registration.status === 'approved') {
+                await applyApprovedRegistration(registration);
+            }
+        }
+
+        promotions.push(...await promoteFromWaitlist(window, course.code));
+    }
+
+    return promotions;
+};
+
+/**
+ * Waitlist position of each waitlisted preference on a registration
+ * @param {Object} registration - CourseRegistration document
+ * @returns {Promise<Array>} Preferences in rank order, with waitlistPosition when waitlisted
+ */
+const describePreferences = async (registration) => {
+    const preferences = [...registration.electivePreferences].sort((a, b) => a.rank - b.rank);
+
+    const described = [];
+    for (const preference of preferences) {
+        const entry = { subjectCode: preference.subjectCode, rank: preference.rank, status: preference.status };
+        if (preference.status === 'waitlisted') {
+            entry.waitlistPosition = 1 + await CourseRegistration.countDocuments({
+                windowId: registration.windowId,
+                status: { $ne: 'rejected' },
+                meritRank: { $lt: registration.meritRank },
+                electivePreferences: { $elemMatch: { subjectCode: preference.subjectCode, status: 'waitlisted' } }
+            });
+        }
+        described.push(entry);
+    }
+    return described;
+};
+
+/**
+ * Allocation results for a window: who holds each elective and who is waiting, in merit order
+ * @param {Object} window - RegistrationWindow document
+ * @returns {Promise<Object>}
+ */
+const describeAllocation = async (window) => {
+    const registrations = await CourseRegistration.find({
+        windowId: window._id,
+        status: { $ne: 'rejected' },
+        meritRank: { $exists: true }
+    })
+        .populate({
+            path: 'studentId',
+            select: STUDENT_FIELDS,
+            populate: { path: 'userId', select: 'name email' }
+        })
+        .sort({ meritRank: 1 });
+
+    const studentRow = (registration, preference) => ({
+        registrationId: registration._id,
+        studentId: registration.studentId?._id,
+        rollNumber: registration.studentId?.rollNumber,
+        name: registration.studentId?.userId?.name,
+        cgpa: registration.cgpaAtAllocation,
+        meritRank: registration.meritRank,
+        preferenceRank: preference.rank
+    });
+
+    const electives = window.offerings
+        .filter(offering => offering.category === 'elective')
+        .map(offering => {
+            const withStatus = (status) => registrations
+                .map(registration => ({
+                    registration,
+                    preference: registration.electivePreferences.find(entry =>
+                        entry.subjectCode === offering.subjectCode && entry.status === status
+                    )
+                }))
+                .filter(({ preference }) => preference)
+                .map(({ registration, preference }) => studentRow(registration, preference));
+
+            return {
+                subjectCode: offering.subjectCode,
+                subjectName: offering.subjectName,
+                capacity: offering.capacity,
+                allocated: withStatus('allocated'),
+                waitlist: withStatus('waitlisted')
+            };
+        });
+
+    return {
+        windowId: window._id,
+        status: window.allocation.status,
+        runAt: window.allocation.runAt,
+        publishedAt: window.allocation.publishedAt,
+        electiveSlots: window.electiveSlots,
+        students: registrations.length,
+        // Students left with fewer electives than the window gives out
+        shortOfElectives: registrations
+            .filter(registration => registration.electivePreferences
+                .filter(entry => entry.status === 'allocated').length < window.electiveSlots)
+            .map(registration => ({
+                registrationId: registration._id,
+                rollNumber: registration.studentId?.rollNumber,
+                name: registration.studentId?.userId?.name,
+                allocated: registration.electivePreferences.filter(entry => entry.status === 'allocated').length
+            })),
+        electives
+    };
+};
+
+module.exports = {
+    compareMerit,
+    allocateSeats,
+    runAllocation,
+    publishAllocation,
+    promoteFromWaitlist,
+    dropEnrollment,
+    describePreferences,
+    describeAllocation
+};
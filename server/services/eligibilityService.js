@@ -0,0 +1,361 @@
+const Attendance = require('../models/Attendance');
+const AttendancePolicy = require('../models/AttendancePolicy');
+const ClassSession = require('../models/ClassSession');
+const CondonationRequest = require('../models/CondonationRequest');
+const Leave = require('../models/Leave');
+const StudentProfile = require('../models/StudentProfile');
+
+// Leave types that can back a condonation request
+const CONDONABLE_LEAVE_TYPES = ['medical', 'sick'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Number(value.toFixed(2));
+
+const startOfDay = (value) => {
+    const date = new Date(value);
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const serviceError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Attendance standing of one student in one subject.
+ * Excused classes count towards eligibility even though they are not attended.
+ * @param {string} studentId - StudentProfile id
+ * @param {Object} subject - { subject, subjectCode, semester, academicYear }
+ * @param {Object} policy - From AttendancePolicy.resolve
+ * @returns {Promise<Object>} Stats plus status 'eligible' | 'condonable' | 'detained'
+ */
+const getSubjectStanding = async (studentId, subject, policy) => {
+    const stats = await Attendance.getSubjectAttendance(studentId, {
+        subjectCode: subject.subjectCode,
+        semester: subject.semester,
+        academicYear: subject.academicYear
+    });
+
+    const eligibilityPercentage = stats.totalClasses > 0
+        ? round(((stats.attendedClasses + stats.excusedClasses) / stats.totalClasses) * 100)
+        : 100;
+
+    let status = 'detained';
+    if (eligibilityPercentage >= policy.threshold) status = 'eligible';
+    else if (eligibilityPercentage >= policy.condonationLimit) status = 'condonable';
+
+    return {
+        subject: subject.subject,
+        subjectCode: subject.subjectCode,
+        semester: subject.semester,
+        academicYear: subject.academicYear,
+        totalClasses: stats.totalClasses,
+        attendedClasses: stats.attendedClasses,
+        excusedClasses: stats.excusedClasses,
+        percentage: round(stats.percentage),
+        eligibilityPercentage,
+        threshold: policy.threshold,
+        condonationLimit: policy.condonationLimit,
+        status
+    };
+};
+
+// Subjects a student has attendance recorded in for a semester
+const getStudentSubjects = async (studentId, semester, academicYear) => {
+    const subjects = await Attendance.aggregate([
+        { $match: { studentId, semester: parseInt(semester), academicYear } },
+        { $group: { _id: '$subjectCode', subject: { $first: '$subject' } } },
+        { $sort: { _id: 1 } }
+    ]);
+
+    return subjects.map(({ _id, subject }) => ({
+        subject,
+        subjectCode: _id,
+        semester: parseInt(semester),
+        academicYear
+    }));
+};
+
+/**
+ * Eligibility of one student for every subject in a semester
+ * @param {Object} studentProfile - StudentProfile document
+ * @param {Object} options - { semester, academicYear }
+ * @returns {Promise<{policy: Object, subjects: Array, isEligible: boolean}>}
+ */
+const getStudentEligibility = async (studentProfile, { semester, academicYear }) => {
+    const policy = await AttendancePolicy.resolve({ course: studentProfile.course, semester, academicYear });
+    const subjects = await getStudentSubjects(studentProfile._id, semester, academicYear);
+
+    const standings = [];
+    for (const subject of subjects) {
+        standings.push(await getSubjectStanding(studentProfile._id, subject, policy));
+    }
+
+    return {
+        policy,
+        subjects: standings,
+        isEligible: standings.every(standing => standing.status === 'eligible')
+    };
+};
+
+/**
+ * Shortage report for one subject: every student below the threshold, lowest first
+ * @param {Array} students - StudentProfile documents with userId populated
+ * @param {Object} subject - { subjectCode, semester, academicYear }
+ * @param {Object} options - { includeEligible } to list every student
+ * @returns {Promise<Object>}
+ */
+const getSubjectShortageReport = async (students, subject, { includeEligible = false } = {}) => {
+    const semester = parseInt(subject.semester);
+    const sample = await Attendance.findOne({
+        subjectCode: subject.subjectCode,
+        semester,
+        academicYear: subject.academicYear
+    }).select('subject');
+
+    const policies = new Map();
+    const rows = [];
+    for (const student of students) {
+        if (!policies.has(student.course)) {
+            policies.set(student.course, await AttendancePolicy.resolve({
+                course: student.course,
+                semester,
+                academicYear: subject.academicYear
+            }));
+        }
+
+        const standing = await getSubjectStanding(student._id, {
+            subject: sample?.subject,
+            subjectCode: subject.subjectCode,
+            semester,
+            academicYear: subject.academicYear
+        }, policies.get(student.course));
+
+        if (standing.totalClasses === 0) continue;
+        rows.push({
+            studentId: student._id,
+            rollNumber: student.rollNumber,
+            name: student.userId?.name,
+            course: student.course,
+            ...standing
+        });
+    }
+
+    // Latest condonation request per student, so reviewers see what is pending
+    const requests = await CondonationRequest.find({
+        studentId: { $in: rows.map(row => row.studentId) },
+        subjectCode: subject.subjectCode,
+        semester,
+        academicYear: subject.academicYear
+    }).sort({ createdAt: 1 });
+    const requestByStudent = new Map(requests.map(request => [request.studentId.toString(), request]));
+
+    rows.forEach(row => {
+        const request = requestByStudent.get(row.studentId.toString());
+        row.condonation = request ? { id: request._id, status: request.status } : null;
+    });
+
+    const shortage = rows.filter(row => row.status !== 'eligible');
+    return {
+        subject: sample?.subject,
+        subjectCode: subject.subjectCode,
+        semester,
+        academicYear: subject.academicYear,
+        totalStudents: rows.length,
+        shortageCount: shortage.length,
+        condonableCount: shortage.filter(row => row.status === 'condonable').length,
+        detainedCount: shortage.filter(row => row.status === 'detained').length,
+        students: (includeEligible ? rows : shortage)
+            .sort((a, b) => a.eligibilityPercentage - b.eligibilityPercentage)
+    };
+};
+
+/**
+ * Final eligibility list for exam admit: one row per student in a course/semester
+ * @param {Object} filters - { course, semester, academicYear }
+ * @returns {Promise<Object>}
+ */
+const getEligibilityList = async ({ course, semester, academicYear }) => {
+    const query = { semester: parseInt(semester), isActive: true };
+    if (course) query.course = course;
+
+    const students = await StudentProfile.find(query)
+        .populate('userId', 'name email')
+        .sort({ rollNumber: 1 });
+
+    const list = [];
+    for (const student of students) {
+        const eligibility = await getStudentEligibility(student, { semester, academicYear });
+        list.push({
+            studentId: student._id,
+            rollNumber: student.rollNumber,
+            name: student.userId?.name,
+            course: student.course,
+            isEligible: eligibility.isEligible,
+            threshold: eligibility.policy.threshold,
+            shortageSubjects: eligibility.subjects
+                .filter(subject => subject.status !== 'eligible')
+                .map(subject => ({
+                    subjectCode: subject.subjectCode,
+                    subject: subject.subject,
+                    eligibilityPercentage: subject.eligibilityPercentage,
+                    status: subject.status
+                })),
+            subjects: eligibility.subjects.length
+        });
+    }
+
+    return {
+        course: course || null,
+        semester: parseInt(semester),
+        academicYear,
+        totalStudents: list.length,
+        eligibleCount: list.filter(row => row.isEligible).length,
+        students: list
+    };
+};
+
+/**
+ * File a condonation request for a subject the student is short in
+ * @param {Object} studentProfile - StudentProfile document
+ * @param {Object} details - { subjectCode, semester, academicYear, leaveIds, reason }
+ * @returns {Promise<Object>} The saved CondonationRequest
+ */
+const createCondonationRequest = async (studentProfile, { subjectCode, semester, academicYear, leaveIds, reason }) => {
+    if (!subjectCode || !semester || !academicYear || !reason) {
+        throw serviceError('Subject code, semester, academic year and reason are required', 400);
+    }
+    if (!Array.isArray(leaveIds) || leaveIds.length === 0) {
+        throw serviceError('At least one approved medical leave is required', 400);
+    }
+
+    const leaves = await Leave.find({
+        _id: { $in: leaveIds },
+        userId: studentProfile.userId,
+        status: 'approved',
+        leaveType: { $in: CONDONABLE_LEAVE_TYPES }
+    });
+    if (leaves.length !== leaveIds.length) {
+        throw serviceError('Leaves must be your own approved medical or sick leaves', 400);
+    }
+
+    const [subject] = (await getStudentSubjects(studentProfile._id, semester, academicYear))
+        .filter(entry => entry.subjectCode === subjectCode);
+    if (!subject) {
+        throw serviceError('No attendance recorded for this subject', 404);
+    }
+
+    const policy = await AttendancePolicy.resolve({ course: studentProfile.course, semester, academicYear });
+    const standing = await getSubjectStanding(studentProfile._id, subject, policy);
+    if (standing.status === 'eligible') {
+        throw serviceError('Attendance in this subject already meets the threshold', 400);
+    }
+    if (standing.status === 'detained') {
+        throw serviceError(`Attendance is below the condonation limit of ${policy.condonationLimit}%`, 400);
+    }
+
+    const open = await CondonationRequest.findOne({
+        studentId: studentProfile._id,
+        subjectCode,
+        semester: subject.semester,
+        academicYear,
+        status: 'pending'
+    });
+    if (open) {
+        throw serviceError('A condonation request for this subject is already pending', 400);
+    }
+
+    return CondonationRequest.create({
+        studentId: studentProfile._id,
+        subject: subject.subject,
+        subjectCode,
+        semester: subject.semester,
+        academicYear,
+        leaveIds: leaves.map(leave => leave._id),
+        reason,
+        percentageAtRequest: standing.eligibilityPercentage
+    });
+};
+
+/**
+ * Excuse the absences covered by an approved request's leaves.
+ * Absent marks on leave days become excused, and sessions held on those days
+ * that the student was never marked for get an excused mark.
+ * @param {Object} request - CondonationRequest document
+ * @param {string} reviewerId - User id of the reviewer
+ * @returns {Promise<Array>} Attendance ids that were excused
+ */
+const excuseCondonedAbsences = async (request, reviewerId) => {
+    const leaves = await Leave.find({ _id: { $in: request.leaveIds }, status: 'approved' });
+    const scope = {
+        subjectCode: request.subjectCode,
+        semester: request.semester,
+        academicYear: request.academicYear
+    };
+    const remarks = `Condoned: ${request.reason}`.slice(0, 200);
+    const excused = [];
+
+    for (const leave of leaves) {
+        const date = { $gte: startOfDay(leave.fromDate), $lt: new Date(startOfDay(leave.toDate).getTime() + DAY_MS) };
+
+        const absences = await Attendance.find({ ...scope, studentId: request.studentId, status: 'absent', date });
+        for (const attendance of absences) {
+            attendance.status = 'excused';
+            attendance.remarks = remarks;
+            await attendance.save();
+            excused.push(attendance._id);
+        }
+
+        const sessions = await ClassSession.find({ ...scope, date });
+        for (const session of sessions) {
+            const marked = await Attendance.exists({ sessionId: session._id, studentId: request.studentId });
+            if (marked) continue;
+
+            const attendance = await Attendance.markForSession(session, request.studentId, {
+                status: 'excused',
+                remarks,
+                recordedBy: reviewerId
+            });
+            excused.push(attendance._id);
+        }
+    }
+
+    return excused;
+};
+
+/**
+ * Approve or reject a pending condonation request
+ * @param {Object} request - CondonationRequest document
+ * @param {Object} review - { status, comments, reviewerId }
+ * @returns {Promise<Object>} The updated request
+ */
+const reviewCondonationRequest = async (request, { status, comments, reviewerId }) => {
+    if (!['approved', 'rejected'].includes(status)) {
+        throw serviceError('Invalid status. Must be approved or rejected', 400);
+    }
+    if (request.status !== 'pending') {
+        throw serviceError(`Condonation request has already been ${request.status}`, 400);
+    }
+
+    if (status === 'approved') {
+        request.excusedAttendance = await excuseCondonedAbsences(request, reviewerId);
+    }
+
+    request.status = status;
+    request.reviewComments = comments;
+    request.reviewedBy = reviewerId;
+    request.reviewDate = new Date();
+    return request.save();
+};
+
+module.exports = {
+    CONDONABLE_LEAVE_TYPES,
+    getSubjectStanding,
+    getStudentEligibility,
+    getSubjectShortageReport,
+    getEligibilityList,
+    createCondonationRequest,
+    reviewCondonationRequest
+};
@@ -0,0 +1,201 @@
+const Marks = require('../models/Marks');
+const StudentProfile = require('../models/StudentProfile');
+const GradingScheme = require('../models/GradingScheme');
+const AssessmentPlan = require('../models/AssessmentPlan');
+const SubjectResult = require('../models/SubjectResult');
+const { compileSubjectResult } = require('./resultService');
+
+const CURVE_METHODS = ['zscore', 'percentile'];
+
+/**
+ * Build the Marks (or SubjectResult) query for records a grading scheme can affect:
+ * everything inside its department/course/academic year scope, plus
+ * anything that was graded with it before (in case the scope changed).
+ * @param {Object} scope - { _id, department, course, academicYear }
+ */
+const buildAffectedMarksQuery = async (scope) => {
+    const inScope = {};
+
+    if (scope.academicYear) inScope.academicYear = scope.academicYear;
+
+    if (scope.department || scope.course) {
+        const profileQuery = {};
+        if (scope.department) profileQuery.department = scope.department;
+        if (scope.course) profileQuery.course = scope.course;
+
+        const students = await StudentProfile.find(profileQuery).select('_id');
+        inScope.studentId = { $in: students.map(student => student._id) };
+    }
+
+    return { $or: [inScope, { gradingSchemeId: scope._id }] };
+};
+
+/**
+ * Re-grade every Marks record and compiled subject result affected by a grading
+ * scheme change and refresh the CGPA of the students involved.
+ * @param {Object} scope - The scheme (or its previous scope) that changed
+ * @returns {Promise<{marksUpdated: number, resultsUpdated: number, studentsUpdated: number}>}
+ */
+const recomputeGrades = async (scope) => {
+    const query = await buildAffectedMarksQuery(scope);
+    const studentIds = new Set();
+    let marksUpdated = 0;
+
+    const cursor = Marks.find(query).cursor();
+    for (let mark = await cursor.next(); mark != null; mark = await cursor.next()) {
+        const fingerprint = () => [mark.grade, mark.gradePoints, mark.absoluteGrade, mark.gradingSchemeId].join('|');
+        const previous = fingerprint();
+        await mark.applyGradingScheme();
+
+        if (fingerprint() !== previous) {
+            await mark.save();
+            marksUpdated += 1;
+            studentIds.add(mark.studentId.toString());
+        }
+    }
+
+    // Subjects with an assessment plan are graded on their compiled result
+    const plans = new Map();
+    let resultsUpdated = 0;
+    const results = await SubjectResult.find(query).select('assessmentPlanId studentId grade gradePoints absoluteGrade gradingSchemeId');
+    for (const result of results) {
+        const planId = result.assessmentPlanId.toString();
+        if (!plans.has(planId)) plans.set(planId, await AssessmentPlan.findById(planId));
+        if (!plans.get(planId)) continue;
+
+        const fingerprint = (record) => [record.grade, record.gradePoints, record.absoluteGrade, record.gradingSchemeId].join('|');
+        const compiled = await compileSubjectResult(plans.get(planId), result.studentId);
+
+        if (fingerprint(compiled) !== fingerprint(result)) {
+            resultsUpdated += 1;
+            studentIds.add(result.studentId.toString());
+        }
+    }
+
+    for (const studentId of studentIds) {
+        const student = await StudentProfile.findById(studentId);
+        if (student) {
+            await student.calculateCGPA();
+        }
+    }
+
+    return { marksUpdated, resultsUpdated, studentsUpdated: studentIds.size };
+};
+
+/**
+ * Run recomputeGrades in the background so admin requests return immediately
+ * @param {Object} scope - The scheme (or its previous scope) that changed
+ */
+const scheduleRecompute = (scope) => {
+    const snapshot = {
+        _id: scope._id,
+        department: scope.department,
+        course: scope.course,
+        academicYear: scope.academicYear
+    };
+
+    setImmediate(async () => {
+        try {
+            const result = await recomputeGrades(snapshot);
+            console.log(`✅ Grade recompute for scheme ${snapshot._id}: ${result.marksUpdated} marks, ${result.resultsUpdated} subject results, ${result.studentsUpdated} students`);
+        } catch (error) {
+            console.error('Grade recompute error:', error);
+        }
+    });
+};
+
+/**
+ * Default cut-offs for `count` grades (every passing grade but the lowest).
+ * zscore: standard deviations from the mean, from +1.5σ down in 0.5σ steps.
+ * percentile: cumulative share of the class (top-down) for each grade.
+ */
+const defaultCutoffs = (method, count) => {
+    if (method === 'zscore') {
+        return Array.from({ length: count }, (_, i) => 1.5 - 0.5 * i);
+    }
+    if (count === 5) {
+        return [10, 25, 45, 70, 90];
+    }
+    return Array.from({ length: count }, (_, i) => Math.round((100 * (i + 1)) / (count + 1)));
+};
+
+/**
+ * Grade a set of Marks records relative to each other.
+ * The grade ladder (letters and points) comes from the bands passed in.
+ * Cut-offs cover every passing grade except the lowest, which takes everyone
+ * else at or above its absolute cut-off; the lowest band is the fail grade.
+ * @param {Array} records - Marks documents for one subject/semester/academic year
+ * @param {Object} options - { method, cutoffs, bands }
+ * @returns {{statistics: Object, cutoffs: Array, results: Array}}
+ */
+const computeCurve = (records, { method = 'zscore', cutoffs, bands = GradingScheme.DEFAULT_GRADE_BANDS } = {}) => {
+    if (!CURVE_METHODS.includes(method)) {
+        const error = new Error(`Curve method must be one of: ${CURVE_METHODS.join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const ladder = [...bands].sort((a, b) => b.minPercentage - a.minPercentage);
+    const failBand = ladder[ladder.length - 1];
+    const passingBands = ladder.slice(0, -1);
+    const minPassPercentage = passingBands.length > 0
+        ? passingBands[passingBands.length - 1].minPercentage
+        : 0;
+
+    const curvedGrades = Math.max(passingBands.length - 1, 0);
+    const curveCutoffs = cutoffs || defaultCutoffs(method, curvedGrades);
+    if (curveCutoffs.length !== curvedGrades) {
+        const error = new Error(`Expected ${curvedGrades} cut-offs, one for each passing grade above ${passingBands[curvedGrades]?.grade || 'the lowest'}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const percentages = records.map(record => record.percentage);
+    const count = percentages.length;
+    const mean = count > 0 ? percentages.reduce((sum, p) => sum + p, 0) / count : 0;
+    const variance = count > 0 ? percentages.reduce((sum, p) => sum + (p - mean) ** 2, 0) / count : 0;
+    const standardDeviation = Math.sqrt(variance);
+
+    const results = records.map(record => {
+        let band = failBand;
+
+        if (record.percentage >= minPassPercentage) {
+            let index;
+            if (method === 'zscore') {
+                const z = standardDeviation > 0 ? (record.percentage - mean) / standardDeviation : 0;
+                index = curveCutoffs.findIndex(cutoff => z >= cutoff);
+            } else {
+                // Share of the class scoring strictly higher, so ties share a grade
+                const above = percentages.filter(p => p > record.percentage).length;
+                const rank = (above / count) * 100;
+                index = curveCutoffs.findIndex(cutoff => rank < cutoff);
+            }
+            band = (index !== -1 ? passingBands[index] : passingBands[curvedGrades]) || failBand;
+        }
+
+        return {
+            record,
+            grade: band.grade,
+            gradePoints: band.gradePoints
+        };
+    });
+
+    return {
+        statistics: {
+            count,
+            mean: Number(mean.toFixed(2)),
+            standardDeviation: Number(standardDeviation.toFixed(2)),
+            highest: count > 0 ? Math.max(...percentages) : 0,
+            lowest: count > 0 ? Math.min(...percentages) : 0
+        },
+        cutoffs: curveCutoffs,
+        results
+    };
+};
+
+module.exports = {
+    CURVE_METHODS,
+    recomputeGrades,
+    scheduleRecompute,
+    computeCurve
+};
@@ -0,0 +1,113 @@
+const Attendance = require('../models/Attendance');
+const ClassSession = require('../models/ClassSession');
+const Leave = require('../models/Leave');
+const StudentProfile = require('../models/StudentProfile');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (value) => {
+    const date = new Date(value);
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Approved leave of a student that covers a class session, if any
+ * @param {string} studentId - StudentProfile id
+ * @param {Object} session - ClassSession document
+ * @returns {Promise<Object|null>} The Leave document
+ */
+const findCoveringLeave = async (studentId, session) => {
+    const student = await StudentProfile.findById(studentId).select('userId');
+    if (!student) return null;
+
+    const leaves = await Leave.find({
+        userId: student.userId,
+        status: 'approved',
+        fromDate: { $lt: new Date(session.date.getTime() + DAY_MS) },
+        toDate: { $gte: session.date }
+    });
+
+    return leaves.find(leave => leave.coversClass(session.date, session.period)) || null;
+};
+
+/**
+ * Mark a student's absences within an approved leave as excused, linking each to the leave.
+ * Sessions held later in the leave period are excused as they are marked (see Attendance.markForSession).
+ * @param {Object} leave - Approved Leave document
+ * @returns {Promise<number>} Number of attendance marks excused
+ */
+const applyLeaveToAttendance = async (leave) => {
+    const student = await StudentProfile.findOne({ userId: leave.userId }).select('_id');
+    if (!student) return 0;
+
+    const absences = await Attendance.find({
+        studentId: student._id,
+        status: 'absent',
+        date: {
+            $gte: startOfDay(leave.fromDate),
+            $lt: new Date(startOfDay(leave.toDate).getTime() + DAY_MS)
+        }
+    });
+
+    const sessions = await ClassSession.find({
+        _id: { $in: absences.map(attendance => attendance.sessionId).filter(Boolean) }
+    }).select('period');
+    const periodBySession = new Map(sessions.map(session => [session._id.toString(), session.period]));
+
+    let excused = 0;
+    for (const attendance of absences) {
+        const period = attendance.sessionId ? periodBySession.get(attendance.sessionId.toString()) : null;
+        if (!leave.coversClass(attendance.date, period)) continue;
+
+        attendance.statusBeforeLeave = attendance.status;
+        attendance.status = 'excused';
+        attendance.leaveId = leave._id;
+        await attendance.save();
+        excused++;
+    }
+
+    return excused;
+};
+
+/**
+ * Put back the marks a leave excused
+ * @param {Object} leave - Leave document that is no longer approved
+ * @returns {Promise<number>} Number of attendance marks restored
+ */
+const revertLeaveAttendance = async (leave) => {
+    const marks = await Attendance.find({ leaveId: leave._id });
+
+    for (const attendance of marks) {
+        attendance.status = attendance.statusBeforeLeave || 'absent';
+        attendance.leaveId = undefined;
+        attendance.statusBeforeLeave = undefined;
+        await attendance.save();
+    }
+
+    return marks.length;
+};
+
+/**
+ * Bring attendance in line with a leave whose status just changed
+ * @param {Object} leave - Saved Leave document
+ * @param {string} previousStatus - Status before the change
+ * @returns {Promise<{excused: number, restored: number}>}
+ */
+const syncLeaveAttendance = async (leave, previousStatus) => {
+    const result = { excused: 0, restored: 0 };
+
+    if (previousStatus === 'approved' && leave.status !== 'approved') {
+        result.restored = await revertLeaveAttendance(leave);
+    } else if (previousStatus !== 'approved' && leave.status === 'approved') {
+        result.excused = await applyLeaveToAttendance(leave);
+    }
+
+    return result;
+};
+
+module.exports = {
+    findCoveringLeave,
+    applyLeaveToAttendance,
+    revertLeaveAttendance,
+    syncLeaveAttendance
+};
@@ -0,0 +1,398 @@
+const fs = require('fs');
+const { version } = require('../../package.json');
+const { auth, studentAuth, teacherAuth } = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const BODY_METHODS = ['post', 'put', 'patch'];
+const AUTH_MIDDLEWARE = [auth, studentAuth, teacherAuth, adminAuth];
+
+// Where each validation chain location ends up in the document
+const PARAMETER_LOCATIONS = { params: 'path', query: 'query', headers: 'header', cookies: 'cookie' };
+
+const STRING_FORMATS = {
+    isEmail: { format: 'email' },
+    isURL: { format: 'uri' },
+    isUUID: { format: 'uuid' },
+    isISO8601: { format: 'date-time' },
+    isDate: { format: 'date' },
+    isMongoId: { pattern: '^[0-9a-fA-F]{24}$' },
+    isJWT: { format: 'jwt' },
+    isAlphanumeric: { pattern: '^[a-zA-Z0-9]+$' },
+    isAlpha: { pattern: '^[a-zA-Z]+$' }
+};
+
+const SANITIZER_TYPES = {
+    toInt: { type: 'integer' },
+    toFloat: { type: 'number' },
+    toBoolean: { type: 'boolean' },
+    toDate: { type: 'string', format: 'date-time' }
+};
+
+const toOpenApiPath = (expressPath) => expressPath.replace(/:(\w+)/g, '{$1}');
+
+const pathParameterNames = (expressPath) => (expressPath.match(/:(\w+)/g) || []).map(name => name.slice(1));
+
+/**
+ * Route comments in the form used across server/routes: a block comment (or `//` lines)
+ * right above `router.<method>('<path>'`, whose "METHOD /api/..." line is dropped
+ * @param {Object} routeModule - Router exported by a route file
+ * @returns {Object} Map of "<method> <path>" to { summary, description }
+ */
+const readRouteComments = (routeModule) => {
+    const cached = Object.values(require.cache).find(entry => entry.exports === routeModule);
+    if (!cached) return {};
+
+    const source = fs.readFileSync(cached.filename, 'utf8');
+    const pattern = /(\/\*\*(?:(?!\*\/)[\s\S])*\*\/|(?:[ \t]*\/\/[^\n]*\n)+)\s*router\.(get|post|put|patch|delete)\(\s*['"]([^'"]+)['"]/g;
+    const comments = {};
+
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        const [, block, method, routePath] = match;
+        const lines = block
+            .split('\n')
+            .map(line => line.replace(/^\s*(\/\*\*|\*\/|\*|\/\/)\s?/, '').replace(/\*\/\s*$/, '').trim())
+            .filter(line => line && !/^(GET|POST|PUT|PATCH|DELETE)\s+\//.test(line));
+
+        if (lines.length > 0) {
+            comments[`${method} ${routePath}`] = {
+                summary: lines[0],
+                description: lines.slice(1).join('\n') || undefined
+            };
+        }
+    }
+    return comments;
+};
+
+/**
+ * Flatten the mounted routers into one entry per method and path, with every handler
+ * that runs for it (router-level middleware first)
+ * @param {Array} mounts - [mountPath, router] pairs, as listed in routes/index.js
+ * @returns {Array<{method, path, tag, handlers, summary, description}>}
+ */
+const listRoutes = (mounts) => {
+    const routes = [];
+
+    mounts.forEach(([mountPath, routeModule]) => {
+        const comments = readRouteComments(routeModule);
+        const routerMiddleware = [];
+
+        routeModule.stack.forEach(layer => {
+            if (!layer.route) {
+                // router.use(fn) without a path applies to every route declared after it
+                if (layer.regexp.fast_slash) routerMiddleware.push(layer.handle);
+                return;
+            }
+
+            const routePath = layer.route.path;
+            Object.keys(layer.route.methods)
+                .filter(method => METHODS.includes(method))
+                .forEach(method => {
+                    routes.push({
+                        method,
+                        path: `${mountPath}${routePath === '/' ? '' : routePath}` || '/',
+                        tag: mountPath.replace(/^\//, ''),
+                        handlers: [...routerMiddleware, ...layer.route.stack.map(routeLayer => routeLayer.handle)],
+                        ...comments[`${method} ${routePath}`]
+                    });
+                });
+        });
+    });
+
+    return routes;
+};
+
+/**
+ * JSON schema for one validation chain, read from its validators and sanitizers.
+ * isArray, isObject and isString are custom validators in express-validator, so they
+ * are recognised by their source.
+ * @param {Object} context - Built express-validator context
+ * @returns {Object} Schema
+ */
+const schemaForContext = (context) => {
+    const schema = {};
+    const messages = [];
+
+    context.stack.forEach(item => {
+        if (item.message && typeof item.message === 'string' && !messages.includes(item.message)) {
+            messages.push(item.message);
+        }
+
+        if (item.sanitizer) {
+            Object.assign(schema, SANITIZER_TYPES[item.sanitizer.name]);
+            return;
+        }
+        if (!item.validator || item.negated === undefined) return;
+
+        const name = item.validator.name;
+        const [options] = item.options || [];
+
+        if (item.negated) {
+            if (name === 'isEmpty') schema.minLength = Math.max(schema.minLength || 0, 1);
+            return;
+        }
+
+        if (!name) {
+            const source = item.validator.toString();
+            if (source.includes('Array.isArray(value) &&')) schema.type = 'array';
+            else if (source.includes("typeof value === 'object'")) schema.type = 'object';
+            else if (source.includes("typeof value === 'string'")) schema.type = 'string';
+            return;
+        }
+
+        switch (name) {
+            case 'isInt':
+            case 'isFloat':
+            case 'isDecimal':
+            case 'isNumeric':
+                schema.type = name === 'isInt' ? 'integer' : 'number';
+                if (options && options.min !== undefined) schema.minimum = options.min;
+                if (options && options.max !== undefined) schema.maximum = options.max;
+                if (options && options.gt !== undefined) Object.assign(schema, { minimum: options.gt, exclusiveMinimum: true });
+                if (options && options.lt !== undefined) Object.assign(schema, { maximum: options.lt, exclusiveMaximum: true });
+                break;
+            case 'isBoolean':
+                schema.type = 'boolean';
+                break;
+            case 'isIn':
+                schema.enum = options;
+                break;
+            case 'equals':
+                schema.enum = [options];
+                break;
+            case 'isLength':
+                if (options && options.min !== undefined) schema.minLength = options.min;
+                if (options && options.max !== undefined) schema.maxLength = options.max;
+                break;
+            case 'matches':
+                schema.pattern = options instanceof RegExp ? options.source : options;
+                break;
+            default:
+                if (STRING_FORMATS[name]) Object.assign(schema, { type: 'string' }, STRING_FORMATS[name]);
+        }
+    });
+
+    if (!schema.type) {
+        if (schema.enum && schema.enum.every(value => typeof value === 'number')) schema.type = 'number';
+        else if (schema.minimum !== undefined || schema.maximum !== undefined) schema.type = 'number';
+        else schema.type = 'string';
+    }
+    if (messages.length > 0) schema.description = messages.join('. ');
+
+    return schema;
+};
+
+/**
+ * Validation chains among a route's handlers
+ * @param {Array<Function>} handlers - Route handlers
+ * @returns {Array<{field, location, required, schema}>}
+ */
+const describeValidations = (handlers) => handlers
+    .flat()
+    .filter(handler => handler && handler.builder)
+    .flatMap(chain => {
+        const context = chain.builder.build();
+        const location = context.locations.includes('body') ? 'body' : context.locations[0];
+        const schema = schemaForContext(context);
+        // Chains behind .if() only apply to some requests
+        const conditional = context.stack.some(item => item.chain);
+        return context.fields.map(field => ({
+            field,
+            location,
+            required: context.optional === false && !conditional,
+            schema
+        }));
+    });
+
+/**
+ * File fields accepted by the route's upload middleware (see config/multer.js)
+ * @param {Array<Function>} handlers - Route handlers
+ * @returns {Array<{name, maxCount}>}
+ */
+const describeUploads = (handlers) => handlers
+    .filter(handler => handler && handler.fileFields)
+    .flatMap(handler => handler.fileFields);
+
+// Place a dotted field ("targetGroup.courses", "records.*.status") into an object schema
+const addProperty = (objectSchema, field, schema, required) => {
+    const [head, ...rest] = field.split('.');
+
+    if (head === '*') {
+        objectSchema.type = 'array';
+        objectSchema.items = objectSchema.items || { type: 'object', properties: {} };
+        if (rest.length === 0) {
+            objectSchema.items = schema;
+            return;
+        }
+        addProperty(objectSchema.items, rest.join('.'), schema, required);
+        return;
+    }
+
+    objectSchema.properties = objectSchema.properties || {};
+    if (rest.length === 0) {
+        objectSchema.properties[head] = { ...objectSchema.properties[head], ...schema };
+    } else {
+        const child = objectSchema.properties[head] || { type: rest[0] === '*' ? 'array' : 'object' };
+        if (child.type === 'string') child.type = rest[0] === '*' ? 'array' : 'object';
+        objectSchema.properties[head] = child;
+        addProperty(child, rest.join('.'), schema, required);
+    }
+
+    // Only the innermost object lists the field; "bands.*.grade" does not make "bands" required
+    if (required && rest.length === 0) {
+        objectSchema.required = [...new Set([...(objectSchema.required || []), head])];
+    }
+};
+
+/**
+ * OpenAPI operation for one route
+ * @param {Object} route - Entry from listRoutes
+ * @returns {Object} Operation object
+ */
+const buildOperation = (route) => {
+    const validations = describeValidations(route.handlers);
+    const uploads = describeUploads(route.handlers);
+    const secured = route.handlers.some(handler => AUTH_MIDDLEWARE.includes(handler));
+
+    const parameters = [];
+    pathParameterNames(route.path).forEach(name => {
+        const validation = validations.find(item => item.location === 'params' && item.field === name);
+        parameters.push({
+            name,
+            in: 'path',
+            required: true,
+            schema: validation ? validation.schema : { type: 'string' }
+        });
+    });
+    validations
+        .filter(item => ['query', 'headers', 'cookies'].includes(item.location))
+        .forEach(item => {
+            if (parameters.some(parameter => parameter.name === item.field)) return;
+            parameters.push({
+                name: item.field,
+                in: PARAMETER_LOCATIONS[item.location],
+                required: item.required,
+                schema: item.schema
+            });
+        });
+
+    const operation = {
+        tags: [route.tag],
+        summary: route.summary,
+        description: route.description,
+        parameters: parameters.length > 0 ? parameters : undefined,
+        security: secured ? [{ bearerAuth: [] }] : undefined
+    };
+
+    const bodyFields = validations.filter(item => item.location === 'body');
+    if (bodyFields.length > 0 || uploads.length > 0) {
+        const schema = { type: 'object' };
+        bodyFields
+            .filter(item => item.field !== '')
+            .forEach(item => addProperty(schema, item.field, item.schema, item.required));
+
+        uploads.forEach(({ name, maxCount }) => {
+            const file = { type: 'string', format: 'binary' };
+            addProperty(schema, name, maxCount > 1 ? { type: 'array', items: file, maxItems: maxCount } : file, false);
+        });
+
+        operation.requestBody = {
+            required: schema.required !== undefined || uploads.length > 0,
+            content: { [uploads.length > 0 ? 'multipart/form-data' : 'application/json']: { schema } }
+        };
+    }
+
+    operation.responses = {
+        200: { description: 'Success', content: { 'application/json': { schema: { $ref: '#/components/schemas/ApiResponse' } } } }
+    };
+    const errorResponse = (description) => ({
+        description,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+    });
+    if (validations.length > 0 || uploads.length > 0) operation.responses[400] = errorResponse('Invalid input');
+    if (secured) {
+        operation.responses[401] = errorResponse('Missing or invalid token');
+        operation.responses[403] = errorResponse('Not allowed for this role');
+    }
+    if (pathParameterNames(route.path).length > 0) operation.responses[404] = errorResponse('Not found');
+    operation.responses[500] = errorResponse('Server error');
+
+    return JSON.parse(JSON.stringify(operation));
+};
+
+/**
+ * Inputs of a route that no validation chain or upload declaration describes:
+ * path parameters without a param() chain, and bodies of POST/PUT/PATCH routes
+ * @param {Object} route - Entry from listRoutes
+ * @returns {Array<string>} Missing parts, empty when the route is fully described
+ */
+const findMissingSchemas = (route) => {
+    const validations = describeValidations(route.handlers);
+    const missing = pathParameterNames(route.path)
+        .filter(name => !validations.some(item => item.location === 'params' && item.field === name))
+        .map(name => `path parameter "${name}"`);
+
+    const hasBody = validations.some(item => item.location === 'body') || describeUploads(route.handlers).length > 0;
+    if (BODY_METHODS.includes(route.method) && !hasBody) {
+        missing.push('request body');
+    }
+    return missing;
+};
+
+/**
+ * Build the OpenAPI 3 document for the mounted routers
+ * @param {Array} mounts - [mountPath, router] pairs, as listed in routes/index.js
+ * @param {Object} options - { serverUrl }
+ * @returns {Object} OpenAPI document
+ */
+const buildOpenApiSpec = (mounts, { serverUrl = '/api/v1' } = {}) => {
+    const paths = {};
+    listRoutes(mounts).forEach(route => {
+        const openApiPath = toOpenApiPath(route.path);
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][route.method] = buildOperation(route);
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Academic Portal API',
+            version,
+            description: 'Generated from the route definitions and their validation chains. ' +
+                'Every path is also served without the version prefix under /api.'
+        },
+        servers: [{ url: serverUrl }],
+        tags: mounts.map(([mountPath]) => ({ name: mountPath.replace(/^\//, '') })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+            },
+            schemas: {
+                ApiResponse: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean', example: true },
+                        message: { type: 'string' },
+                        data: { type: 'object' }
+                    }
+                },
+                ErrorResponse: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean', example: false },
+                        message: { type: 'string' },
+                        errors: { description: 'Validation errors, when the input was rejected' }
+                    }
+                }
+            }
+        }
+    };
+};
+
+module.exports = {
+    listRoutes,
+    buildOpenApiSpec,
+    findMissingSchemas
+};
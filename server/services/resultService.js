@@ -0,0 +1,350 @@
+const AssessmentPlan = require('../models/AssessmentPlan');
+const SubjectResult = require('../models/SubjectResult');
+const Marks = require('../models/Marks');
+const Attendance = require('../models/Attendance');
+const StudentProfile = require('../models/StudentProfile');
+const GradingScheme = require('../models/GradingScheme');
+
+const round = (value) => Number(value.toFixed(2));
+
+// Attendance percentage for one student in one subject, against classes held
+const getAttendancePercentage = async (studentId, plan) => {
+    const { totalClasses, percentage } = await Attendance.getSubjectAttendance(studentId, {
+        subjectCode: plan.subjectCode,
+        semester: plan.semester,
+        academicYear: plan.academicYear
+    });
+
+    return totalClasses > 0 ? percentage : null;
+};
+
+/**
+ * Roll a student's component Marks rows into one SubjectResult using the plan's weights
+ * @param {Object} plan - AssessmentPlan document
+ * @param {string} studentId - StudentProfile id
+ * @returns {Promise<Object>} The saved SubjectResult
+ */
+const compileSubjectResult = async (plan, studentId) => {
+    const marks = await Marks.find({
+        studentId,
+        subjectCode: plan.subjectCode,
+        semester: plan.semester,
+        academicYear: plan.academicYear
+    });
+
+    const components = [];
+    for (const component of plan.components) {
+        let obtained = 0;
+        let maxMarks = 0;
+        let isRecorded = false;
+        let isPublished = true;
+
+        if (component.source === 'attendance') {
+            const percentage = await getAttendancePercentage(studentId, plan);
+            if (percentage !== null) {
+                obtained = percentage;
+                maxMarks = 100;
+                isRecorded = true;
+            }
+        } else {
+            const rows = marks.filter(mark => mark.examType === component.examType);
+            if (rows.length > 0) {
+                obtained = rows.reduce((sum, mark) => sum + mark.totalMarks, 0);
+                maxMarks = rows.reduce((sum, mark) => sum + mark.maxMarks, 0);
+                isRecorded = true;
+                isPublished = rows.every(mark => mark.isPublished);
+            }
+        }
+
+        components.push({
+            label: component.label,
+            source: component.source,
+            examType: component.examType,
+            group: component.group,
+            weight: component.weight,
+            obtained: round(obtained),
+            maxMarks,
+            weightedScore: maxMarks > 0 ? round((obtained / maxMarks) * component.weight) : 0,
+            isRecorded,
+            isPublished
+        });
+    }
+
+    const sumGroup = (group, field) => components
+        .filter(component => component.group === group)
+        .reduce((sum, component) => sum + component[field], 0);
+
+    const totalScore = round(components.reduce((sum, component) => sum + component.weightedScore, 0));
+
+    const student = await StudentProfile.findById(studentId).select('department course');
+    const scheme = await GradingScheme.resolve({
+        department: student?.department,
+        course: student?.course,
+        academicYear: plan.academicYear
+    });
+    const { grade, gradePoints } = scheme
+        ? scheme.gradeFor(totalScore)
+        : GradingScheme.gradeForPercentage(totalScore);
+
+    const recordedMarks = components.filter(c => c.source === 'marks' && c.isRecorded);
+
+    const key = {
+        studentId,
+        subjectCode: plan.subjectCode,
+        semester: plan.semester,
+        academicYear: plan.academicYear
+    };
+
+    // A curved grade stands until the total it was curved from changes
+    const previous = await SubjectResult.findOne(key).select('totalScore grade gradePoints gradingMode');
+    const keepCurve = Boolean(previous) && previous.gradingMode === 'relative' && previous.totalScore === totalScore;
+
+    const update = {
+        $set: {
+            facultyId: plan.facultyId,
+            assessmentPlanId: plan._id,
+            subject: plan.subject,
+            credits: plan.credits,
+            components: components.map(({ isPublished, ...component }) => component),
+            internalScore: round(sumGroup('internal', 'weightedScore')),
+            internalMax: plan.groupWeight('internal'),
+            externalScore: round(sumGroup('external', 'weightedScore')),
+            externalMax: plan.groupWeight('external'),
+            totalScore,
+            grade: keepCurve ? previous.grade : grade,
+            gradePoints: keepCurve ? previous.gradePoints : gradePoints,
+            absoluteGrade: grade,
+            absoluteGradePoints: gradePoints,
+            gradingMode: keepCurve ? 'relative' : 'absolute',
+            gradingSchemeId: scheme ? scheme._id : undefined,
+            isComplete: components.every(component => component.isRecorded),
+            isPublished: recordedMarks.length > 0 && components.every(component => component.isPublished),
+            compiledAt: new Date()
+        }
+    };
+    if (!keepCurve) update.$unset = { curve: 1 };
+
+    return SubjectResult.findOneAndUpdate(key, update, {
+        new: true,
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true
+    });
+};
+
+/**
+ * Compile results for every student with marks in the plan's subject
+ * @param {Object} plan - AssessmentPlan document
+ * @returns {Promise<Array>} Saved SubjectResult documents
+ */
+const compilePlanResults = async (plan) => {
+    const studentIds = await Marks.distinct('studentId', {
+        subjectCode: plan.subjectCode,
+        semester: plan.semester,
+        academicYear: plan.academicYear
+    });
+
+    const results = [];
+    for (const studentId of studentIds) {
+        results.push(await compileSubjectResult(plan, studentId));
+    }
+    return results;
+};
+
+/**
+ * Recompile the subject result a Marks row feeds into, if its subject has a plan
+ * @param {Object} marks - Marks document that was just saved
+ * @returns {Promise<Object|null>} The SubjectResult, or null when there is no plan
+ */
+const recompileForMarks = async (marks) => {
+    const plan = await AssessmentPlan.findOne({
+        subjectCode: marks.subjectCode,
+        semester: marks.semester,
+        academicYear: marks.academicYear
+    });
+
+    if (!plan) return null;
+    return compileSubjectResult(plan, marks.studentId);
+};
+
+/**
+ * Final result for a subject without an assessment plan, from its published Marks rows
+ * @param {Array} rows - Published Marks rows of one subject, semester and academic year
+ * @param {Object} scheme - GradingScheme, or null for the default grade bands
+ * @returns {Object|null} { totalScore, grade, gradePoints, credits, subject }, or null
+ *                        when the rows do not make a subject result yet
+ */
+const resultFromMarks = (rows, scheme) => {
+    const latest = rows.reduce((a, b) => (a.updatedAt > b.updatedAt ? a : b));
+    const final = rows.find(mark => mark.examType === 'final');
+    const credits = Math.max(...rows.map(mark => mark.credits || 3));
+
+    // The end-semester row carries any curved grade, so it decides on its own
+    if (final) {
+        return {
+            totalScore: round(final.percentage),
+            grade: final.grade,
+            gradePoints: final.gradePoints,
+            credits,
+            subject: latest.subject
+        };
+    }
+
+    // Released assignment grades are coursework; until the final is published they
+    // do not make a subject grade on their own
+    const graded = rows.filter(mark => mark.examType !== 'assignment');
+    if (graded.length === 0) return null;
+
+    const obtained = graded.reduce((sum, mark) => sum + mark.totalMarks, 0);
+    const maxMarks = graded.reduce((sum, mark) => sum + mark.maxMarks, 0);
+    const totalScore = maxMarks > 0 ? round((obtained / maxMarks) * 100) : 0;
+    const { grade, gradePoints } = scheme
+        ? scheme.gradeFor(totalScore)
+        : GradingScheme.gradeForPercentage(totalScore);
+
+    return { totalScore, grade, gradePoints, credits, subject: latest.subject };
+};
+
+/**
+ * Final result for every subject a student has published results in, one entry per subject.
+ * Subjects with an assessment plan use the compiled SubjectResult; others fall back to Marks.
+ * @param {Object} studentProfile - StudentProfile document
+ * @param {Object} filters - Optional { semester, academicYear }
+ * @returns {Promise<Array>} Subject results sorted by semester then subject
+ */
+const getFinalSubjectResults = async (studentProfile, filters = {}) => {
+    const query = { studentId: studentProfile._id, isPublished: true };
+    if (filters.semester) query.semester = parseInt(filters.semester);
+    if (filters.academicYear) query.academicYear = filters.academicYear;
+
+    const results = new Map();
+    const plannedSubjects = new Set();
+    const keyOf = (record) => `${record.subjectCode}|${record.semester}|${record.academicYear}`;
+
+    // Subjects with a plan are only counted once their compiled result is published
+    const { isPublished, ...compiledQuery } = query;
+    const compiled = await SubjectResult.find(compiledQuery);
+    compiled.forEach(result => {
+        plannedSubjects.add(keyOf(result));
+        if (!result.isPublished) return;
+
+        results.set(keyOf(result), {
+            subject: result.subject,
+            subjectCode: result.subjectCode,
+            semester: result.semester,
+            academicYear: result.academicYear,
+            credits: result.credits,
+            totalScore: result.totalScore,
+            grade: result.grade,
+            gradePoints: result.gradePoints,
+            source: 'assessment-plan'
+        });
+    });
+
+    const marks = await Marks.find(query);
+    const marksBySubject = new Map();
+    marks.forEach(mark => {
+        if (plannedSubjects.has(keyOf(mark))) return;
+        if (!marksBySubject.has(keyOf(mark))) marksBySubject.set(keyOf(mark), []);
+        marksBySubject.get(keyOf(mark)).push(mark);
+    });
+
+    const schemes = new Map();
+    for (const [key, rows] of marksBySubject) {
+        const [subjectCode, semester, academicYear] = key.split('|');
+
+        if (!schemes.has(academicYear)) {
+            schemes.set(academicYear, await GradingScheme.resolve({
+                department: studentProfile.department,
+                course: studentProfile.course,
+                academicYear
+            }));
+        }
+
+        const result = resultFromMarks(rows, schemes.get(academicYear));
+        if (!result) continue;
+
+        results.set(key, {
+            subjectCode,
+            semester: Number(semester),
+            academicYear,
+            ...result,
+            source: 'marks'
+        });
+    }
+
+    return [...results.values()].sort((a, b) =>
+        a.semester - b.semester || a.subject.localeCompare(b.subject)
+    );
+};
+
+// Credit-weighted grade point average over subject results
+const gradePointAverage = (subjects) => {
+    const credits = subjects.reduce((sum, subject) => sum + subject.credits, 0);
+    const points = subjects.reduce((sum, subject) => sum + subject.credits * subject.gradePoints, 0);
+    return credits > 0 ? round(points / credits) : 0;
+};
+
+// Order of terms: academic year first, then semester number
+const compareTerms = (a, b) => a.academicYear.localeCompare(b.academicYear) || a.semester - b.semester;
+
+/**
+ * SGPA for each term and CGPA across all of them, from final subject results.
+ * A term is a semester number in one academic year, so a repeated year is its own term.
+ * A subject attempted more than once only counts its latest attempt towards CGPA.
+ * @param {Array} subjects - Results from getFinalSubjectResults
+ * @returns {{semesters: Array, cgpa: number, totalCredits: number, creditsEarned: number}}
+ */
+const summariseResults = (subjects) => {
+    const byTerm = new Map();
+    subjects.forEach(subject => {
+        const key = `${subject.semester}|${subject.academicYear}`;
+        if (!byTerm.has(key)) byTerm.set(key, []);
+        byTerm.get(key).push(subject);
+    });
+
+    const semesters = [...byTerm.values()].map(termSubjects => ({
+        semester: termSubjects[0].semester,
+        academicYear: termSubjects[0].academicYear,
+        subjects: termSubjects,
+        credits: termSubjects.reduce((sum, subject) => sum + subject.credits, 0),
+        creditsEarned: termSubjects
+            .filter(subject => subject.gradePoints > 0)
+            .reduce((sum, subject) => sum + subject.credits, 0),
+        sgpa: gradePointAverage(termSubjects)
+    })).sort(compareTerms);
+
+    const latestAttempts = new Map();
+    subjects.forEach(subject => {
+        const previous = latestAttempts.get(subject.subjectCode);
+        if (!previous || compareTerms(subject, previous) >= 0) {
+            latestAttempts.set(subject.subjectCode, subject);
+        }
+    });
+    const counted = [...latestAttempts.values()];
+
+    return {
+        semesters,
+        cgpa: gradePointAverage(counted),
+        totalCredits: counted.reduce((sum, subject) => sum + subject.credits, 0),
+        creditsEarned: counted
+            .filter(subject => subject.gradePoints > 0)
+            .reduce((sum, subject) => sum + subject.credits, 0)
+    };
+};
+
+/**
+ * SGPA for each term and CGPA across all of them, see summariseResults
+ * @param {Object} studentProfile - StudentProfile document
+ * @returns {Promise<{semesters: Array, cgpa: number, totalCredits: number, creditsEarned: number}>}
+ */
+const calculateStudentResults = async (studentProfile) => summariseResults(await getFinalSubjectResults(studentProfile));
+
+module.exports = {
+    compileSubjectResult,
+    compilePlanResults,
+    recompileForMarks,
+    getFinalSubjectResults,
+    summariseResults,
+    calculateStudentResults
+};
@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const { tokenHelpers, sessionHelpers } = require('../utils/authHelpers');
+const { securityLogger } = require('../middleware/logger');
+
+// httpOnly cookie holding the refresh token; scripts never see it
+const REFRESH_COOKIE = 'refreshToken';
+
+// lastSeenAt is written at most this often per session
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Admin loginHistory keeps this many recent logins
+const LOGIN_HISTORY_LIMIT = 50;
+
+const serviceError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const hashTokenId = (jti) => crypto.createHash('sha256').update(String(jti)).digest('hex');
+
+// Sent only to the API, only over HTTPS in production, and never on cross-site requests
+const refreshCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api'
+});
+
+/**
+ * Whether a verified login token still belongs to a live session:
+ * its user exists, nothing has ended all their sessions since it was issued,
+ * and its own session has not been revoked
+ * @param {Object} decoded - Verified JWT payload ({ userId, tokenVersion, sid })
+ * @returns {Promise<boolean>}
+ */
+const isSessionCurrent = async (decoded) => {
+    // Refresh and two-factor challenge tokens may share the access secret but are not login tokens
+    if (decoded.tokenType) return false;
+
+    // Fallback logins (authController.login) only exist while the database is down
+    if (mongoose.connection.readyState !== 1) return true;
+    if (!mongoose.isValidObjectId(decoded.userId)) return false;
+
+    const user = await User.findById(decoded.userId).select('tokenVersion');
+    if (!user || (decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) return false;
+
+    // Tokens from before sessions were recorded carry no session
+    if (!decoded.sid) return true;
+
+    const session = await Session.findById(decoded.sid).select('userId revokedAt lastSeenAt');
+    if (!session || session.revokedAt || !session.userId.equals(user._id)) return false;
+
+    const now = new Date();
+    if (now - session.lastSeenAt > LAST_SEEN_INTERVAL_MS) {
+        await Session.updateOne({ _id: session._id }, { lastSeenAt: now });
+    }
+    return true;
+};
+
+/**
+ * Issue an access token and the next refresh token of a session, recording the refresh token
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, for the client IP
+ * @param {Object} session - Session document; its expiry moves to the new refresh token's
+ * @returns {Promise<Object>} { accessToken, accessExpiresAt, refreshToken, refreshExpiresAt }
+ */
+const issueTokens = async (user, req, session) => {
+    const jti = crypto.randomBytes(16).toString('hex');
+    const { accessToken, refreshToken } = tokenHelpers.generateTokenPair(user, { sessionId: session._id, jti });
+    const accessExpiresAt = new Date(jwt.decode(accessToken).exp * 1000);
+    const refreshExpiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+    await RefreshToken.create({
+        userId: user._id,
+        sessionId: session._id,
+        tokenHash: hashTokenId(jti),
+        expiresAt: refreshExpiresAt,
+        createdByIp: req.ip
+    });
+
+    session.expiresAt = refreshExpiresAt;
+    session.lastSeenAt = new Date();
+    await session.save();
+
+    return { accessToken, accessExpiresAt, refreshToken, refreshExpiresAt };
+};
+
+/**
+ * Record a login: a Session for the device, its first tokens and, for admins, a loginHistory entry
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Tokens from issueTokens, plus sessionId
+ */
+const startSession = async (user, req) => {
+    const { ipAddress, userAgent, loginTime } = sessionHelpers.createSessionData(user, req);
+    const session = new Session({
+        userId: user._id,
+        role: user.role,
+        device: sessionHelpers.parseUserAgent(userAgent),
+        ipAddress,
+        userAgent: userAgent && userAgent.slice(0, 500),
+        createdAt: loginTime,
+        // Replaced by the refresh token's expiry in issueTokens
+        expiresAt: loginTime
+    });
+
+    const tokens = await issueTokens(user, req, session);
+
+    if (user.role === 'admin') {
+        await Admin.updateOne({ _id: user._id }, {
+            $push: {
+                loginHistory: {
+                    $each: [{ loginTime: session.createdAt, ipAddress, userAgent }],
+                    $slice: -LOGIN_HISTORY_LIMIT
+                }
+            }
+        });
+    }
+
+    return { sessionId: session._id, ...tokens };
+};
+
+// Close the admin loginHistory entries of ended sessions
+const closeLoginHistory = (sessions, endedAt) => Promise.all(sessions
+    .filter(session => session.role === 'admin')
+    .map(session => Admin.updateOne(
+        { _id: session.userId, 'loginHistory.loginTime': session.createdAt },
+        {
+            $set: {
+                'loginHistory.$.logoutTime': endedAt,
+                'loginHistory.$.sessionDuration': Math.round((endedAt - session.createdAt) / 60000)
+            }
+        }
+    )));
+
+/**
+ * End one session: it stops authenticating and its refresh tokens stop working
+ * @param {Object} session - Session document
+ * @param {string} reason - Session revokedReason
+ * @param {string} revokedBy - User who ended it, if not the system
+ */
+const revokeSession = async (session, reason, revokedBy) => {
+    if (session.revokedAt) return;
+
+    const now = new Date();
+    session.revokedAt = now;
+    session.revokedReason = reason;
+    if (revokedBy) session.revokedBy = revokedBy;
+    await session.save();
+
+    await RefreshToken.updateMany(
+        { sessionId: session._id, revokedAt: null },
+        { revokedAt: now, revokedReason: reason }
+    );
+    await closeLoginHistory([session], now);
+};
+
+/**
+ * End every session of a user, e.g. after their password changes.
+ * Sessions and refresh tokens are revoked now; the caller saves the user, whose new
+ * tokenVersion also stops access tokens that predate sessions.
+ * @param {Object} user - User document
+ * @param {string} reason - Session revokedReason
+ * @param {string} revokedBy - User who ended them, if not the system
+ */
+const endAllSessions = async (user, reason = 'account', revokedBy) => {
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await endSessions({ userId: user._id }, reason, revokedBy);
+};
+
+/**
+ * End the active sessions matching a filter
+ * @param {Object} filter - Session filter, e.g. { userId } or { userId, _id: { $ne: current } }
+ * @param {string} reason - Session revokedReason
+ * @param {string} revokedBy - User who ended them, if not the system
+ * @returns {Promise<number>} Sessions ended
+ */
+const endSessions = async (filter, reason, revokedBy) => {
+    const sessions = await Session.find({ ...filter, revokedAt: null });
+    if (sessions.length === 0) return 0;
+
+    const now = new Date();
+    const ids = sessions.map(session => session._id);
+    await Session.updateMany(
+        { _id: { $in: ids } },
+        { revokedAt: now, revokedReason: reason, ...(revokedBy && { revokedBy }) }
+    );
+    await RefreshToken.updateMany(
+        { sessionId: { $in: ids }, revokedAt: null },
+        { revokedAt: now, revokedReason: reason }
+    );
+    await closeLoginHistory(sessions, now);
+    return sessions.length;
+};
+
+const setRefreshCookie = (res, { refreshToken, refreshExpiresAt }) => {
+    res.cookie(REFRESH_COOKIE, refreshToken, { ...refreshCookieOptions(), expires: refreshExpiresAt });
+};
+
+const clearRefreshCookie = (res) => {
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+};
+
+/**
+ * Exchange a refresh token for a new access token and the next refresh token of its session.
+ * Presenting a token that was already exchanged means it leaked, so its whole session is revoked.
+ * @param {string} token - Refresh token from the cookie
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { user, ...tokens from issueTokens }
+ * @throws {Error} 401 when the token cannot be used
+ */
+const rotateRefreshToken = async (token, req) => {
+    let decoded;
+    try {
+        decoded = tokenHelpers.verifyToken(token, 'refresh');
+    } catch (error) {
+        throw serviceError('Invalid or expired refresh token', 401);
+    }
+    if (decoded.tokenType !== 'refresh' || !decoded.jti || !decoded.sid) {
+        throw serviceError('Invalid or expired refresh token', 401);
+    }
+
+    const tokenHash = hashTokenId(decoded.jti);
+    const record = await RefreshToken.findOneAndUpdate(
+        { tokenHash, usedAt: null, revokedAt: null },
+        { usedAt: new Date() }
+    );
+
+    if (!record) {
+        const known = await RefreshToken.findOne({ tokenHash });
+        if (known && known.usedAt) {
+            const session = await Session.findById(known.sessionId);
+            if (session) await revokeSession(session, 'reuse');
+            securityLogger('REFRESH_TOKEN_REUSE', req, {
+                userId: known.userId,
+                sessionId: known.sessionId
+            });
+        }
+        throw serviceError('Refresh token is no longer valid. Please log in again.', 401);
+    }
+
+    const [user, session] = await Promise.all([
+        User.findById(record.userId),
+        Session.findById(record.sessionId)
+    ]);
+    if (!session || session.revokedAt) {
+        throw serviceError('Session has ended. Please log in again.', 401);
+    }
+    if (!user || !user.isActive || user.status !== 'approved' ||
+        (decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+        await revokeSession(session, 'account');
+        throw serviceError('Session has ended. Please log in again.', 401);
+    }
+
+    return { user, ...await issueTokens(user, req, session) };
+};
+
+/**
+ * The session of a refresh token, for logout; expired tokens still name their session
+ * @param {string} token - Refresh token from the cookie
+ * @returns {string|null} Session id
+ */
+const getTokenSessionId = (token) => {
+    try {
+        const decoded = tokenHelpers.verifyToken(token, 'refresh');
+        return decoded.tokenType === 'refresh' ? decoded.sid || null : null;
+    } catch (error) {
+        if (error.name !== 'TokenExpiredError') return null;
+        return jwt.decode(token)?.sid || null;
+    }
+};
+
+/**
+ * A session as shown to its owner or an admin
+ * @param {Object} session - Session document
+ * @param {string} currentSessionId - Session of the request, marked `current`
+ */
+const formatSession = (session, currentSessionId) => ({
+    id: session._id,
+    device: session.device,
+    ipAddress: session.ipAddress,
+    userAgent: session.userAgent,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    isActive: session.isActive(),
+    revokedAt: session.revokedAt,
+    revokedReason: session.revokedReason,
+    current: Boolean(currentSessionId) && session._id.toString() === String(currentSessionId)
+});
+
+/**
+ * A user's sessions, most recently used first
+ * @param {string} userId - User id
+ * @param {Object} options - { includeEnded } to list revoked and expired sessions too
+ * @returns {Promise<Array>} Session documents
+ */
+const getUserSessions = (userId, { includeEnded = false } = {}) => {
+    const filter = { userId };
+    if (!includeEnded) {
+        filter.revokedAt = null;
+        filter.expiresAt = { $gt: new Date() };
+    }
+    return Session.find(filter).sort({ lastSeenAt: -1 });
+};
+
+module.exports = {
+    REFRESH_COOKIE,
+    isSessionCurrent,
+    startSession,
+    endSessions,
+    endAllSessions,
+    setRefreshCookie,
+    clearRefreshCookie,
+    rotateRefreshToken,
+    getTokenSessionId,
+    formatSession,
+    getUserSessions
+};
@@ -0,0 +1,516 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const mammoth = require('mammoth');
+// The package entry point runs a self-test when required directly
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const Assignment = require('../models/Assignment');
+const SimilarityReport = require('../models/SimilarityReport');
+const { getStorage } = require('./storage');
+const { storedFileOf, getStudentDirectory, groupByStudent } = require('./submissionService');
+
+// k-gram length and winnowing window: in words for prose, in tokens for source code
+const SETTINGS = {
+    document: { k: 5, window: 4 },
+    code: { k: 12, window: 6 }
+};
+
+// Pairs whose score (%) is below this are left out of the report
+const MIN_SCORE = 20;
+const MAX_PAIRS = 200;
+const MAX_PASSAGES = 20;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+// Characters of surrounding text shown either side of a passage, and the longest passage shown in full
+const EXCERPT_CONTEXT = 60;
+const EXCERPT_LENGTH = 600;
+// With this many submissions, fingerprints shared by more than half of them (starter code,
+// the question itself) are treated as common material and ignored
+const COMMON_MATERIAL_MIN_SUBMISSIONS = 4;
+// A report left 'running' this long is assumed to belong to a crashed run
+const STALE_RUN_MS = 60 * 60 * 1000;
+const SWEEP_LIMIT = 3;
+
+const CODE_EXTENSIONS = [
+    '.c', '.h', '.cpp', '.cc', '.hpp', '.java', '.py', '.js', '.jsx', '.ts', '.tsx', '.cs',
+    '.go', '.rb', '.php', '.kt', '.swift', '.rs', '.scala', '.sql', '.m', '.r', '.sh'
+];
+
+// Kept as written when normalising code; every other identifier becomes ID
+const CODE_KEYWORDS = new Set([
+    'abstract', 'and', 'as', 'async', 'await', 'bool', 'boolean', 'break', 'case', 'catch', 'char',
+    'class', 'const', 'continue', 'def', 'default', 'delete', 'do', 'double', 'elif', 'else', 'enum',
+    'except', 'export', 'extends', 'false', 'final', 'finally', 'float', 'for', 'foreach', 'from',
+    'func', 'function', 'if', 'implements', 'import', 'in', 'int', 'interface', 'is', 'lambda', 'let',
+    'long', 'match', 'new', 'nil', 'none', 'not', 'null', 'or', 'package', 'pass', 'private',
+    'protected', 'public', 'raise', 'return', 'self', 'short', 'static', 'string', 'struct', 'super',
+    'switch', 'this', 'throw', 'throws', 'true', 'try', 'typedef', 'unsigned', 'var', 'void', 'while',
+    'with', 'yield'
+]);
+
+const CODE_TOKEN = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|#[^\n]*|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`|\d[\w.]*|[A-Za-z_$][\w$]*|==|!=|<=|>=|&&|\|\||\+\+|--|->|=>|::|<<|>>|[+\-*/%=<>!&|^~?:;,.(){}[\]]/g;
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const serviceError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Source code as tokens with comments dropped and names, strings and numbers
+ * normalised, so renaming variables or editing literals does not hide copying
+ * @param {string} text - Source code
+ * @returns {Array<{value: string, start: number, end: number}>}
+ */
+const tokenizeCode = (text) => {
+    const tokens = [];
+    for (const match of text.matchAll(CODE_TOKEN)) {
+        const raw = match[0];
+        if (raw.startsWith('//') || raw.startsWith('/*') || raw.startsWith('#')) continue;
+
+        let value = raw;
+        if (/^["'`]/.test(raw)) value = 'STR';
+        else if (/^\d/.test(raw)) value = 'NUM';
+        else if (/^[A-Za-z_$]/.test(raw)) value = CODE_KEYWORDS.has(raw.toLowerCase()) ? raw.toLowerCase() : 'ID';
+
+        tokens.push({ value, start: match.index, end: match.index + raw.length });
+    }
+    return tokens;
+};
+
+// Prose as lower-cased words
+const tokenizeDocument = (text) => [...text.matchAll(WORD)].map(match => ({
+    value: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+}));
+
+// 32-bit FNV-1a
+const hashGram = (value) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+};
+
+/**
+ * Winnowing (Schleimer, Wilkerson & Aiken): hash every k-gram of tokens and keep the
+ * rightmost smallest hash of each window of consecutive hashes
+ * @param {Array} tokens - From tokenizeCode/tokenizeDocument
+ * @param {Object} settings - { k, window }
+ * @returns {Array<{hash: number, index: number}>} Selected hashes with the token index their k-gram starts at
+ */
+const winnow = (tokens, { k, window }) => {
+    const hashes = [];
+    for (let i = 0; i + k <= tokens.length; i++) {
+        hashes.push(hashGram(tokens.slice(i, i + k).map(token => token.value).join(' ')));
+    }
+    if (hashes.length === 0) return [];
+
+    const size = Math.min(window, hashes.length);
+    const selected = [];
+    let last = -1;
+
+    for (let start = 0; start + size <= hashes.length; start++) {
+        let min = start;
+        for (let i = start + 1; i < start + size; i++) {
+            if (hashes[i] <= hashes[min]) min = i;
+        }
+        if (min !== last) {
+            selected.push({ hash: hashes[min], index: min });
+            last = min;
+        }
+    }
+    return selected;
+};
+
+/**
+ * Fingerprints of one student's work of one kind, across all of its parts (files, typed answer)
+ * @param {Array} parts - [{ source, text }]
+ * @param {string} kind - 'document' | 'code'
+ * @returns {Object} { parts: [{ source, text, tokens }], fingerprints: [{ hash, part, index }] }
+ */
+const fingerprintParts = (parts, kind) => {
+    const tokenize = kind === 'code' ? tokenizeCode : tokenizeDocument;
+    const tokenized = parts.map(part => ({ ...part, tokens: tokenize(part.text) }));
+
+    const fingerprints = tokenized.flatMap((part, partIndex) =>
+        winnow(part.tokens, SETTINGS[kind]).map(fingerprint => ({ ...fingerprint, part: partIndex })));
+
+    return { parts: tokenized, fingerprints };
+};
+
+const escapeHtml = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// A passage with some context around it and the overlap wrapped in <mark>
+const excerpt = (text, start, end) => {
+    const before = text.slice(Math.max(start - EXCERPT_CONTEXT, 0), start);
+    const after = text.slice(end, end + EXCERPT_CONTEXT);
+    let match = text.slice(start, end);
+    if (match.length > EXCERPT_LENGTH) {
+        const half = EXCERPT_LENGTH / 2;
+        match = `${match.slice(0, half)} … ${match.slice(-half)}`;
+    }
+
+    return `${start > EXCERPT_CONTEXT ? '…' : ''}${escapeHtml(before)}<mark>${escapeHtml(match)}</mark>${escapeHtml(after)}${end + EXCERPT_CONTEXT < text.length ? '…' : ''}`;
+};
+
+// Character range and excerpt of a run of matched k-grams in one part
+const passageSide = (part, firstIndex, lastIndex, k) => {
+    const start = part.tokens[firstIndex].start;
+    const end = part.tokens[Math.min(lastIndex + k - 1, part.tokens.length - 1)].end;
+    return { source: part.source, start, end, excerpt: excerpt(part.text, start, end) };
+};
+
+/**
+ * Compare two students' fingerprinted work
+ * @param {Object} a - From fingerprintParts
+ * @param {Object} b - From fingerprintParts
+ * @param {string} kind - 'document' | 'code'
+ * @param {Set} ignored - Hashes of common material
+ * @returns {Object} { score, overlapA, overlapB, sharedFingerprints, passages }
+ */
+const compareFingerprints = (a, b, kind, ignored) => {
+    const { k, window } = SETTINGS[kind];
+    const usable = (fingerprint) => !ignored.has(fingerprint.hash);
+    const hashesA = new Set(a.fingerprints.filter(usable).map(fingerprint => fingerprint.hash));
+    const hashesB = new Set(b.fingerprints.filter(usable).map(fingerprint => fingerprint.hash));
+
+    const shared = [...hashesA].filter(hash => hashesB.has(hash)).length;
+    const overlapA = hashesA.size > 0 ? (shared / hashesA.size) * 100 : 0;
+    const overlapB = hashesB.size > 0 ? (shared / hashesB.size) * 100 : 0;
+    const result = {
+        score: Math.round(Math.max(overlapA, overlapB) * 10) / 10,
+        overlapA: Math.round(overlapA * 10) / 10,
+        overlapB: Math.round(overlapB * 10) / 10,
+        sharedFingerprints: shared,
+        passages: []
+    };
+    if (shared === 0) return result;
+
+    const positionsB = new Map();
+    b.fingerprints.filter(usable).forEach(fingerprint => {
+        if (!positionsB.has(fingerprint.hash)) positionsB.set(fingerprint.hash, []);
+        positionsB.get(fingerprint.hash).push(fingerprint);
+    });
+
+    // Walk A in order, pairing each shared fingerprint with the occurrence in B that best
+    // continues the current run, and merge nearby matches into passages
+    const gap = k + window;
+    const runs = [];
+    let run = null;
+
+    for (const fingerprint of a.fingerprints) {
+        const candidates = positionsB.get(fingerprint.hash);
+        if (!candidates || ignored.has(fingerprint.hash)) continue;
+
+        const continues = (candidate) => run &&
+            candidate.part === run.bPart &&
+            fingerprint.part === run.aPart &&
+            fingerprint.index - run.aLast <= gap &&
+            candidate.index > run.bLast &&
+            candidate.index - run.bLast <= gap;
+        const match = candidates.find(continues) || candidates[0];
+
+        if (continues(match)) {
+            run.aLast = fingerprint.index;
+            run.bLast = match.index;
+            run.length++;
+        } else {
+            run = {
+                aPart: fingerprint.part,
+                aFirst: fingerprint.index,
+                aLast: fingerprint.index,
+                bPart: match.part,
+                bFirst: match.index,
+                bLast: match.index,
+                length: 1
+            };
+            runs.push(run);
+        }
+    }
+
+    result.passages = runs
+        .sort((x, y) => y.length - x.length)
+        .slice(0, MAX_PASSAGES)
+        .sort((x, y) => x.aPart - y.aPart || x.aFirst - y.aFirst)
+        .map(entry => ({
+            a: passageSide(a.parts[entry.aPart], entry.aFirst, entry.aLast, k),
+            b: passageSide(b.parts[entry.bPart], entry.bFirst, entry.bLast, k)
+        }));
+
+    return result;
+};
+
+// Whole contents of a stored file
+const readStoredFile = async (file) => {
+    const stored = storedFileOf(file);
+    const stat = stored && await getStorage(stored.storageBackend).stat(stored.storageKey);
+    if (!stat) throw new Error('File is no longer available');
+    if (stat.size > MAX_FILE_SIZE) throw new Error('File is too large to analyse');
+
+    const chunks = [];
+    for await (const chunk of await getStorage(stored.storageBackend).read(stored.storageKey)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Text of a submitted file and how to compare it
+ * @param {Object} file - Submission file subdocument
+ * @returns {Promise<Object|null>} { kind, text }, or null for file types that cannot be compared
+ */
+const extractText = async (file) => {
+    const extension = path.extname(file.filename || '').toLowerCase();
+
+    if (CODE_EXTENSIONS.includes(extension)) {
+        return { kind: 'code', text: (await readStoredFile(file)).toString('utf8') };
+    }
+    if (extension === '.txt') {
+        return { kind: 'document', text: (await readStoredFile(file)).toString('utf8') };
+    }
+    if (extension === '.pdf') {
+        return { kind: 'document', text: (await pdfParse(await readStoredFile(file))).text };
+    }
+    if (extension === '.docx') {
+        const { value } = await mammoth.extractRawText({ buffer: await readStoredFile(file) });
+        return { kind: 'document', text: value };
+    }
+    return null;
+};
+
+/**
+ * Compare every student's latest submission with every other's
+ * @param {Object} assignment - Assignment document
+ * @returns {Promise<Object>} { submissionsAnalyzed, skippedFiles, pairs } with students as User ids
+ */
+const analyseSubmissions = async (assignment) => {
+    const latest = [...groupByStudent(assignment).values()].map(submissions => submissions[submissions.length - 1]);
+    const skippedFiles = [];
+    const work = { document: [], code: [] };
+
+    for (const submission of latest) {
+        const parts = { document: [], code: [] };
+        if (submission.text) {
+            parts.document.push({ source: 'Typed answer', text: submission.text });
+        }
+
+        for (const file of submission.files) {
+            const skip = (reason) => skippedFiles.push({
+                student: submission.student,
+                submissionId: submission._id,
+                filename: file.filename,
+                reason
+            });
+
+            try {
+                const extracted = await extractText(file);
+                if (!extracted) skip('File type cannot be compared');
+                else if (!extracted.text.trim()) skip('No text found in file');
+                else parts[extracted.kind].push({ source: file.filename, text: extracted.text });
+            } catch (error) {
+                skip(error.message);
+            }
+        }
+
+        Object.keys(work).forEach(kind => {
+            if (parts[kind].length > 0) {
+                work[kind].push({ submission, ...fingerprintParts(parts[kind], kind) });
+            }
+        });
+    }
+
+    const pairs = [];
+    for (const [kind, entries] of Object.entries(work)) {
+        // Count each hash once per student to find common material
+        const ignored = new Set();
+        if (entries.length >= COMMON_MATERIAL_MIN_SUBMISSIONS) {
+            const counts = new Map();
+            entries.forEach(entry => new Set(entry.fingerprints.map(fingerprint => fingerprint.hash))
+                .forEach(hash => counts.set(hash, (counts.get(hash) || 0) + 1)));
+            counts.forEach((count, hash) => {
+                if (count > entries.length / 2) ignored.add(hash);
+            });
+        }
+
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length; j++) {
+                const comparison = compareFingerprints(entries[i], entries[j], kind, ignored);
+                if (comparison.score < MIN_SCORE) continue;
+
+                pairs.push({
+                    kind,
+                    studentA: entries[i].submission.student,
+                    studentB: entries[j].submission.student,
+                    submissionA: entries[i].submission._id,
+                    submissionB: entries[j].submission._id,
+                    ...comparison
+                });
+            }
+        }
+    }
+
+    return {
+        submissionsAnalyzed: latest.length,
+        skippedFiles,
+        pairs: pairs.sort((x, y) => y.score - x.score).slice(0, MAX_PAIRS)
+    };
+};
+
+/**
+ * Run the similarity check for an assignment and store its report, replacing any earlier one
+ * @param {string} assignmentId - Assignment id
+ * @param {Object} options - { trigger: 'closed' | 'manual', requestedBy }
+ * @returns {Promise<Object>} The SimilarityReport document
+ */
+const runSimilarityCheck = async (assignmentId, { trigger = 'closed', requestedBy } = {}) => {
+    const assignment = await Assignment.findById(assignmentId);
+    if (!assignment) {
+        throw serviceError('Assignment not found', 404);
+    }
+
+    // Claim the report; a run already in progress keeps it, which makes the upsert collide
+    let report;
+    try {
+        report = await SimilarityReport.findOneAndUpdate(
+            {
+                assignmentId,
+                $or: [
+                    { status: { $ne: 'running' } },
+                    { startedAt: { $lt: new Date(Date.now() - STALE_RUN_MS) } }
+                ]
+            },
+            {
+                $set: { status: 'running', trigger, startedAt: new Date(), ...(requestedBy && { requestedBy }) },
+                $unset: { completedAt: 1, error: 1, ...(!requestedBy && { requestedBy: 1 }) }
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    } catch (error) {
+        if (error.code === 11000) {
+            throw serviceError('A similarity check is already running for this assignment', 409);
+        }
+        throw error;
+    }
+
+    try {
+        const analysis = await analyseSubmissions(assignment);
+
+        const studentIds = [
+            ...analysis.pairs.flatMap(pair => [pair.studentA, pair.studentB]),
+            ...analysis.skippedFiles.map(file => file.student)
+        ];
+        const directory = await getStudentDirectory(studentIds);
+        const describe = (userId) => {
+            const student = directory.get(userId.toString());
+            return { userId, name: student?.name, rollNumber: student?.rollNumber };
+        };
+
+        Object.assign(report, {
+            status: 'completed',
+            completedAt: new Date(),
+            settings: { minScore: MIN_SCORE, ...SETTINGS },
+            submissionsAnalyzed: analysis.submissionsAnalyzed,
+            skippedFiles: analysis.skippedFiles.map(file => ({ ...file, student: describe(file.student) })),
+            pairs: analysis.pairs.map(pair => ({
+                ...pair,
+                studentA: describe(pair.studentA),
+                studentB: describe(pair.studentB)
+            }))
+        });
+        await report.save();
+        return report;
+
+    } catch (error) {
+        report.status = 'failed';
+        report.error = error.message;
+        report.completedAt = new Date();
+        await report.save();
+        throw error;
+    }
+};
+
+/**
+ * Similarity report of an assignment for the statistics endpoint
+ * @param {Object} assignment - Assignment document
+ * @returns {Promise<Object>} The report, or { status: 'not_run', closesAt } when there is none yet
+ */
+const getSimilarityReport = async (assignment) => {
+    const report = await SimilarityReport.findOne({ assignmentId: assignment._id }).lean();
+    if (!report) {
+        return { status: 'not_run', closesAt: assignment.getClosesAt() };
+    }
+
+    const { _id, __v, assignmentId, ...details } = report;
+    return {
+        ...details,
+        // Submissions made after the run started are not in the report
+        isStale: report.status === 'completed' &&
+            assignment.submissions.some(submission => submission.submissionDate > report.startedAt),
+        flaggedPairs: report.pairs.length
+    };
+};
+
+/**
+ * Run the check for closed assignments (at least two submissions) that have no report yet
+ * @returns {Promise<number>} Number of reports produced
+ */
+const checkClosedAssignments = async () => {
+    if (mongoose.connection.readyState !== 1) return 0;
+
+    const now = new Date();
+    const checked = await SimilarityReport.distinct('assignmentId');
+    const due = await Assignment.find({
+        _id: { $nin: checked },
+        isActive: true,
+        'submissions.1': { $exists: true },
+        $or: [
+            { allowLateSubmission: true, lateSubmissionCutoff: { $lte: now } },
+            { deadline: { $lte: now }, $or: [{ allowLateSubmission: false }, { lateSubmissionCutoff: null }] }
+        ]
+    }).select('_id title').limit(SWEEP_LIMIT);
+
+    let completed = 0;
+    for (const assignment of due) {
+        try {
+            const report = await runSimilarityCheck(assignment._id);
+            completed++;
+            console.log(`🔎 Similarity check: ${assignment.title} (${report.submissionsAnalyzed} submissions, ${report.pairs.length} flagged pairs)`);
+        } catch (error) {
+            console.error(`Similarity check error for assignment ${assignment._id}:`, error);
+        }
+    }
+    return completed;
+};
+
+/**
+ * Check for newly closed assignments on an interval
+ * @param {number} interval - Milliseconds between sweeps (default: 15 minutes)
+ */
+const startSimilarityScheduler = (interval = 15 * 60 * 1000) => {
+    console.log(`🔎 Starting similarity checks for closed assignments (interval: ${interval}ms)`);
+
+    const sweep = () => checkClosedAssignments()
+        .catch(error => console.error('Similarity sweep error:', error));
+
+    // Don't keep the process alive just for the sweep
+    setInterval(sweep, interval).unref();
+    setImmediate(sweep);
+};
+
+module.exports = {
+    tokenizeCode,
+    tokenizeDocument,
+    winnow,
+    analyseSubmissions,
+    runSimilarityCheck,
+    getSimilarityReport,
+    checkClosedAssignments,
+    startSimilarityScheduler
+};
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Storage adapter that keeps files in MongoDB GridFS on the app's connection.
+ * The storage key is used as the GridFS filename; the latest revision wins.
+ * @param {Object} options - { bucketName }
+ * @returns {Object} Storage adapter
+ */
+const createGridFSStorage = ({ bucketName }) => {
+    let bucket = null;
+
+    // The bucket needs a live connection, so it is created on first use
+    const getBucket = () => {
+        if (!mongoose.connection.db) {
+            throw new Error('GridFS storage needs an open MongoDB connection');
+        }
+        if (!bucket) {
+            bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+        }
+        return bucket;
+    };
+
+    const findRevisions = (key) => getBucket()
+        .find({ filename: key })
+        .sort({ uploadDate: -1 })
+        .toArray();
+
+    return {
+        name: 'gridfs',
+
+        write: async (key, stream, { contentType } = {}) => {
+            const previous = await findRevisions(key);
+
+            await pipeline(stream, getBucket().openUploadStream(key, {
+                metadata: { contentType: contentType || 'application/octet-stream' }
+            }));
+
+            // Re-writing a key (e.g. a repeated migration) replaces the old revisions
+            for (const file of previous) {
+                await getBucket().delete(file._id);
+            }
+        },
+
+        read: async (key, range) => {
+            // GridFS ranges are end-exclusive
+            return getBucket().openDownloadStreamByName(key, range
+                ? { start: range.start, end: range.end + 1 }
+                : undefined);
+        },
+
+        stat: async (key) => {
+            const [file] = await findRevisions(key);
+            return file ? { size: file.length, contentType: file.metadata?.contentType } : null;
+        },
+
+        remove: async (key) => {
+            const revisions = await findRevisions(key);
+            for (const file of revisions) {
+                await getBucket().delete(file._id);
+            }
+            return revisions.length > 0;
+        }
+    };
+};
+
+module.exports = createGridFSStorage;
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Transform } = require('stream');
+const jwt = require('jsonwebtoken');
+const storageConfig = require('../../config/storage');
+const { fileHelpers } = require('../../utils/helpers');
+
+const BACKENDS = ['local', 's3', 'gridfs'];
+
+// Audience of signed download tokens, so login tokens cannot be used as download links
+const DOWNLOAD_AUDIENCE = 'file-download';
+
+const adapters = {};
+
+/**
+ * Storage adapter for a backend, created on first use.
+ * Every adapter implements write(key, stream, { contentType }), read(key, range),
+ * stat(key) and remove(key); s3 also has getSignedUrl(key, options).
+ * @param {string} name - 'local' | 's3' | 'gridfs'; defaults to the configured backend
+ * @returns {Object} Storage adapter
+ */
+const getStorage = (name = storageConfig.backend) => {
+    if (!BACKENDS.includes(name)) {
+        throw new Error(`Unknown storage backend "${name}". Use one of: ${BACKENDS.join(', ')}`);
+    }
+
+    if (!adapters[name]) {
+        // Required lazily so the S3 SDK is only loaded when it is used
+        if (name === 'local') adapters[name] = require('./localStorage')(storageConfig.local);
+        if (name === 's3') adapters[name] = require('./s3Storage')(storageConfig.s3);
+        if (name === 'gridfs') adapters[name] = require('./gridfsStorage')(storageConfig.gridfs);
+    }
+    return adapters[name];
+};
+
+/**
+ * Storage key for a new upload: <subfolder>/<year>/<month>/<name>_<unique><ext>
+ * @param {string} subfolder - e.g. 'resources'
+ * @param {string} originalName - Name of the file as uploaded
+ * @returns {string}
+ */
+const buildKey = (subfolder, originalName) => {
+    // Sanitize original filename
+    const sanitizedName = String(originalName)
+        .replace(/[^a-zA-Z0-9.-]/g, '_')
+        .replace(/_{2,}/g, '_');
+
+    const date = new Date();
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+
+    // Create unique filename: timestamp + random + sanitized name
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const extension = path.extname(sanitizedName);
+    const baseName = path.basename(sanitizedName, extension);
+
+    return `${subfolder}/${year}/${month}/${baseName}_${uniqueSuffix}${extension}`;
+};
+
+/**
+ * Write a stream to a backend, measuring and checksumming it on the way through
+ * @param {Object} stream - Readable stream
+ * @param {Object} options - { key, contentType, backend }
+ * @returns {Promise<{storageKey: string, storageBackend: string, size: number, checksum: string}>}
+ */
+const storeFile = async (stream, { key, contentType, backend = storageConfig.backend }) => {
+    const storage = getStorage(backend);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    const meter = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            size += chunk.length;
+            callback(null, chunk);
+        }
+    });
+    stream.on('error', error => meter.destroy(error));
+
+    await storage.write(key, stream.pipe(meter), { contentType });
+
+    return {
+        storageKey: key,
+        storageBackend: storage.name,
+        size,
+        checksum: hash.digest('hex')
+    };
+};
+
+/**
+ * Descriptor for a file written before the storage abstraction, from its disk path
+ * @param {string} filePath - Path under the local storage root
+ * @returns {Object|null} { storageKey, storageBackend: 'local' }
+ */
+const fromLocalPath = (filePath) => {
+    if (!filePath) return null;
+
+    const key = path.relative(path.resolve(storageConfig.local.root), path.resolve(filePath));
+    if (!key || key.startsWith('..') || path.isAbsolute(key)) return null;
+
+    return { storageKey: key.split(path.sep).join('/'), storageBackend: 'local' };
+};
+
+/**
+ * Size of a stored file, or null when it is missing
+ * @param {Object} file - { storageKey, storageBackend }
+ * @returns {Promise<Object|null>} { size, contentType }
+ */
+const statStoredFile = (file) => getStorage(file.storageBackend).stat(file.storageKey);
+
+/**
+ * Delete a stored file; missing files and storage errors are logged, not thrown
+ * @param {Object} file - { storageKey, storageBackend }
+ * @returns {Promise<boolean>} Whether a file was removed
+ */
+const removeStoredFile = async (file) => {
+    if (!file || !file.storageKey) return false;
+
+    try {
+        const removed = await getStorage(file.storageBackend).remove(file.storageKey);
+        if (removed) console.log(`🗑️ Deleted ${file.storageBackend} file: ${file.storageKey}`);
+        return removed;
+    } catch (error) {
+        console.error('Error deleting stored file:', error);
+        return false;
+    }
+};
+
+/**
+ * Stream a stored file as a download with HTTP Range support
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} file - { storageKey, storageBackend, size, mimeType, filename, checksum }
+ * @returns {Promise<Object|null|false>} Range served (see fileHelpers.parseRange)
+ */
+const sendStoredFile = (req, res, file) => {
+    const storage = getStorage(file.storageBackend);
+    return fileHelpers.sendFile(req, res, {
+        size: file.size,
+        mimeType: file.mimeType,
+        filename: file.filename,
+        checksum: file.checksum,
+        open: (range) => storage.read(file.storageKey, range)
+    });
+};
+
+/**
+ * Signed, expiring download URL for a stored file.
+ * S3 files get a presigned bucket URL; other backends get a tokenised /api/files link.
+ * @param {Object} file - { storageKey, storageBackend, filename, mimeType }
+ * @param {Object} options - { expiresIn } in seconds
+ * @returns {Promise<{url: string, expiresAt: Date}>}
+ */
+const createSignedUrl = async (file, { expiresIn = storageConfig.signedUrls.expiresIn } = {}) => {
+    const storage = getStorage(file.storageBackend);
+    const expiresAt = new Date(Date.now() + expiresIn * 1000);
+
+    if (storage.getSignedUrl) {
+        const url = await storage.getSignedUrl(file.storageKey, {
+            expiresIn,
+            filename: file.filename,
+            mimeType: file.mimeType
+        });
+        return { url, expiresAt };
+    }
+
+    const token = jwt.sign({
+        key: file.storageKey,
+        backend: storage.name,
+        filename: file.filename,
+        mimeType: file.mimeType
+    }, storageConfig.signedUrls.secret, { expiresIn, audience: DOWNLOAD_AUDIENCE });
+
+    return { url: `/api/files/${token}`, expiresAt };
+};
+
+/**
+ * Check a download token from createSignedUrl
+ * @param {string} token - Signed token
+ * @returns {Object} { storageKey, storageBackend, filename, mimeType }
+ * @throws {Error} jsonwebtoken errors when the token is invalid or expired
+ */
+const verifySignedToken = (token) => {
+    const payload = jwt.verify(token, storageConfig.signedUrls.secret, { audience: DOWNLOAD_AUDIENCE });
+    return {
+        storageKey: payload.key,
+        storageBackend: payload.backend,
+        filename: payload.filename,
+        mimeType: payload.mimeType
+    };
+};
+
+/**
+ * Copy a stored file to another backend under the same key and check it arrived intact.
+ * The source is left in place.
+ * @param {Object} file - { storageKey, storageBackend, mimeType, checksum }
+ * @param {string} backend - Target backend
+ * @returns {Promise<Object>} Descriptor of the copy: { storageKey, storageBackend, size, checksum }
+ */
+const copyStoredFile = async (file, backend) => {
+    const source = await statStoredFile(file);
+    if (!source) {
+        throw new Error(`Source file is missing: ${file.storageBackend}:${file.storageKey}`);
+    }
+
+    const stream = await getStorage(file.storageBackend).read(file.storageKey);
+    const copy = await storeFile(stream, {
+        key: file.storageKey,
+        contentType: file.mimeType || source.contentType,
+        backend
+    });
+
+    if (copy.size !== source.size || (file.checksum && copy.checksum !== file.checksum)) {
+        await getStorage(backend).remove(copy.storageKey);
+        throw new Error(`Copy of ${file.storageKey} does not match the source`);
+    }
+
+    return copy;
+};
+
+module.exports = {
+    BACKENDS,
+    getStorage,
+    buildKey,
+    storeFile,
+    fromLocalPath,
+    statStoredFile,
+    removeStoredFile,
+    sendStoredFile,
+    createSignedUrl,
+    verifySignedToken,
+    copyStoredFile
+};
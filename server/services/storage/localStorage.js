@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Storage adapter that keeps files on the server's disk
+ * @param {Object} options - { root } directory every key is relative to
+ * @returns {Object} Storage adapter
+ */
+const createLocalStorage = ({ root }) => {
+    const rootDir = path.resolve(root);
+
+    // Keys are relative paths; refuse anything that escapes the root
+    const resolveKey = (key) => {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(rootDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+
+        /**
+         * Path of a stored file on disk (local backend only)
+         * @param {string} key - Storage key
+         * @returns {string}
+         */
+        localPath: (key) => path.join(root, key),
+
+        write: async (key, stream) => {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await pipeline(stream, fs.createWriteStream(filePath));
+        },
+
+        read: async (key, range) => {
+            const filePath = resolveKey(key);
+            return range
+                ? fs.createReadStream(filePath, { start: range.start, end: range.end })
+                : fs.createReadStream(filePath);
+        },
+
+        stat: async (key) => {
+            try {
+                const stats = await fs.promises.stat(resolveKey(key));
+                return stats.isFile() ? { size: stats.size } : null;
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        remove: async (key) => {
+            try {
+                await fs.promises.unlink(resolveKey(key));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        }
+    };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,95 @@
+const {
+    S3Client,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { fileHelpers } = require('../../utils/helpers');
+
+const isNotFound = (error) =>
+    error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+/**
+ * Storage adapter for S3-compatible object storage (AWS S3, MinIO, R2, ...)
+ * @param {Object} options - bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle
+ * @returns {Object} Storage adapter
+ */
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+    if (!bucket) {
+        throw new Error('S3_BUCKET must be set to use the s3 storage backend');
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        // Fall back to the SDK's default credential chain (IAM role, AWS_* variables)
+        credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    return {
+        name: 's3',
+
+        write: async (key, stream, { contentType } = {}) => {
+            // Multipart upload, so the file never has to be buffered or its length known up front
+            await new Upload({
+                client,
+                params: {
+                    Bucket: bucket,
+                    Key: key,
+                    Body: stream,
+                    ContentType: contentType || 'application/octet-stream'
+                }
+            }).done();
+        },
+
+        read: async (key, range) => {
+            const { Body } = await client.send(new GetObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Range: range ? `bytes=${range.start}-${range.end}` : undefined
+            }));
+            return Body;
+        },
+
+        stat: async (key) => {
+            try {
+                const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return { size: head.ContentLength, contentType: head.ContentType };
+            } catch (error) {
+                if (isNotFound(error)) return null;
+                throw error;
+            }
+        },
+
+        remove: async (key) => {
+            // S3 deletes are idempotent, so check first to report whether anything was there
+            const exists = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }))
+                .then(() => true, (error) => {
+                    if (isNotFound(error)) return false;
+                    throw error;
+                });
+            if (!exists) return false;
+
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+            return true;
+        },
+
+        /**
+         * Presigned GET URL served straight from the bucket
+         * @param {string} key - Storage key
+         * @param {Object} options - { expiresIn (seconds), filename, mimeType }
+         * @returns {Promise<string>}
+         */
+        getSignedUrl: (key, { expiresIn, filename, mimeType }) => getSignedUrl(client, new GetObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            ResponseContentDisposition: filename ? fileHelpers.contentDisposition(filename) : undefined,
+            ResponseContentType: mimeType
+        }), { expiresIn })
+    };
+};
+
+module.exports = createS3Storage;
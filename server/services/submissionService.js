@@ -0,0 +1,513 @@
+const archiver = require('archiver');
+const Assignment = require('../models/Assignment');
+const Course = require('../models/Course');
+const StudentProfile = require('../models/StudentProfile');
+const FacultyProfile = require('../models/FacultyProfile');
+const Marks = require('../models/Marks');
+const User = require('../models/User');
+const { getStorage, fromLocalPath } = require('./storage');
+const { recompileForMarks } = require('./resultService');
+const { sendGradeNotification } = require('../utils/emailService');
+
+const serviceError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Where a submitted file is stored; files from before the storage backends only have a disk path
+const storedFileOf = (file) => file.storageKey
+    ? { storageKey: file.storageKey, storageBackend: file.storageBackend }
+    : fromLocalPath(file.filePath);
+
+// Safe for a folder or file name inside the zip
+const safeName = (value) => String(value || '').replace(/[^a-zA-Z0-9._-]+/g, '_').replace(/^_+|_+$/g, '') || 'file';
+
+/**
+ * Status of one submission: 'graded', 'late' or 'submitted'
+ * @param {Object} submission - Assignment submission subdocument
+ * @param {Object} options - { releasedOnly: only count released grades as graded (student view) }
+ * @returns {string}
+ */
+const submissionStatus = (submission, { releasedOnly = false } = {}) => {
+    const isGraded = submission.grade !== undefined && submission.grade !== null &&
+        (!releasedOnly || submission.isGradeReleased);
+    if (isGraded) return 'graded';
+    return submission.isLate ? 'late' : 'submitted';
+};
+
+// Rubric scores with the criterion and level names they refer to
+const describeRubricScores = (submission) => {
+    const rubric = submission.ownerDocument().rubric;
+    return submission.rubricScores.map(entry => {
+        const criterion = rubric.id(entry.criterionId);
+        const level = criterion && criterion.levels.id(entry.levelId);
+        return {
+            criterionId: entry.criterionId,
+            criterion: criterion ? criterion.title : null,
+            levelId: entry.levelId,
+            level: level ? level.label : null,
+            points: entry.points,
+            maxPoints: criterion ? Math.max(...criterion.levels.map(option => option.points)) : null,
+            comment: entry.comment
+        };
+    });
+};
+
+/**
+ * API shape of a submission
+ * @param {Object} submission - Assignment submission subdocument
+ * @param {Object} options - { forStudent: hide grading until it is released }
+ * @returns {Object}
+ */
+const formatSubmission = (submission, { forStudent = false } = {}) => {
+    const showGrade = !forStudent || submission.isGradeReleased;
+
+    return {
+        id: submission._id,
+        submissionNumber: submission.submissionNumber,
+        submissionDate: submission.submissionDate,
+        status: submissionStatus(submission, { releasedOnly: forStudent }),
+        isLate: submission.isLate,
+        daysLate: submission.daysLate,
+        penaltyPercent: submission.penaltyPercent,
+        text: submission.text,
+        comments: submission.comments,
+        files: submission.files.map(file => ({
+            id: file._id,
+            filename: file.filename,
+            fileSize: file.fileSize,
+            mimeType: file.mimeType
+        })),
+        rubricScores: showGrade ? describeRubricScores(submission) : [],
+        score: showGrade ? submission.score : undefined,
+        grade: showGrade ? submission.grade : undefined,
+        feedback: showGrade ? submission.feedback : undefined,
+        gradedAt: showGrade ? submission.gradedAt : undefined,
+        isGradeReleased: submission.isGradeReleased,
+        gradeReleasedAt: submission.gradeReleasedAt
+    };
+};
+
+/**
+ * Whether a student may submit to an assignment: on the course roster or registered for the subject
+ * @param {Object} assignment - Assignment document
+ * @param {string} userId - Student's User id
+ * @returns {Promise<boolean>}
+ */
+const isEnrolled = async (assignment, userId) => {
+    const course = await Course.findById(assignment.courseId).select('code enrolledStudents');
+    if (!course) return false;
+
+    const onRoster = course.enrolledStudents.some(enrollment =>
+        enrollment.student &&
+        enrollment.student.toString() === userId.toString() &&
+        enrollment.status === 'active'
+    );
+    if (onRoster) return true;
+
+    return Boolean(await StudentProfile.exists({ userId, 'selectedCourses.subjectCode': course.code }));
+};
+
+/**
+ * Submit (or resubmit) an assignment
+ * @param {Object} assignment - Assignment document
+ * @param {string} userId - Student's User id
+ * @param {Object} submission - { files (multer files), text, comments }
+ * @returns {Promise<Object>} The new submission, formatted
+ */
+const submitAssignment = async (assignment, userId, { files = [], text, comments }) => {
+    if (!assignment.isActive || !assignment.isPublished) {
+        throw serviceError('Assignment not found', 404);
+    }
+
+    const answer = typeof text === 'string' ? text.trim() : '';
+    if (files.length === 0 && !answer) {
+        throw serviceError('Attach a file or enter your answer as text', 400);
+    }
+
+    if (!(await isEnrolled(assignment, userId))) {
+        throw serviceError('You are not enrolled in the course for this assignment', 403);
+    }
+
+    await assignment.addSubmission(userId, {
+        files: files.map(file => ({
+            filename: file.originalname,
+            storageKey: file.storageKey,
+            storageBackend: file.storageBackend,
+            checksum: file.checksum,
+            fileSize: file.size,
+            mimeType: file.mimetype
+        })),
+        text: answer,
+        comments
+    });
+
+    const submissions = assignment.getStudentSubmissions(userId);
+    return formatSubmission(submissions[submissions.length - 1], { forStudent: true });
+};
+
+/**
+ * Every assignment a student has submitted to, with their attempts and status
+ * @param {string} userId - Student's User id
+ * @param {Object} filters - { courseId, academicYear, semester, status }
+ * @returns {Promise<Array>}
+ */
+const getStudentSubmissions = async (userId, { courseId, academicYear, semester, status } = {}) => {
+    const query = { 'submissions.student': userId, isActive: true };
+    if (courseId) query.courseId = courseId;
+    if (academicYear) query.academicYear = academicYear;
+    if (semester) query.semester = parseInt(semester);
+
+    const assignments = await Assignment.find(query)
+        .populate('courseId', 'title code')
+        .sort({ deadline: -1 });
+
+    const now = new Date();
+    const list = assignments.map(assignment => {
+        const mine = assignment.getStudentSubmissions(userId);
+        const latest = mine[mine.length - 1];
+        const remainingSubmissions = Math.max(assignment.maxSubmissions - mine.length, 0);
+
+        return {
+            assignmentId: assignment._id,
+            title: assignment.title,
+            subject: assignment.subject,
+            course: assignment.courseId,
+            deadline: assignment.deadline,
+            totalPoints: assignment.totalPoints,
+            status: submissionStatus(latest, { releasedOnly: true }),
+            submissionCount: mine.length,
+            remainingSubmissions,
+            canResubmit: remainingSubmissions > 0 && assignment.getLateStatus(now).isAccepted,
+            rubric: assignment.rubric,
+            latestSubmission: formatSubmission(latest, { forStudent: true }),
+            submissions: mine.map(submission => formatSubmission(submission, { forStudent: true }))
+        };
+    });
+
+    return status ? list.filter(entry => entry.status === status) : list;
+};
+
+// Name, email, roll number and StudentProfile id of students by User id
+const getStudentDirectory = async (userIds) => {
+    const [users, profiles] = await Promise.all([
+        User.find({ _id: { $in: userIds } }).select('name email'),
+        StudentProfile.find({ userId: { $in: userIds } }).select('userId rollNumber')
+    ]);
+
+    const directory = new Map(users.map(user => [user._id.toString(), {
+        userId: user._id,
+        name: user.name,
+        email: user.email,
+        rollNumber: null
+    }]));
+    profiles.forEach(profile => {
+        const entry = directory.get(profile.userId.toString());
+        if (entry) {
+            entry.rollNumber = profile.rollNumber;
+            entry.profileId = profile._id;
+        }
+    });
+    return directory;
+};
+
+// Submissions per student, in submission order
+const groupByStudent = (assignment) => {
+    const groups = new Map();
+    assignment.submissions.forEach(submission => {
+        const key = submission.student.toString();
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(submission);
+    });
+    return groups;
+};
+
+/**
+ * Faculty inbox for one assignment: each student's submission(s) plus who has not submitted
+ * @param {Object} assignment - Assignment document
+ * @param {Object} options - { latestOnly (default true), status }
+ * @returns {Promise<Object>}
+ */
+const getSubmissionInbox = async (assignment, { latestOnly = true, status } = {}) => {
+    const groups = groupByStudent(assignment);
+
+    const course = await Course.findById(assignment.courseId).select('title code enrolledStudents');
+    const roster = course
+        ? course.enrolledStudents
+            .filter(enrollment => enrollment.status === 'active' && enrollment.student)
+            .map(enrollment => enrollment.student.toString())
+        : [];
+    const missingIds = roster.filter(id => !groups.has(id));
+
+    const directory = await getStudentDirectory([...groups.keys(), ...missingIds]);
+
+    let students = [...groups.entries()].map(([userId, submissions]) => {
+        const latest = submissions[submissions.length - 1];
+        return {
+            student: directory.get(userId) || { userId, name: null, email: null, rollNumber: null },
+            status: submissionStatus(latest),
+            isGradeReleased: latest.isGradeReleased,
+            submissionCount: submissions.length,
+            submissions: (latestOnly ? [latest] : submissions).map(submission => formatSubmission(submission))
+        };
+    });
+
+    const summary = {
+        enrolled: roster.length,
+        submitted: students.length,
+        late: students.filter(entry => entry.status === 'late').length,
+        graded: students.filter(entry => entry.status === 'graded').length,
+        pendingGrading: students.filter(entry => entry.status !== 'graded').length,
+        released: students.filter(entry => entry.isGradeReleased).length,
+        notSubmitted: missingIds.length
+    };
+
+    if (status) students = students.filter(entry => entry.status === status);
+    students.sort((a, b) => String(a.student.rollNumber || a.student.name)
+        .localeCompare(String(b.student.rollNumber || b.student.name)));
+
+    return {
+        assignment: {
+            id: assignment._id,
+            title: assignment.title,
+            deadline: assignment.deadline,
+            totalPoints: assignment.totalPoints,
+            maxSubmissions: assignment.maxSubmissions,
+            allowLateSubmission: assignment.allowLateSubmission,
+            latePenalty: assignment.latePenalty,
+            latePenaltyMode: assignment.latePenaltyMode,
+            lateSubmissionCutoff: assignment.lateSubmissionCutoff,
+            rubric: assignment.rubric
+        },
+        course: course ? { id: course._id, title: course.title, code: course.code } : null,
+        summary,
+        students,
+        notSubmitted: missingIds.map(id => directory.get(id) || { userId: id })
+    };
+};
+
+const isGraded = (submission) => submission.grade !== undefined && submission.grade !== null;
+
+/**
+ * Release grades to students: each released grade is written to the student's Marks
+ * (examType 'assignment', one row per assignment) and the student is emailed.
+ * Without submissionIds, the latest graded attempt of every student is released
+ * unless it already was.
+ * @param {Object} assignment - Assignment document
+ * @param {string} releasedBy - User id of the faculty/admin releasing
+ * @param {Object} options - { submissionIds }
+ * @returns {Promise<{released: number, marksRecorded: number, notified: number, unrecorded: Array}>}
+ */
+const releaseGrades = async (assignment, releasedBy, { submissionIds } = {}) => {
+    let pending;
+    if (submissionIds && submissionIds.length > 0) {
+        pending = submissionIds.map(id => assignment.submissions.id(id));
+        if (pending.some(submission => !submission)) {
+            throw serviceError('Submission not found', 404);
+        }
+        if (!pending.every(isGraded)) {
+            throw serviceError('Only graded submissions can be released', 400);
+        }
+        // Later attempts are written last, so they win in Marks
+        pending.sort((a, b) => a.submissionNumber - b.submissionNumber);
+    } else {
+        pending = [...groupByStudent(assignment).values()]
+            .map(submissions => submissions.filter(isGraded).pop())
+            .filter(submission => submission && !submission.isGradeReleased);
+    }
+
+    const result = { released: 0, marksRecorded: 0, notified: 0, unrecorded: [] };
+    if (pending.length === 0) return result;
+
+    const course = await Course.findById(assignment.courseId).select('title code credits instructor');
+    if (!course) {
+        throw serviceError('Course not found', 404);
+    }
+
+    // Marks are recorded against the course instructor, or whoever releases them
+    const faculty = await FacultyProfile.findOne({ userId: course.instructor }) ||
+        await FacultyProfile.findOne({ userId: releasedBy });
+    if (!faculty) {
+        throw serviceError('No faculty profile found to record these marks against', 400);
+    }
+
+    const directory = await getStudentDirectory(pending.map(submission => submission.student));
+    const releasedAt = new Date();
+    const released = [];
+
+    for (const submission of pending) {
+        const student = directory.get(submission.student.toString());
+
+        if (student && student.profileId) {
+            const marks = await Marks.findOne({ assignmentId: assignment._id, studentId: student.profileId }) ||
+                new Marks({ assignmentId: assignment._id, studentId: student.profileId, examType: 'assignment' });
+
+            Object.assign(marks, {
+                facultyId: faculty._id,
+                subject: assignment.subject,
+                subjectCode: course.code,
+                totalMarks: submission.grade,
+                maxMarks: assignment.totalPoints,
+                credits: course.credits,
+                semester: assignment.semester,
+                academicYear: assignment.academicYear,
+                examDate: submission.submissionDate,
+                remarks: `Assignment: ${assignment.title}`.slice(0, 200),
+                isPublished: true,
+                publishedAt: releasedAt,
+                recordedBy: releasedBy
+            });
+            await marks.save();
+            await recompileForMarks(marks);
+
+            submission.marksId = marks._id;
+            result.marksRecorded++;
+        } else {
+            result.unrecorded.push({ submissionId: submission._id, student: submission.student, reason: 'Student profile not found' });
+        }
+
+        submission.isGradeReleased = true;
+        submission.gradeReleasedAt = releasedAt;
+        released.push({ submission, student });
+    }
+
+    await assignment.save();
+    result.released = released.length;
+
+    if (process.env.EMAIL_USER) {
+        const notice = {
+            title: assignment.title,
+            totalPoints: assignment.totalPoints,
+            course: { title: course.title, code: course.code }
+        };
+        for (const { submission, student } of released) {
+            if (!student || !student.email) continue;
+            try {
+                await sendGradeNotification(student, notice, submission);
+                result.notified++;
+            } catch (emailError) {
+                console.error('Failed to send grade notification:', emailError);
+            }
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Grade one submission. A grade that was already released is released again,
+ * so the student's Marks stay in step with it.
+ * @param {Object} assignment - Assignment document
+ * @param {string} submissionId - Submission subdocument id
+ * @param {Object} grading - { scores (rubric), score (no rubric), feedback, release }
+ * @param {string} gradedBy - User id of the grader
+ * @returns {Promise<{submission: Object, release: Object|null}>}
+ */
+const gradeSubmission = async (assignment, submissionId, { scores, score, feedback, release = false }, gradedBy) => {
+    const submission = assignment.gradeSubmission(submissionId, { scores, score, feedback }, gradedBy);
+    await assignment.save();
+
+    const released = release || submission.isGradeReleased
+        ? await releaseGrades(assignment, gradedBy, { submissionIds: [submission._id] })
+        : null;
+
+    return { submission: formatSubmission(submission), release: released };
+};
+
+// Add one entry and wait until the archive has taken it, so only one source is open at a time
+const appendEntry = (archive, source, name) => new Promise((resolve, reject) => {
+    const onEntry = () => {
+        archive.off('error', onError);
+        resolve();
+    };
+    const onError = (error) => {
+        archive.off('entry', onEntry);
+        reject(error);
+    };
+    archive.once('entry', onEntry);
+    archive.once('error', onError);
+    archive.append(source, { name });
+});
+
+const csvCell = (value) => `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+
+/**
+ * Stream every submission of an assignment to the response as a zip.
+ * Layout: <roll>_<name>/[attempt-<n>/]<files>, submission.txt for typed answers,
+ * and manifest.csv listing every attempt.
+ * @param {Object} assignment - Assignment document
+ * @param {Object} res - Express response
+ * @param {Object} options - { latestOnly (default true) }
+ * @returns {Promise<{students: number, files: number, missing: number}>}
+ */
+const streamSubmissionsZip = async (assignment, res, { latestOnly = true } = {}) => {
+    const groups = groupByStudent(assignment);
+    const directory = await getStudentDirectory([...groups.keys()]);
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('warning', warning => console.warn('Submission zip warning:', warning));
+    archive.on('error', error => res.destroy(error));
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${safeName(assignment.title)}_submissions.zip"`);
+    archive.pipe(res);
+
+    const manifest = [['Roll Number', 'Name', 'Email', 'Attempt', 'Submitted At', 'Late', 'Days Late', 'Penalty %', 'Files', 'Status']];
+    const totals = { students: groups.size, files: 0, missing: 0 };
+
+    for (const [userId, submissions] of groups) {
+        const student = directory.get(userId) || { name: userId };
+        const folder = safeName(`${student.rollNumber || userId}_${student.name || ''}`);
+
+        for (const submission of latestOnly ? submissions.slice(-1) : submissions) {
+            const prefix = latestOnly ? folder : `${folder}/attempt-${submission.submissionNumber}`;
+
+            if (submission.text) {
+                await appendEntry(archive, submission.text, `${prefix}/submission.txt`);
+            }
+
+            for (const file of submission.files) {
+                const stored = storedFileOf(file);
+                const name = `${prefix}/${safeName(file.filename)}`;
+                const exists = stored && await getStorage(stored.storageBackend).stat(stored.storageKey);
+
+                if (!exists) {
+                    totals.missing++;
+                    await appendEntry(archive, `File "${file.filename}" is no longer available.\n`, `${name}.missing.txt`);
+                    continue;
+                }
+
+                await appendEntry(archive, await getStorage(stored.storageBackend).read(stored.storageKey), name);
+                totals.files++;
+            }
+
+            manifest.push([
+                student.rollNumber, student.name, student.email, submission.submissionNumber,
+                submission.submissionDate.toISOString(), submission.isLate ? 'yes' : 'no',
+                submission.daysLate, submission.penaltyPercent,
+                submission.files.map(file => file.filename).join('; '), submissionStatus(submission)
+            ]);
+        }
+    }
+
+    await appendEntry(archive, manifest.map(row => row.map(csvCell).join(',')).join('\n') + '\n', 'manifest.csv');
+    await archive.finalize();
+
+    return totals;
+};
+
+module.exports = {
+    storedFileOf,
+    submissionStatus,
+    formatSubmission,
+    isEnrolled,
+    getStudentDirectory,
+    groupByStudent,
+    submitAssignment,
+    getStudentSubmissions,
+    getSubmissionInbox,
+    gradeSubmission,
+    releaseGrades,
+    streamSubmissionsZip
+};
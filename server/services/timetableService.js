@@ -0,0 +1,550 @@
+const jwt = require('jsonwebtoken');
+const FacultyProfile = require('../models/FacultyProfile');
+const Period = require('../models/Period');
+const Room = require('../models/Room');
+const Section = require('../models/Section');
+const Timetable = require('../models/Timetable');
+const TimetableEntry = require('../models/TimetableEntry');
+
+// Wall-clock zone of period times; calendar events are written in it
+const TIMEZONE = process.env.TIMETABLE_TIMEZONE || 'Asia/Kolkata';
+
+// Audience of calendar feed tokens, so login tokens cannot be used as feed links
+const CALENDAR_AUDIENCE = 'timetable-calendar';
+
+const calendarSecret = () => process.env.CALENDAR_TOKEN_SECRET || process.env.JWT_SECRET || 'fallback_secret_key_for_development';
+
+const { DAYS } = TimetableEntry;
+
+const serviceError = (message, statusCode, details = {}) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    Object.assign(error, details);
+    return error;
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const lastPeriod = (entry) => entry.period + (entry.span || 1) - 1;
+
+const datesOverlap = (a, b) => a.startsOn <= b.endsOn && b.startsOn <= a.endsOn;
+
+/**
+ * Ways two entries clash when they meet on the same day in overlapping periods
+ * @param {Object} a - TimetableEntry
+ * @param {Object} b - TimetableEntry
+ * @param {Map<string, Object>} sections - Section documents by id
+ * @returns {Array<string>} 'faculty', 'room' and/or 'section'
+ */
+const clashTypes = (a, b, sections) => {
+    if (a.day !== b.day || a.period > lastPeriod(b) || b.period > lastPeriod(a)) return [];
+
+    const types = [];
+    if (idOf(a.facultyId) === idOf(b.facultyId)) types.push('faculty');
+    if (idOf(a.roomId) === idOf(b.roomId)) types.push('room');
+
+    const sectionA = sections.get(idOf(a.sectionId));
+    const sectionB = sections.get(idOf(b.sectionId));
+    if (sectionA && sectionB && sectionA.overlaps(sectionB)) types.push('section');
+    return types;
+};
+
+const describeEntry = (entry) => ({
+    entryId: entry._id,
+    timetableId: idOf(entry.timetableId),
+    day: entry.day,
+    period: entry.period,
+    span: entry.span,
+    subjectCode: entry.subjectCode,
+    subjectName: entry.subjectName,
+    facultyId: idOf(entry.facultyId),
+    roomId: idOf(entry.roomId),
+    sectionId: idOf(entry.sectionId)
+});
+
+const loadSections = async (entries) => {
+    const ids = [...new Set(entries.map(entry => idOf(entry.sectionId)))];
+    const sections = await Section.find({ _id: { $in: ids } });
+    return new Map(sections.map(section => [section._id.toString(), section]));
+};
+
+/**
+ * Clashes between the given entries of a timetable and every other entry
+ * taught on overlapping dates
+ * @param {Array} entries - TimetableEntry documents, saved or not
+ * @param {Object} timetable - Their Timetable, with the dates to check against
+ * @returns {Promise<Array>} [{ types, entry, with }]
+ */
+const findClashesFor = async (entries, timetable) => {
+    if (entries.length === 0) return [];
+
+    const timetableIds = await Timetable.distinct('_id', {
+        startsOn: { $lte: timetable.endsOn },
+        endsOn: { $gte: timetable.startsOn }
+    });
+    const others = await TimetableEntry.find({
+        timetableId: { $in: [...timetableIds, timetable._id] },
+        day: { $in: [...new Set(entries.map(entry => entry.day))] },
+        _id: { $nin: entries.map(entry => entry._id) }
+    });
+    const sections = await loadSections([...entries, ...others]);
+
+    const clashes = [];
+    entries.forEach(entry => {
+        others.forEach(other => {
+            const types = clashTypes(entry, other, sections);
+            if (types.length > 0) {
+                clashes.push({ types, entry: describeEntry(entry), with: describeEntry(other) });
+            }
+        });
+    });
+    return clashes;
+};
+
+/**
+ * Every clash between timetables, e.g. after section membership changed
+ * @param {Object} filters - Optional { academicYear, department, semester }
+ * @returns {Promise<Array>} [{ types, entries: [a, b] }]
+ */
+const findAllClashes = async ({ academicYear, department, semester } = {}) => {
+    const scope = {};
+    if (academicYear) scope.academicYear = academicYear;
+    if (department) scope.department = department;
+    if (semester) scope.semester = parseInt(semester);
+
+    const inScope = await Timetable.find(scope);
+    if (inScope.length === 0) return [];
+
+    // Timetables outside the filter can still clash with ones inside it
+    const timetables = await Timetable.find({
+        $or: inScope.map(timetable => ({
+            startsOn: { $lte: timetable.endsOn },
+            endsOn: { $gte: timetable.startsOn }
+        }))
+    });
+    const byId = new Map(timetables.map(timetable => [timetable._id.toString(), timetable]));
+    const inScopeIds = new Set(inScope.map(timetable => timetable._id.toString()));
+
+    const entries = await TimetableEntry.find({ timetableId: { $in: timetables.map(timetable => timetable._id) } });
+    const sections = await loadSections(entries);
+
+    const clashes = [];
+    DAYS.forEach(day => {
+        const onDay = entries.filter(entry => entry.day === day);
+        onDay.forEach((a, index) => {
+            onDay.slice(index + 1).forEach(b => {
+                const timetableA = idOf(a.timetableId);
+                const timetableB = idOf(b.timetableId);
+                if (!inScopeIds.has(timetableA) && !inScopeIds.has(timetableB)) return;
+                if (!datesOverlap(byId.get(timetableA), byId.get(timetableB))) return;
+
+                const types = clashTypes(a, b, sections);
+                if (types.length > 0) {
+                    clashes.push({ types, entries: [describeEntry(a), describeEntry(b)] });
+                }
+            });
+        });
+    });
+    return clashes;
+};
+
+// One line per clash for error messages
+const summariseClashes = (clashes) => clashes
+    .map(clash => `${clash.types.join('/')} clash with ${clash.with.subjectCode} on ${clash.with.day} period ${clash.with.period}`)
+    .join('; ');
+
+/**
+ * Check an entry's periods, section, room and faculty exist, then that it clashes with nothing
+ * @param {Object} entry - TimetableEntry document (unsaved changes allowed)
+ * @param {Object} timetable - The entry's Timetable
+ * @returns {Promise<Object>} The saved entry
+ * @throws {Error} 400 for bad references, 409 with `clashes` when it clashes
+ */
+const saveEntry = async (entry, timetable) => {
+    const last = lastPeriod(entry);
+    const periods = await Period.countDocuments({ number: { $gte: entry.period, $lte: last } });
+    if (periods !== last - entry.period + 1) {
+        throw serviceError(last === entry.period
+            ? `Period ${entry.period} is not defined`
+            : `Periods ${entry.period}-${last} are not all defined`, 400);
+    }
+
+    const [section, room, faculty] = await Promise.all([
+        Section.findById(entry.sectionId),
+        Room.findById(entry.roomId),
+        FacultyProfile.exists({ _id: entry.facultyId })
+    ]);
+    if (!section) throw serviceError('Section not found', 400);
+    if (!room || !room.isActive) throw serviceError('Room not found or not in use', 400);
+    if (!faculty) throw serviceError('Faculty profile not found', 400);
+    if (section.semester !== timetable.semester || section.academicYear !== timetable.academicYear) {
+        throw serviceError('Section is not in this timetable\'s semester and academic year', 400);
+    }
+
+    const clashes = await findClashesFor([entry], timetable);
+    if (clashes.length > 0) {
+        throw serviceError(`Timetable clash: ${summariseClashes(clashes)}`, 409, { clashes });
+    }
+
+    return entry.save();
+};
+
+/**
+ * Check a timetable's entries still fit after its dates change
+ * @param {Object} timetable - Timetable document with the new dates set
+ * @throws {Error} 409 with `clashes` when the new dates make entries clash
+ */
+const checkTimetableDates = async (timetable) => {
+    const entries = await TimetableEntry.find({ timetableId: timetable._id });
+    const clashes = (await findClashesFor(entries, timetable))
+        .filter(clash => clash.with.timetableId !== timetable._id.toString());
+    if (clashes.length > 0) {
+        throw serviceError(`Timetable clash: ${summariseClashes(clashes)}`, 409, { clashes });
+    }
+};
+
+// Entry as shown in grids and personal timetables
+const formatEntry = (entry) => ({
+    id: entry._id,
+    day: entry.day,
+    period: entry.period,
+    span: entry.span,
+    subjectCode: entry.subjectCode,
+    subjectName: entry.subjectName,
+    classType: entry.classType,
+    faculty: entry.facultyId && {
+        id: entry.facultyId._id,
+        facultyId: entry.facultyId.facultyId,
+        name: entry.facultyId.userId?.name
+    },
+    room: entry.roomId && {
+        id: entry.roomId._id,
+        code: entry.roomId.code,
+        name: entry.roomId.name,
+        building: entry.roomId.building
+    },
+    section: entry.sectionId && {
+        id: entry.sectionId._id,
+        name: entry.sectionId.name,
+        course: entry.sectionId.course
+    }
+});
+
+const findEntries = (query) => TimetableEntry.find(query)
+    .populate({
+        path: 'facultyId',
+        select: 'facultyId userId',
+        populate: { path: 'userId', select: 'name email' }
+    })
+    .populate('roomId', 'code name building')
+    .populate('sectionId', 'name course semester')
+    .sort({ day: 1, period: 1 });
+
+/**
+ * Entries laid out by day and period; an entry spanning periods appears in each of them
+ * @param {Array} entries - Formatted entries
+ * @param {Array} periods - Period documents
+ * @returns {Object} { Monday: { 1: [entry], ... }, ... }
+ */
+const buildGrid = (entries, periods) => {
+    const grid = {};
+    DAYS.forEach(day => {
+        grid[day] = {};
+        periods.forEach(period => { grid[day][period.number] = []; });
+    });
+
+    entries.forEach(entry => {
+        for (let number = entry.period; number <= lastPeriod(entry); number += 1) {
+            if (grid[entry.day][number]) grid[entry.day][number].push(entry);
+        }
+    });
+    return grid;
+};
+
+/**
+ * Weekly grid of one timetable
+ * @param {Object} timetable - Timetable document
+ * @returns {Promise<Object>} { timetable, periods, days, grid, entries }
+ */
+const getTimetableGrid = async (timetable) => {
+    const [periods, entries] = await Promise.all([
+        Period.find().sort({ number: 1 }),
+        findEntries({ timetableId: timetable._id })
+    ]);
+    const formatted = entries.map(formatEntry);
+
+    return {
+        timetable,
+        periods,
+        days: DAYS,
+        grid: buildGrid(formatted, periods),
+        entries: formatted
+    };
+};
+
+// Published timetables a personal timetable is drawn from: the given year, or those not yet over
+const personalTimetables = ({ academicYear } = {}) => {
+    const query = { isPublished: true };
+    if (academicYear) {
+        query.academicYear = academicYear;
+    } else {
+        query.endsOn = { $gte: new Date(new Date().setUTCHours(0, 0, 0, 0)) };
+    }
+    return Timetable.find(query);
+};
+
+const personalTimetable = async (timetables, entryQuery) => {
+    const [periods, entries] = await Promise.all([
+        Period.find().sort({ number: 1 }),
+        findEntries({ ...entryQuery, timetableId: { $in: timetables.map(timetable => timetable._id) } })
+    ]);
+    const byId = new Map(timetables.map(timetable => [timetable._id.toString(), timetable]));
+    const formatted = entries.map(entry => {
+        const timetable = byId.get(entry.timetableId.toString());
+        return {
+            ...formatEntry(entry),
+            timetableId: timetable._id,
+            startsOn: timetable.startsOn,
+            endsOn: timetable.endsOn
+        };
+    });
+
+    return {
+        periods,
+        days: DAYS,
+        grid: buildGrid(formatted, periods),
+        entries: formatted
+    };
+};
+
+/**
+ * Sections a student belongs to: named lists they are on, and whole-cohort sections of their course and semester
+ * @param {Object} studentProfile - StudentProfile document
+ * @returns {Promise<Array>} Section documents
+ */
+const getStudentSections = (studentProfile) => Section.find({
+    $or: [
+        { students: studentProfile._id },
+        { course: studentProfile.course, semester: studentProfile.semester, students: { $size: 0 } }
+    ]
+});
+
+/**
+ * A student's weekly classes from published timetables
+ * @param {Object} studentProfile - StudentProfile document
+ * @param {Object} filters - Optional { academicYear }
+ * @returns {Promise<Object>} { periods, days, grid, entries }
+ */
+const getStudentTimetable = async (studentProfile, filters = {}) => {
+    const [timetables, sections] = await Promise.all([
+        personalTimetables(filters),
+        getStudentSections(studentProfile)
+    ]);
+    return personalTimetable(timetables, { sectionId: { $in: sections.map(section => section._id) } });
+};
+
+/**
+ * A faculty member's weekly classes from published timetables
+ * @param {Object} facultyProfile - FacultyProfile document
+ * @param {Object} filters - Optional { academicYear }
+ * @returns {Promise<Object>} { periods, days, grid, entries }
+ */
+const getFacultyTimetable = async (facultyProfile, filters = {}) => {
+    const timetables = await personalTimetables(filters);
+    return personalTimetable(timetables, { facultyId: facultyProfile._id });
+};
+
+/**
+ * Token for a calendar feed URL; calendar apps cannot send a login token.
+ * It does not expire, so it carries the profile's calendarTokenVersion and stops
+ * working once the owner resets their link.
+ * @param {Object} owner - { type: 'student' | 'faculty', profile }
+ * @returns {string}
+ */
+const createCalendarToken = ({ type, profile }) => jwt.sign(
+    { type, profileId: profile._id.toString(), version: profile.calendarTokenVersion || 0 },
+    calendarSecret(),
+    { audience: CALENDAR_AUDIENCE }
+);
+
+/**
+ * Check the signature of a calendar feed token from createCalendarToken.
+ * The caller compares `version` with the profile's calendarTokenVersion.
+ * @param {string} token - Signed token
+ * @returns {Object} { type, profileId, version }
+ * @throws {Error} jsonwebtoken errors when the token is invalid
+ */
+const verifyCalendarToken = (token) => {
+    const { type, profileId, version } = jwt.verify(token, calendarSecret(), { audience: CALENDAR_AUDIENCE });
+    return { type, profileId, version: version || 0 };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const icsDate = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+
+const icsUtc = (date) => `${icsDate(date)}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+const icsText = (value) => String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// UTC offset of a time zone at an instant, in minutes
+const zoneOffset = (formatter, minutes) => {
+    const { value } = formatter.formatToParts(new Date(minutes * MINUTE_MS))
+        .find(part => part.type === 'timeZoneName');
+    const match = /([+-])(\d{2}):(\d{2})/.exec(value); // "GMT+05:30", or "GMT" at UTC
+    return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+};
+
+const icsOffset = (minutes) => `${minutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+
+// Local date-time of an instant in a given offset, as an iCalendar floating time
+const icsLocal = (minutes, offset) => icsUtc(new Date((minutes + offset) * MINUTE_MS)).slice(0, -1);
+
+/**
+ * VTIMEZONE for the zone the events are written in, which RFC 5545 requires for every TZID.
+ * Its observances are the zone's offset changes between two dates, read from the runtime's
+ * time zone data, so zones with daylight saving time are described too.
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} from - First day covered
+ * @param {Date} to - Last day covered
+ * @returns {Array<string>} Calendar lines
+ */
+const buildTimezone = (timeZone, from, to) => {
+    const formatter = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' });
+    const start = Math.floor(from.getTime() / MINUTE_MS / DAY_MINUTES) * DAY_MINUTES - DAY_MINUTES;
+    const end = Math.ceil(to.getTime() / MINUTE_MS / DAY_MINUTES) * DAY_MINUTES + DAY_MINUTES;
+
+    const observances = [{ at: start, from: zoneOffset(formatter, start), to: zoneOffset(formatter, start) }];
+    for (let day = start; day < end; day += DAY_MINUTES) {
+        const before = zoneOffset(formatter, day);
+        if (zoneOffset(formatter, day + DAY_MINUTES) === before) continue;
+
+        // Narrow the change down to the minute it happens
+        let low = day;
+        let high = day + DAY_MINUTES;
+        while (high - low > 1) {
+            const middle = Math.floor((low + high) / 2);
+            if (zoneOffset(formatter, middle) === before) low = middle;
+            else high = middle;
+        }
+        observances.push({ at: high, from: before, to: zoneOffset(formatter, high) });
+    }
+
+    const standardOffset = Math.min(...observances.map(observance => observance.to));
+    return [
+        'BEGIN:VTIMEZONE',
+        `TZID:${timeZone}`,
+        ...observances.flatMap(observance => {
+            const type = observance.to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+            return [
+                `BEGIN:${type}`,
+                `DTSTART:${icsLocal(observance.at, observance.from)}`,
+                `TZOFFSETFROM:${icsOffset(observance.from)}`,
+                `TZOFFSETTO:${icsOffset(observance.to)}`,
+                `END:${type}`
+            ];
+        }),
+        'END:VTIMEZONE'
+    ];
+};
+
+// First date on or after `from` that falls on `day`
+const firstOccurrence = (from, day) => {
+    const date = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+    const target = DAYS.indexOf(day) + 1; // getUTCDay: Sunday is 0
+    date.setUTCDate(date.getUTCDate() + ((target - date.getUTCDay() + 7) % 7));
+    return date;
+};
+
+/**
+ * Weekly recurring events for a personal timetable, as an iCalendar feed
+ * @param {Object} timetable - From getStudentTimetable or getFacultyTimetable
+ * @param {Object} options - { name } shown by calendar apps
+ * @returns {string} text/calendar body
+ */
+const buildCalendar = ({ entries, periods }, { name }) => {
+    const periodByNumber = new Map(periods.map(period => [period.number, period]));
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Academic Portal//Timetable//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(name)}`,
+        `X-WR-TIMEZONE:${TIMEZONE}`
+    ];
+
+    const dates = entries.flatMap(entry => [new Date(entry.startsOn), new Date(entry.endsOn)]);
+    lines.push(...buildTimezone(
+        TIMEZONE,
+        dates.length > 0 ? new Date(Math.min(...dates)) : new Date(),
+        dates.length > 0 ? new Date(Math.max(...dates)) : new Date()
+    ));
+
+    entries.forEach(entry => {
+        const first = periodByNumber.get(entry.period);
+        const last = periodByNumber.get(lastPeriod(entry));
+        if (!first || !last) return;
+
+        const day = icsDate(firstOccurrence(new Date(entry.startsOn), entry.day));
+        const until = new Date(entry.endsOn);
+        until.setUTCHours(23, 59, 59, 0);
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${entry.id}@academic-portal`,
+            `DTSTAMP:${icsUtc(new Date())}`,
+            `DTSTART;TZID=${TIMEZONE}:${day}T${first.startTime.replace(':', '')}00`,
+            `DTEND;TZID=${TIMEZONE}:${day}T${last.endTime.replace(':', '')}00`,
+            `RRULE:FREQ=WEEKLY;UNTIL=${icsUtc(until)}`,
+            `SUMMARY:${icsText(`${entry.subjectCode} ${entry.subjectName} (${entry.classType})`)}`,
+            `LOCATION:${icsText([entry.room?.code, entry.room?.building].filter(Boolean).join(', '))}`,
+            `DESCRIPTION:${icsText([
+                entry.faculty?.name && `Faculty: ${entry.faculty.name}`,
+                entry.section?.name && `Section: ${entry.section.name}`
+            ].filter(Boolean).join('\n'))}`,
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+    DAYS,
+    clashTypes,
+    findClashesFor,
+    findAllClashes,
+    saveEntry,
+    checkTimetableDates,
+    getTimetableGrid,
+    getStudentSections,
+    getStudentTimetable,
+    getFacultyTimetable,
+    createCalendarToken,
+    verifyCalendarToken,
+    buildCalendar
+};
@@ -0,0 +1,165 @@
+const path = require('path');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Transcript = require('../models/Transcript');
+const { calculateStudentResults } = require('./resultService');
+
+const LOGO_PATH = path.join(__dirname, '../../client/images/CUK_New_Logo.png');
+const UNIVERSITY_NAME = 'Central University of Kashmir';
+
+// e.g. CUK-3F9A-C21B-77D0
+const generateVerificationCode = () => {
+    const hex = crypto.randomBytes(6).toString('hex').toUpperCase();
+    return `CUK-${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}`;
+};
+
+const getVerificationUrl = (code) => {
+    const baseUrl = process.env.BACKEND_URL || process.env.FRONTEND_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${baseUrl}/api/verify/transcript/${code}`;
+};
+
+/**
+ * Issue a grade card (one semester) or a consolidated transcript (all semesters)
+ * @param {Object} studentProfile - StudentProfile document populated with userId
+ * @param {Object} options - { semester, issuedBy }
+ * @returns {Promise<{transcript: Object, results: Object, semesters: Array}>}
+ */
+const issueTranscript = async (studentProfile, { semester, issuedBy }) => {
+    const results = await calculateStudentResults(studentProfile);
+    const semesters = semester
+        ? results.semesters.filter(result => result.semester === parseInt(semester))
+        : results.semesters;
+
+    if (semesters.length === 0) {
+        const error = new Error(semester
+            ? `No published results for semester ${semester}`
+            : 'No published results available');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const transcript = await Transcript.create({
+        verificationCode: generateVerificationCode(),
+        studentId: studentProfile._id,
+        documentType: semester ? 'grade-card' : 'transcript',
+        semester: semester ? parseInt(semester) : undefined,
+        snapshot: {
+            name: studentProfile.userId?.name,
+            rollNumber: studentProfile.rollNumber,
+            course: studentProfile.course,
+            department: studentProfile.department,
+            enrollmentYear: studentProfile.enrollmentYear,
+            sgpa: semester ? semesters[0].sgpa : undefined,
+            cgpa: results.cgpa,
+            creditsEarned: semester ? semesters[0].creditsEarned : results.creditsEarned,
+            subjects: semesters.reduce((sum, result) => sum + result.subjects.length, 0)
+        },
+        issuedBy
+    });
+
+    return { transcript, results, semesters };
+};
+
+// Draw one row of the subject table at the current y position
+const drawRow = (doc, columns, values, options = {}) => {
+    const y = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    columns.forEach((column, index) => {
+        doc.text(String(values[index] ?? ''), column.x, y, { width: column.width, align: column.align || 'left' });
+    });
+    doc.moveDown(0.4);
+};
+
+/**
+ * Render an issued transcript as a PDF and pipe it into a writable stream
+ * @param {Object} issued - Result of issueTranscript
+ * @param {Object} output - Writable stream, usually the Express response
+ */
+const renderTranscriptPdf = ({ transcript, results, semesters }, output) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    doc.pipe(output);
+
+    const { snapshot } = transcript;
+    const title = transcript.documentType === 'grade-card'
+        ? `Semester ${transcript.semester} Grade Card`
+        : 'Consolidated Transcript';
+
+    // Header
+    try {
+        doc.image(LOGO_PATH, 50, 40, { width: 90 });
+    } catch (error) {
+        console.error('Transcript logo error:', error.message);
+    }
+    doc.font('Helvetica-Bold').fontSize(16).text(UNIVERSITY_NAME, 150, 50, { align: 'right' });
+    doc.font('Helvetica').fontSize(12).text(title, 150, 72, { align: 'right' });
+    doc.moveTo(50, 105).lineTo(545, 105).stroke();
+
+    // Student details
+    doc.y = 120;
+    const details = [
+        ['Name', snapshot.name || '-'],
+        ['Roll Number', snapshot.rollNumber],
+        ['Course', snapshot.course],
+        ['Department', snapshot.department],
+        ['Enrollment Year', snapshot.enrollmentYear]
+    ];
+    details.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.font('Helvetica-Bold').fontSize(10).text(`${label}:`, 50, y, { width: 110 });
+        doc.font('Helvetica').text(String(value ?? '-'), 160, y);
+        doc.moveDown(0.3);
+    });
+
+    const columns = [
+        { x: 50, width: 80 },
+        { x: 130, width: 220 },
+        { x: 350, width: 55, align: 'right' },
+        { x: 405, width: 55, align: 'right' },
+        { x: 460, width: 85, align: 'right' }
+    ];
+
+    semesters.forEach(semester => {
+        if (doc.y > 680) doc.addPage();
+
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(11)
+            .text(`Semester ${semester.semester} (${semester.academicYear})`, 50, doc.y);
+        doc.moveDown(0.4);
+
+        drawRow(doc, columns, ['Code', 'Subject', 'Credits', 'Grade', 'Grade Points'], { bold: true });
+        semester.subjects.forEach(subject => {
+            if (doc.y > 760) doc.addPage();
+            drawRow(doc, columns, [subject.subjectCode, subject.subject, subject.credits, subject.grade, subject.gradePoints]);
+        });
+
+        doc.font('Helvetica-Bold').fontSize(10)
+            .text(`Credits Earned: ${semester.creditsEarned}/${semester.credits}    SGPA: ${semester.sgpa.toFixed(2)}`, 50, doc.y, { align: 'right' });
+    });
+
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Bold').fontSize(12)
+        .text(`CGPA: ${results.cgpa.toFixed(2)}    Total Credits Earned: ${results.creditsEarned}`, 50, doc.y, { align: 'right' });
+
+    // Verification footer
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8).fillColor('#555555')
+        .text(`Issued on ${transcript.issuedAt.toDateString()}. Verification code: ${transcript.verificationCode}`, 50, doc.y)
+        .text(`Verify this document at ${getVerificationUrl(transcript.verificationCode)}`);
+
+    doc.end();
+};
+
+/**
+ * Look up an issued document by its verification code
+ * @param {string} code - Verification code printed on the document
+ * @returns {Promise<Object|null>}
+ */
+const verifyTranscript = async (code) => {
+    return Transcript.findOne({ verificationCode: String(code).toUpperCase() });
+};
+
+module.exports = {
+    issueTranscript,
+    renderTranscriptPdf,
+    verifyTranscript
+};
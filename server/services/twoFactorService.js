@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const TwoFactorPolicy = require('../models/TwoFactorPolicy');
+const { generateSecret, verifyCode, buildProvisioningUri } = require('../utils/totp');
+
+const { TWO_FACTOR_ROLES } = TwoFactorPolicy;
+
+// Name authenticator apps show next to the account
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'CUK Academic Portal';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// How long after the password step the code can be entered
+const CHALLENGE_EXPIRES_IN = '5m';
+const CHALLENGE_AUDIENCE = 'two-factor-login';
+
+// Select these to read or change a user's second factor
+const SECRET_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+const serviceError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const jwtSecret = () => process.env.JWT_SECRET || 'fallback_secret_key_for_development';
+
+// TOTP secrets must be readable to check codes, so they are encrypted rather than hashed
+const encryptionKey = () => crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || jwtSecret())
+    .digest();
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes are compared without case or separators
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .digest('hex');
+
+const supportsTwoFactor = (user) => TWO_FACTOR_ROLES.includes(user.role);
+
+/**
+ * Load a user with their second-factor secrets
+ * @param {string} userId - User id
+ * @returns {Promise<Object|null>} User document
+ */
+const findUserWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+/**
+ * Replace a user's recovery codes; the caller saves the user
+ * @param {Object} user - User document selected with SECRET_FIELDS
+ * @returns {Array<string>} The new codes, shown to the user once
+ */
+const generateRecoveryCodes = (user) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    user.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+    return codes;
+};
+
+/**
+ * Start enrolment: a new secret waits until a code from it is confirmed.
+ * The caller saves the user.
+ * @param {Object} user - User document selected with SECRET_FIELDS
+ * @returns {Object} { secret, otpauthUrl } for the authenticator app
+ * @throws {Error} 403 for roles without 2FA, 409 when already enabled
+ */
+const startEnrolment = (user) => {
+    if (!supportsTwoFactor(user)) {
+        throw serviceError('Two-factor authentication is available for admin and faculty accounts', 403);
+    }
+    if (user.twoFactorEnabled) {
+        throw serviceError('Two-factor authentication is already enabled', 409);
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = encryptSecret(secret);
+    return {
+        secret,
+        otpauthUrl: buildProvisioningUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER })
+    };
+};
+
+// Accept a code once: codes from the last accepted time step or earlier are refused
+const acceptCode = (user, encryptedSecret, code) => {
+    const step = verifyCode(decryptSecret(encryptedSecret), code);
+    if (step === null) return false;
+    if (user.twoFactorLastUsedStep != null && step <= user.twoFactorLastUsedStep) return false;
+
+    user.twoFactorLastUsedStep = step;
+    return true;
+};
+
+/**
+ * Finish enrolment with a code from the new secret; the caller saves the user
+ * @param {Object} user - User document selected with SECRET_FIELDS
+ * @param {string} code - Code from the authenticator app
+ * @returns {Array<string>} Recovery codes
+ * @throws {Error} 400 when enrolment was not started or the code is wrong
+ */
+const confirmEnrolment = (user, code) => {
+    if (user.twoFactorEnabled) {
+        throw serviceError('Two-factor authentication is already enabled', 409);
+    }
+    if (!user.twoFactorPendingSecret) {
+        throw serviceError('Start two-factor setup first', 400);
+    }
+    if (!acceptCode(user, user.twoFactorPendingSecret, code)) {
+        throw serviceError('Invalid authentication code', 400);
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    return generateRecoveryCodes(user);
+};
+
+/**
+ * Check a second factor: an authenticator code, or a recovery code which is then used up.
+ * The caller saves the user.
+ * @param {Object} user - User document selected with SECRET_FIELDS
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {boolean}
+ */
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+    if (!user.twoFactorEnabled || !user.twoFactorSecret) return false;
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const remaining = user.twoFactorRecoveryCodes || [];
+        if (!remaining.includes(hash)) return false;
+        user.twoFactorRecoveryCodes = remaining.filter(stored => stored !== hash);
+        return true;
+    }
+
+    return acceptCode(user, user.twoFactorSecret, code);
+};
+
+/**
+ * Remove a user's second factor; the caller saves the user
+ * @param {Object} user - User document
+ */
+const clearTwoFactor = (user) => {
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = undefined;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+};
+
+/**
+ * Whether the user's role requires a second factor
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorRequired = (user) => TwoFactorPolicy.isRequiredFor(user.role);
+
+// Proof that the password step passed; it is not a login token
+const createChallenge = (user, purpose) => {
+    const twoFactorToken = jwt.sign(
+        {
+            userId: user._id,
+            tokenType: 'two-factor',
+            purpose,
+            tokenVersion: user.tokenVersion || 0
+        },
+        jwtSecret(),
+        {
+            expiresIn: CHALLENGE_EXPIRES_IN,
+            issuer: 'academic-portal',
+            audience: CHALLENGE_AUDIENCE
+        }
+    );
+    return { twoFactorToken, expiresAt: new Date(jwt.decode(twoFactorToken).exp * 1000) };
+};
+
+/**
+ * Second step of login, called once the password is correct.
+ * Users with 2FA enabled get a challenge for their code. Users whose role requires 2FA
+ * but who have not enrolled get a new secret to enrol with, confirmed by their first code.
+ * @param {Object} user - User document
+ * @returns {Promise<Object|null>} Challenge for the client, or null when no second factor is needed
+ */
+const beginTwoFactorLogin = async (user) => {
+    if (!supportsTwoFactor(user)) return null;
+
+    if (user.twoFactorEnabled) {
+        return { requiresTwoFactor: true, setupRequired: false, ...createChallenge(user, 'verify') };
+    }
+
+    if (!await isTwoFactorRequired(user)) return null;
+
+    const withSecrets = await findUserWithSecrets(user._id);
+    const enrolment = startEnrolment(withSecrets);
+    await withSecrets.save();
+
+    return { requiresTwoFactor: true, setupRequired: true, ...enrolment, ...createChallenge(user, 'enrol') };
+};
+
+/**
+ * Finish a login challenge with the second factor
+ * @param {string} twoFactorToken - Token from beginTwoFactorLogin
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @param {Object} options - { role } to accept only challenges for that role
+ * @returns {Promise<Object>} { user, recoveryCodes } - recoveryCodes only when this login enrolled the user
+ * @throws {Error} 401 when the challenge or the code is not valid
+ */
+const completeTwoFactorLogin = async (twoFactorToken, { code, recoveryCode }, { role } = {}) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(twoFactorToken, jwtSecret(), {
+            issuer: 'academic-portal',
+            audience: CHALLENGE_AUDIENCE
+        });
+    } catch (error) {
+        throw serviceError('Two-factor sign-in has expired. Please log in again.', 401);
+    }
+    if (decoded.tokenType !== 'two-factor') {
+        throw serviceError('Two-factor sign-in has expired. Please log in again.', 401);
+    }
+
+    const user = await findUserWithSecrets(decoded.userId);
+    if (!user || !user.isActive || user.status !== 'approved' ||
+        (decoded.tokenVersion || 0) !== (user.tokenVersion || 0) || (role && user.role !== role)) {
+        throw serviceError('Two-factor sign-in has expired. Please log in again.', 401);
+    }
+
+    let recoveryCodes;
+    if (decoded.purpose === 'enrol' && !user.twoFactorEnabled) {
+        try {
+            recoveryCodes = confirmEnrolment(user, code);
+        } catch (error) {
+            throw serviceError(error.message, 401);
+        }
+    } else if (!verifySecondFactor(user, { code, recoveryCode })) {
+        throw serviceError('Invalid authentication code', 401);
+    }
+
+    await user.save();
+    return { user, recoveryCodes };
+};
+
+/**
+ * Per-role enforcement with how many accounts of each role have enrolled
+ * @returns {Promise<Array>} [{ role, required, enrolled, total, updatedAt }]
+ */
+const getTwoFactorPolicies = async () => {
+    const policies = await TwoFactorPolicy.find({ role: { $in: TWO_FACTOR_ROLES } });
+
+    return Promise.all(TWO_FACTOR_ROLES.map(async (role) => {
+        const policy = policies.find(candidate => candidate.role === role);
+        const [enrolled, total] = await Promise.all([
+            User.countDocuments({ role, twoFactorEnabled: true }),
+            User.countDocuments({ role })
+        ]);
+        return {
+            role,
+            required: Boolean(policy && policy.required),
+            enrolled,
+            total,
+            updatedAt: policy ? policy.updatedAt : null
+        };
+    }));
+};
+
+/**
+ * Turn enforcement on or off for a role. Unenrolled users of an enforced role
+ * enrol at their next login.
+ * @param {string} role - admin or faculty
+ * @param {boolean} required - Whether 2FA is required
+ * @param {string} adminId - Admin making the change
+ * @returns {Promise<Object>} Policy document
+ */
+const setTwoFactorPolicy = (role, required, adminId) => TwoFactorPolicy.findOneAndUpdate(
+    { role },
+    { required, updatedBy: adminId, updatedAt: new Date() },
+    { new: true, upsert: true, runValidators: true }
+);
+
+module.exports = {
+    TWO_FACTOR_ROLES,
+    supportsTwoFactor,
+    findUserWithSecrets,
+    generateRecoveryCodes,
+    startEnrolment,
+    confirmEnrolment,
+    verifySecondFactor,
+    clearTwoFactor,
+    isTwoFactorRequired,
+    beginTwoFactorLogin,
+    completeTwoFactorLogin,
+    getTwoFactorPolicies,
+    setTwoFactorPolicy
+};
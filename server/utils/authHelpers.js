@@ -3,6 +3,10 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 
+// Same development fallback as the auth middleware
+const accessSecret = () => process.env.JWT_SECRET || 'fallback_secret_key_for_development';
+const refreshSecret = () => process.env.JWT_REFRESH_SECRET || accessSecret();
+
 /**
  * Token Management Utilities
  */
@@ -10,18 +14,21 @@ const tokenHelpers = {
     /**
      * Generate access and refresh tokens
      * @param {Object} user - User object
+     * @param {Object} session - { sessionId, jti }: the Session both tokens belong to and the refresh token's ID
      * @returns {Object} Object containing access and refresh tokens
      */
-    generateTokenPair: (user) => {
+    generateTokenPair: (user, { sessionId, jti } = {}) => {
         const payload = {
             userId: user._id,
             email: user.email,
             role: user.role,
-            userType: user.userType || user.role
+            userType: user.userType || user.role,
+            tokenVersion: user.tokenVersion || 0,
+            sid: sessionId
         };
 
         // Access token (short-lived)
-        const accessToken = jwt.sign(payload, process.env.JWT_SECRET, {
+        const accessToken = jwt.sign(payload, accessSecret(), {
             expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
             issuer: 'academic-portal',
             audience: 'academic-portal-users'
@@ -32,13 +39,15 @@ const tokenHelpers = {
             { 
                 userId: user._id, 
                 tokenType: 'refresh',
-                tokenVersion: user.tokenVersion || 1
+                tokenVersion: user.tokenVersion || 0,
+                sid: sessionId
             }, 
-            process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET, 
+            refreshSecret(), 
             { 
                 expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
                 issuer: 'academic-portal',
-                audience: 'academic-portal-users'
+                audience: 'academic-portal-users',
+                ...(jti && { jwtid: jti })
             }
         );
 
@@ -52,9 +61,7 @@ const tokenHelpers = {
      * @returns {Object} Decoded token payload
      */
     verifyToken: (token, type = 'access') => {
-        const secret = type === 'refresh' 
-            ? (process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET)
-            : process.env.JWT_SECRET;
+        const secret = type === 'refresh' ? refreshSecret() : accessSecret();
 
         return jwt.verify(token, secret, {
             issuer: 'academic-portal',
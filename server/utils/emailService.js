@@ -13,7 +13,7 @@ let transporter;
  */
 const initializeEmailService = () => {
     try {
-        transporter = nodemailer.createTransporter({
+        transporter = nodemailer.createTransport({
             host: process.env.EMAIL_HOST,
             port: process.env.EMAIL_PORT || 587,
             secure: false, // true for 465, false for other ports
@@ -32,6 +32,10 @@ const initializeEmailService = () => {
     }
 };
 
+// Names for greetings; users have a single name, older callers pass firstName/lastName
+const fullName = (person) => person.name || [person.firstName, person.lastName].filter(Boolean).join(' ');
+const firstName = (person) => person.firstName || String(fullName(person)).split(' ')[0];
+
 /**
  * Send a generic email
  * @param {Object} options - Email options
@@ -44,6 +48,9 @@ const initializeEmailService = () => {
  */
 const sendEmail = async (options) => {
     try {
+        if (!transporter) {
+            initializeEmailService();
+        }
         if (!transporter) {
             throw new Error('Email service not initialized');
         }
@@ -72,15 +79,15 @@ const sendEmail = async (options) => {
  * @param {Object} user - User object
  */
 const sendWelcomeEmail = async (user) => {
-    const subject = `Welcome to Academic Portal, ${user.firstName}!`;
+    const subject = `Welcome to Academic Portal, ${firstName(user)}!`;
     
     const text = `
-        Dear ${user.firstName} ${user.lastName},
+        Dear ${fullName(user)},
         
         Welcome to the Academic Portal! Your account has been successfully created.
         
         Account Details:
-        - Name: ${user.firstName} ${user.lastName}
+        - Name: ${fullName(user)}
         - Email: ${user.email}
         - Role: ${user.role}
         
@@ -98,14 +105,14 @@ const sendWelcomeEmail = async (user) => {
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
             <h2 style="color: #2563eb;">Welcome to Academic Portal!</h2>
             
-            <p>Dear <strong>${user.firstName} ${user.lastName}</strong>,</p>
+            <p>Dear <strong>${fullName(user)}</strong>,</p>
             
             <p>Welcome to the Academic Portal! Your account has been successfully created.</p>
             
             <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
                 <h3 style="color: #374151; margin-top: 0;">Account Details:</h3>
                 <ul style="color: #6b7280;">
-                    <li><strong>Name:</strong> ${user.firstName} ${user.lastName}</li>
+                    <li><strong>Name:</strong> ${fullName(user)}</li>
                     <li><strong>Email:</strong> ${user.email}</li>
                     <li><strong>Role:</strong> ${user.role}</li>
                 </ul>
@@ -147,17 +154,17 @@ const sendRegistrationConfirmationEmail = async (user) => {
     const subject = 'Registration Submitted - Pending Approval';
     
     const text = `
-        Hello ${user.firstName},
+        Hello ${firstName(user)},
         
         Thank you for registering with the Academic Portal!
         
         Your registration has been successfully submitted and is now pending approval by an administrator.
         
         Registration Details:
-        - Name: ${user.firstName} ${user.lastName}
+        - Name: ${fullName(user)}
         - Email: ${user.email}
         - Role: ${user.role}
-        - Registration Date: ${new Date(user.registrationDate).toLocaleDateString()}
+        - Registration Date: ${new Date(user.createdAt || user.registrationDate).toLocaleDateString()}
         
         What happens next:
         1. An administrator will review your registration
@@ -176,7 +183,7 @@ const sendRegistrationConfirmationEmail = async (user) => {
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
             <h2 style="color: #333;">Registration Submitted Successfully!</h2>
             
-            <p>Hello <strong>${user.firstName}</strong>,</p>
+            <p>Hello <strong>${firstName(user)}</strong>,</p>
             
             <p>Thank you for registering with the Academic Portal!</p>
             
@@ -188,10 +195,10 @@ const sendRegistrationConfirmationEmail = async (user) => {
             <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
                 <h3 style="margin-top: 0;">Registration Details:</h3>
                 <ul>
-                    <li><strong>Name:</strong> ${user.firstName} ${user.lastName}</li>
+                    <li><strong>Name:</strong> ${fullName(user)}</li>
                     <li><strong>Email:</strong> ${user.email}</li>
                     <li><strong>Role:</strong> ${user.role}</li>
-                    <li><strong>Registration Date:</strong> ${new Date(user.registrationDate).toLocaleDateString()}</li>
+                    <li><strong>Registration Date:</strong> ${new Date(user.createdAt || user.registrationDate).toLocaleDateString()}</li>
                 </ul>
             </div>
             
@@ -231,8 +238,8 @@ const notifyAdminsNewRegistration = async (user) => {
         const admins = await User.find({ 
             role: 'admin', 
             isActive: true,
-            registrationStatus: 'approved'
-        }).select('email firstName');
+            status: 'approved'
+        }).select('email name');
 
         if (admins.length === 0) {
             console.warn('No active admins found to notify about new registration');
@@ -243,15 +250,15 @@ const notifyAdminsNewRegistration = async (user) => {
         
         for (const admin of admins) {
             const text = `
-                Hello ${admin.firstName},
+                Hello ${firstName(admin)},
                 
                 A new ${user.role} registration is pending your approval.
                 
                 Registration Details:
-                - Name: ${user.firstName} ${user.lastName}
+                - Name: ${fullName(user)}
                 - Email: ${user.email}
                 - Role: ${user.role}
-                - Registration Date: ${new Date(user.registrationDate).toLocaleDateString()}
+                - Registration Date: ${new Date(user.createdAt || user.registrationDate).toLocaleDateString()}
                 ${user.rollNumber ? `- Roll Number: ${user.rollNumber}` : ''}
                 ${user.facultyId ? `- Faculty ID: ${user.facultyId}` : ''}
                 ${user.adminId ? `- Admin ID: ${user.adminId}` : ''}
@@ -268,17 +275,17 @@ const notifyAdminsNewRegistration = async (user) => {
                 <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
                     <h2 style="color: #333;">New Registration Pending Approval</h2>
                     
-                    <p>Hello <strong>${admin.firstName}</strong>,</p>
+                    <p>Hello <strong>${firstName(admin)}</strong>,</p>
                     
                     <p>A new <strong>${user.role}</strong> registration is pending your approval.</p>
                     
                     <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #007bff;">
                         <h3 style="margin-top: 0;">Registration Details:</h3>
                         <ul>
-                            <li><strong>Name:</strong> ${user.firstName} ${user.lastName}</li>
+                            <li><strong>Name:</strong> ${fullName(user)}</li>
                             <li><strong>Email:</strong> ${user.email}</li>
                             <li><strong>Role:</strong> ${user.role}</li>
-                            <li><strong>Registration Date:</strong> ${new Date(user.registrationDate).toLocaleDateString()}</li>
+                            <li><strong>Registration Date:</strong> ${new Date(user.createdAt || user.registrationDate).toLocaleDateString()}</li>
                             ${user.rollNumber ? `<li><strong>Roll Number:</strong> ${user.rollNumber}</li>` : ''}
                             ${user.facultyId ? `<li><strong>Faculty ID:</strong> ${user.facultyId}</li>` : ''}
                             ${user.adminId ? `<li><strong>Admin ID:</strong> ${user.adminId}</li>` : ''}
@@ -326,12 +333,12 @@ const sendRegistrationApprovalEmail = async (user, approver, comments) => {
     const subject = 'Registration Approved - Welcome to Academic Portal!';
     
     const text = `
-        Hello ${user.firstName},
+        Hello ${firstName(user)},
         
         Great news! Your registration for the Academic Portal has been approved.
         
         Account Details:
-        - Name: ${user.firstName} ${user.lastName}
+        - Name: ${fullName(user)}
         - Email: ${user.email}
         - Role: ${user.role}
         - Approved Date: ${new Date().toLocaleDateString()}
@@ -351,7 +358,7 @@ const sendRegistrationApprovalEmail = async (user, approver, comments) => {
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
             <h2 style="color: #28a745;">🎉 Registration Approved!</h2>
             
-            <p>Hello <strong>${user.firstName}</strong>,</p>
+            <p>Hello <strong>${firstName(user)}</strong>,</p>
             
             <p>Great news! Your registration for the Academic Portal has been approved.</p>
             
@@ -363,7 +370,7 @@ const sendRegistrationApprovalEmail = async (user, approver, comments) => {
             <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
                 <h3 style="margin-top: 0;">Account Details:</h3>
                 <ul>
-                    <li><strong>Name:</strong> ${user.firstName} ${user.lastName}</li>
+                    <li><strong>Name:</strong> ${fullName(user)}</li>
                     <li><strong>Email:</strong> ${user.email}</li>
                     <li><strong>Role:</strong> ${user.role}</li>
                     <li><strong>Approved Date:</strong> ${new Date().toLocaleDateString()}</li>
@@ -408,7 +415,7 @@ const sendRegistrationRejectionEmail = async (user, rejector, reason) => {
     const subject = 'Registration Update - Academic Portal';
     
     const text = `
-        Hello ${user.firstName},
+        Hello ${firstName(user)},
         
         We have reviewed your registration for the Academic Portal.
         
@@ -428,7 +435,7 @@ const sendRegistrationRejectionEmail = async (user, rejector, reason) => {
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
             <h2 style="color: #dc3545;">Registration Update</h2>
             
-            <p>Hello <strong>${user.firstName}</strong>,</p>
+            <p>Hello <strong>${firstName(user)}</strong>,</p>
             
             <p>We have reviewed your registration for the Academic Portal.</p>
             
@@ -476,7 +483,7 @@ const sendAssignmentNotification = async (assignment, students, type = 'new') =>
     
     for (const student of students) {
         const text = `
-            Hello ${student.firstName},
+            Hello ${firstName(student)},
             
             ${type === 'new' ? 'A new assignment has been posted' : 
               type === 'updated' ? 'An assignment has been updated' : 
@@ -500,7 +507,7 @@ const sendAssignmentNotification = async (assignment, students, type = 'new') =>
             <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
                 <h2 style="color: #333;">${subjects[type]}</h2>
                 
-                <p>Hello <strong>${student.firstName}</strong>,</p>
+                <p>Hello <strong>${firstName(student)}</strong>,</p>
                 
                 <p>${type === 'new' ? 'A new assignment has been posted' : 
                      type === 'updated' ? 'An assignment has been updated' : 
@@ -537,18 +544,81 @@ const sendAssignmentNotification = async (assignment, students, type = 'new') =>
     }
 };
 
+/**
+ * Send a notice alert to each recipient
+ * @param {Object} notice - Notice object (title, content, priority, expiryDate)
+ * @param {Array} recipients - Users with name and email
+ * @param {string} postedBy - Name of the faculty member who posted the notice
+ * @returns {Promise<Array>} Settled send results, one per recipient
+ */
+const sendNoticeAlert = async (notice, recipients, postedBy = 'Academic Portal') => {
+    const label = notice.priority === 'urgent' ? 'URGENT' : 'IMPORTANT';
+    const subject = `${label} Notice: ${notice.title}`;
+    const expiry = notice.expiryDate
+        ? `This notice is valid until ${new Date(notice.expiryDate).toLocaleDateString()}.`
+        : '';
+
+    return Promise.allSettled(recipients.map(recipient => {
+        const text = `
+            Hello ${firstName(recipient)},
+
+            ${postedBy} posted a new ${notice.priority} notice:
+
+            ${notice.title}
+
+            ${notice.content}
+
+            ${expiry}
+
+            Best regards,
+            Academic Portal Team
+        `;
+
+        const html = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: ${notice.priority === 'urgent' ? '#dc3545' : '#fd7e14'};">${label} Notice</h2>
+
+                <p>Hello <strong>${firstName(recipient)}</strong>,</p>
+
+                <p>${postedBy} posted a new ${notice.priority} notice:</p>
+
+                <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+                    <h3 style="margin-top: 0;">${notice.title}</h3>
+                    <p>${notice.content}</p>
+                </div>
+
+                ${expiry ? `<p>${expiry}</p>` : ''}
+
+                <p>Best regards,<br>
+                <strong>Academic Portal Team</strong></p>
+            </div>
+        `;
+
+        return sendEmail({
+            to: recipient.email,
+            subject,
+            text,
+            html
+        });
+    }));
+};
+
 /**
  * Send grade notification email
- * @param {Object} student - Student object
- * @param {Object} assignment - Assignment object
+ * @param {Object} student - Student object (name, email)
+ * @param {Object} assignment - Assignment object with course { title, code }
  * @param {Object} submission - Submission object with grade
  */
 const sendGradeNotification = async (student, assignment, submission) => {
     const subject = `Grade Posted: ${assignment.title}`;
     const percentage = ((submission.grade / assignment.totalPoints) * 100).toFixed(1);
+    const studentName = firstName(student);
+    const penaltyNote = submission.penaltyPercent
+        ? `Includes a ${submission.penaltyPercent}% late submission penalty.`
+        : '';
     
     const text = `
-        Hello ${student.firstName},
+        Hello ${studentName},
         
         Your assignment has been graded!
         
@@ -556,6 +626,7 @@ const sendGradeNotification = async (student, assignment, submission) => {
         Course: ${assignment.course.title} (${assignment.course.code})
         
         Grade: ${submission.grade}/${assignment.totalPoints} (${percentage}%)
+        ${penaltyNote}
         
         ${submission.feedback ? `Feedback: ${submission.feedback}` : ''}
         
@@ -569,7 +640,7 @@ const sendGradeNotification = async (student, assignment, submission) => {
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
             <h2 style="color: #333;">Grade Posted</h2>
             
-            <p>Hello <strong>${student.firstName}</strong>,</p>
+            <p>Hello <strong>${studentName}</strong>,</p>
             
             <p>Your assignment has been graded!</p>
             
@@ -579,6 +650,7 @@ const sendGradeNotification = async (student, assignment, submission) => {
                     <li><strong>Assignment:</strong> ${assignment.title}</li>
                     <li><strong>Course:</strong> ${assignment.course.title} (${assignment.course.code})</li>
                     <li><strong>Grade:</strong> ${submission.grade}/${assignment.totalPoints} (${percentage}%)</li>
+                    ${penaltyNote ? `<li>${penaltyNote}</li>` : ''}
                 </ul>
             </div>
             
@@ -610,12 +682,12 @@ const sendGradeNotification = async (student, assignment, submission) => {
  * @param {string} resetToken - Password reset token
  */
 const sendPasswordResetEmail = async (user, resetToken) => {
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
+    const resetUrl = `${process.env.FRONTEND_URL || `http://localhost:${process.env.PORT || 5000}`}/reset-password.html?token=${resetToken}`;
     
     const subject = 'Password Reset Request';
     
     const text = `
-        Hello ${user.firstName},
+        Hello ${firstName(user)},
         
         You have requested to reset your password for your Academic Portal account.
         
@@ -634,7 +706,7 @@ const sendPasswordResetEmail = async (user, resetToken) => {
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
             <h2 style="color: #333;">Password Reset Request</h2>
             
-            <p>Hello <strong>${user.firstName}</strong>,</p>
+            <p>Hello <strong>${firstName(user)}</strong>,</p>
             
             <p>You have requested to reset your password for your Academic Portal account.</p>
             
@@ -666,6 +738,68 @@ const sendPasswordResetEmail = async (user, resetToken) => {
     });
 };
 
+/**
+ * Send email address verification link
+ * @param {Object} user - User object
+ * @param {string} verificationToken - Email verification token
+ */
+const sendEmailVerificationEmail = async (user, verificationToken) => {
+    const verifyUrl = `${process.env.FRONTEND_URL || `http://localhost:${process.env.PORT || 5000}`}/verify-email.html?token=${verificationToken}`;
+    
+    const subject = 'Verify Your Email Address';
+    
+    const text = `
+        Hello ${firstName(user)},
+        
+        Thank you for registering with the Academic Portal.
+        
+        Please confirm your email address by opening the following link:
+        ${verifyUrl}
+        
+        This link will expire in 24 hours. Administrators review registrations once the email address is verified.
+        
+        If you did not register, please ignore this email.
+        
+        Best regards,
+        Academic Portal Team
+    `;
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #333;">Verify Your Email Address</h2>
+            
+            <p>Hello <strong>${firstName(user)}</strong>,</p>
+            
+            <p>Thank you for registering with the Academic Portal. Please confirm your email address.</p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${verifyUrl}" 
+                   style="background-color: #007bff; color: white; padding: 12px 24px; 
+                          text-decoration: none; border-radius: 5px; display: inline-block;">
+                    Verify Email
+                </a>
+            </div>
+            
+            <p>Or copy and paste this link in your browser:</p>
+            <p style="word-break: break-all; color: #666;">${verifyUrl}</p>
+            
+            <p><strong>This link will expire in 24 hours.</strong> Administrators review registrations once the email address is verified.</p>
+            
+            <p>If you did not register, please ignore this email.</p>
+            
+            <p>Best regards,<br>
+            <strong>Academic Portal Team</strong></p>
+        </div>
+    `;
+
+    await sendEmail({
+        to: user.email,
+        subject,
+        text,
+        html
+    });
+};
+
 module.exports = {
     initializeEmailService,
     sendEmail,
@@ -675,6 +809,8 @@ module.exports = {
     sendRegistrationApprovalEmail,
     sendRegistrationRejectionEmail,
     sendAssignmentNotification,
+    sendNoticeAlert,
     sendGradeNotification,
-    sendPasswordResetEmail
+    sendPasswordResetEmail,
+    sendEmailVerificationEmail
 };
\ No newline at end of file
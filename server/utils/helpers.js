@@ -1,5 +1,6 @@
 // Helper Utilities - Common utility functions used throughout the application
 const crypto = require('crypto');
+const fs = require('fs');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 
@@ -433,6 +434,103 @@ const fileHelpers = {
         const baseName = originalName.replace(/\.[^/.]+$/, '');
         
         return `${baseName}-${timestamp}-${random}.${extension}`;
+    },
+
+    /**
+     * Calculate the SHA-256 checksum of a file without loading it into memory
+     * @param {string} filePath - Path to the file
+     * @returns {Promise<string>} Hex digest
+     */
+    calculateChecksum: (filePath) => {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('error', reject)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')));
+        });
+    },
+
+    /**
+     * Parse a single-range HTTP Range header ("bytes=start-end", "bytes=start-", "bytes=-suffix")
+     * @param {string} header - Range header value
+     * @param {number} size - Total size of the file in bytes
+     * @returns {Object|null|false} { start, end }, null when there is no usable header, false when unsatisfiable
+     */
+    parseRange: (header, size) => {
+        const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+        if (!match || (match[1] === '' && match[2] === '')) return null;
+
+        let start;
+        let end;
+        if (match[1] === '') {
+            // Suffix range: the last N bytes
+            start = Math.max(size - parseInt(match[2], 10), 0);
+            end = size - 1;
+        } else {
+            start = parseInt(match[1], 10);
+            end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+        }
+
+        if (start > end || start >= size) return false;
+        return { start, end };
+    },
+
+    /**
+     * Content-Disposition header value for a download. Names outside printable ASCII cannot go
+     * in a header as they are, so they get an ASCII `filename` fallback and the real name as
+     * an RFC 5987 `filename*`.
+     * @param {string} filename - Original file name
+     * @param {string} type - 'attachment' or 'inline'
+     * @returns {string} Header value
+     */
+    contentDisposition: (filename, type = 'attachment') => {
+        const name = String(filename || 'download');
+        const fallback = name.replace(/[^\x20-\x7e]/gu, '_').replace(/["\\]/g, '');
+        if (fallback === name) return `${type}; filename="${fallback}"`;
+
+        const encoded = encodeURIComponent(name).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+        return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+    },
+
+    /**
+     * Stream a file as a download, honouring HTTP Range requests
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Object} file - { size, mimeType, filename, checksum, open } where open(range)
+     *                        returns (a promise of) a readable stream of the whole file or the range
+     * @returns {Promise<Object|null|false>} The byte range served, null for the whole file, false if unsatisfiable
+     */
+    sendFile: async (req, res, file) => {
+        const range = fileHelpers.parseRange(req.headers.range, file.size);
+
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('Content-Type', file.mimeType || 'application/octet-stream');
+        res.setHeader('Content-Disposition', fileHelpers.contentDisposition(file.filename));
+        if (file.checksum) res.setHeader('ETag', `"${file.checksum}"`);
+
+        if (range === false) {
+            res.setHeader('Content-Range', `bytes */${file.size}`);
+            res.status(416).end();
+            return false;
+        }
+
+        const stream = await file.open(range);
+
+        if (range) {
+            res.status(206);
+            res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+            res.setHeader('Content-Length', range.end - range.start + 1);
+        } else {
+            res.setHeader('Content-Length', file.size);
+        }
+
+        stream.on('error', (error) => {
+            console.error('File stream error:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+        return range;
     }
 };
 
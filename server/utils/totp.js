@@ -0,0 +1,134 @@
+// TOTP Utilities - Time-based one-time passwords (RFC 6238) for authenticator apps
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Settings every common authenticator app supports
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+/**
+ * Encode bytes as unpadded base32, the form authenticator apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+    const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new shared secret
+ * @returns {string} 160-bit secret, base32 encoded
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * The 30-second time step a moment falls in
+ * @param {number} at - Time in milliseconds
+ * @returns {number} Time step counter
+ */
+const timeStep = (at = Date.now()) => Math.floor(at / 1000 / PERIOD_SECONDS);
+
+/**
+ * Compute the code for one time step (HOTP, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, step = timeStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} options - { window, at }
+ * @returns {number|null} The matching time step, or null when the code is wrong
+ */
+const verifyCode = (secret, code, { window = 1, at = Date.now() } = {}) => {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+    const current = timeStep(at);
+    for (let step = current - window; step <= current + window; step++) {
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps scan as a QR code
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string} Provisioning URI
+ */
+const buildProvisioningUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    // Percent-encoded rather than URLSearchParams' '+', which some apps show literally
+    const query = Object.entries({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: DIGITS,
+        period: PERIOD_SECONDS
+    }).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+    return `otpauth://totp/${label}?${query}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildProvisioningUri
+};
@@ -0,0 +1,79 @@
+/**
+ * OPENAPI CONTRACT TEST
+ * Fails when an API route has no schema: a path parameter without a param() validation
+ * chain, or a POST/PUT/PATCH route without body validators or file fields.
+ * No database or server needed.
+ * Usage: npm run test:openapi
+ */
+
+const { routes } = require('./server/routes');
+const { listRoutes, buildOpenApiSpec, findMissingSchemas } = require('./server/services/openApiService');
+
+// Actions that take no request body; everything they need is in the path
+const BODYLESS_ROUTES = [
+    'POST /auth/refresh',
+    'POST /auth/logout',
+    'POST /auth/logout-all',
+    'POST /auth/2fa/setup',
+    'POST /admin/grading-scheme/:id/recompute',
+    'POST /admin/registration-window/:id/allocation',
+    'POST /admin/registration-window/:id/allocation/publish',
+    'PATCH /student/leave/:id/cancel',
+    'POST /teacher/assessment-plan/:id/compile',
+    'POST /courses/:id/enroll',
+    'POST /courses/:id/drop',
+    'POST /assignments/:id/similarity',
+    'POST /timetable/me/calendar-link/reset',
+    'PATCH /users/admin/users/:userId/approve'
+];
+
+console.log('📘 OPENAPI CONTRACT TEST');
+console.log('========================');
+
+const failures = [];
+const apiRoutes = listRoutes(routes);
+
+apiRoutes.forEach(route => {
+    const name = `${route.method.toUpperCase()} ${route.path}`;
+    const missing = findMissingSchemas(route)
+        .filter(part => !(part === 'request body' && BODYLESS_ROUTES.includes(name)));
+
+    if (missing.length > 0) {
+        failures.push(`${name}: no schema for ${missing.join(', ')}`);
+    }
+});
+
+// An exemption for a route that is gone or now has a body would hide the next change to it
+BODYLESS_ROUTES.forEach(name => {
+    const route = apiRoutes.find(entry => `${entry.method.toUpperCase()} ${entry.path}` === name);
+    if (!route) {
+        failures.push(`${name}: listed as bodyless but no such route exists`);
+    } else if (!findMissingSchemas(route).includes('request body')) {
+        failures.push(`${name}: listed as bodyless but now describes a request body`);
+    }
+});
+
+let spec;
+try {
+    spec = buildOpenApiSpec(routes);
+} catch (error) {
+    failures.push(`OpenAPI document could not be built: ${error.message}`);
+}
+
+if (spec) {
+    const operations = Object.values(spec.paths).reduce((count, methods) => count + Object.keys(methods).length, 0);
+    if (operations !== apiRoutes.length) {
+        failures.push(`OpenAPI document has ${operations} operations for ${apiRoutes.length} routes`);
+    }
+}
+
+console.log(`\n🔍 Checked ${apiRoutes.length} routes`);
+
+if (failures.length > 0) {
+    console.log(`\n❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exit(1);
+}
+
+console.log('✅ Every route has a schema');
+process.exit(0);
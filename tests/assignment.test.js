@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const Assignment = require('../server/models/Assignment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const deadline = new Date('2025-03-10T17:00:00Z');
+const after = (ms) => new Date(deadline.getTime() + ms);
+
+const buildAssignment = (fields = {}) => new Assignment({
+    title: 'Linked lists',
+    description: 'Implement a doubly linked list',
+    subject: 'Data Structures',
+    deadline,
+    courseId: new mongoose.Types.ObjectId(),
+    academicYear: '2024-2025',
+    semester: 3,
+    uploadedBy: new mongoose.Types.ObjectId(),
+    ...fields
+});
+
+describe('Assignment#getLateStatus', () => {
+    it('treats a submission at the deadline as on time', () => {
+        expect(buildAssignment().getLateStatus(deadline)).toEqual({
+            isLate: false, daysLate: 0, penaltyPercent: 0, isAccepted: true
+        });
+    });
+
+    it('applies a flat penalty however late the submission is', () => {
+        const assignment = buildAssignment({ latePenalty: 15 });
+        expect(assignment.getLateStatus(after(1000))).toEqual({
+            isLate: true, daysLate: 1, penaltyPercent: 15, isAccepted: true
+        });
+        expect(assignment.getLateStatus(after(5 * DAY_MS)).penaltyPercent).toBe(15);
+    });
+
+    it('charges the per-day penalty for every started day, up to 100%', () => {
+        const assignment = buildAssignment({ latePenalty: 30, latePenaltyMode: 'per_day' });
+        expect(assignment.getLateStatus(after(DAY_MS + 1))).toMatchObject({ daysLate: 2, penaltyPercent: 60 });
+        expect(assignment.getLateStatus(after(4 * DAY_MS))).toMatchObject({ daysLate: 4, penaltyPercent: 100 });
+    });
+
+    it('refuses late submissions after the cutoff', () => {
+        const assignment = buildAssignment({ lateSubmissionCutoff: after(2 * DAY_MS) });
+        expect(assignment.getLateStatus(after(2 * DAY_MS)).isAccepted).toBe(true);
+        expect(assignment.getLateStatus(after(2 * DAY_MS + 1)).isAccepted).toBe(false);
+    });
+
+    it('refuses every late submission when late submission is off', () => {
+        const assignment = buildAssignment({ allowLateSubmission: false });
+        expect(assignment.getLateStatus(after(1000))).toMatchObject({ isLate: true, isAccepted: false });
+    });
+});
+
+describe('Assignment#addSubmission', () => {
+    const studentId = new mongoose.Types.ObjectId();
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: after(DAY_MS / 2) });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('records the late penalty on the submission', async () => {
+        const assignment = buildAssignment({ latePenalty: 20 });
+        jest.spyOn(assignment, 'save').mockResolvedValue(assignment);
+
+        await assignment.addSubmission(studentId, { text: 'My answer' });
+
+        expect(assignment.submissions[0]).toMatchObject({
+            isLate: true, daysLate: 1, penaltyPercent: 20, submissionNumber: 1
+        });
+    });
+
+    it('rejects a submission after the deadline when late submission is off', () => {
+        const assignment = buildAssignment({ allowLateSubmission: false });
+
+        expect(() => assignment.addSubmission(studentId, { text: 'My answer' })).toThrow(
+            expect.objectContaining({ statusCode: 400, message: 'The deadline for this assignment has passed' })
+        );
+    });
+
+    it('rejects a submission after the late cutoff', () => {
+        const assignment = buildAssignment({ lateSubmissionCutoff: after(1000) });
+
+        expect(() => assignment.addSubmission(studentId, { text: 'My answer' })).toThrow(
+            expect.objectContaining({ statusCode: 400, message: 'The late submission window for this assignment has closed' })
+        );
+    });
+
+    it('enforces the submission limit', async () => {
+        const assignment = buildAssignment({ maxSubmissions: 1 });
+        jest.spyOn(assignment, 'save').mockResolvedValue(assignment);
+        await assignment.addSubmission(studentId, { text: 'First' });
+
+        expect(() => assignment.addSubmission(studentId, { text: 'Second' })).toThrow(
+            expect.objectContaining({ statusCode: 400, message: 'Maximum 1 submission(s) allowed' })
+        );
+    });
+});
+
+describe('Assignment#gradeSubmission', () => {
+    const graderId = new mongoose.Types.ObjectId();
+
+    const withSubmission = (fields, submission = {}) => {
+        const assignment = buildAssignment(fields);
+        assignment.submissions.push({ student: new mongoose.Types.ObjectId(), penaltyPercent: 0, ...submission });
+        return { assignment, submissionId: assignment.submissions[0]._id };
+    };
+
+    const rubric = [
+        { title: 'Correctness', levels: [{ label: 'Full', points: 6 }, { label: 'Partial', points: 3 }, { label: 'None', points: 0 }] },
+        { title: 'Style', levels: [{ label: 'Clean', points: 4 }, { label: 'Messy', points: 1 }] }
+    ];
+    const pick = (assignment, criterionIndex, levelIndex) => ({
+        criterionId: assignment.rubric[criterionIndex]._id.toString(),
+        levelId: assignment.rubric[criterionIndex].levels[levelIndex]._id.toString()
+    });
+
+    it('scores a rubric as the sum of the picked levels', () => {
+        const { assignment, submissionId } = withSubmission({ rubric });
+        const submission = assignment.gradeSubmission(submissionId, {
+            scores: [pick(assignment, 0, 1), { ...pick(assignment, 1, 0), comment: 'Readable' }],
+            feedback: 'Good effort'
+        }, graderId);
+
+        expect(assignment.getRubricTotal()).toBe(10);
+        expect(submission.score).toBe(7);
+        expect(submission.grade).toBe(7);
+        expect(submission.rubricScores.map(entry => entry.points)).toEqual([3, 4]);
+        expect(submission.rubricScores[1].comment).toBe('Readable');
+        expect(submission.feedback).toBe('Good effort');
+        expect(submission.gradedBy).toEqual(graderId);
+    });
+
+    it('applies the submission late penalty to the grade', () => {
+        const { assignment, submissionId } = withSubmission({ rubric }, { isLate: true, daysLate: 1, penaltyPercent: 25 });
+        const submission = assignment.gradeSubmission(submissionId, {
+            scores: [pick(assignment, 0, 0), pick(assignment, 1, 1)]
+        }, graderId);
+
+        expect(submission.score).toBe(7);
+        expect(submission.grade).toBe(5.25);
+    });
+
+    it('requires a score for every criterion', () => {
+        const { assignment, submissionId } = withSubmission({ rubric });
+        expect(() => assignment.gradeSubmission(submissionId, { scores: [pick(assignment, 0, 0)] }, graderId)).toThrow(
+            expect.objectContaining({ statusCode: 400, message: 'Score the "Style" criterion' })
+        );
+    });
+
+    it('rejects criteria that are not in the rubric', () => {
+        const { assignment, submissionId } = withSubmission({ rubric });
+        const scores = [pick(assignment, 0, 0), pick(assignment, 1, 0), {
+            criterionId: new mongoose.Types.ObjectId().toString(),
+            levelId: new mongoose.Types.ObjectId().toString()
+        }];
+        expect(() => assignment.gradeSubmission(submissionId, { scores }, graderId)).toThrow(
+            expect.objectContaining({ statusCode: 400, message: 'Scores were given for criteria that are not in the rubric' })
+        );
+    });
+
+    it('rejects a level from another criterion', () => {
+        const { assignment, submissionId } = withSubmission({ rubric });
+        const scores = [pick(assignment, 0, 0), { ...pick(assignment, 1, 0), levelId: pick(assignment, 0, 0).levelId }];
+        expect(() => assignment.gradeSubmission(submissionId, { scores }, graderId)).toThrow(
+            expect.objectContaining({ statusCode: 400, message: 'Unknown level for the "Style" criterion' })
+        );
+    });
+
+    it('takes a single score within total points without a rubric', () => {
+        const { assignment, submissionId } = withSubmission({ totalPoints: 50 }, { penaltyPercent: 10 });
+        const submission = assignment.gradeSubmission(submissionId, { score: '40' }, graderId);
+
+        expect(submission.score).toBe(40);
+        expect(submission.grade).toBe(36);
+        expect(submission.rubricScores).toHaveLength(0);
+    });
+
+    it('rejects a score outside 0 to total points', () => {
+        const { assignment, submissionId } = withSubmission({ totalPoints: 50 });
+        expect(() => assignment.gradeSubmission(submissionId, { score: 51 }, graderId)).toThrow(
+            expect.objectContaining({ statusCode: 400, message: 'Score must be between 0 and 50' })
+        );
+        expect(() => assignment.gradeSubmission(submissionId, { score: 'ten' }, graderId)).toThrow(
+            expect.objectContaining({ statusCode: 400 })
+        );
+    });
+
+    it('returns a 404 for an unknown submission', () => {
+        const { assignment } = withSubmission({});
+        expect(() => assignment.gradeSubmission(new mongoose.Types.ObjectId(), { score: 10 }, graderId)).toThrow(
+            expect.objectContaining({ statusCode: 404, message: 'Submission not found' })
+        );
+    });
+});
@@ -0,0 +1,220 @@
+const Course = require('../server/models/Course');
+const CourseRegistration = require('../server/models/CourseRegistration');
+const StudentProfile = require('../server/models/StudentProfile');
+const {
+    compareMerit,
+    allocateSeats,
+    promoteFromWaitlist
+} = require('../server/services/electiveAllocationService');
+
+describe('compareMerit', () => {
+    const registration = (rollNumber, cgpa, totalCredits, submittedAt) => ({
+        studentId: { rollNumber, cgpa, totalCredits },
+        submittedAt: new Date(submittedAt)
+    });
+
+    it('orders by CGPA, then credits, then submission time, then roll number', () => {
+        const ranked = [
+            registration('CS004', 8.5, 60, '2025-01-02'),
+            registration('CS003', 8.5, 60, '2025-01-01'),
+            registration('CS002', 9.1, 40, '2025-01-03'),
+            registration('CS005', 8.5, 64, '2025-01-04'),
+            registration('CS001', 8.5, 60, '2025-01-01')
+        ].sort(compareMerit);
+
+        expect(ranked.map(entry => entry.studentId.rollNumber)).toEqual(['CS002', 'CS005', 'CS001', 'CS003', 'CS004']);
+    });
+
+    it('ranks a student without a CGPA last', () => {
+        const ranked = [registration('CS001', undefined, 0, '2025-01-01'), registration('CS002', 5, 0, '2025-01-02')]
+            .sort(compareMerit);
+        expect(ranked[0].studentId.rollNumber).toBe('CS002');
+    });
+});
+
+describe('allocateSeats', () => {
+    const options = (overrides = {}) => ({
+        seats: new Map([['AI', 1], ['ML', 2], ['DB', 1]]),
+        credits: new Map([['AI', 4], ['ML', 4], ['DB', 3]]),
+        electiveSlots: 1,
+        maxCredits: 24,
+        ...overrides
+    });
+    const candidate = (id, preferences, baseCredits = 16) => ({ id, preferences, baseCredits });
+
+    it('gives the top-ranked student their first choice', () => {
+        const results = allocateSeats([
+            candidate('first', ['AI', 'ML']),
+            candidate('second', ['AI', 'ML'])
+        ], options());
+
+        expect(results.get('first')).toEqual({ AI: 'allocated', ML: 'unallocated' });
+        expect(results.get('second')).toEqual({ AI: 'waitlisted', ML: 'allocated' });
+    });
+
+    it('only waitlists full electives ranked above what the student ends up with', () => {
+        const results = allocateSeats([
+            candidate('first', ['DB']),
+            candidate('second', ['ML', 'DB'])
+        ], options());
+
+        expect(results.get('second')).toEqual({ ML: 'allocated', DB: 'unallocated' });
+    });
+
+    it('fills several slots in preference order', () => {
+        const results = allocateSeats([candidate('first', ['AI', 'ML', 'DB'])], options({ electiveSlots: 2 }));
+        expect(results.get('first')).toEqual({ AI: 'allocated', ML: 'allocated', DB: 'unallocated' });
+    });
+
+    it('skips electives that would take the student over the credit limit', () => {
+        const results = allocateSeats([candidate('first', ['AI', 'DB'], 18)], options({ maxCredits: 21 }));
+        expect(results.get('first')).toEqual({ AI: 'unallocated', DB: 'allocated' });
+    });
+
+    it('waitlists everyone once seats run out', () => {
+        const results = allocateSeats([
+            candidate('first', ['DB']),
+            candidate('second', ['DB']),
+            candidate('third', ['DB'])
+        ], options());
+
+        expect([...results.values()].map(statuses => statuses.DB)).toEqual(['allocated', 'waitlisted', 'waitlisted']);
+    });
+
+    it('does not change the seat counts passed in', () => {
+        const seats = new Map([['DB', 1]]);
+        allocateSeats([candidate('first', ['DB'])], options({ seats }));
+        expect(seats.get('DB')).toBe(1);
+    });
+});
+
+describe('promoteFromWaitlist', () => {
+    const offerings = [
+        { subjectCode: 'AI', subjectName: 'Artificial Intelligence', facultyId: 'faculty-1', credits: 4, category: 'elective', capacity: 1 },
+        { subjectCode: 'ML', subjectName: 'Machine Learning', facultyId: 'faculty-2', credits: 4, category: 'elective', capacity: 1 }
+    ];
+    const window = {
+        _id: 'window-1',
+        electiveSlots: 1,
+        maxCredits: 24,
+        findOffering: (code) => offerings.find(offering => offering.subjectCode === String(code).toUpperCase())
+    };
+
+    let courses;
+    let registrations;
+
+    const course = (code) => ({
+        code,
+        maxEnrollment: 60,
+        currentEnrollment: 0,
+        enrolledStudents: [],
+        save: jest.fn().mockResolvedValue()
+    });
+    const registration = (name, meritRank, preferences, { totalCredits = 16, subjects = [] } = {}) => ({
+        _id: `registration-${name}`,
+        studentId: `profile-${name}`,
+        status: 'pending',
+        meritRank,
+        totalCredits,
+        subjects,
+        electivePreferences: preferences.map(([subjectCode, status], index) => ({ subjectCode, status, rank: index + 1 })),
+        save: jest.fn().mockResolvedValue()
+    });
+    const holds = (entry, code, status) => entry.electivePreferences
+        .some(preference => preference.subjectCode === code && preference.status === status);
+
+    beforeEach(() => {
+        courses = new Map([['AI', course('AI')], ['ML', course('ML')]]);
+        registrations = [];
+
+        jest.spyOn(Course, 'findOne').mockImplementation(({ code }) => Promise.resolve(courses.get(code) || null));
+        jest.spyOn(CourseRegistration, 'countDocuments').mockImplementation(({ electivePreferences }) => {
+            const { subjectCode, status } = electivePreferences.$elemMatch;
+            return Promise.resolve(registrations.filter(entry => holds(entry, subjectCode, status)).length);
+        });
+        jest.spyOn(CourseRegistration, 'findOne').mockImplementation(({ electivePreferences }) => {
+            const { subjectCode, status } = electivePreferences.$elemMatch;
+            const waiting = registrations
+                .filter(entry => entry.status !== 'rejected' && holds(entry, subjectCode, status))
+                .sort((a, b) => a.meritRank - b.meritRank);
+            return { sort: () => Promise.resolve(waiting[0] || null) };
+        });
+        jest.spyOn(StudentProfile, 'findById').mockImplementation((id) => ({
+            select: () => Promise.resolve({ userId: id.replace('profile', 'user') })
+        }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('promotes the best-ranked waitlisted student into a free seat', async () => {
+        const second = registration('second', 2, [['AI', 'waitlisted']]);
+        const first = registration('first', 1, [['AI', 'waitlisted']]);
+        registrations.push(second, first);
+
+        const promotions = await promoteFromWaitlist(window, 'AI');
+
+        expect(promotions).toEqual([
+            { registrationId: 'registration-first', studentId: 'profile-first', subjectCode: 'AI', released: null }
+        ]);
+        expect(first.electivePreferences[0].status).toBe('allocated');
+        expect(first.subjects).toEqual([{
+            subjectCode: 'AI', subjectName: 'Artificial Intelligence', facultyId: 'faculty-1', credits: 4, category: 'elective'
+        }]);
+        expect(first.totalCredits).toBe(4);
+        expect(second.electivePreferences[0].status).toBe('waitlisted');
+        expect(courses.get('AI').enrolledStudents).toEqual([
+            expect.objectContaining({ student: 'user-first', status: 'active' })
+        ]);
+    });
+
+    it('does nothing while the elective is full', async () => {
+        registrations.push(
+            registration('holder', 1, [['AI', 'allocated']]),
+            registration('waiting', 2, [['AI', 'waitlisted']])
+        );
+
+        expect(await promoteFromWaitlist(window, 'AI')).toEqual([]);
+    });
+
+    it('releases the lower-ranked elective a promoted student held and refills it', async () => {
+        const mlSubject = { subjectCode: 'ML', credits: 4 };
+        const first = registration('first', 1, [['AI', 'waitlisted'], ['ML', 'allocated']], { subjects: [mlSubject] });
+        const second = registration('second', 2, [['ML', 'waitlisted']]);
+        registrations.push(first, second);
+        courses.get('ML').enrolledStudents.push({ student: 'user-first', status: 'active' });
+
+        const promotions = await promoteFromWaitlist(window, 'AI');
+
+        expect(promotions.map(({ registrationId, subjectCode, released }) => [registrationId, subjectCode, released])).toEqual([
+            ['registration-first', 'AI', 'ML'],
+            ['registration-second', 'ML', null]
+        ]);
+        expect(first.electivePreferences.map(preference => preference.status)).toEqual(['allocated', 'released']);
+        expect(first.subjects.map(subject => subject.subjectCode)).toEqual(['AI']);
+        expect(courses.get('ML').enrolledStudents).toEqual([
+            expect.objectContaining({ student: 'user-first', status: 'dropped' }),
+            expect.objectContaining({ student: 'user-second', status: 'active' })
+        ]);
+    });
+
+    it('passes over a student the elective would take over the credit limit', async () => {
+        const heavy = registration('heavy', 1, [['AI', 'waitlisted']], { totalCredits: 22 });
+        const light = registration('light', 2, [['AI', 'waitlisted']]);
+        registrations.push(heavy, light);
+
+        const promotions = await promoteFromWaitlist(window, 'AI');
+
+        expect(promotions.map(promotion => promotion.registrationId)).toEqual(['registration-light']);
+        expect(heavy.electivePreferences[0].status).toBe('unallocated');
+        expect(heavy.save).toHaveBeenCalled();
+    });
+
+    it('keeps to the course enrollment limit as well as the window capacity', async () => {
+        courses.get('AI').currentEnrollment = 60;
+        registrations.push(registration('waiting', 1, [['AI', 'waitlisted']]));
+
+        expect(await promoteFromWaitlist(window, 'AI')).toEqual([]);
+    });
+});
@@ -0,0 +1,74 @@
+const { computeCurve } = require('../server/services/gradingService');
+
+const records = (...percentages) => percentages.map((percentage, index) => ({ id: index, percentage }));
+const grades = (curve) => curve.results.map(result => result.grade);
+
+describe('computeCurve', () => {
+    it('grades by standard deviations from the mean by default', () => {
+        // mean 65, standard deviation 20
+        const curve = computeCurve(records(95, 85, 75, 65, 55, 45, 35));
+
+        expect(curve.statistics).toEqual({ count: 7, mean: 65, standardDeviation: 20, highest: 95, lowest: 35 });
+        expect(curve.cutoffs).toEqual([1.5, 1, 0.5, 0, -0.5]);
+        expect(grades(curve)).toEqual(['A+', 'A', 'B+', 'B', 'C', 'D', 'F']);
+        expect(curve.results[0].gradePoints).toBe(10);
+        expect(curve.results[6].gradePoints).toBe(0);
+    });
+
+    it('keeps anyone below the absolute pass mark on the fail grade', () => {
+        const curve = computeCurve(records(39, 38, 37), { method: 'percentile' });
+        expect(grades(curve)).toEqual(['F', 'F', 'F']);
+    });
+
+    it('gives every student the middle grade when all scores are equal', () => {
+        const curve = computeCurve(records(70, 70, 70));
+        expect(curve.statistics.standardDeviation).toBe(0);
+        expect(grades(curve)).toEqual(['B', 'B', 'B']);
+    });
+
+    it('grades by class rank with the percentile method', () => {
+        const curve = computeCurve(records(99, 98, 97, 96, 95, 94, 93, 92, 91, 90), { method: 'percentile' });
+        expect(curve.cutoffs).toEqual([10, 25, 45, 70, 90]);
+        expect(grades(curve)).toEqual(['A+', 'A', 'A', 'B+', 'B+', 'B', 'B', 'C', 'C', 'D']);
+    });
+
+    it('gives tied scores the same grade', () => {
+        const curve = computeCurve(records(80, 80, 60, 50), { method: 'percentile' });
+        expect(grades(curve)[0]).toBe(grades(curve)[1]);
+        expect(grades(curve)[0]).toBe('A+');
+    });
+
+    it('accepts custom cut-offs and grade bands', () => {
+        const bands = [
+            { grade: 'H', minPercentage: 75, gradePoints: 10 },
+            { grade: 'P', minPercentage: 50, gradePoints: 6 },
+            { grade: 'F', minPercentage: 0, gradePoints: 0 }
+        ];
+        const curve = computeCurve(records(90, 70, 60, 55, 20), { method: 'percentile', cutoffs: [50], bands });
+        expect(grades(curve)).toEqual(['H', 'H', 'H', 'P', 'F']);
+    });
+
+    it('keeps the original record with each result', () => {
+        const input = records(60, 40);
+        const curve = computeCurve(input);
+        expect(curve.results.map(result => result.record)).toEqual(input);
+    });
+
+    it('handles an empty class', () => {
+        const curve = computeCurve([]);
+        expect(curve.statistics).toEqual({ count: 0, mean: 0, standardDeviation: 0, highest: 0, lowest: 0 });
+        expect(curve.results).toEqual([]);
+    });
+
+    it('rejects an unknown method with a 400', () => {
+        expect(() => computeCurve(records(50), { method: 'bell' })).toThrow(
+            expect.objectContaining({ statusCode: 400, message: 'Curve method must be one of: zscore, percentile' })
+        );
+    });
+
+    it('rejects a cut-off list that does not match the passing grades', () => {
+        expect(() => computeCurve(records(50), { cutoffs: [1, 0] })).toThrow(
+            expect.objectContaining({ statusCode: 400, message: 'Expected 5 cut-offs, one for each passing grade above D' })
+        );
+    });
+});
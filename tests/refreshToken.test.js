@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../server/middleware/logger', () => ({ securityLogger: jest.fn() }));
+
+const { securityLogger } = require('../server/middleware/logger');
+const User = require('../server/models/User');
+const Admin = require('../server/models/Admin');
+const Session = require('../server/models/Session');
+const RefreshToken = require('../server/models/RefreshToken');
+const { tokenHelpers } = require('../server/utils/authHelpers');
+const { rotateRefreshToken } = require('../server/services/sessionService');
+
+const req = { ip: '127.0.0.1', get: () => 'jest' };
+const user = { _id: 'user-1', email: 'student@example.edu', role: 'student', tokenVersion: 0, isActive: true, status: 'approved' };
+const hashOf = (jti) => crypto.createHash('sha256').update(jti).digest('hex');
+
+const refreshTokenFor = (jti, sessionId = 'session-1') =>
+    tokenHelpers.generateTokenPair(user, { sessionId, jti }).refreshToken;
+
+const session = (fields = {}) => ({
+    _id: 'session-1',
+    userId: 'user-1',
+    role: 'student',
+    revokedAt: null,
+    createdAt: new Date('2025-01-01T09:00:00Z'),
+    save: jest.fn().mockResolvedValue(),
+    ...fields
+});
+
+describe('rotateRefreshToken', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+        securityLogger.mockClear();
+    });
+
+    it('spends the presented token and issues a new pair on the same session', async () => {
+        const current = session();
+        const spend = jest.spyOn(RefreshToken, 'findOneAndUpdate')
+            .mockResolvedValue({ userId: 'user-1', sessionId: 'session-1' });
+        jest.spyOn(User, 'findById').mockResolvedValue(user);
+        jest.spyOn(Session, 'findById').mockResolvedValue(current);
+        const create = jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+
+        const result = await rotateRefreshToken(refreshTokenFor('jti-1'), req);
+
+        expect(spend).toHaveBeenCalledWith(
+            { tokenHash: hashOf('jti-1'), usedAt: null, revokedAt: null },
+            { usedAt: expect.any(Date) }
+        );
+        const next = jwt.decode(result.refreshToken);
+        expect(next).toMatchObject({ tokenType: 'refresh', sid: 'session-1' });
+        expect(next.jti).not.toBe('jti-1');
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            sessionId: 'session-1',
+            tokenHash: hashOf(next.jti),
+            createdByIp: '127.0.0.1'
+        }));
+        expect(jwt.decode(result.accessToken)).toMatchObject({ userId: 'user-1', sid: 'session-1' });
+        expect(current.save).toHaveBeenCalled();
+    });
+
+    it('revokes the whole session when a spent token is presented again', async () => {
+        const current = session();
+        jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+        jest.spyOn(RefreshToken, 'findOne').mockResolvedValue({
+            userId: 'user-1',
+            sessionId: 'session-1',
+            usedAt: new Date()
+        });
+        jest.spyOn(Session, 'findById').mockResolvedValue(current);
+        const revokeTokens = jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({});
+
+        await expect(rotateRefreshToken(refreshTokenFor('jti-1'), req)).rejects.toMatchObject({
+            statusCode: 401,
+            message: 'Refresh token is no longer valid. Please log in again.'
+        });
+
+        expect(current).toMatchObject({ revokedAt: expect.any(Date), revokedReason: 'reuse' });
+        expect(current.save).toHaveBeenCalled();
+        expect(revokeTokens).toHaveBeenCalledWith(
+            { sessionId: 'session-1', revokedAt: null },
+            { revokedAt: current.revokedAt, revokedReason: 'reuse' }
+        );
+        expect(securityLogger).toHaveBeenCalledWith('REFRESH_TOKEN_REUSE', req, {
+            userId: 'user-1',
+            sessionId: 'session-1'
+        });
+    });
+
+    it('closes the admin login history entry of a session revoked for reuse', async () => {
+        jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+        jest.spyOn(RefreshToken, 'findOne').mockResolvedValue({ userId: 'admin-1', sessionId: 'session-1', usedAt: new Date() });
+        jest.spyOn(Session, 'findById').mockResolvedValue(session({ userId: 'admin-1', role: 'admin' }));
+        jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({});
+        const closeHistory = jest.spyOn(Admin, 'updateOne').mockResolvedValue({});
+
+        await expect(rotateRefreshToken(refreshTokenFor('jti-1'), req)).rejects.toMatchObject({ statusCode: 401 });
+
+        expect(closeHistory).toHaveBeenCalledWith(
+            { _id: 'admin-1', 'loginHistory.loginTime': new Date('2025-01-01T09:00:00Z') },
+            expect.any(Object)
+        );
+    });
+
+    it('rejects a revoked or unknown token without touching the session', async () => {
+        jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+        const lookup = jest.spyOn(RefreshToken, 'findOne')
+            .mockResolvedValueOnce({ sessionId: 'session-1', usedAt: null, revokedAt: new Date() })
+            .mockResolvedValueOnce(null);
+        const findSession = jest.spyOn(Session, 'findById');
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            await expect(rotateRefreshToken(refreshTokenFor('jti-1'), req)).rejects.toMatchObject({ statusCode: 401 });
+        }
+
+        expect(lookup).toHaveBeenCalledTimes(2);
+        expect(findSession).not.toHaveBeenCalled();
+        expect(securityLogger).not.toHaveBeenCalled();
+    });
+
+    it('rejects tokens that are not refresh tokens of a session', async () => {
+        const spend = jest.spyOn(RefreshToken, 'findOneAndUpdate');
+        const { accessToken } = tokenHelpers.generateTokenPair(user, { sessionId: 'session-1', jti: 'jti-1' });
+
+        for (const token of [accessToken, refreshTokenFor(undefined), 'not-a-token']) {
+            await expect(rotateRefreshToken(token, req)).rejects.toMatchObject({
+                statusCode: 401,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+        expect(spend).not.toHaveBeenCalled();
+    });
+
+    it('ends the session when the account has logged out everywhere since the token was issued', async () => {
+        const current = session();
+        jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue({ userId: 'user-1', sessionId: 'session-1' });
+        jest.spyOn(User, 'findById').mockResolvedValue({ ...user, tokenVersion: 1 });
+        jest.spyOn(Session, 'findById').mockResolvedValue(current);
+        jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({});
+
+        await expect(rotateRefreshToken(refreshTokenFor('jti-1'), req)).rejects.toMatchObject({
+            statusCode: 401,
+            message: 'Session has ended. Please log in again.'
+        });
+        expect(current.revokedReason).toBe('account');
+    });
+});
@@ -0,0 +1,230 @@
+const SubjectResult = require('../server/models/SubjectResult');
+const Marks = require('../server/models/Marks');
+const GradingScheme = require('../server/models/GradingScheme');
+const StudentProfile = require('../server/models/StudentProfile');
+const { compileSubjectResult, getFinalSubjectResults, summariseResults } = require('../server/services/resultService');
+
+const subject = (subjectCode, semester, academicYear, gradePoints, credits = 3) => ({
+    subjectCode,
+    subject: subjectCode,
+    semester,
+    academicYear,
+    credits,
+    gradePoints
+});
+
+describe('summariseResults', () => {
+    it('computes a credit-weighted SGPA per term and CGPA overall', () => {
+        const summary = summariseResults([
+            subject('CS101', 1, '2023-24', 10, 4),
+            subject('MA101', 1, '2023-24', 7, 2),
+            subject('CS201', 2, '2023-24', 8, 3)
+        ]);
+
+        expect(summary.semesters.map(term => term.sgpa)).toEqual([9, 8]);
+        expect(summary.cgpa).toBe(8.67);
+        expect(summary.totalCredits).toBe(9);
+        expect(summary.creditsEarned).toBe(9);
+    });
+
+    it('keeps a repeated semester number in another academic year as its own term', () => {
+        const summary = summariseResults([
+            subject('CS101', 1, '2024-25', 8),
+            subject('CS101', 1, '2023-24', 0),
+            subject('MA101', 1, '2023-24', 9)
+        ]);
+
+        expect(summary.semesters.map(term => [term.semester, term.academicYear, term.sgpa])).toEqual([
+            [1, '2023-24', 4.5],
+            [1, '2024-25', 8]
+        ]);
+        expect(summary.semesters[0].creditsEarned).toBe(3);
+    });
+
+    it('counts only the latest attempt of a subject towards CGPA', () => {
+        const summary = summariseResults([
+            subject('CS101', 1, '2024-25', 8),
+            subject('CS101', 1, '2023-24', 0),
+            subject('MA101', 1, '2023-24', 9)
+        ]);
+
+        expect(summary.cgpa).toBe(8.5);
+        expect(summary.totalCredits).toBe(6);
+        expect(summary.creditsEarned).toBe(6);
+    });
+
+    it('orders attempts by academic year before semester', () => {
+        const summary = summariseResults([
+            subject('CS101', 3, '2023-24', 5),
+            subject('CS101', 1, '2024-25', 9)
+        ]);
+
+        expect(summary.semesters.map(term => term.academicYear)).toEqual(['2023-24', '2024-25']);
+        expect(summary.cgpa).toBe(9);
+    });
+
+    it('leaves failed subjects out of credits earned', () => {
+        const summary = summariseResults([
+            subject('CS101', 1, '2023-24', 0, 4),
+            subject('MA101', 1, '2023-24', 6, 2)
+        ]);
+
+        expect(summary.creditsEarned).toBe(2);
+        expect(summary.totalCredits).toBe(6);
+        expect(summary.cgpa).toBe(2);
+    });
+
+    it('returns zeroes when there are no results', () => {
+        expect(summariseResults([])).toEqual({ semesters: [], cgpa: 0, totalCredits: 0, creditsEarned: 0 });
+    });
+});
+
+describe('getFinalSubjectResults', () => {
+    const student = { _id: 'student-1', department: 'CSE', course: 'B.Tech' };
+
+    const mark = (examType, totalMarks, maxMarks, extra = {}) => ({
+        subjectCode: 'CS301',
+        subject: 'Operating Systems',
+        semester: 5,
+        academicYear: '2024-25',
+        examType,
+        totalMarks,
+        maxMarks,
+        percentage: (totalMarks / maxMarks) * 100,
+        credits: 4,
+        updatedAt: new Date('2025-01-01'),
+        ...extra
+    });
+
+    const withRecords = ({ compiled = [], marks = [] }) => {
+        jest.spyOn(SubjectResult, 'find').mockResolvedValue(compiled);
+        jest.spyOn(Marks, 'find').mockResolvedValue(marks);
+        jest.spyOn(GradingScheme, 'resolve').mockResolvedValue(null);
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('does not grade a subject without a plan from released assignment grades alone', async () => {
+        withRecords({ marks: [mark('assignment', 18, 20)] });
+        expect(await getFinalSubjectResults(student)).toEqual([]);
+    });
+
+    it('grades a subject without a plan from its other published rows, leaving out assignments', async () => {
+        withRecords({ marks: [mark('midterm', 30, 50), mark('assignment', 20, 20)] });
+
+        expect(await getFinalSubjectResults(student)).toEqual([{
+            subjectCode: 'CS301',
+            subject: 'Operating Systems',
+            semester: 5,
+            academicYear: '2024-25',
+            credits: 4,
+            totalScore: 60,
+            grade: 'B',
+            gradePoints: 7,
+            source: 'marks'
+        }]);
+    });
+
+    it('lets a published final decide the grade on its own', async () => {
+        withRecords({ marks: [
+            mark('assignment', 20, 20),
+            mark('final', 45, 100, { grade: 'A', gradePoints: 9 })
+        ] });
+
+        const [result] = await getFinalSubjectResults(student);
+        expect(result).toMatchObject({ totalScore: 45, grade: 'A', gradePoints: 9, source: 'marks' });
+    });
+
+    it('uses the compiled result for a subject with a plan, and only once it is published', async () => {
+        const compiled = {
+            subjectCode: 'CS301', subject: 'Operating Systems', semester: 5, academicYear: '2024-25',
+            credits: 4, totalScore: 82, grade: 'A', gradePoints: 9, isPublished: false
+        };
+        withRecords({ compiled: [compiled], marks: [mark('final', 90, 100, { grade: 'A+', gradePoints: 10 })] });
+        expect(await getFinalSubjectResults(student)).toEqual([]);
+
+        compiled.isPublished = true;
+        const [result] = await getFinalSubjectResults(student);
+        expect(result).toMatchObject({ totalScore: 82, grade: 'A', source: 'assessment-plan' });
+    });
+});
+
+describe('compileSubjectResult', () => {
+    const components = [
+        { label: 'Midterm', source: 'marks', examType: 'midterm', group: 'internal', weight: 40 },
+        { label: 'Final', source: 'marks', examType: 'final', group: 'external', weight: 60 }
+    ];
+    const plan = {
+        _id: 'plan-1',
+        facultyId: 'faculty-1',
+        subjectCode: 'CS301',
+        subject: 'Operating Systems',
+        semester: 5,
+        academicYear: '2024-25',
+        credits: 4,
+        components,
+        groupWeight: (group) => components
+            .filter(component => component.group === group)
+            .reduce((sum, component) => sum + component.weight, 0)
+    };
+    const marks = [
+        { examType: 'midterm', totalMarks: 40, maxMarks: 50, isPublished: true },
+        { examType: 'final', totalMarks: 60, maxMarks: 100, isPublished: true }
+    ];
+
+    const compile = async (previous) => {
+        jest.spyOn(Marks, 'find').mockResolvedValue(marks);
+        jest.spyOn(StudentProfile, 'findById').mockReturnValue({ select: () => Promise.resolve(null) });
+        jest.spyOn(GradingScheme, 'resolve').mockResolvedValue(null);
+        jest.spyOn(SubjectResult, 'findOne').mockReturnValue({ select: () => Promise.resolve(previous) });
+        const save = jest.spyOn(SubjectResult, 'findOneAndUpdate').mockResolvedValue({});
+
+        await compileSubjectResult(plan, 'student-1');
+        return save.mock.calls[0][1];
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('weights the components and grades the total on the absolute scale', async () => {
+        const update = await compile(null);
+
+        expect(update.$set).toMatchObject({
+            internalScore: 32,
+            internalMax: 40,
+            externalScore: 36,
+            externalMax: 60,
+            totalScore: 68,
+            grade: 'B',
+            gradePoints: 7,
+            absoluteGrade: 'B',
+            gradingMode: 'absolute',
+            isComplete: true,
+            isPublished: true
+        });
+        expect(update.$unset).toEqual({ curve: 1 });
+    });
+
+    it('keeps a curved grade while the total it was curved from is unchanged', async () => {
+        const update = await compile({ totalScore: 68, grade: 'A', gradePoints: 9, gradingMode: 'relative' });
+
+        expect(update.$set).toMatchObject({
+            grade: 'A',
+            gradePoints: 9,
+            absoluteGrade: 'B',
+            absoluteGradePoints: 7,
+            gradingMode: 'relative'
+        });
+        expect(update.$unset).toBeUndefined();
+    });
+
+    it('drops the curve once the total changes', async () => {
+        const update = await compile({ totalScore: 70, grade: 'A', gradePoints: 9, gradingMode: 'relative' });
+
+        expect(update.$set).toMatchObject({ grade: 'B', gradePoints: 7, gradingMode: 'absolute' });
+        expect(update.$unset).toEqual({ curve: 1 });
+    });
+});
@@ -0,0 +1,134 @@
+const {
+    tokenizeCode,
+    tokenizeDocument,
+    winnow,
+    analyseSubmissions
+} = require('../server/services/similarityService');
+
+const ESSAYS = {
+    paging: 'Paging divides physical memory into fixed size frames and every process sees a private virtual '
+        + 'address space split into pages of the same size. The page table maps each virtual page to a frame, '
+        + 'and the translation lookaside buffer caches recent translations so most accesses avoid a table walk.',
+    scheduling: 'Round robin scheduling hands the processor to each ready task for a short quantum before moving '
+        + 'on to the next one in the queue. Choosing the quantum is a trade off between responsiveness for '
+        + 'interactive users and the overhead of frequent context switches on busy machines.',
+    deadlock: 'A deadlock needs mutual exclusion, hold and wait, no preemption and circular wait at the same time. '
+        + 'Operating systems either prevent one of these conditions, avoid unsafe states with the banker '
+        + 'algorithm, or detect cycles in the wait for graph and recover by killing a process.',
+    filesystems: 'Journaling file systems write intended metadata changes to a log before applying them in place. '
+        + 'After a crash the log is replayed so the directory tree and allocation bitmaps are consistent again '
+        + 'without scanning the entire disk, which used to take hours on large volumes.'
+};
+
+const submission = (student, text) => ({ _id: `submission-${student}`, student, text, files: [] });
+
+describe('tokenizers', () => {
+    it('normalises names, strings and numbers in code and drops comments', () => {
+        const tokens = tokenizeCode('// total\nconst sum = add(price, "tax", 42); /* done */');
+        expect(tokens.map(token => token.value)).toEqual(
+            ['const', 'ID', '=', 'ID', '(', 'ID', ',', 'STR', ',', 'NUM', ')', ';']
+        );
+    });
+
+    it('keeps the source position of every token', () => {
+        const text = 'Hello, World';
+        const [hello, world] = tokenizeDocument(text);
+        expect(hello).toEqual({ value: 'hello', start: 0, end: 5 });
+        expect(text.slice(world.start, world.end)).toBe('World');
+    });
+
+    it('makes renamed code tokenise identically', () => {
+        const values = (text) => tokenizeCode(text).map(token => token.value);
+        expect(values('for (let i = 0; i < n; i++) total += items[i];'))
+            .toEqual(values('for (let j = 1; j < count; j++) sum += list[j];'));
+    });
+});
+
+describe('winnow', () => {
+    const tokens = tokenizeDocument(ESSAYS.paging);
+
+    it('is deterministic', () => {
+        expect(winnow(tokens, { k: 5, window: 4 })).toEqual(winnow(tokens, { k: 5, window: 4 }));
+    });
+
+    it('selects at least one fingerprint from every window of hashes', () => {
+        const k = 5;
+        const window = 4;
+        const indexes = winnow(tokens, { k, window }).map(fingerprint => fingerprint.index);
+        const gramCount = tokens.length - k + 1;
+
+        for (let start = 0; start + window <= gramCount; start++) {
+            expect(indexes.some(index => index >= start && index < start + window)).toBe(true);
+        }
+    });
+
+    it('keeps the fingerprints of a copied passage inside a longer text', () => {
+        const copied = tokenizeDocument(`An unrelated introduction about something else entirely. ${ESSAYS.paging}`);
+        const hashes = new Set(winnow(copied, { k: 5, window: 4 }).map(fingerprint => fingerprint.hash));
+        const original = winnow(tokens, { k: 5, window: 4 });
+
+        const kept = original.filter(fingerprint => hashes.has(fingerprint.hash)).length;
+        expect(kept / original.length).toBeGreaterThan(0.8);
+    });
+
+    it('returns nothing for text shorter than one k-gram', () => {
+        expect(winnow(tokenizeDocument('too short'), { k: 5, window: 4 })).toEqual([]);
+    });
+});
+
+describe('analyseSubmissions', () => {
+    it('flags a copied answer and shows the shared passage', async () => {
+        const analysis = await analyseSubmissions({
+            submissions: [
+                submission('alice', ESSAYS.paging),
+                submission('bob', `In my own words: ${ESSAYS.paging}`),
+                submission('carol', ESSAYS.scheduling)
+            ]
+        });
+
+        expect(analysis.submissionsAnalyzed).toBe(3);
+        expect(analysis.pairs).toHaveLength(1);
+
+        const [pair] = analysis.pairs;
+        expect(pair).toMatchObject({ kind: 'document', studentA: 'alice', studentB: 'bob' });
+        expect(pair.score).toBeGreaterThan(80);
+        expect(pair.passages[0].a.excerpt).toContain('<mark>');
+        expect(pair.passages[0].b.source).toBe('Typed answer');
+    });
+
+    it('compares only the latest submission of each student', async () => {
+        const analysis = await analyseSubmissions({
+            submissions: [
+                { ...submission('alice', ESSAYS.paging), _id: 'first' },
+                submission('bob', ESSAYS.paging),
+                { ...submission('alice', ESSAYS.deadlock), _id: 'second' }
+            ]
+        });
+
+        expect(analysis.submissionsAnalyzed).toBe(2);
+        expect(analysis.pairs).toEqual([]);
+    });
+
+    it('ignores material most of the class shares, such as the question', async () => {
+        const question = 'Explain in detail how the operating system manages this resource and why the design matters.';
+        const analysis = await analyseSubmissions({
+            submissions: ['paging', 'scheduling', 'deadlock', 'filesystems']
+                .map(topic => submission(topic, `${question} ${ESSAYS[topic]}`))
+        });
+
+        expect(analysis.pairs).toEqual([]);
+    });
+
+    it('reports files it cannot compare', async () => {
+        const analysis = await analyseSubmissions({
+            submissions: [{ ...submission('alice', ESSAYS.paging), files: [{ filename: 'diagram.png' }] }]
+        });
+
+        expect(analysis.skippedFiles).toEqual([{
+            student: 'alice',
+            submissionId: 'submission-alice',
+            filename: 'diagram.png',
+            reason: 'File type cannot be compared'
+        }]);
+    });
+});
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+
+// Events are written in this zone; it has daylight saving, unlike the default
+process.env.TIMETABLE_TIMEZONE = 'America/New_York';
+
+const Section = require('../server/models/Section');
+const Timetable = require('../server/models/Timetable');
+const TimetableEntry = require('../server/models/TimetableEntry');
+const { clashTypes, findClashesFor, buildCalendar } = require('../server/services/timetableService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const section = (fields = {}) => new Section({
+    name: 'A',
+    course: 'B.Tech Computer Science',
+    semester: 3,
+    academicYear: '2024-25',
+    ...fields
+});
+
+const entry = (fields = {}) => ({
+    _id: id(),
+    timetableId: 'timetable-1',
+    day: 'Monday',
+    period: 2,
+    span: 1,
+    subjectCode: 'CS301',
+    subjectName: 'Operating Systems',
+    facultyId: id(),
+    roomId: id(),
+    sectionId: id(),
+    ...fields
+});
+
+describe('clashTypes', () => {
+    const none = new Map();
+
+    it('finds no clash on different days or in separate periods', () => {
+        const facultyId = id();
+        const a = entry({ facultyId });
+        expect(clashTypes(a, entry({ facultyId, day: 'Tuesday' }), none)).toEqual([]);
+        expect(clashTypes(a, entry({ facultyId, period: 3 }), none)).toEqual([]);
+    });
+
+    it('treats a multi-period entry as occupying every period it spans', () => {
+        const roomId = id();
+        const lab = entry({ roomId, period: 2, span: 3 });
+        expect(clashTypes(lab, entry({ roomId, period: 4 }), none)).toEqual(['room']);
+        expect(clashTypes(entry({ roomId, period: 4 }), lab, none)).toEqual(['room']);
+        expect(clashTypes(lab, entry({ roomId, period: 5 }), none)).toEqual([]);
+    });
+
+    it('reports the faculty member and room being double-booked', () => {
+        const facultyId = id();
+        const roomId = id();
+        // Populated references compare by id too
+        expect(clashTypes(entry({ facultyId, roomId }), entry({ facultyId: { _id: facultyId }, roomId }), none))
+            .toEqual(['faculty', 'room']);
+    });
+
+    it('reports a section clash for the same section', () => {
+        const shared = section();
+        const sections = new Map([[shared._id.toString(), shared]]);
+        expect(clashTypes(entry({ sectionId: shared._id }), entry({ sectionId: shared._id }), sections)).toEqual(['section']);
+    });
+
+    it('reports a section clash between a whole cohort and a group of it', () => {
+        const cohort = section();
+        const lab = section({ name: 'Lab 1', students: [id()] });
+        const otherSemester = section({ name: 'Lab 2', semester: 5, students: [id()] });
+        const sections = new Map([cohort, lab, otherSemester].map(entry => [entry._id.toString(), entry]));
+
+        expect(clashTypes(entry({ sectionId: cohort._id }), entry({ sectionId: lab._id }), sections)).toEqual(['section']);
+        expect(clashTypes(entry({ sectionId: cohort._id }), entry({ sectionId: otherSemester._id }), sections)).toEqual([]);
+    });
+
+    it('reports a section clash only when named groups share a student', () => {
+        const student = id();
+        const batchA = section({ name: 'Batch A', students: [student, id()] });
+        const batchB = section({ name: 'Batch B', students: [id()] });
+        const elective = section({ name: 'Elective', students: [student] });
+        const sections = new Map([batchA, batchB, elective].map(entry => [entry._id.toString(), entry]));
+
+        expect(clashTypes(entry({ sectionId: batchA._id }), entry({ sectionId: batchB._id }), sections)).toEqual([]);
+        expect(clashTypes(entry({ sectionId: batchA._id }), entry({ sectionId: elective._id }), sections)).toEqual(['section']);
+    });
+});
+
+describe('findClashesFor', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('checks entries against timetables running on overlapping dates', async () => {
+        const facultyId = id();
+        const timetable = { _id: 'timetable-1', startsOn: new Date('2025-01-06'), endsOn: new Date('2025-05-02') };
+        const added = entry({ facultyId });
+        const existing = entry({ facultyId, timetableId: 'timetable-2' });
+
+        const distinct = jest.spyOn(Timetable, 'distinct').mockResolvedValue(['timetable-2']);
+        const find = jest.spyOn(TimetableEntry, 'find').mockResolvedValue([existing]);
+        jest.spyOn(Section, 'find').mockResolvedValue([]);
+
+        const clashes = await findClashesFor([added], timetable);
+
+        expect(distinct).toHaveBeenCalledWith('_id', {
+            startsOn: { $lte: timetable.endsOn },
+            endsOn: { $gte: timetable.startsOn }
+        });
+        expect(find.mock.calls[0][0]).toEqual({
+            timetableId: { $in: ['timetable-2', 'timetable-1'] },
+            day: { $in: ['Monday'] },
+            _id: { $nin: [added._id] }
+        });
+        expect(clashes).toEqual([expect.objectContaining({
+            types: ['faculty'],
+            entry: expect.objectContaining({ entryId: added._id, facultyId: facultyId.toString() }),
+            with: expect.objectContaining({ entryId: existing._id, timetableId: 'timetable-2' })
+        })]);
+    });
+
+    it('skips the lookup when there is nothing to check', async () => {
+        const distinct = jest.spyOn(Timetable, 'distinct');
+        expect(await findClashesFor([], {})).toEqual([]);
+        expect(distinct).not.toHaveBeenCalled();
+    });
+});
+
+describe('buildCalendar', () => {
+    const periods = [
+        { number: 1, startTime: '09:00', endTime: '09:50' },
+        { number: 2, startTime: '10:00', endTime: '10:50' }
+    ];
+    const lines = (calendar) => calendar.split('\r\n');
+
+    it('writes weekly events in the timetable zone with a matching VTIMEZONE', () => {
+        const calendar = buildCalendar({
+            periods,
+            entries: [{
+                id: 'entry-1',
+                day: 'Wednesday',
+                period: 1,
+                span: 2,
+                startsOn: '2025-01-06',
+                endsOn: '2025-12-19',
+                subjectCode: 'CS301',
+                subjectName: 'Operating Systems',
+                classType: 'lecture',
+                room: { code: 'R101', building: 'Main' },
+                faculty: { name: 'Dr. Rao' },
+                section: { name: 'A' }
+            }]
+        }, { name: 'My classes' });
+
+        expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(lines(calendar)).toEqual(expect.arrayContaining([
+            'X-WR-TIMEZONE:America/New_York',
+            'DTSTART;TZID=America/New_York:20250108T090000',
+            'DTEND;TZID=America/New_York:20250108T105000',
+            'RRULE:FREQ=WEEKLY;UNTIL=20251219T235959Z',
+            'SUMMARY:CS301 Operating Systems (lecture)',
+            'LOCATION:R101\\, Main',
+            'DESCRIPTION:Faculty: Dr. Rao\\nSection: A'
+        ]));
+
+        const timezone = calendar.slice(calendar.indexOf('BEGIN:VTIMEZONE'), calendar.indexOf('END:VTIMEZONE'));
+        expect(lines(timezone)).toEqual([
+            'BEGIN:VTIMEZONE',
+            'TZID:America/New_York',
+            'BEGIN:STANDARD',
+            'DTSTART:20250104T190000',
+            'TZOFFSETFROM:-0500',
+            'TZOFFSETTO:-0500',
+            'END:STANDARD',
+            'BEGIN:DAYLIGHT',
+            'DTSTART:20250309T020000',
+            'TZOFFSETFROM:-0500',
+            'TZOFFSETTO:-0400',
+            'END:DAYLIGHT',
+            'BEGIN:STANDARD',
+            'DTSTART:20251102T020000',
+            'TZOFFSETFROM:-0400',
+            'TZOFFSETTO:-0500',
+            'END:STANDARD',
+            ''
+        ]);
+    });
+
+    it('still describes the zone when there are no classes', () => {
+        const calendar = buildCalendar({ periods, entries: [] }, { name: 'Empty' });
+        expect(calendar).toContain('BEGIN:VTIMEZONE\r\nTZID:America/New_York\r\n');
+        expect(calendar).not.toContain('BEGIN:VEVENT');
+    });
+});
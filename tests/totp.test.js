@@ -0,0 +1,76 @@
+const {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildProvisioningUri
+} = require('../server/utils/totp');
+
+// RFC 6238 appendix B shared secret; the RFC's 8-digit codes are truncated to 6 here
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const stepAt = (seconds) => Math.floor(seconds / 30);
+
+describe('base32', () => {
+    it('encodes the RFC 4648 test vectors without padding', () => {
+        expect(base32Encode(Buffer.from('f'))).toBe('MY');
+        expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    });
+
+    it('decodes regardless of case, spaces and padding', () => {
+        expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    it('rejects characters outside the alphabet', () => {
+        expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character');
+    });
+
+    it('generates 160-bit secrets that round-trip', () => {
+        const secret = generateSecret();
+        expect(secret).toHaveLength(32);
+        expect(base32Decode(secret)).toHaveLength(20);
+    });
+});
+
+describe('generateCode', () => {
+    it.each([
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1234567890, '005924'],
+        [2000000000, '279037']
+    ])('matches the RFC 6238 SHA1 vector at T=%i', (seconds, code) => {
+        expect(generateCode(RFC_SECRET, stepAt(seconds))).toBe(code);
+    });
+});
+
+describe('verifyCode', () => {
+    const at = 1234567890 * 1000;
+
+    it('returns the matching time step', () => {
+        expect(verifyCode(RFC_SECRET, '005924', { at })).toBe(stepAt(1234567890));
+    });
+
+    it('accepts a neighbouring step within the window', () => {
+        const next = generateCode(RFC_SECRET, stepAt(1234567890) + 1);
+        expect(verifyCode(RFC_SECRET, next, { at })).toBe(stepAt(1234567890) + 1);
+        expect(verifyCode(RFC_SECRET, next, { at, window: 0 })).toBeNull();
+    });
+
+    it('ignores spaces in the typed code', () => {
+        expect(verifyCode(RFC_SECRET, '005 924', { at })).toBe(stepAt(1234567890));
+    });
+
+    it('rejects wrong or malformed codes', () => {
+        expect(verifyCode(RFC_SECRET, '000000', { at })).toBeNull();
+        expect(verifyCode(RFC_SECRET, '5924', { at })).toBeNull();
+        expect(verifyCode(RFC_SECRET, undefined, { at })).toBeNull();
+    });
+});
+
+describe('buildProvisioningUri', () => {
+    it('percent-encodes the label and issuer', () => {
+        const uri = buildProvisioningUri({ secret: 'ABC', accountName: 'a b@x.edu', issuer: 'Academic Portal' });
+        expect(uri).toBe('otpauth://totp/Academic%20Portal%3Aa%20b%40x.edu'
+            + '?secret=ABC&issuer=Academic%20Portal&algorithm=SHA1&digits=6&period=30');
+    });
+});